@@ -0,0 +1,132 @@
+// Local proxy that keeps the Google AI API key out of the browser.
+//
+//   GEMINI_API_KEY=... npm run proxy
+//
+// then set the proxy address (http://localhost:8787 by default) under
+// Settings → General. The app sends its Gemini requests here without a key;
+// the proxy adds the key and forwards them to Google. It listens on
+// 127.0.0.1 only and answers CORS requests from the app's origin.
+//
+// Environment:
+//   GEMINI_API_KEY        required
+//   PROXY_PORT            default 8787
+//   PROXY_ALLOWED_ORIGIN  default http://localhost:3000 (comma-separate several)
+
+const http = require('http');
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com';
+const API_KEY = process.env.GEMINI_API_KEY || '';
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+const ALLOWED_ORIGINS = (process.env.PROXY_ALLOWED_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim());
+
+// Invoices are sent inline as base64, so allow for large PDFs
+const MAX_BODY_BYTES = 30 * 1024 * 1024;
+
+// Only generateContent calls are forwarded
+const ROUTE = /^\/v1beta\/models\/[\w.-]+:generateContent$/;
+
+// Remove the key from anything sent back to the browser or written to the console
+const redactSecrets = text => {
+    let redacted = String(text);
+    if (API_KEY) redacted = redacted.split(API_KEY).join('[redacted]');
+    return redacted
+        .replace(/AIza[0-9A-Za-z_-]{35}/g, '[redacted]')
+        .replace(/([?&]key=)[^&\s"']+/gi, '$1[redacted]');
+};
+
+const corsHeaders = (origin) => (ALLOWED_ORIGINS.includes(origin) ? {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    // Lets the app wait as long as Google asks after a rate limit
+    'Access-Control-Expose-Headers': 'Retry-After',
+    Vary: 'Origin'
+} : {});
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new Error('Request body is too large.'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const handleRequest = async (req, res) => {
+    const cors = corsHeaders(req.headers.origin);
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, cors);
+        res.end();
+        return;
+    }
+    if (req.method === 'GET' && path === '/health') {
+        sendJson(res, 200, { ok: true }, cors);
+        return;
+    }
+    if (req.method !== 'POST' || !ROUTE.test(path)) {
+        sendJson(res, 404, { error: { message: 'Not found.' } }, cors);
+        return;
+    }
+    if (req.headers.origin && !cors['Access-Control-Allow-Origin']) {
+        sendJson(res, 403, { error: { message: `Origin ${req.headers.origin} is not allowed. Set PROXY_ALLOWED_ORIGIN.` } });
+        return;
+    }
+
+    // Stop the upstream request when the app cancels it or the tab closes
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+        const body = await readBody(req);
+        const upstream = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': API_KEY },
+            body,
+            signal: controller.signal
+        });
+        const text = await upstream.text();
+        const retryAfter = upstream.headers.get('retry-after');
+        res.writeHead(upstream.status, {
+            'Content-Type': upstream.headers.get('content-type') || 'application/json',
+            ...(retryAfter ? { 'Retry-After': retryAfter } : {}),
+            ...cors
+        });
+        // Successful responses are model output; only error bodies can echo request details
+        res.end(upstream.ok ? text : redactSecrets(text));
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Proxy request failed:', redactSecrets(err.message));
+        sendJson(res, 502, { error: { message: `Proxy request failed: ${redactSecrets(err.message)}` } }, cors);
+    }
+};
+
+// Requests are forwarded with the global fetch, which Node has had since version 18
+if (typeof fetch !== 'function') {
+    console.error(`The proxy needs Node.js 18 or later; this is ${process.version}.`);
+    process.exit(1);
+}
+
+if (!API_KEY) {
+    console.error('GEMINI_API_KEY is not set. Start the proxy with GEMINI_API_KEY=your-key npm run proxy');
+    process.exit(1);
+}
+
+http.createServer(handleRequest).listen(PORT, '127.0.0.1', () => {
+    console.log(`Gemini proxy listening on http://localhost:${PORT} for ${ALLOWED_ORIGINS.join(', ')}`);
+});
@@ -1,176 +1,176 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import QueuePanel from './components/QueuePanel';
+import EditableField from './components/EditableField';
+import ValidationSummary from './components/ValidationSummary';
+import DuplicateWarning from './components/DuplicateWarning';
+import TaxSummary from './components/TaxSummary';
+import DocumentViewer from './components/DocumentViewer';
+import SettingsModal from './components/SettingsModal';
+import ExportMenu from './components/ExportMenu';
+import HistoryView from './components/HistoryView';
+import ApprovalDashboard from './components/ApprovalDashboard';
+import WorkflowPanel from './components/WorkflowPanel';
+import ReportsView from './components/ReportsView';
+import EmailComposer from './components/EmailComposer';
+import PdfSplitter from './components/PdfSplitter';
+import ReviewPanel from './components/ReviewPanel';
+import VendorDirectory from './components/VendorDirectory';
+import VendorLink from './components/VendorLink';
+import ExpenseReports from './components/ExpenseReports';
+import PurchaseOrders from './components/PurchaseOrders';
+import PoMatchPanel from './components/PoMatchPanel';
+import { listInvoices, getInvoice, saveInvoice, deleteInvoice, saveSourceFile, getSourceFile, appendAuditEntries, listVendors, saveVendor, deleteVendor, listQueuedJobs, saveQueuedJob, deleteQueuedJob, listExpenseReports, saveExpenseReport, deleteExpenseReport, listPurchaseOrders, savePurchaseOrder, deletePurchaseOrder } from './lib/invoiceStore';
+import { createThumbnail } from './lib/thumbnail';
+import { countPdfPages, isPdfFile } from './lib/pdf';
+import { partFileName } from './lib/pdfSplit';
+import { DOCUMENT_TYPES, detectInvoiceBoundaries, transcribeInvoice, vendorHintsForFile } from './lib/transcription';
+import { currencyDecimals, formatMoney, toCurrencyCode, COMMON_CURRENCIES } from './lib/money';
+import { loadExchangeRates, saveExchangeRates, convertInvoice } from './lib/exchangeRates';
+import { createId } from './lib/ids';
+import { applyLineItemEdit, applyTaxLineEdit, createLineItem, createTaxLine, ensureLineItemIds, recalculateTotals, taxLinesFromItems } from './lib/invoiceMath';
+import { isReceipt, validateInvoice, lineItemField } from './lib/validation';
+import { callAI, loadAiSettings, saveAiSettings, getSetupProblem, parseJsonResponse, isAbortError } from './lib/ai';
+import { exportInvoices } from './lib/exporters';
+import { exportExpenseReport } from './lib/exporters/expenseReport';
+import { loadExpensePolicy, saveExpensePolicy } from './lib/expenseReports';
+import { loadMatchTolerances, matchInvoice, saveMatchTolerances } from './lib/purchaseOrders';
+import { findDuplicate, hashFile } from './lib/duplicates';
+import { loadAccounts, saveAccounts, loadRules, saveRules, accountForItem, assignCategory, applyCategoryRules, applySuggestedCategories, categoriesByItemId, categoryChoices, findMatchingRule, learnRule, suggestionItems } from './lib/categories';
+import { downloadBlob } from './lib/download';
+import { actorName, createWorkflow, getWorkflow, loadUserName, saveUserName, transitionWorkflow } from './lib/workflow';
+import { createAuditEntry, diffInvoices } from './lib/audit';
+import { addAlias, applyVendor, matchVendor, unlinkVendor, vendorFromInvoice } from './lib/vendors';
+import { assessConfidence, confidenceLevel, isReviewed, lineItemKey, markReviewed, pendingReviews } from './lib/confidence';
+import { buildRewritePrompt, loadEmailStyle, loadEmailTemplates, saveEmailStyle, saveEmailTemplates } from './lib/emailTemplates';
+import { dueJobIds, failedAttemptChanges, isQueuedJob, nextRetryAt, queueRecordState, restoreQueuedJob, toQueueRecord } from './lib/requestQueue';
+import { UPDATE_AVAILABLE_EVENT, applyUpdate } from './serviceWorkerRegistration';
+import useUndoableState from './hooks/useUndoableState';
 
-// --- Helper Functions ---
-
-// Helper function to convert file to base64
-const toBase64 = file => new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result.split(',')[1]);
-    reader.onerror = error => reject(error);
-});
-
-// --- API Call Functions ---
-
-// Generic function to call the Gemini API with retry logic
-const callGeminiAPI = async (payload, apiKey) => {
-    if (!apiKey) {
-        throw new Error("API Key is missing. Please enter your Google AI API Key in Settings.");
-    }
-    
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-    
-    let lastError = null;
-    const maxRetries = 3;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+// Maximum number of invoices transcribed at the same time
+const MAX_CONCURRENT_JOBS = 2;
 
-            if (response.ok) {
-                 const result = await response.json();
-                 if (result.candidates && result.candidates.length > 0 &&
-                    result.candidates[0].content && result.candidates[0].content.parts &&
-                    result.candidates[0].content.parts.length > 0) {
-                    return result.candidates[0].content.parts[0].text;
-                } else {
-                    console.error("Invalid API Response Structure:", result);
-                     if (result.promptFeedback && result.promptFeedback.blockReason) {
-                         lastError = new Error(`Request was blocked. Reason: ${result.promptFeedback.blockReason}. ${result.promptFeedback.blockReasonMessage || ''}`);
-                         break; // Don't retry on block errors
-                    }
-                    lastError = new Error("Invalid response structure from the API.");
-                    break; // Don't retry on malformed success responses
-                }
-            }
+// Edits are written to the audit trail once typing has paused this long
+const EDIT_AUDIT_DELAY_MS = 3000;
 
-            // Handle retryable server errors (like 503)
-            if (response.status === 503 && attempt < maxRetries) {
-                console.warn(`Attempt ${attempt} failed with status 503. Retrying in ${attempt * 1000}ms...`);
-                lastError = new Error(`API request failed with status ${response.status}: The model is temporarily overloaded.`);
-                await new Promise(resolve => setTimeout(resolve, attempt * 1000)); // Wait before retrying
-                continue; // Go to the next attempt
-            }
-            
-            // Handle other non-ok responses that we don't want to retry
-            const errorBody = await response.text();
-            lastError = new Error(`API request failed with status ${response.status}: ${errorBody}`);
-            break; // Exit loop for other errors
-
-        } catch (error) {
-            lastError = error; // Catch network errors
-            console.error(`Attempt ${attempt} failed with network error:`, error);
-            if (attempt < maxRetries) {
-                 await new Promise(resolve => setTimeout(resolve, attempt * 1000));
-            }
-        }
-    }
+// Highlight styles for cells with validation issues
+const ISSUE_STYLES = {
+    error: 'ring-2 ring-red-400 bg-red-50 dark:bg-red-900/30',
+    warning: 'ring-2 ring-yellow-400 bg-yellow-50 dark:bg-yellow-900/30'
+};
 
-    // If all retries fail, throw the last captured error
-    throw lastError;
+// Underlines for values the model was unsure of; 'low' ones must be reviewed
+const CONFIDENCE_STYLES = {
+    low: 'underline decoration-wavy decoration-orange-500',
+    uncertain: 'underline decoration-dotted decoration-amber-500'
 };
 
+// Header fields of the editor: [field, label, grid span]
+const INVOICE_HEADER_FIELDS = [
+    ['invoiceNumber', 'Invoice #', ''],
+    ['invoiceDate', 'Invoice Date', ''],
+    ['dueDate', 'Due Date', ''],
+    ['poNumber', 'PO #', ''],
+    ['from', 'From', 'sm:col-span-1'],
+    ['billedTo', 'Billed To', 'sm:col-span-2'],
+    ['currency', 'Currency', ''],
+    ['sellerTaxId', 'Seller Tax ID', ''],
+    ['buyerTaxId', 'Buyer Tax ID', '']
+];
 
-// --- UI Components ---
+// Receipts keep the merchant in `from`, the date in `invoiceDate` and the receipt number in `invoiceNumber`
+const RECEIPT_HEADER_FIELDS = [
+    ['from', 'Merchant', 'sm:col-span-2'],
+    ['invoiceDate', 'Date', ''],
+    ['invoiceNumber', 'Receipt #', ''],
+    ['paymentMethod', 'Payment Method', ''],
+    ['currency', 'Currency', '']
+];
 
-const EmailModal = ({ title, content, onClose, onCopy }) => {
-    if (!content) return null;
+// --- Helper Functions ---
 
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-2xl transform transition-all text-gray-800 dark:text-gray-200">
-                <div className="p-6">
-                    <div className="flex justify-between items-center mb-4">
-                        <h3 className="text-xl font-bold">{title}</h3>
-                        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
-                            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
-                        </button>
-                    </div>
-                    <div className="prose max-w-none bg-gray-50 dark:bg-gray-900/50 p-4 rounded-lg text-gray-700 dark:text-gray-300 whitespace-pre-wrap border border-gray-200 dark:border-gray-700" style={{ minHeight: '200px' }}>
-                        {content}
-                    </div>
-                </div>
-                <div className="bg-gray-50 dark:bg-gray-800/50 px-6 py-4 rounded-b-xl flex justify-end space-x-3">
-                    <button onClick={onCopy} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors">
-                        Copy to Clipboard
-                    </button>
-                    <button onClick={onClose} className="bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 transition-colors">
-                        Close
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
-};
+// Only images and PDFs can be sent to the model
+const isSupportedFile = file => file.type.startsWith('image/') || file.type === 'application/pdf';
 
-const SettingsModal = ({ isOpen, onClose, apiKey, onApiKeyChange, theme, onThemeChange }) => {
-    if (!isOpen) return null;
+// Recursively read every file inside a dropped directory entry
+const readEntryFiles = entry => new Promise((resolve) => {
+    if (entry.isFile) {
+        entry.file(file => resolve([file]), () => resolve([]));
+        return;
+    }
+    if (!entry.isDirectory) {
+        resolve([]);
+        return;
+    }
+    const reader = entry.createReader();
+    const entries = [];
+    // readEntries returns results in batches, so keep reading until it comes back empty
+    const readBatch = () => reader.readEntries(async batch => {
+        if (batch.length === 0) {
+            const nested = await Promise.all(entries.map(readEntryFiles));
+            resolve(nested.flat());
+            return;
+        }
+        entries.push(...batch);
+        readBatch();
+    }, () => resolve([]));
+    readBatch();
+});
 
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md transform transition-all text-gray-800 dark:text-gray-200">
-                <div className="p-6">
-                    <div className="flex justify-between items-center mb-6">
-                        <h3 className="text-xl font-bold">Settings</h3>
-                        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
-                            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
-                        </button>
-                    </div>
-                    
-                    <div className="space-y-6">
-                        <div>
-                            <label htmlFor="api-key-input" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                                Google AI API Key
-                            </label>
-                            <input
-                                type="password"
-                                id="api-key-input"
-                                value={apiKey}
-                                onChange={onApiKeyChange}
-                                placeholder="Paste your API key here"
-                                className="block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm placeholder-gray-400 dark:placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                            />
-                            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-                                Get a free key from <a href="https://aistudio.google.com/API" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">Google AI Studio</a>.
-                            </p>
-                        </div>
-
-                        <div className="flex items-center justify-between">
-                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Dark Mode</span>
-                            <button onClick={onThemeChange} className={`relative inline-flex items-center h-6 rounded-full w-11 transition-colors ${theme === 'dark' ? 'bg-blue-600' : 'bg-gray-200'}`}>
-                                <span className={`inline-block w-4 h-4 transform bg-white rounded-full transition-transform ${theme === 'dark' ? 'translate-x-6' : 'translate-x-1'}`}/>
-                            </button>
-                        </div>
-                    </div>
-                </div>
-                 <div className="bg-gray-50 dark:bg-gray-800/50 px-6 py-4 rounded-b-xl flex justify-end">
-                    <button onClick={onClose} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors">
-                        Done
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
+// Collect all files from a drop event, including the contents of dropped folders
+const getDroppedFiles = async (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files || []);
+    const nested = await Promise.all(entries.map(readEntryFiles));
+    return nested.flat();
 };
 
-
 // --- Main App Component ---
 
 const App = () => {
-    const [invoiceData, setInvoiceData] = useState(null);
+    const { value: invoiceData, set: setInvoiceData, reset: resetInvoiceData, undo, redo, canUndo, canRedo } = useUndoableState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [loadingMessage, setLoadingMessage] = useState('');
     const [error, setError] = useState(null);
-    const [fileName, setFileName] = useState('');
-    const [modalContent, setModalContent] = useState(null);
-    const [modalTitle, setModalTitle] = useState('');
+    const [jobs, setJobs] = useState([]);
+    const [pdfsToSplit, setPdfsToSplit] = useState([]);
+    const [activeJobId, setActiveJobId] = useState(null);
+    const [activeRecordId, setActiveRecordId] = useState(null);
+    const [savedInvoices, setSavedInvoices] = useState([]);
+    const [view, setView] = useState('upload');
+    const [sourceFile, setSourceFile] = useState(null);
+    const [isSourceVisible, setIsSourceVisible] = useState(true);
+    const [selectedField, setSelectedField] = useState(null);
+    const [reviewKey, setReviewKey] = useState(null);
+    const [isComposerOpen, setIsComposerOpen] = useState(false);
     const [isSettingsOpen, setIsSettingsOpen] = useState(false);
     
-    const [apiKey, setApiKey] = useState(() => localStorage.getItem('geminiApiKey') || '');
+    const [aiSettings, setAiSettings] = useState(loadAiSettings);
+    const [accounts, setAccounts] = useState(loadAccounts);
+    const [rules, setRules] = useState(loadRules);
+    const [exchangeRates, setExchangeRates] = useState(loadExchangeRates);
+    const [userName, setUserName] = useState(loadUserName);
+    const [emailTemplates, setEmailTemplates] = useState(loadEmailTemplates);
+    const [emailStyle, setEmailStyle] = useState(loadEmailStyle);
+    const [vendors, setVendors] = useState([]);
+    const [expensePolicy, setExpensePolicy] = useState(loadExpensePolicy);
+    const [expenseReports, setExpenseReports] = useState([]);
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [matchTolerances, setMatchTolerances] = useState(loadMatchTolerances);
+    const [uploadDocumentType, setUploadDocumentType] = useState(() => localStorage.getItem('uploadDocumentType') || 'invoice');
+    const [auditVersion, setAuditVersion] = useState(0);
+    const pendingEditsRef = useRef(null);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+    const [queueClock, setQueueClock] = useState(0);
+    const [waitingUpdate, setWaitingUpdate] = useState(null);
+    // Abort controllers of the transcriptions in flight, by job id
+    const jobControllersRef = useRef(new Map());
+    // Queue state last written to IndexedDB, by job id
+    const savedJobStatesRef = useRef(new Map());
+    // The open invoice's AI request in flight, so it can be cancelled
+    const aiRequestRef = useRef(null);
+    // The email composer's rewrite in flight, cancelled when the composer closes
+    const emailRequestRef = useRef(null);
     const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'light');
 
     useEffect(() => {
@@ -182,227 +182,988 @@ const App = () => {
         localStorage.setItem('theme', theme);
     }, [theme]);
 
-    const handleApiKeyChange = (e) => {
-        const newKey = e.target.value;
-        setApiKey(newKey);
-        localStorage.setItem('geminiApiKey', newKey);
+    useEffect(() => {
+        localStorage.setItem('uploadDocumentType', uploadDocumentType);
+    }, [uploadDocumentType]);
+
+    const handleAiSettingsChange = (newSettings) => {
+        setAiSettings(newSettings);
+        saveAiSettings(newSettings);
+    };
+
+    const setupProblem = getSetupProblem(aiSettings);
+
+    const handleAccountsChange = (newAccounts) => {
+        setAccounts(newAccounts);
+        saveAccounts(newAccounts);
+    };
+
+    const handleRulesChange = (newRules) => {
+        setRules(newRules);
+        saveRules(newRules);
+    };
+
+    const handleExchangeRatesChange = (newExchangeRates) => {
+        setExchangeRates(newExchangeRates);
+        saveExchangeRates(newExchangeRates);
+    };
+
+    const handleUserNameChange = (newUserName) => {
+        setUserName(newUserName);
+        saveUserName(newUserName);
+    };
+
+    const handleEmailTemplatesChange = (newTemplates) => {
+        setEmailTemplates(newTemplates);
+        saveEmailTemplates(newTemplates);
+    };
+
+    const handleEmailStyleChange = (newStyle) => {
+        setEmailStyle(newStyle);
+        saveEmailStyle(newStyle);
+    };
+
+    const handleExpensePolicyChange = (newPolicy) => {
+        setExpensePolicy(newPolicy);
+        saveExpensePolicy(newPolicy);
     };
 
+    const handleMatchTolerancesChange = (newTolerances) => {
+        setMatchTolerances(newTolerances);
+        saveMatchTolerances(newTolerances);
+    };
+
+    const actor = actorName(userName);
+
+    // --- Audit Trail ---
+
+    const recordAudit = useCallback(async (entries) => {
+        try {
+            await appendAuditEntries(entries);
+            setAuditVersion(version => version + 1);
+        } catch (err) {
+            console.error("Error writing audit trail:", err);
+        }
+    }, []);
+
+    // Log the edits made since the last flush as one entry per changed field
+    const flushPendingEdits = useCallback(() => {
+        const pending = pendingEditsRef.current;
+        pendingEditsRef.current = null;
+        if (!pending) return;
+        const entries = diffInvoices(pending.before, pending.after).map(change => createAuditEntry(pending.recordId, pending.by, 'edit', change));
+        if (entries.length > 0) recordAudit(entries);
+    }, [recordAudit]);
+
+    useEffect(() => {
+        const timer = setTimeout(flushPendingEdits, EDIT_AUDIT_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [invoiceData, flushPendingEdits]);
+
     const handleThemeChange = () => {
         setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
     };
 
-    // Function to handle invoice transcription
-    const transcribeInvoice = async (file) => {
-        if (!file) {
-            setError("Please select a file first.");
-            return;
+    // --- Invoice Library ---
+
+    useEffect(() => {
+        listInvoices()
+            .then(setSavedInvoices)
+            .catch(err => console.error("Error loading saved invoices:", err));
+        listVendors()
+            .then(setVendors)
+            .catch(err => console.error("Error loading vendors:", err));
+        listExpenseReports()
+            .then(setExpenseReports)
+            .catch(err => console.error("Error loading expense reports:", err));
+        listPurchaseOrders()
+            .then(setPurchaseOrders)
+            .catch(err => console.error("Error loading purchase orders:", err));
+    }, []);
+
+    // Save a freshly transcribed invoice to the library
+    const addSavedInvoice = useCallback(async (file, data, fileHash, pages = null) => {
+        const now = new Date().toISOString();
+        const record = {
+            id: createId(),
+            fileName: partFileName(file, pages),
+            thumbnail: await createThumbnail(file, pages ? pages[0] : 1),
+            fileHash,
+            pages,
+            data,
+            workflow: createWorkflow(actor, now),
+            createdAt: now,
+            updatedAt: now
+        };
+        await saveInvoice(record);
+        await saveSourceFile(record.id, file);
+        setSavedInvoices(prevRecords => [record, ...prevRecords]);
+        recordAudit([createAuditEntry(record.id, actor, 'created', { to: record.fileName })]);
+        return record;
+    }, [actor, recordAudit]);
+
+    // Replace a saved invoice with a new transcription, keeping its id and creation date
+    const replaceSavedInvoice = async (id, file, data, fileHash, pages = null) => {
+        const existing = await getInvoice(id);
+        if (!existing) throw new Error("The earlier invoice is no longer in the library.");
+        const record = {
+            ...existing,
+            fileName: partFileName(file, pages),
+            thumbnail: await createThumbnail(file, pages ? pages[0] : 1),
+            fileHash,
+            pages,
+            data,
+            updatedAt: new Date().toISOString()
+        };
+        await saveInvoice(record);
+        await saveSourceFile(record.id, file);
+        setSavedInvoices(prevRecords => [record, ...prevRecords.filter(r => r.id !== id)]);
+        recordAudit([createAuditEntry(record.id, actor, 'replaced', { from: existing.fileName, to: record.fileName })]);
+        return record;
+    };
+
+    // Save changes to a record's metadata (not its invoice data) and refresh the library
+    const updateSavedRecord = async (id, changes) => {
+        const record = savedInvoices.find(r => r.id === id);
+        if (!record) throw new Error("The invoice is no longer in the library.");
+        const updatedRecord = { ...record, ...changes, updatedAt: new Date().toISOString() };
+        await saveInvoice(updatedRecord);
+        setSavedInvoices(prevRecords => [updatedRecord, ...prevRecords.filter(r => r.id !== id)]);
+        return updatedRecord;
+    };
+
+    // Move an invoice through the approval workflow. Returns whether it succeeded.
+    const changeStatus = async (id, to, comment) => {
+        const record = savedInvoices.find(r => r.id === id);
+        if (!record) return false;
+        const unreviewedCount = pendingReviews(record.data).length;
+        if (to === 'approved' && unreviewedCount > 0) {
+            setError(`Review the ${unreviewedCount} low-confidence value${unreviewedCount === 1 ? '' : 's'} before approving this invoice.`);
+            return false;
         }
-        if (!apiKey) {
-            setError("Please enter your Google AI API Key in Settings to proceed.");
-            setIsSettingsOpen(true);
-            return;
+        try {
+            const workflow = getWorkflow(record);
+            await updateSavedRecord(id, { workflow: transitionWorkflow(workflow, to, { by: actor, comment }) });
+            recordAudit([createAuditEntry(id, actor, 'status', { from: workflow.status, to, comment: comment.trim() })]);
+            setError(null);
+            return true;
+        } catch (err) {
+            console.error("Error changing status:", err);
+            setError(err.message);
+            return false;
         }
+    };
 
-        setIsLoading(true);
-        setLoadingMessage(`Analyzing invoice: ${file.name}...`);
+    const changeAssignee = async (id, assignee) => {
+        const record = savedInvoices.find(r => r.id === id);
+        if (!record) return;
+        try {
+            const workflow = getWorkflow(record);
+            await updateSavedRecord(id, { workflow: { ...workflow, assignee } });
+            recordAudit([createAuditEntry(id, actor, 'assign', { from: workflow.assignee, to: assignee })]);
+        } catch (err) {
+            console.error("Error assigning invoice:", err);
+            setError(`Failed to assign invoice. ${err.message}`);
+        }
+    };
+
+    // Persist edits to the open invoice
+    useEffect(() => {
+        if (!activeRecordId || !invoiceData) return;
+        const record = savedInvoices.find(r => r.id === activeRecordId);
+        if (!record || record.data === invoiceData) return;
+
+        if (!pendingEditsRef.current || pendingEditsRef.current.recordId !== record.id) {
+            flushPendingEdits();
+            pendingEditsRef.current = { recordId: record.id, by: actor, before: record.data };
+        }
+        pendingEditsRef.current.after = invoiceData;
+
+        const updatedRecord = { ...record, data: invoiceData, updatedAt: new Date().toISOString() };
+        saveInvoice(updatedRecord)
+            .then(() => setSavedInvoices(prevRecords => [updatedRecord, ...prevRecords.filter(r => r.id !== updatedRecord.id)]))
+            .catch(err => console.error("Error saving invoice:", err));
+    }, [invoiceData, activeRecordId, savedInvoices, actor, flushPendingEdits]);
+
+    const openSavedInvoice = (id) => {
+        const record = savedInvoices.find(r => r.id === id);
+        if (!record) return;
         setError(null);
-        setInvoiceData(null);
-        setFileName(file.name);
+        setActiveJobId(null);
+        setActiveRecordId(id);
+        resetInvoiceData(ensureLineItemIds(record.data));
+    };
 
+    const removeSavedInvoice = async (id) => {
         try {
-            const base64ImageData = await toBase64(file);
-            const prompt = `Analyze the following invoice/bill image. Extract the information in the specified JSON format. Identify the currency symbol (e.g., $, €, £) and include it. Ensure all monetary values are numbers.`;
-            const payload = {
-                contents: [{ role: "user", parts: [{ text: prompt }, { inlineData: { mimeType: file.type, data: base64ImageData } }] }],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "OBJECT",
-                        properties: {
-                            "invoiceNumber": { "type": "STRING" }, "invoiceDate": { "type": "STRING" }, "dueDate": { "type": "STRING" },
-                            "billedTo": { "type": "STRING" }, "from": { "type": "STRING" }, "currency": { "type": "STRING" },
-                            "lineItems": {
-                                "type": "ARRAY",
-                                "items": {
-                                    "type": "OBJECT",
-                                    "properties": {
-                                        "description": { "type": "STRING" }, "quantity": { "type": "NUMBER" },
-                                        "unitPrice": { "type": "NUMBER" }, "total": { "type": "NUMBER" }
-                                    },
-                                    "required": ["description", "quantity", "unitPrice", "total"]
-                                }
-                            },
-                            "subtotal": { "type": "NUMBER" }, "tax": { "type": "NUMBER" }, "total": { "type": "NUMBER" }
-                        },
-                        required: ["invoiceNumber", "invoiceDate", "billedTo", "from", "lineItems", "subtotal", "total", "currency"]
-                    }
-                }
-            };
-            
-            const jsonText = await callGeminiAPI(payload, apiKey);
-            const parsedJson = JSON.parse(jsonText);
-            parsedJson.lineItems = parsedJson.lineItems.map(item => ({ ...item, category: '' }));
-            setInvoiceData(parsedJson);
+            await deleteInvoice(id);
+            setSavedInvoices(prevRecords => prevRecords.filter(r => r.id !== id));
+            recordAudit([createAuditEntry(id, actor, 'deleted')]);
+        } catch (err) {
+            console.error("Error deleting invoice:", err);
+            setError(`Failed to delete invoice. ${err.message}`);
+        }
+    };
+
+    // --- Vendor Directory ---
+
+    const storeVendor = useCallback(async (vendor) => {
+        try {
+            await saveVendor(vendor);
+            setVendors(prevVendors => [...prevVendors.filter(v => v.id !== vendor.id), vendor].sort((a, b) => a.name.localeCompare(b.name)));
+        } catch (err) {
+            console.error("Error saving vendor:", err);
+            setError(`Failed to save vendor. ${err.message}`);
+        }
+    }, []);
+
+    const removeVendor = async (id) => {
+        try {
+            await deleteVendor(id);
+            setVendors(prevVendors => prevVendors.filter(v => v.id !== id));
+        } catch (err) {
+            console.error("Error deleting vendor:", err);
+            setError(`Failed to delete vendor. ${err.message}`);
+        }
+    };
+
+    // Remember a new spelling of a vendor's name so it matches next time
+    const learnVendorAlias = useCallback((vendor, printedName) => {
+        const updatedVendor = addAlias(vendor, printedName);
+        if (updatedVendor !== vendor) storeVendor(updatedVendor);
+    }, [storeVendor]);
+
+    const linkVendor = (vendor) => {
+        if (!vendor) return;
+        setInvoiceData(prevData => applyVendor(prevData, vendor, accounts));
+        learnVendorAlias(vendor, invoiceData.from);
+    };
+
+    const createVendorFromInvoice = async () => {
+        const vendor = vendorFromInvoice(invoiceData);
+        await storeVendor(vendor);
+        setInvoiceData(prevData => applyVendor(prevData, vendor, accounts));
+    };
+
+    // Link every unlinked library invoice the vendor matches, learning their spellings as aliases
+    const linkMatchingInvoices = async (vendor) => {
+        const matching = savedInvoices.filter(record => !record.data.vendorId && matchVendor([vendor], { name: record.data.from, taxId: record.data.sellerTaxId }));
+        try {
+            const now = new Date().toISOString();
+            const updatedRecords = matching.map(record => ({ ...record, data: applyVendor(record.data, vendor, accounts), updatedAt: now }));
+            await Promise.all(updatedRecords.map(saveInvoice));
+            setSavedInvoices(prevRecords => [...updatedRecords, ...prevRecords.filter(r => !updatedRecords.some(updated => updated.id === r.id))]);
+            recordAudit(updatedRecords.flatMap((record, index) => diffInvoices(matching[index].data, record.data).map(change => createAuditEntry(record.id, actor, 'edit', change))));
+            const updatedVendor = matching.reduce((current, record) => addAlias(current, record.data.from), vendor);
+            if (updatedVendor !== vendor) await storeVendor(updatedVendor);
+        } catch (err) {
+            console.error("Error linking invoices to vendor:", err);
+            setError(`Failed to link invoices. ${err.message}`);
+        }
+    };
+
+    // --- Expense Reports ---
+
+    // Shown right away so typing in a report's fields doesn't wait on the database
+    const storeExpenseReport = async (report) => {
+        setExpenseReports(prevReports => [report, ...prevReports.filter(r => r.id !== report.id)]);
+        try {
+            await saveExpenseReport(report);
+        } catch (err) {
+            console.error("Error saving expense report:", err);
+            setError(`Failed to save the expense report. ${err.message}`);
+        }
+    };
+
+    const removeExpenseReport = async (id) => {
+        try {
+            await deleteExpenseReport(id);
+            setExpenseReports(prevReports => prevReports.filter(r => r.id !== id));
+        } catch (err) {
+            console.error("Error deleting expense report:", err);
+            setError(`Failed to delete the expense report. ${err.message}`);
+        }
+    };
 
+    // Receipts with unreviewed low-confidence values hold the report back, as they do any export
+    const exportReport = (report, records) => {
+        const unreviewedCount = records.filter(record => pendingReviews(record.data).length > 0).length;
+        if (unreviewedCount > 0) {
+            setError(`${unreviewedCount} of the report's receipts ${unreviewedCount === 1 ? 'has' : 'have'} low-confidence values that haven't been reviewed. Open them and review before exporting.`);
+            return;
+        }
+        try {
+            const { fileName, blob } = exportExpenseReport(report, records, { accounts, exchangeRates, policy: expensePolicy });
+            downloadBlob(blob, fileName);
+            setError(null);
+        } catch (err) {
+            console.error("Error exporting expense report:", err);
+            setError(`Failed to export the expense report. ${err.message}`);
+        }
+    };
+
+    // Fill in the blank categories of a report's receipts: rules first, then the model, one receipt at a time
+    const suggestReportCategories = async (records) => {
+        if (records.length === 0) return;
+        setIsLoading(true);
+        setError(null);
+        const signal = startAiRequest();
+        try {
+            for (const [index, record] of records.entries()) {
+                setLoadingMessage(`✨ Getting categories for receipt ${index + 1} of ${records.length}...`);
+                const { invoice: ruleCategorized, unmatchedIds } = applyCategoryRules(ensureLineItemIds(record.data), rules, accounts);
+                const data = unmatchedIds.length > 0
+                    ? applySuggestedCategories(ruleCategorized, await requestCategorySuggestions(ruleCategorized, unmatchedIds, signal), accounts)
+                    : ruleCategorized;
+                const updatedRecord = { ...record, data, updatedAt: new Date().toISOString() };
+                await saveInvoice(updatedRecord);
+                setSavedInvoices(prevRecords => [updatedRecord, ...prevRecords.filter(r => r.id !== record.id)]);
+                recordAudit(diffInvoices(record.data, data).map(change => createAuditEntry(record.id, actor, 'edit', change)));
+            }
         } catch (err) {
-            console.error("Error during transcription:", err);
-            setError(`Failed to transcribe invoice. ${err.message}`);
+            if (isAbortError(err)) return;
+            console.error("Error getting categories for the expense report:", err);
+            setError(`Failed to get category suggestions. ${err.message}`);
         } finally {
+            aiRequestRef.current = null;
             setIsLoading(false);
             setLoadingMessage('');
         }
     };
 
+    // --- Purchase Orders ---
+
+    // Imports add or update several orders at once; the view reports failures next to its import buttons
+    const storePurchaseOrders = async (orders) => {
+        await Promise.all(orders.map(savePurchaseOrder));
+        setPurchaseOrders(prevOrders => [...orders, ...prevOrders.filter(order => !orders.some(o => o.id === order.id))]);
+    };
+
+    const removePurchaseOrder = async (id) => {
+        try {
+            await deletePurchaseOrder(id);
+            setPurchaseOrders(prevOrders => prevOrders.filter(order => order.id !== id));
+        } catch (err) {
+            console.error("Error deleting purchase order:", err);
+            setError(`Failed to delete the purchase order. ${err.message}`);
+        }
+    };
+
+    // Point an invoice line at a PO line by hand when automatic matching picked the wrong one or none
+    const assignPoLine = (itemId, lineNumber) => {
+        setInvoiceData(prevData => ({
+            ...prevData,
+            lineItems: prevData.lineItems.map(item => (item.id === itemId ? { ...item, poLine: lineNumber } : item))
+        }));
+    };
+
+    // --- Processing Queue ---
+
+    const updateJob = useCallback((id, changes) => {
+        setJobs(prevJobs => prevJobs.map(job => job.id === id ? { ...job, ...changes } : job));
+    }, []);
+
+    useEffect(() => {
+        const updateOnline = () => setIsOnline(navigator.onLine !== false);
+        window.addEventListener('online', updateOnline);
+        window.addEventListener('offline', updateOnline);
+        return () => {
+            window.removeEventListener('online', updateOnline);
+            window.removeEventListener('offline', updateOnline);
+        };
+    }, []);
+
+    // A new version of the app was installed by the service worker and waits for a reload
+    useEffect(() => {
+        const showUpdate = event => setWaitingUpdate(event.detail);
+        window.addEventListener(UPDATE_AVAILABLE_EVENT, showUpdate);
+        return () => window.removeEventListener(UPDATE_AVAILABLE_EVENT, showUpdate);
+    }, []);
+
+    // Resume uploads left in the queue by an earlier session
+    useEffect(() => {
+        listQueuedJobs()
+            .then(records => setJobs(prevJobs => [...records.filter(record => !prevJobs.some(job => job.id === record.id)).map(restoreQueuedJob), ...prevJobs]))
+            .catch(err => console.error("Error loading the upload queue:", err));
+    }, []);
+
+    // Keep the stored queue in step with the jobs: save unfinished jobs when their state changes,
+    // delete them once they're done or removed
+    useEffect(() => {
+        const savedStates = savedJobStatesRef.current;
+        const queuedJobs = jobs.filter(isQueuedJob);
+        const states = new Map(queuedJobs.map(job => [job.id, queueRecordState(job)]));
+        queuedJobs
+            .filter(job => savedStates.get(job.id) !== states.get(job.id))
+            .forEach(job => saveQueuedJob(toQueueRecord(job)).catch(err => console.error(`Error saving ${job.fileName} to the upload queue:`, err)));
+        [...savedStates.keys()]
+            .filter(id => !states.has(id))
+            .forEach(id => deleteQueuedJob(id).catch(err => console.error("Error removing a job from the upload queue:", err)));
+        savedJobStatesRef.current = states;
+    }, [jobs]);
+
+    // Move waiting jobs back to pending once their retry time comes or the connection returns
+    useEffect(() => {
+        if (!isOnline) return;
+        const dueIds = dueJobIds(jobs, { isOnline });
+        if (dueIds.length > 0) {
+            setJobs(prevJobs => prevJobs.map(job => dueIds.includes(job.id) ? { ...job, status: 'pending' } : job));
+            return;
+        }
+        const retryAt = nextRetryAt(jobs);
+        if (retryAt === null) return;
+        const timer = setTimeout(() => setQueueClock(Date.now()), Math.max(0, retryAt - Date.now()));
+        return () => clearTimeout(timer);
+    }, [jobs, isOnline, queueClock]);
+
+    // Start pending jobs whenever there is a free slot and a connection
+    useEffect(() => {
+        if (!isOnline) return;
+        const runningCount = jobs.filter(job => job.status === 'running').length;
+        const jobsToStart = jobs.filter(job => job.status === 'pending').slice(0, Math.max(0, MAX_CONCURRENT_JOBS - runningCount));
+        if (jobsToStart.length === 0) return;
+
+        const startedIds = new Set(jobsToStart.map(job => job.id));
+        setJobs(prevJobs => prevJobs.map(job => startedIds.has(job.id) ? { ...job, status: 'running', error: null } : job));
+
+        jobsToStart.forEach(job => {
+            const controller = new AbortController();
+            jobControllersRef.current.set(job.id, controller);
+            const documentType = job.documentType || 'invoice';
+            // Receipts come from merchants, not vendors in the directory
+            (documentType === 'receipt' ? Promise.resolve('') : vendorHintsForFile(job.file, job.pages, vendors))
+                .catch((err) => {
+                    console.error(`Error preparing vendor hints for ${job.fileName}:`, err);
+                    return '';
+                })
+                .then(vendorHints => transcribeInvoice(job.file, aiSettings, job.pages, vendorHints, controller.signal, documentType))
+                .then(async transcribed => {
+                    const { invoice: categorized } = applyCategoryRules(transcribed, rules, accounts);
+                    // Vendor defaults only fill what the rules left blank
+                    const vendor = !isReceipt(transcribed) && matchVendor(vendors, { name: transcribed.from, taxId: transcribed.sellerTaxId });
+                    const result = vendor ? applyVendor(categorized, vendor, accounts) : categorized;
+                    if (vendor) learnVendorAlias(vendor, transcribed.from);
+                    let recordId = null;
+                    let fileHash = null;
+                    let duplicate = null;
+                    try {
+                        fileHash = await hashFile(job.file, job.pages);
+                        // Read the library fresh so files finishing in the same batch see each other
+                        const match = findDuplicate(result, fileHash, await listInvoices());
+                        if (match) {
+                            duplicate = { recordId: match.record.id, reason: match.reason };
+                        } else {
+                            recordId = (await addSavedInvoice(job.file, result, fileHash, job.pages)).id;
+                        }
+                    } catch (err) {
+                        console.error(`Error saving ${job.fileName} to the library:`, err);
+                    }
+                    updateJob(job.id, { status: 'done', result, recordId, fileHash, duplicate, retryAt: null, error: null });
+                })
+                .catch(err => {
+                    if (isAbortError(err)) {
+                        updateJob(job.id, { status: 'cancelled', error: null });
+                        return;
+                    }
+                    console.error(`Error during transcription of ${job.fileName}:`, err);
+                    // Rate limits and lost connections wait in the queue; other errors fail the job
+                    updateJob(job.id, failedAttemptChanges(job, err, { isOnline: navigator.onLine !== false }));
+                })
+                .finally(() => jobControllersRef.current.delete(job.id));
+        });
+    }, [jobs, isOnline, aiSettings, rules, accounts, vendors, updateJob, addSavedInvoice, learnVendorAlias]);
+
+    // Keep edits made to the open invoice in sync with its job
+    useEffect(() => {
+        if (!activeJobId || !invoiceData) return;
+        setJobs(prevJobs => prevJobs.map(job => job.id === activeJobId && job.result !== invoiceData ? { ...job, result: invoiceData } : job));
+    }, [invoiceData, activeJobId]);
+
+    const createJob = (file, pages = null) => ({
+        id: createId(),
+        file,
+        pages,
+        fileName: partFileName(file, pages),
+        documentType: uploadDocumentType,
+        status: 'pending',
+        attempts: 0,
+        retryAt: null,
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString()
+    });
+
+    // Multi-page PDFs go to the splitter first, since one file may hold several invoices
+    const enqueueFiles = async (files) => {
+        if (setupProblem) {
+            setError(setupProblem);
+            setIsSettingsOpen(true);
+            return;
+        }
+        const supported = files.filter(isSupportedFile);
+        const skippedCount = files.length - supported.length;
+        if (supported.length === 0) {
+            setError(files.length === 0 ? "Please select a file first." : "None of the selected files are images or PDFs.");
+            return;
+        }
+        setError(skippedCount > 0 ? `Skipped ${skippedCount} unsupported file${skippedCount === 1 ? '' : 's'}.` : null);
+        const newJobs = [];
+        const pdfsToSplit = [];
+        for (const file of supported) {
+            if (isPdfFile(file) && await countPdfPages(file) > 1) pdfsToSplit.push(file);
+            else newJobs.push(createJob(file));
+        }
+        setJobs(prevJobs => [...prevJobs, ...newJobs]);
+        setPdfsToSplit(prevFiles => [...prevFiles, ...pdfsToSplit]);
+    };
+
+    // Queue one job per group of pages picked in the splitter
+    const submitSplitPdf = (groups, pageCount) => {
+        const [file, ...remaining] = pdfsToSplit;
+        // A single invoice using every page is the whole file, with its own name and hash
+        const isWholeFile = groups.length === 1 && groups[0].length === pageCount;
+        setJobs(prevJobs => [...prevJobs, ...groups.map(pages => createJob(file, isWholeFile ? null : pages))]);
+        setPdfsToSplit(remaining);
+    };
+
+    const skipSplitPdf = () => setPdfsToSplit(prevFiles => prevFiles.slice(1));
+
+    // A manual retry starts now and with a fresh backoff
+    const retryJob = (id) => updateJob(id, { status: 'pending', attempts: 0, retryAt: null, error: null });
+
+    const retryFailedJobs = () => {
+        setJobs(prevJobs => prevJobs.map(job => job.status === 'failed' || job.status === 'cancelled' ? { ...job, status: 'pending', attempts: 0, retryAt: null, error: null } : job));
+    };
+
+    // Stop a job: abort its request if it's running, otherwise take it out of the line
+    const cancelJob = (id) => {
+        const controller = jobControllersRef.current.get(id);
+        if (controller) {
+            controller.abort();
+            return;
+        }
+        setJobs(prevJobs => prevJobs.map(job => job.id === id && (job.status === 'pending' || job.status === 'waiting') ? { ...job, status: 'cancelled', retryAt: null, error: null } : job));
+    };
+
+    const removeJob = (id) => {
+        setJobs(prevJobs => prevJobs.filter(job => job.id !== id || job.status === 'running'));
+    };
+
+    const clearFinishedJobs = () => {
+        setJobs(prevJobs => prevJobs.filter(job => ['pending', 'running', 'waiting'].includes(job.status)));
+    };
+
+    // Settle a flagged duplicate: 'discard' the new transcription, 'overwrite' the earlier record or 'keep' both
+    const resolveDuplicate = async (id, action) => {
+        const job = jobs.find(j => j.id === id);
+        if (!job || !job.duplicate) return;
+        if (action === 'discard') {
+            if (id === activeJobId) closeInvoice();
+            setJobs(prevJobs => prevJobs.filter(j => j.id !== id));
+            return;
+        }
+        try {
+            const record = action === 'overwrite'
+                ? await replaceSavedInvoice(job.duplicate.recordId, job.file, job.result, job.fileHash, job.pages)
+                : await addSavedInvoice(job.file, job.result, job.fileHash, job.pages);
+            updateJob(id, { recordId: record.id, duplicate: null });
+            if (id === activeJobId) setActiveRecordId(record.id);
+        } catch (err) {
+            console.error("Error saving invoice:", err);
+            setError(`Failed to save invoice. ${err.message}`);
+        }
+    };
+
+    const openJob = (id) => {
+        const job = jobs.find(j => j.id === id);
+        if (!job || job.status !== 'done') return;
+        const record = savedInvoices.find(r => r.id === job.recordId);
+        setError(null);
+        setActiveJobId(id);
+        setActiveRecordId(record ? record.id : null);
+        resetInvoiceData(ensureLineItemIds(record ? record.data : job.result));
+    };
+
+    const closeInvoice = () => {
+        cancelAiRequest();
+        setActiveJobId(null);
+        setActiveRecordId(null);
+        resetInvoiceData(null);
+    };
+
+    const completedJobs = jobs.filter(job => job.status === 'done');
+    const activeJobIndex = completedJobs.findIndex(job => job.id === activeJobId);
+    const activeJob = activeJobIndex >= 0 ? completedJobs[activeJobIndex] : null;
+    const activeRecord = savedInvoices.find(r => r.id === activeRecordId);
+    const knownAssignees = useMemo(() => Array.from(new Set([userName.trim(), ...savedInvoices.map(record => getWorkflow(record).assignee)].filter(Boolean))).sort(), [savedInvoices, userName]);
+    const activeFileName = activeJob ? activeJob.fileName : activeRecord && activeRecord.fileName;
+    const activeJobFile = activeJob ? activeJob.file : null;
+    // Pages of the source PDF that hold the open invoice, or null for the whole file
+    const activePages = activeJob ? activeJob.pages : activeRecord && activeRecord.pages;
+
+    // Load the original document for the side-by-side viewer
+    useEffect(() => {
+        setSelectedField(null);
+        if (activeJobFile) {
+            setSourceFile(activeJobFile);
+            return;
+        }
+        setSourceFile(null);
+        if (!activeRecordId) return;
+        let cancelled = false;
+        getSourceFile(activeRecordId)
+            .then(file => { if (!cancelled) setSourceFile(file || null); })
+            .catch(err => console.error("Error loading source document:", err));
+        return () => { cancelled = true; };
+    }, [activeRecordId, activeJobFile]);
+
+    const showSourceViewer = Boolean(sourceFile) && isSourceVisible;
+
+    // Region of the document the selected cell was read from
+    const selectedRegion = useMemo(() => {
+        if (!selectedField || !invoiceData) return null;
+        if (selectedField.itemId) {
+            const item = invoiceData.lineItems.find(i => i.id === selectedField.itemId);
+            return (item && item.region) || {};
+        }
+        return (invoiceData.regions && invoiceData.regions[selectedField.field]) || {};
+    }, [selectedField, invoiceData]);
+
+    // Abort signal for a new AI request on the open invoice
+    const startAiRequest = () => {
+        aiRequestRef.current = new AbortController();
+        return aiRequestRef.current.signal;
+    };
+
+    const cancelAiRequest = () => {
+        if (aiRequestRef.current) aiRequestRef.current.abort();
+        aiRequestRef.current = null;
+    };
+
     // Function to get category suggestions
-    const getCategorySuggestion = async (itemDescription, index) => {
+    const getCategorySuggestion = async (itemId, itemDescription) => {
+        // A matching rule wins without asking the model
+        const rule = findMatchingRule(rules, invoiceData.from, itemDescription);
+        const ruleAccount = rule && accounts.find(account => account.id === rule.accountId);
+        if (ruleAccount) {
+            setInvoiceData(prevData => prevData && {
+                ...prevData,
+                lineItems: prevData.lineItems.map(item => item.id === itemId ? assignCategory(item, ruleAccount.name, accounts) : item)
+            });
+            return;
+        }
+
         setIsLoading(true);
         setLoadingMessage(`✨ Getting category for "${itemDescription}"...`);
         setError(null);
         try {
-            const prompt = `Based on the item description "${itemDescription}", suggest a single, common business expense category (e.g., "Software", "Office Supplies", "Marketing", "Travel", "Meals & Entertainment"). Respond with only the category name.`;
-            const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-            const category = await callGeminiAPI(payload, apiKey);
-            
-            setInvoiceData(prevData => {
-                const newLineItems = [...prevData.lineItems];
-                newLineItems[index].category = category.trim();
-                return { ...prevData, lineItems: newLineItems };
+            const { accountNames, instruction, schema } = categoryChoices(accounts);
+            const prompt = `Based on the item description "${itemDescription}" from the vendor "${invoiceData.from || 'unknown'}", ${instruction}. Respond with a JSON object containing the category.`;
+            const responseText = await callAI({
+                task: 'categorize',
+                prompt,
+                responseSchema: { "type": "OBJECT", "properties": { "category": schema }, "required": ["category"] },
+                context: { description: itemDescription, accountNames },
+                signal: startAiRequest()
+            }, aiSettings);
+            const { category } = parseJsonResponse(responseText);
+
+            setInvoiceData(prevData => prevData && {
+                ...prevData,
+                lineItems: prevData.lineItems.map(item => item.id === itemId ? assignCategory(item, (category || '').trim(), accounts) : item)
             });
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error("Error getting category:", err);
             setError(`Failed to get category suggestion. ${err.message}`);
         } finally {
+            aiRequestRef.current = null;
             setIsLoading(false);
             setLoadingMessage('');
         }
     };
 
+    // Ask the model for the categories of the given lines of an invoice. Returns the categories by line item id.
+    const requestCategorySuggestions = async (invoice, itemIds, signal) => {
+        const { accountNames, instruction, schema } = categoryChoices(accounts);
+        const items = suggestionItems(invoice.lineItems, itemIds);
+        const prompt = `For each numbered line item below from the vendor "${invoice.from || 'unknown'}", ${instruction}. Line items: ${JSON.stringify(items)}. Respond with a JSON object whose "categories" array holds each line's index and its category.`;
+        const responseText = await callAI({
+            task: 'categorizeAll',
+            prompt,
+            responseSchema: {
+                "type": "OBJECT",
+                "properties": {
+                    "categories": {
+                        "type": "ARRAY",
+                        "items": {
+                            "type": "OBJECT",
+                            "properties": { "index": { "type": "INTEGER" }, "category": schema },
+                            "required": ["index", "category"]
+                        }
+                    }
+                },
+                "required": ["categories"]
+            },
+            context: { items, accountNames },
+            signal
+        }, aiSettings);
+        const { categories: suggestions = [] } = parseJsonResponse(responseText);
+        return categoriesByItemId(invoice.lineItems, suggestions);
+    };
+
     // Function to get categories for all items
     const getAllCategorySuggestions = async () => {
         if (!invoiceData || !invoiceData.lineItems) return;
+
+        // Rules categorize what they can; only the rest goes to the model
+        const { invoice: ruleCategorized, unmatchedIds } = applyCategoryRules(invoiceData, rules, accounts, { overwrite: true });
+        setInvoiceData(ruleCategorized);
+        if (unmatchedIds.length === 0) return;
         
         setIsLoading(true);
         setLoadingMessage('✨ Getting all category suggestions...');
         setError(null);
         try {
-            const descriptions = invoiceData.lineItems.map(item => item.description);
-            const prompt = `For each item description in this list, suggest a single, common business expense category. Descriptions: ${JSON.stringify(descriptions)}. Respond with a JSON object where keys are the original descriptions and values are the suggested categories.`;
-            const payload = {
-                contents: [{ role: "user", parts: [{ text: prompt }] }],
-                generationConfig: { responseMimeType: "application/json" }
-            };
-
-            const responseText = await callGeminiAPI(payload, apiKey);
-            const categories = JSON.parse(responseText);
-
-            setInvoiceData(prevData => {
-                const newLineItems = prevData.lineItems.map(item => ({
-                    ...item,
-                    category: categories[item.description] || item.category || ''
-                }));
-                return { ...prevData, lineItems: newLineItems };
-            });
+            const categoryById = await requestCategorySuggestions(ruleCategorized, unmatchedIds, startAiRequest());
+            setInvoiceData(prevData => prevData && applySuggestedCategories(prevData, categoryById, accounts));
 
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error("Error getting all categories:", err);
             setError(`Failed to get all category suggestions. ${err.message}`);
         } finally {
+            aiRequestRef.current = null;
             setIsLoading(false);
             setLoadingMessage('');
         }
     };
 
-    // Function to generate email drafts
-    const generateEmail = async (emailType) => {
-        if (!invoiceData) return;
-
-        setIsLoading(true);
-        setLoadingMessage(`✨ Drafting ${emailType} email...`);
-        setError(null);
+    // Reword a filled-in email draft in the chosen tone and length
+    const rewriteEmail = async (draft, style) => {
+        emailRequestRef.current = new AbortController();
         try {
-            const currencySymbol = invoiceData.currency || '$';
-            let prompt;
-            if (emailType === 'Payment Approval') {
-                setModalTitle('Draft: Payment Approval Request');
-                prompt = `Write a polite and professional email to an internal accounting department to request payment approval for the following invoice. Keep it concise.
-                Invoice Details:
-                - From: ${invoiceData.from}
-                - Invoice Number: ${invoiceData.invoiceNumber}
-                - Total Amount: ${currencySymbol}${invoiceData.total.toFixed(2)}
-                - Due Date: ${invoiceData.dueDate}
-                Sign off as "Best regards,".`;
-            } else if (emailType === 'Vendor Query') {
-                 setModalTitle('Draft: Query to Vendor');
-                 prompt = `Write a polite and professional email to a vendor (${invoiceData.from}) to ask for clarification on their invoice. Mention the invoice number (${invoiceData.invoiceNumber}) and total amount (${currencySymbol}${invoiceData.total.toFixed(2)}). Include a placeholder like "[INSERT QUESTION ABOUT A SPECIFIC CHARGE HERE]" for the user to fill in. Keep it concise.
-                 Sign off as "Thank you,".`;
-            }
-
-            const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-            const emailContent = await callGeminiAPI(payload, apiKey);
-            setModalContent(emailContent);
-
-        } catch (err) {
-             console.error("Error generating email:", err);
-             setError(`Failed to generate email. ${err.message}`);
+            const jsonText = await callAI({
+                task: 'email',
+                prompt: buildRewritePrompt(draft, style),
+                responseSchema: { "type": "OBJECT", "properties": { "subject": { "type": "STRING" }, "body": { "type": "STRING" } }, "required": ["subject", "body"] },
+                context: { draft, style, invoice: invoiceData },
+                signal: emailRequestRef.current.signal
+            }, aiSettings);
+            return parseJsonResponse(jsonText);
         } finally {
-            setIsLoading(false);
-            setLoadingMessage('');
+            emailRequestRef.current = null;
         }
     };
 
-    const handleCategoryChange = (e, index) => {
-        const { value } = e.target;
+    const closeComposer = () => {
+        if (emailRequestRef.current) emailRequestRef.current.abort();
+        emailRequestRef.current = null;
+        setIsComposerOpen(false);
+    };
+
+    // --- Invoice Editing ---
+
+    const updateInvoiceField = (field, value) => {
+        setInvoiceData(prevData => {
+            const edited = markReviewed({ ...prevData, [field]: value }, field);
+            // A retyped vendor name may no longer be the linked vendor
+            const newData = field === 'from' ? unlinkVendor(edited) : edited;
+            return field === 'tax' || field === 'tip' ? recalculateTotals(newData) : newData;
+        }, { coalesceKey: field });
+    };
+
+    const updateLineItem = (itemId, field, value) => {
+        setInvoiceData(prevData => {
+            const newData = markReviewed({ ...prevData, lineItems: prevData.lineItems.map(item => item.id === itemId ? applyLineItemEdit(item, field, value, currencyDecimals(prevData.currency)) : item) }, lineItemKey({ id: itemId }));
+            return field === 'description' || field === 'category' ? newData : recalculateTotals(newData);
+        }, { coalesceKey: `${itemId}.${field}` });
+    };
+
+    const handleCategoryChange = (itemId, value) => {
+        setInvoiceData(prevData => ({
+            ...prevData,
+            lineItems: prevData.lineItems.map(item => item.id === itemId ? assignCategory(item, value, accounts) : item)
+        }), { coalesceKey: `${itemId}.category` });
+    };
+
+    // Learn a rule when the user settles on an account for a line
+    const handleCategoryCommit = (item) => {
+        if (!item.accountId) return;
+        const newRules = learnRule(rules, invoiceData.from, item.description, item.accountId);
+        if (newRules !== rules) handleRulesChange(newRules);
+    };
+
+    const updateTaxLine = (lineId, field, value) => {
+        setInvoiceData(prevData => {
+            const taxLines = prevData.taxLines.map(line => line.id === lineId ? applyTaxLineEdit(line, field, value, currencyDecimals(prevData.currency)) : line);
+            return field === 'type' ? { ...prevData, taxLines } : recalculateTotals({ ...prevData, taxLines });
+        }, { coalesceKey: `${lineId}.${field}` });
+    };
+
+    const addTaxLine = () => {
+        setInvoiceData(prevData => recalculateTotals({ ...prevData, taxLines: [...(prevData.taxLines || []), createTaxLine()] }));
+    };
+
+    const deleteTaxLine = (lineId) => {
+        setInvoiceData(prevData => recalculateTotals({ ...prevData, taxLines: prevData.taxLines.filter(line => line.id !== lineId) }));
+    };
+
+    const fillTaxLinesFromItems = () => {
+        setInvoiceData(prevData => recalculateTotals({ ...prevData, taxLines: taxLinesFromItems(prevData) }));
+    };
+
+    const addLineItem = () => {
+        setInvoiceData(prevData => recalculateTotals({ ...prevData, lineItems: [...prevData.lineItems, createLineItem()] }));
+    };
+
+    const deleteLineItem = (itemId) => {
+        setInvoiceData(prevData => recalculateTotals({ ...prevData, lineItems: prevData.lineItems.filter(item => item.id !== itemId) }));
+    };
+
+    const moveLineItem = (itemId, offset) => {
         setInvoiceData(prevData => {
-            const newLineItems = [...prevData.lineItems];
-            newLineItems[index].category = value;
-            return { ...prevData, lineItems: newLineItems };
+            const lineItems = [...prevData.lineItems];
+            const from = lineItems.findIndex(item => item.id === itemId);
+            const to = from + offset;
+            if (from < 0 || to < 0 || to >= lineItems.length) return prevData;
+            [lineItems[from], lineItems[to]] = [lineItems[to], lineItems[from]];
+            return { ...prevData, lineItems };
         });
     };
+
+    // --- Validation ---
+
+    const validationIssues = useMemo(() => validateInvoice(invoiceData), [invoiceData]);
+
+    const issuesByField = useMemo(() => validationIssues.reduce((byField, issue) => {
+        (byField[issue.field] = byField[issue.field] || []).push(issue);
+        return byField;
+    }, {}), [validationIssues]);
+
+    const issueClassName = (field) => {
+        const issues = issuesByField[field];
+        if (!issues) return '';
+        return issues.some(issue => issue.severity === 'error') ? ISSUE_STYLES.error : ISSUE_STYLES.warning;
+    };
+
+    const issueTitle = (field) => issuesByField[field] && issuesByField[field].map(issue => issue.message).join('\n');
+
+    // --- Confidence Review ---
+
+    const confidenceEntries = useMemo(() => assessConfidence(invoiceData, validationIssues), [invoiceData, validationIssues]);
+
+    const confidenceByKey = useMemo(() => Object.fromEntries(confidenceEntries.map(entry => [entry.key, entry])), [confidenceEntries]);
+
+    const confidenceClassName = (key) => {
+        const entry = confidenceByKey[key];
+        if (!entry || isReviewed(invoiceData, key)) return '';
+        return CONFIDENCE_STYLES[confidenceLevel(entry.score)] || '';
+    };
+
+    const confidenceTitle = (key) => {
+        const entry = confidenceByKey[key];
+        if (!entry || !confidenceLevel(entry.score)) return undefined;
+        return [`Confidence ${Math.round(entry.score * 100)}%${isReviewed(invoiceData, key) ? ' (reviewed)' : ''}`, ...entry.reasons].join('\n');
+    };
+
+    // Move review mode to a value: show where it came from and put the cursor in it
+    const goToReview = (key) => {
+        const entry = confidenceByKey[key];
+        if (!entry) return;
+        setReviewKey(key);
+        setSelectedField(entry.itemId ? { itemId: entry.itemId } : { field: entry.field });
+        setTimeout(() => {
+            const element = document.querySelector(`[data-review-key="${key}"]`);
+            if (!element) return;
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            const input = element.querySelector('input');
+            if (input) input.focus({ preventScroll: true });
+        }, 0);
+    };
+
+    const startReview = () => {
+        const [first] = pendingReviews(invoiceData, validationIssues);
+        const lowEntries = confidenceEntries.filter(entry => confidenceLevel(entry.score) === 'low');
+        if (first || lowEntries.length > 0) goToReview((first || lowEntries[0]).key);
+    };
+
+    // Confirm a value and move on to the next one still waiting for review
+    const confirmReview = (key) => {
+        setInvoiceData(prevData => markReviewed(prevData, key));
+        const keys = confidenceEntries.map(entry => entry.key);
+        const remaining = pendingReviews(invoiceData, validationIssues).filter(entry => entry.key !== key);
+        const next = remaining.find(entry => keys.indexOf(entry.key) > keys.indexOf(key)) || remaining[0];
+        if (next) goToReview(next.key);
+        else setReviewKey(null);
+    };
+
+    const reviewHighlight = key => (reviewKey === key ? 'ring-2 ring-blue-500' : '');
+
+    const pendingReviewCount = useMemo(() => pendingReviews(invoiceData, validationIssues).length, [invoiceData, validationIssues]);
+
+    useEffect(() => setReviewKey(null), [activeRecordId, activeJobId]);
+
+    const isInvoiceOpen = Boolean(invoiceData);
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo while an invoice is open
+    useEffect(() => {
+        if (!isInvoiceOpen) return;
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isInvoiceOpen, undo, redo]);
     
     const handleFileChange = (event) => {
-        const file = event.target.files[0];
-        if (file) transcribeInvoice(file);
+        const files = Array.from(event.target.files || []);
+        event.target.value = '';
+        if (files.length > 0) enqueueFiles(files);
     };
-    const handleDrop = useCallback((event) => {
+    const handleDrop = async (event) => {
         event.preventDefault();
         event.stopPropagation();
         event.currentTarget.classList.remove('bg-blue-100', 'dark:bg-blue-900/50');
-        const file = event.dataTransfer.files[0];
-        if (file) transcribeInvoice(file);
-    }, [apiKey]);
+        const files = await getDroppedFiles(event.dataTransfer);
+        if (files.length > 0) enqueueFiles(files);
+    };
     const handleDragOver = useCallback((e) => { e.preventDefault(); e.stopPropagation(); }, []);
     const handleDragEnter = useCallback((e) => { e.preventDefault(); e.stopPropagation(); e.currentTarget.classList.add('bg-blue-100', 'dark:bg-blue-900/50'); }, []);
     const handleDragLeave = useCallback((e) => { e.preventDefault(); e.stopPropagation(); e.currentTarget.classList.remove('bg-blue-100', 'dark:bg-blue-900/50'); }, []);
 
-    const downloadCSV = () => {
-        if (!invoiceData) return;
-        const headers = ["Invoice no.", "Customer", "Invoice date", "Due date", "Item(Product/Service)", "Description", "Item quantity", "Item rate", "Item amount", "Tax amount", "Item Category", "Currency"];
-        let csvContent = "data:text/csv;charset=utf-8," + headers.join(",") + "\n";
-        invoiceData.lineItems.forEach((item, index) => {
-            const row = [
-                index === 0 ? invoiceData.invoiceNumber || '' : '',
-                index === 0 ? `"${(invoiceData.billedTo || '').replace(/"/g, '""')}"` : '',
-                index === 0 ? invoiceData.invoiceDate || '' : '',
-                index === 0 ? invoiceData.dueDate || '' : '',
-                `"${(item.description || '').replace(/"/g, '""')}"`,
-                `"${(item.description || '').replace(/"/g, '""')}"`,
-                item.quantity || 0,
-                item.unitPrice || 0,
-                item.total || 0,
-                index === 0 ? invoiceData.tax || 0 : '',
-                item.category || '',
-                index === 0 ? invoiceData.currency || '' : ''
-            ].join(",");
-            csvContent += row + "\n";
-        });
-        const encodedUri = encodeURI(csvContent);
-        const link = document.createElement("a");
-        link.setAttribute("href", encodedUri);
-        link.setAttribute("download", `invoice_${invoiceData.invoiceNumber || 'data'}.csv`);
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    // Export one or more invoices, asking first if any still fail validation.
+    // Invoices with unreviewed low-confidence values can't be exported at all.
+    const handleExport = async (formatId, invoices) => {
+        if (invoices.length === 0) return;
+        const unreviewed = invoices.map(invoice => pendingReviews(invoice).length).filter(count => count > 0);
+        if (unreviewed.length > 0) {
+            setError(invoices.length === 1
+                ? `Review the ${unreviewed[0]} low-confidence value${unreviewed[0] === 1 ? '' : 's'} before exporting this invoice.`
+                : `${unreviewed.length} of ${invoices.length} invoices have low-confidence values that haven't been reviewed. Open them and review before exporting.`);
+            return;
+        }
+        if (invoices.length === 1) {
+            const errorCount = validateInvoice(invoices[0]).filter(issue => issue.severity === 'error').length;
+            if (errorCount > 0 && !window.confirm(`This invoice still has ${errorCount} validation error${errorCount === 1 ? '' : 's'}. Export anyway?`)) return;
+        } else {
+            const failingCount = invoices.filter(invoice => validateInvoice(invoice).some(issue => issue.severity === 'error')).length;
+            if (failingCount > 0 && !window.confirm(`${failingCount} of ${invoices.length} invoices still have validation errors. Export anyway?`)) return;
+        }
+        try {
+            const files = await exportInvoices(formatId, invoices, { accounts, exchangeRates, purchaseOrders, matchTolerances });
+            files.forEach(({ fileName, blob }) => downloadBlob(blob, fileName));
+        } catch (err) {
+            console.error("Error exporting invoices:", err);
+            setError(`Failed to export. ${err.message}`);
+        }
     };
     
     const copyToClipboard = (text) => {
@@ -414,16 +1175,18 @@ const App = () => {
         document.body.removeChild(textArea);
     };
 
-    const formatCurrency = (amount) => {
-        if (amount === undefined || amount === null) return 'N/A';
-        const currencySymbol = invoiceData.currency || '$';
-        return `${currencySymbol}${amount.toFixed(2)}`;
-    };
+    const formatCurrency = (amount) => formatMoney(amount, invoiceData.currency);
+    const conversion = invoiceData && convertInvoice(invoiceData, exchangeRates);
+    const poMatch = invoiceData && matchInvoice(invoiceData, purchaseOrders, matchTolerances);
+    const isMissingRate = Boolean(invoiceData && exchangeRates.baseCurrency && !conversion && toCurrencyCode(invoiceData.currency) !== exchangeRates.baseCurrency);
 
     return (
         <>
-            <SettingsModal isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} apiKey={apiKey} onApiKeyChange={handleApiKeyChange} theme={theme} onThemeChange={handleThemeChange} />
-            <EmailModal title={modalTitle} content={modalContent} onClose={() => setModalContent(null)} onCopy={() => copyToClipboard(modalContent)} />
+            <SettingsModal isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} aiSettings={aiSettings} onAiSettingsChange={handleAiSettingsChange} theme={theme} onThemeChange={handleThemeChange} accounts={accounts} onAccountsChange={handleAccountsChange} rules={rules} onRulesChange={handleRulesChange} exchangeRates={exchangeRates} onExchangeRatesChange={handleExchangeRatesChange} userName={userName} onUserNameChange={handleUserNameChange} emailTemplates={emailTemplates} onEmailTemplatesChange={handleEmailTemplatesChange} emailStyle={emailStyle} onEmailStyleChange={handleEmailStyleChange} expensePolicy={expensePolicy} onExpensePolicyChange={handleExpensePolicyChange} matchTolerances={matchTolerances} onMatchTolerancesChange={handleMatchTolerancesChange} />
+            {pdfsToSplit.length > 0 && (
+                <PdfSplitter file={pdfsToSplit[0]} remainingCount={pdfsToSplit.length} onSubmit={submitSplitPdf} onSkip={skipSplitPdf} onDetectWithAI={pdfDocument => detectInvoiceBoundaries(pdfDocument, aiSettings)} />
+            )}
+            <EmailComposer key={isComposerOpen ? 'open' : 'closed'} isOpen={isComposerOpen} invoice={invoiceData} poMatch={poMatch} sourceFile={sourceFile} templates={emailTemplates} emailStyle={emailStyle} userName={userName} onRewrite={rewriteEmail} onCopy={copyToClipboard} onClose={closeComposer} />
             
             <div className="bg-gray-50 dark:bg-gray-900 min-h-screen font-sans text-gray-800 dark:text-gray-200 transition-colors duration-300">
                 <div className="container mx-auto p-4 sm:p-6 lg:p-8">
@@ -436,22 +1199,55 @@ const App = () => {
                     </header>
 
                     <main>
+                        {!isOnline && (
+                            <div className="mb-6 max-w-2xl mx-auto bg-gray-100 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg text-sm text-center dark:bg-gray-800 dark:border-gray-600 dark:text-gray-300" role="status">
+                                You're offline. Saved invoices can still be opened and edited; new uploads wait in the queue and start when the connection is back.
+                            </div>
+                        )}
+                        {waitingUpdate && (
+                            <div className="mb-6 max-w-2xl mx-auto flex items-center justify-center gap-3 bg-blue-50 border border-blue-200 text-blue-800 px-4 py-2 rounded-lg text-sm dark:bg-blue-900/30 dark:border-blue-800 dark:text-blue-300" role="status">
+                                <span>A new version of the app is available.</span>
+                                <button onClick={() => applyUpdate(waitingUpdate)} className="font-semibold hover:underline">Reload</button>
+                            </div>
+                        )}
+
                         {!invoiceData && (
+                            <nav className="flex justify-center gap-2 mb-8">
+                                {[['upload', 'Upload'], ['library', `Library (${savedInvoices.length})`], ['approvals', 'Approvals'], ['reports', 'Reports'], ['vendors', 'Vendors'], ['orders', 'Purchase Orders'], ['expenses', 'Expenses']].map(([id, label]) => (
+                                    <button key={id} onClick={() => setView(id)} className={`py-2 px-4 rounded-lg font-semibold text-sm transition-colors ${view === id ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600'}`}>{label}</button>
+                                ))}
+                            </nav>
+                        )}
+
+                        {!invoiceData && view === 'upload' && (
                              <div className="w-full max-w-2xl mx-auto border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-xl p-8 text-center transition-colors duration-300" onDrop={handleDrop} onDragOver={handleDragOver} onDragEnter={handleDragEnter} onDragLeave={handleDragLeave}>
-                                <input type="file" id="file-upload" className="hidden" accept="image/*,application/pdf" onChange={handleFileChange} disabled={isLoading || !apiKey} />
-                                <label htmlFor="file-upload" className={!apiKey ? "cursor-not-allowed opacity-50" : "cursor-pointer"}>
+                                <input type="file" id="file-upload" className="hidden" accept="image/*,application/pdf" multiple onChange={handleFileChange} disabled={Boolean(setupProblem)} />
+                                <input type="file" id="folder-upload" className="hidden" webkitdirectory="" directory="" multiple onChange={handleFileChange} disabled={Boolean(setupProblem)} />
+                                <label htmlFor="file-upload" className={setupProblem ? "cursor-not-allowed opacity-50" : "cursor-pointer"}>
                                     <svg className="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48" aria-hidden="true"><path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" /></svg>
-                                    <p className="mt-2 text-sm text-gray-600 dark:text-gray-400"><span className="font-semibold text-blue-600 dark:text-blue-400">Click to upload</span> or drag and drop</p>
+                                    <p className="mt-2 text-sm text-gray-600 dark:text-gray-400"><span className="font-semibold text-blue-600 dark:text-blue-400">Click to upload</span> or drag and drop files or folders</p>
                                     <p className="text-xs text-gray-500 dark:text-gray-500 mt-1">PNG, JPG, PDF, etc.</p>
-                                     {!apiKey && <p className="text-red-500 text-xs mt-2 font-semibold">Please enter an API key in Settings to enable uploads.</p>}
                                 </label>
+                                <label htmlFor="folder-upload" className={`inline-block mt-3 text-xs font-semibold text-blue-600 dark:text-blue-400 ${setupProblem ? "cursor-not-allowed opacity-50" : "cursor-pointer hover:underline"}`}>Select a folder</label>
+                                <div className="mt-4 flex items-center justify-center gap-2 text-sm">
+                                    <label htmlFor="document-type" className="text-gray-600 dark:text-gray-400">Document type</label>
+                                    <select id="document-type" value={uploadDocumentType} onChange={e => setUploadDocumentType(e.target.value)} className="px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-200">
+                                        {DOCUMENT_TYPES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                                    </select>
+                                </div>
+                                {setupProblem && <p className="text-red-500 text-xs mt-2 font-semibold">{setupProblem}</p>}
                             </div>
                         )}
 
+                        {!invoiceData && view === 'upload' && (
+                            <QueuePanel jobs={jobs} savedInvoices={savedInvoices} isOnline={isOnline} onOpen={openJob} onOpenSaved={openSavedInvoice} onResolveDuplicate={resolveDuplicate} onRetry={retryJob} onRetryFailed={retryFailedJobs} onCancel={cancelJob} onRemove={removeJob} onClearFinished={clearFinishedJobs} />
+                        )}
+
                         {isLoading && (
                             <div className="text-center mt-8 flex items-center justify-center">
                                 <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-400"></div>
                                 <p className="ml-3 text-gray-600 dark:text-gray-400">{loadingMessage}</p>
+                                {aiRequestRef.current && <button onClick={cancelAiRequest} className="ml-4 text-sm font-semibold text-gray-500 dark:text-gray-400 hover:underline">Cancel</button>}
                             </div>
                         )}
 
@@ -462,70 +1258,239 @@ const App = () => {
                             </div>
                         )}
                         
+                        {!invoiceData && view === 'library' && (
+                            <HistoryView invoices={savedInvoices} exchangeRates={exchangeRates} onOpen={openSavedInvoice} onDelete={removeSavedInvoice} onExport={(formatId, records) => handleExport(formatId, records.map(record => record.data))} />
+                        )}
+
+                        {!invoiceData && view === 'approvals' && (
+                            <ApprovalDashboard invoices={savedInvoices} purchaseOrders={purchaseOrders} matchTolerances={matchTolerances} onOpen={openSavedInvoice} />
+                        )}
+
+                        {!invoiceData && view === 'vendors' && (
+                            <VendorDirectory vendors={vendors} invoices={savedInvoices} accounts={accounts} onSave={storeVendor} onDelete={removeVendor} onLinkInvoices={linkMatchingInvoices} />
+                        )}
+
+                        {!invoiceData && view === 'orders' && (
+                            <PurchaseOrders orders={purchaseOrders} invoices={savedInvoices} tolerances={matchTolerances} onSave={storePurchaseOrders} onDelete={removePurchaseOrder} onOpen={openSavedInvoice} />
+                        )}
+
+                        {!invoiceData && view === 'expenses' && (
+                            <ExpenseReports
+                                reports={expenseReports}
+                                invoices={savedInvoices}
+                                accounts={accounts}
+                                exchangeRates={exchangeRates}
+                                policy={expensePolicy}
+                                userName={userName}
+                                isLoading={isLoading}
+                                onSave={storeExpenseReport}
+                                onDelete={removeExpenseReport}
+                                onOpen={openSavedInvoice}
+                                onSuggestCategories={suggestReportCategories}
+                                onExport={exportReport}
+                                onEditPolicy={() => setIsSettingsOpen(true)}
+                            />
+                        )}
+
+                        {!invoiceData && view === 'reports' && (
+                            <ReportsView invoices={savedInvoices} exchangeRates={exchangeRates} onOpen={openSavedInvoice} />
+                        )}
+
                         {invoiceData && (
-                            <div className="mt-10 max-w-5xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg animate-fade-in">
-                                <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
-                                    <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Extracted Data</h2>
-                                    <div className="flex items-center gap-3">
-                                        <button onClick={() => setInvoiceData(null)} className="bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 transition-colors">Upload New</button>
-                                        <button onClick={downloadCSV} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-all duration-300">Download CSV</button>
+                            <div className={`mt-10 mx-auto grid grid-cols-1 gap-6 items-start ${showSourceViewer ? 'max-w-screen-2xl lg:grid-cols-2' : 'max-w-5xl'}`}>
+                                {showSourceViewer && (
+                                    <div className="lg:sticky lg:top-4 lg:h-[calc(100vh-2rem)]">
+                                        <DocumentViewer file={sourceFile} startPage={activePages ? activePages[0] : 1} highlight={selectedRegion} />
+                                    </div>
+                                )}
+                                <div className="bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg animate-fade-in min-w-0">
+                                    <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
+                                        <div>
+                                            <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Extracted Data</h2>
+                                            {activeFileName && <p className="text-sm text-gray-500 dark:text-gray-400">{activeFileName}</p>}
+                                            <select value={isReceipt(invoiceData) ? 'receipt' : 'invoice'} onChange={e => updateInvoiceField('documentType', e.target.value)} aria-label="Document type" className="mt-1 px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-xs text-gray-700 dark:text-gray-200">
+                                                <option value="invoice">Invoice</option>
+                                                <option value="receipt">Receipt</option>
+                                            </select>
+                                        </div>
+                                        <div className="flex items-center gap-3">
+                                            {completedJobs.length > 1 && activeJob && (
+                                                <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                                                    <button onClick={() => openJob(completedJobs[activeJobIndex - 1].id)} disabled={activeJobIndex === 0} className="p-2 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:cursor-not-allowed" title="Previous invoice">←</button>
+                                                    <span>{activeJobIndex + 1} of {completedJobs.length}</span>
+                                                    <button onClick={() => openJob(completedJobs[activeJobIndex + 1].id)} disabled={activeJobIndex === completedJobs.length - 1} className="p-2 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:cursor-not-allowed" title="Next invoice">→</button>
+                                                </div>
+                                            )}
+                                            {sourceFile && (
+                                                <button onClick={() => setIsSourceVisible(visible => !visible)} className="text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline">{isSourceVisible ? 'Hide Document' : 'Show Document'}</button>
+                                            )}
+                                            <div className="flex items-center">
+                                                <button onClick={undo} disabled={!canUndo} className="p-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:cursor-not-allowed" title="Undo (Ctrl+Z)">↶</button>
+                                                <button onClick={redo} disabled={!canRedo} className="p-2 rounded-lg text-gray-600 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:cursor-not-allowed" title="Redo (Ctrl+Shift+Z)">↷</button>
+                                            </div>
+                                            <button onClick={closeInvoice} className="bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 transition-colors">{{ library: 'Back to Library', approvals: 'Back to Approvals', reports: 'Back to Reports', orders: 'Back to Purchase Orders', expenses: 'Back to Expenses' }[view] || 'Back to Queue'}</button>
+                                            <ExportMenu onExport={formatId => {
+                                                if (activeJob && activeJob.duplicate && !window.confirm("This invoice looks like a duplicate of one already in the library. Export anyway?")) return;
+                                                if (pendingReviewCount > 0) startReview();
+                                                handleExport(formatId, [invoiceData]);
+                                            }} />
+                                        </div>
                                     </div>
-                                </div>
 
-                                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 mb-8 text-sm">
-                                    <div className="bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg"><p className="font-semibold text-gray-500 dark:text-gray-400">Invoice #</p><p className="dark:text-white font-medium text-base">{invoiceData.invoiceNumber || 'N/A'}</p></div>
-                                    <div className="bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg"><p className="font-semibold text-gray-500 dark:text-gray-400">Invoice Date</p><p className="dark:text-white font-medium text-base">{invoiceData.invoiceDate || 'N/A'}</p></div>
-                                    <div className="bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg"><p className="font-semibold text-gray-500 dark:text-gray-400">Due Date</p><p className="dark:text-white font-medium text-base">{invoiceData.dueDate || 'N/A'}</p></div>
-                                    <div className="bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg sm:col-span-1"><p className="font-semibold text-gray-500 dark:text-gray-400">From</p><p className="dark:text-white font-medium text-base">{invoiceData.from || 'N/A'}</p></div>
-                                    <div className="bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg sm:col-span-2"><p className="font-semibold text-gray-500 dark:text-gray-400">Billed To</p><p className="dark:text-white font-medium text-base">{invoiceData.billedTo || 'N/A'}</p></div>
-                                </div>
+                                    {activeRecord && (
+                                        <WorkflowPanel
+                                            record={activeRecord}
+                                            workflow={getWorkflow(activeRecord)}
+                                            auditVersion={auditVersion}
+                                            knownAssignees={knownAssignees}
+                                            onTransition={(to, comment) => changeStatus(activeRecord.id, to, comment)}
+                                            blockedTransitions={pendingReviewCount > 0 ? { approved: `Review the ${pendingReviewCount} low-confidence value${pendingReviewCount === 1 ? '' : 's'} first` } : {}}
+                                            onAssign={assignee => changeAssignee(activeRecord.id, assignee)}
+                                        />
+                                    )}
+
+                                    {activeJob && activeJob.duplicate && (
+                                        <DuplicateWarning
+                                            className="mb-6"
+                                            duplicate={activeJob.duplicate}
+                                            record={savedInvoices.find(record => record.id === activeJob.duplicate.recordId)}
+                                            onViewEarlier={openSavedInvoice}
+                                            onResolve={action => resolveDuplicate(activeJob.id, action)}
+                                        />
+                                    )}
+
+                                    <ValidationSummary issues={validationIssues} />
+
+                                    <ReviewPanel
+                                        invoice={invoiceData}
+                                        entries={confidenceEntries}
+                                        activeKey={reviewKey}
+                                        onStart={startReview}
+                                        onSelect={goToReview}
+                                        onConfirm={confirmReview}
+                                        onExit={() => setReviewKey(null)}
+                                    />
+
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 mb-8 text-sm">
+                                        {(isReceipt(invoiceData) ? RECEIPT_HEADER_FIELDS : INVOICE_HEADER_FIELDS).map(([field, label, span]) => (
+                                            <div key={field} data-review-key={field} title={confidenceTitle(field)} className={`bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg ${span} ${reviewHighlight(field)}`}>
+                                                <label htmlFor={`invoice-${field}`} className="block font-semibold text-gray-500 dark:text-gray-400">{label}</label>
+                                                <EditableField id={`invoice-${field}`} value={invoiceData[field]} list={field === 'currency' ? 'currency-options' : undefined} onChange={value => updateInvoiceField(field, value)} onFocus={() => setSelectedField({ field })} title={issueTitle(field)} className={`-ml-1 dark:text-white font-medium text-base ${issueClassName(field)} ${confidenceClassName(field)}`} />
+                                            </div>
+                                        ))}
+                                        <datalist id="currency-options">
+                                            {COMMON_CURRENCIES.map(currency => <option key={currency} value={currency} />)}
+                                        </datalist>
+                                    </div>
+
+                                    {!isReceipt(invoiceData) && (
+                                        <VendorLink invoice={invoiceData} vendors={vendors} onLink={linkVendor} onCreate={createVendorFromInvoice} onUnlink={() => setInvoiceData(prevData => unlinkVendor(prevData))} />
+                                    )}
                                 
-                                <div className="flex justify-between items-center mb-3">
-                                    <h3 className="text-xl font-bold text-gray-700 dark:text-gray-300">Line Items</h3>
-                                    <button onClick={getAllCategorySuggestions} disabled={isLoading} className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-4 rounded-lg hover:bg-indigo-200 dark:bg-indigo-500/20 dark:text-indigo-300 dark:hover:bg-indigo-500/30 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed">✨ Suggest All Categories</button>
-                                </div>
-                                <div className="overflow-x-auto">
-                                    <table className="w-full text-left">
-                                        <thead>
-                                            <tr className="bg-gray-100 dark:bg-gray-700/50 text-sm font-semibold text-gray-600 dark:text-gray-400">
-                                                <th className="p-3 rounded-l-lg w-2/5">Description</th>
-                                                <th className="p-3 w-2/5">Category</th>
-                                                <th className="p-3 text-right">Qty</th>
-                                                <th className="p-3 text-right">Price</th>
-                                                <th className="p-3 text-right rounded-r-lg">Total</th>
-                                            </tr>
-                                        </thead>
-                                        <tbody>
-                                            {invoiceData.lineItems && invoiceData.lineItems.map((item, index) => (
-                                                <tr key={index} className="border-b border-gray-200 dark:border-gray-700">
-                                                    <td className="p-3 font-medium dark:text-gray-200">{item.description || 'N/A'}</td>
-                                                    <td className="p-3">
-                                                        <div className="flex items-center gap-2">
-                                                            <input type="text" value={item.category} onChange={(e) => handleCategoryChange(e, index)} className="w-full p-1 border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 rounded-md text-sm" placeholder="No category"/>
-                                                            <button onClick={() => getCategorySuggestion(item.description, index)} disabled={isLoading} className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 p-1 disabled:opacity-50" title="Suggest Category">✨</button>
-                                                        </div>
-                                                    </td>
-                                                    <td className="p-3 text-right">{item.quantity !== undefined ? item.quantity : 'N/A'}</td>
-                                                    <td className="p-3 text-right">{formatCurrency(item.unitPrice)}</td>
-                                                    <td className="p-3 text-right font-semibold">{formatCurrency(item.total)}</td>
+                                    <div className="flex justify-between items-center mb-3">
+                                        <h3 className="text-xl font-bold text-gray-700 dark:text-gray-300">Line Items</h3>
+                                        <button onClick={getAllCategorySuggestions} disabled={isLoading} className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-4 rounded-lg hover:bg-indigo-200 dark:bg-indigo-500/20 dark:text-indigo-300 dark:hover:bg-indigo-500/30 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed">✨ Suggest All Categories</button>
+                                    </div>
+                                    <div className="overflow-x-auto">
+                                        <datalist id="account-options">
+                                            {accounts.map(account => <option key={account.id} value={account.name} />)}
+                                        </datalist>
+                                        <table className="w-full text-left">
+                                            <thead>
+                                                <tr className="bg-gray-100 dark:bg-gray-700/50 text-sm font-semibold text-gray-600 dark:text-gray-400">
+                                                    <th className="p-3 rounded-l-lg w-2/5">Description</th>
+                                                    <th className="p-3 w-1/4">Category</th>
+                                                    <th className="p-3 text-right">Qty</th>
+                                                    <th className="p-3 text-right">Price</th>
+                                                    <th className="p-3 text-right">Tax %</th>
+                                                    <th className="p-3 text-right">Total</th>
+                                                    <th className="p-3 rounded-r-lg"><span className="sr-only">Actions</span></th>
                                                 </tr>
-                                            ))}
-                                        </tbody>
-                                    </table>
-                                </div>
+                                            </thead>
+                                            <tbody>
+                                                {invoiceData.lineItems && invoiceData.lineItems.map((item, index) => (
+                                                    <tr key={item.id || index} data-review-key={lineItemKey(item, index)} title={confidenceTitle(lineItemKey(item, index))} className={`border-b border-gray-200 dark:border-gray-700 ${reviewKey === lineItemKey(item, index) ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}>
+                                                        <td className="p-3 font-medium dark:text-gray-200">
+                                                            <EditableField value={item.description} onChange={value => updateLineItem(item.id, 'description', value)} onFocus={() => setSelectedField({ itemId: item.id })} title={issueTitle(lineItemField(item, index, 'description'))} className={`${issueClassName(lineItemField(item, index, 'description'))} ${confidenceClassName(lineItemKey(item, index))}`} />
+                                                        </td>
+                                                        <td className="p-3">
+                                                            <div className="flex items-center gap-2">
+                                                                <input type="text" list="account-options" value={item.category} onChange={(e) => handleCategoryChange(item.id, e.target.value)} onBlur={() => handleCategoryCommit(item)} className="w-full p-1 border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 rounded-md text-sm" placeholder="No category"/>
+                                                                {accountForItem(item, accounts)?.glCode && (
+                                                                    <span className="shrink-0 text-xs font-mono text-gray-500 dark:text-gray-400" title="GL code">{accountForItem(item, accounts).glCode}</span>
+                                                                )}
+                                                                <button onClick={() => getCategorySuggestion(item.id, item.description)} disabled={isLoading} className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 p-1 disabled:opacity-50" title="Suggest Category">✨</button>
+                                                            </div>
+                                                        </td>
+                                                        <td className="p-3 w-20"><EditableField type="number" value={item.quantity} onChange={value => updateLineItem(item.id, 'quantity', value)} onFocus={() => setSelectedField({ itemId: item.id })} className={`text-right ${confidenceClassName(lineItemKey(item, index))}`} /></td>
+                                                        <td className="p-3 w-28"><EditableField type="number" value={item.unitPrice} onChange={value => updateLineItem(item.id, 'unitPrice', value)} onFocus={() => setSelectedField({ itemId: item.id })} className={`text-right ${confidenceClassName(lineItemKey(item, index))}`} /></td>
+                                                        <td className="p-3 w-20"><EditableField type="number" value={item.taxRate} emptyValue="" onChange={value => updateLineItem(item.id, 'taxRate', value)} onFocus={() => setSelectedField({ itemId: item.id })} placeholder="–" className="text-right" /></td>
+                                                        <td className="p-3 w-28 font-semibold"><EditableField type="number" value={item.total} onChange={value => updateLineItem(item.id, 'total', value)} onFocus={() => setSelectedField({ itemId: item.id })} title={issueTitle(lineItemField(item, index, 'total'))} className={`text-right ${issueClassName(lineItemField(item, index, 'total'))} ${confidenceClassName(lineItemKey(item, index))}`} /></td>
+                                                        <td className="p-3 whitespace-nowrap text-gray-400">
+                                                            <button onClick={() => moveLineItem(item.id, -1)} disabled={index === 0} className="p-1 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30" title="Move up">↑</button>
+                                                            <button onClick={() => moveLineItem(item.id, 1)} disabled={index === invoiceData.lineItems.length - 1} className="p-1 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30" title="Move down">↓</button>
+                                                            <button onClick={() => deleteLineItem(item.id)} className="p-1 hover:text-red-600 dark:hover:text-red-400" title="Delete line item">✕</button>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                    <button onClick={addLineItem} className="mt-3 text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">+ Add line item</button>
+
+                                    <TaxSummary
+                                        taxLines={invoiceData.taxLines || []}
+                                        canFillFromItems={invoiceData.lineItems.some(item => typeof item.taxRate === 'number')}
+                                        onUpdate={updateTaxLine}
+                                        onAdd={addTaxLine}
+                                        onDelete={deleteTaxLine}
+                                        onFillFromItems={fillTaxLinesFromItems}
+                                        onFocus={() => setSelectedField({ field: 'tax' })}
+                                        formatCurrency={formatCurrency}
+                                        issueClassName={issueClassName}
+                                        issueTitle={issueTitle}
+                                    />
+
+                                    <PoMatchPanel invoice={invoiceData} match={poMatch} orders={purchaseOrders} onAssignLine={assignPoLine} onShowOrders={() => { closeInvoice(); setView('orders'); }} />
 
-                                <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
-                                    <div>
-                                        <h3 className="text-xl font-bold text-gray-700 dark:text-gray-300 mb-3">AI Actions</h3>
-                                        <div className="flex flex-col sm:flex-row gap-3">
-                                            <button onClick={() => generateEmail('Payment Approval')} disabled={isLoading} className="flex-1 text-center bg-green-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50">📧 Draft Payment Approval</button>
-                                            <button onClick={() => generateEmail('Vendor Query')} disabled={isLoading} className="flex-1 text-center bg-yellow-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-yellow-600 transition-colors disabled:opacity-50">📧 Draft Vendor Query</button>
+                                    <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
+                                        <div>
+                                            <h3 className="text-xl font-bold text-gray-700 dark:text-gray-300 mb-3">AI Actions</h3>
+                                            <div className="flex flex-col sm:flex-row gap-3">
+                                                <button onClick={() => setIsComposerOpen(true)} disabled={isLoading || emailTemplates.length === 0} className="flex-1 text-center bg-green-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50">📧 Compose Email</button>
+                                            </div>
+                                        </div>
+                                        <div className="w-full max-w-xs text-sm ml-auto">
+                                            <div data-review-key="subtotal" title={confidenceTitle('subtotal')} className={`flex justify-between py-2 rounded ${reviewHighlight('subtotal')}`}><span className="text-gray-600 dark:text-gray-400">Subtotal</span><span onClick={() => setSelectedField({ field: 'subtotal' })} title={issueTitle('subtotal')} className={`font-semibold px-1 rounded cursor-pointer ${issueClassName('subtotal')} ${confidenceClassName('subtotal')}`}>{formatCurrency(invoiceData.subtotal)}</span></div>
+                                            <div data-review-key="tax" title={confidenceTitle('tax')} className={`flex justify-between items-center py-2 rounded ${reviewHighlight('tax')}`}>
+                                                <span className="text-gray-600 dark:text-gray-400">Tax</span>
+                                                {invoiceData.taxLines && invoiceData.taxLines.length > 0 ? (
+                                                    <span onClick={() => setSelectedField({ field: 'tax' })} title={issueTitle('tax') || 'Sum of the tax lines'} className={`font-semibold px-1 rounded cursor-pointer ${issueClassName('tax')} ${confidenceClassName('tax')}`}>{formatCurrency(invoiceData.tax)}</span>
+                                                ) : (
+                                                    <EditableField type="number" value={invoiceData.tax} onChange={value => updateInvoiceField('tax', value)} onFocus={() => setSelectedField({ field: 'tax' })} placeholder="0" title={issueTitle('tax')} className={`w-28 text-right font-semibold ${issueClassName('tax')} ${confidenceClassName('tax')}`} />
+                                                )}
+                                            </div>
+                                            {(isReceipt(invoiceData) || Number(invoiceData.tip) > 0) && (
+                                                <div data-review-key="tip" title={confidenceTitle('tip')} className={`flex justify-between items-center py-2 rounded ${reviewHighlight('tip')}`}>
+                                                    <span className="text-gray-600 dark:text-gray-400">Tip</span>
+                                                    <EditableField type="number" value={invoiceData.tip} onChange={value => updateInvoiceField('tip', value)} onFocus={() => setSelectedField({ field: 'tip' })} placeholder="0" title={issueTitle('tip')} className={`w-28 text-right font-semibold ${issueClassName('tip')} ${confidenceClassName('tip')}`} />
+                                                </div>
+                                            )}
+                                            <div data-review-key="total" title={confidenceTitle('total')} className={`flex justify-between py-3 border-t-2 border-gray-200 dark:border-gray-600 mt-2 rounded ${reviewHighlight('total')}`}><span className="font-bold text-base text-gray-900 dark:text-white">Total</span><span onClick={() => setSelectedField({ field: 'total' })} title={issueTitle('total')} className={`font-bold text-base text-gray-900 dark:text-white px-1 rounded cursor-pointer ${issueClassName('total')} ${confidenceClassName('total')}`}>{formatCurrency(invoiceData.total)}</span></div>
+                                            {conversion && (
+                                                <div className="mt-1 pt-2 border-t border-dashed border-gray-200 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+                                                    <p className="text-xs mb-1">In {conversion.baseCurrency} at 1 {conversion.baseCurrency} = {conversion.rate} {toCurrencyCode(invoiceData.currency)}</p>
+                                                    <div className="flex justify-between"><span>Subtotal</span><span>{formatMoney(conversion.subtotal, conversion.baseCurrency)}</span></div>
+                                                    <div className="flex justify-between"><span>Tax</span><span>{formatMoney(conversion.tax, conversion.baseCurrency)}</span></div>
+                                                    <div className="flex justify-between font-semibold"><span>Total</span><span>{formatMoney(conversion.total, conversion.baseCurrency)}</span></div>
+                                                </div>
+                                            )}
+                                            {isMissingRate && (
+                                                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                                    No {toCurrencyCode(invoiceData.currency)} rate to convert to {exchangeRates.baseCurrency}. <button onClick={() => setIsSettingsOpen(true)} className="text-blue-600 dark:text-blue-400 hover:underline">Add one in Settings</button>
+                                                </p>
+                                            )}
                                         </div>
-                                    </div>
-                                    <div className="w-full max-w-xs text-sm ml-auto">
-                                        <div className="flex justify-between py-2"><span className="text-gray-600 dark:text-gray-400">Subtotal</span><span className="font-semibold">{formatCurrency(invoiceData.subtotal)}</span></div>
-                                        <div className="flex justify-between py-2"><span className="text-gray-600 dark:text-gray-400">Tax</span><span className="font-semibold">{formatCurrency(invoiceData.tax)}</span></div>
-                                        <div className="flex justify-between py-3 border-t-2 border-gray-200 dark:border-gray-600 mt-2"><span className="font-bold text-base text-gray-900 dark:text-white">Total</span><span className="font-bold text-base text-gray-900 dark:text-white">{formatCurrency(invoiceData.total)}</span></div>
                                     </div>
                                 </div>
                             </div>
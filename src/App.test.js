@@ -0,0 +1,165 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { downloadBlob } from './lib/download';
+import { installFakeFetch } from './test/fakeFetch';
+
+// jsdom can't decode images or run pdf.js, so pages are sent as prepared and previews are skipped.
+// Plain functions rather than jest.fn(), which the test config resets before each test.
+jest.mock('./lib/upload', () => ({ prepareUploadFiles: async () => [{ mimeType: 'image/jpeg', data: 'cGFnZQ==' }] }));
+jest.mock('./lib/thumbnail', () => ({ createThumbnail: async () => null }));
+jest.mock('./lib/pdf', () => ({ isPdfFile: file => file.type === 'application/pdf', countPdfPages: async () => 1, getPdfFileText: async () => '' }));
+jest.mock('./lib/download', () => ({ downloadBlob: jest.fn() }));
+
+const scanFile = () => new File(['scan of INV-2024-0117'], 'northwind.png', { type: 'image/png' });
+
+beforeEach(() => {
+    localStorage.setItem('geminiApiKey', 'test-key');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// The upload area's file input, found through the label that opens it
+const fileInput = () => screen.getByLabelText(/Click to upload/);
+
+const uploadAndOpen = async (user) => {
+    await user.upload(fileInput(), scanFile());
+    await user.click(await screen.findByRole('button', { name: 'Open' }, { timeout: 5000 }));
+    await screen.findByDisplayValue('INV-2024-0117');
+};
+
+it('extracts an uploaded invoice, suggests categories and exports it after review', async () => {
+    const user = userEvent.setup();
+    const { requests } = installFakeFetch([{ recorded: 'transcribe-invoice' }, { recorded: 'categorize-all' }]);
+    render(<App />);
+
+    await uploadAndOpen(user);
+    expect(requests[0].url).toContain('gemini-2.0-flash:generateContent');
+    expect(requests[0].headers['x-goog-api-key']).toBe('test-key');
+
+    await user.click(screen.getByRole('button', { name: '✨ Suggest All Categories' }));
+    await waitFor(() => expect(requests).toHaveLength(2));
+    expect(requests[1].body.contents[0].parts[0].text).toContain('"Adobe Acrobat licence (annual)"');
+
+    // The licence line was read with low confidence, so export waits for a review
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+    expect(await screen.findByText('Review the 1 low-confidence value before exporting this invoice.')).toBeInTheDocument();
+    expect(downloadBlob).not.toHaveBeenCalled();
+
+    const review = screen.getByRole('region', { name: 'Low-confidence review' });
+    expect(within(review).getByText(/Reviewing 1 of 1: Line 3/)).toBeInTheDocument();
+    await user.click(within(review).getByRole('button', { name: '✓ Confirm Value' }));
+
+    await user.click(screen.getByRole('button', { name: 'Export' }));
+    await waitFor(() => expect(downloadBlob).toHaveBeenCalledTimes(1));
+    const [blob, fileName] = downloadBlob.mock.calls[0];
+    expect(fileName).toBe('invoice_INV-2024-0117_quickbooks.csv');
+    const rows = (await blob.text()).trim().split('\r\n');
+    expect(rows).toHaveLength(4);
+    expect(rows[1]).toContain('INV-2024-0117,Northwind Office Supply Ltd,03/05/2024,04/04/2024');
+    expect(rows.slice(1).map(row => row.split(',')[6])).toEqual(['Office Supplies', 'Office Supplies', 'Software']);
+});
+
+it('shows why a transcription failed when the model blocks the document', async () => {
+    const user = userEvent.setup();
+    installFakeFetch([{ recorded: 'blocked-prompt' }]);
+    render(<App />);
+
+    await user.upload(fileInput(), scanFile());
+
+    expect(await screen.findByText(/Request was blocked\. Reason: SAFETY\./, {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Retry' })).toBeInTheDocument();
+});
+
+it('cancels an email rewrite still in flight when the composer closes', async () => {
+    const user = userEvent.setup();
+    const { fetch } = installFakeFetch([{ recorded: 'transcribe-invoice' }, { hang: true }]);
+    render(<App />);
+
+    await uploadAndOpen(user);
+    await user.click(screen.getByRole('button', { name: '📧 Compose Email' }));
+    await user.click(screen.getByRole('button', { name: /Rewrite with AI/ }));
+    expect(await screen.findByRole('button', { name: '✨ Rewriting...' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+    expect(fetch.mock.calls[1][1].signal.aborted).toBe(true);
+    expect(screen.queryByText(/Failed to rewrite/)).not.toBeInTheDocument();
+});
+
+it('holds a rate-limited upload in the queue until it can be retried', async () => {
+    const user = userEvent.setup();
+    const { requests } = installFakeFetch([{ recorded: 'rate-limited-429', status: 429 }, { recorded: 'transcribe-invoice' }]);
+    render(<App />);
+
+    await user.upload(fileInput(), scanFile());
+
+    expect(await screen.findByText(/Retrying at .* \(attempt 2\)/, {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(screen.getByText('Waiting')).toBeInTheDocument();
+    expect(requests).toHaveLength(1);
+
+    await user.click(screen.getByRole('button', { name: 'Retry Now' }));
+    await user.click(await screen.findByRole('button', { name: 'Open' }, { timeout: 5000 }));
+    expect(await screen.findByDisplayValue('INV-2024-0117')).toBeInTheDocument();
+    expect(requests).toHaveLength(2);
+});
+
+it('transcribes receipts and groups them into an expense report', async () => {
+    const user = userEvent.setup();
+    const { requests } = installFakeFetch([{ recorded: 'transcribe-receipt' }]);
+    render(<App />);
+
+    await user.selectOptions(screen.getByLabelText('Document type'), 'receipt');
+    await user.upload(fileInput(), new File(['scan of a lunch receipt'], 'bistro.jpg', { type: 'image/jpeg' }));
+    await user.click(await screen.findByRole('button', { name: 'Open' }, { timeout: 5000 }));
+
+    expect(await screen.findByDisplayValue('Harbour Street Bistro')).toBeInTheDocument();
+    expect(requests[0].body.contents[0].parts[0].text).toContain('Analyze the following receipt image');
+    expect(screen.getByText('Merchant')).toBeInTheDocument();
+    expect(screen.getByText('Tip')).toBeInTheDocument();
+    expect(screen.queryByText('Due Date')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Back to Queue' }));
+    await user.click(screen.getByRole('button', { name: 'Expenses' }));
+    await user.click(screen.getByRole('button', { name: '+ New Report' }));
+    await user.click(await screen.findByRole('button', { name: 'Add all 1' }));
+    expect(await screen.findByText('Visa •••• 4242')).toBeInTheDocument();
+
+    // The handwritten tip was read with low confidence
+    await user.click(screen.getByRole('button', { name: 'Export Report (CSV)' }));
+    expect(await screen.findByText(/1 of the report's receipts has low-confidence values/)).toBeInTheDocument();
+    expect(downloadBlob).not.toHaveBeenCalled();
+});
+
+it('matches an invoice to its imported purchase order and goods receipt', async () => {
+    const user = userEvent.setup();
+    installFakeFetch([{ recorded: 'transcribe-invoice' }]);
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'Purchase Orders' }));
+    const orders = [
+        'PO Number,Vendor,Currency,Line,Description,Quantity,Unit Price',
+        'PO-4500,Northwind Office Supply Ltd,USD,1,"A4 copy paper, 5 reams",10,22.50',
+        'PO-4500,Northwind Office Supply Ltd,USD,2,Toner cartridge TN-2420,2,64.99',
+        'PO-4500,Northwind Office Supply Ltd,USD,3,Adobe Acrobat licence (annual),1,175.00'
+    ].join('\n');
+    await user.upload(screen.getByLabelText('Import POs (CSV/JSON)'), new File([orders], 'orders.csv', { type: 'text/csv' }));
+    expect(await screen.findByText('Imported 1 purchase order.')).toBeInTheDocument();
+    const receipt = 'PO Number,GRN,Line,Received\nPO-4500,GRN-77,1,4\nPO-4500,GRN-77,2,2\nPO-4500,GRN-77,3,1';
+    await user.upload(screen.getByLabelText('Import Goods Receipts'), new File([receipt], 'grn.csv', { type: 'text/csv' }));
+    expect(await screen.findByText('Recorded 1 goods receipt.')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Upload' }));
+    await uploadAndOpen(user);
+    expect(screen.queryByText('Purchase Order Match')).not.toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('PO #'), 'PO-4500');
+    expect(await screen.findByText('Purchase Order Match')).toBeInTheDocument();
+    expect(screen.getAllByText('Over-billed')).toHaveLength(2);
+    expect(screen.getByText('Unit price $180.00 is above the PO price of $175.00.')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '📧 Compose Email' }));
+    expect(screen.getByLabelText('Body').value).toContain('Purchase order: Over-billed against PO PO-4500\n- A4 copy paper, 5 reams: 4 of the 10 ordered invoiced.\n- Adobe Acrobat licence (annual): Unit price $180.00 is above the PO price of $175.00.');
+});
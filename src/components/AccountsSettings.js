@@ -0,0 +1,42 @@
+import React from 'react';
+import { createId } from '../lib/ids';
+
+const cellInputClassName = "w-full px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Editable chart of accounts: name, GL code and optional tax code
+const AccountsSettings = ({ accounts, onChange }) => {
+    const updateAccount = (id, field, value) => onChange(accounts.map(account => account.id === id ? { ...account, [field]: value } : account));
+    const addAccount = () => onChange([...accounts, { id: createId(), name: '', glCode: '', taxCode: '' }]);
+    const deleteAccount = id => onChange(accounts.filter(account => account.id !== id));
+
+    return (
+        <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">AI category suggestions are limited to these accounts. GL and tax codes are included in exports.</p>
+            <div className="max-h-80 overflow-y-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-600 dark:text-gray-400">
+                            <th className="pb-2 font-semibold">Account name</th>
+                            <th className="pb-2 font-semibold w-24">GL code</th>
+                            <th className="pb-2 font-semibold w-24">Tax code</th>
+                            <th className="pb-2 w-8"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {accounts.map(account => (
+                            <tr key={account.id}>
+                                <td className="pr-2 py-1"><input value={account.name} onChange={e => updateAccount(account.id, 'name', e.target.value)} placeholder="e.g. Cloud Hosting" className={cellInputClassName} /></td>
+                                <td className="pr-2 py-1"><input value={account.glCode} onChange={e => updateAccount(account.id, 'glCode', e.target.value)} placeholder="6120" className={cellInputClassName} /></td>
+                                <td className="pr-2 py-1"><input value={account.taxCode || ''} onChange={e => updateAccount(account.id, 'taxCode', e.target.value)} placeholder="Optional" className={cellInputClassName} /></td>
+                                <td className="py-1 text-right"><button onClick={() => deleteAccount(account.id)} className="text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Delete account">✕</button></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <button onClick={addAccount} className="mt-3 text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">+ Add account</button>
+        </div>
+    );
+};
+
+export default AccountsSettings;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import StatusBadge from './StatusBadge';
+import PoMatchBadge from './PoMatchBadge';
+import { formatMoney } from '../lib/money';
+import { matchInvoice } from '../lib/purchaseOrders';
+import { STATUSES, compareByDueDate, daysOverdue, getWorkflow } from '../lib/workflow';
+
+// Saved invoices grouped by approval status, soonest due first, with overdue ones highlighted
+// and the result of matching each to its purchase order
+const ApprovalDashboard = ({ invoices, purchaseOrders = [], matchTolerances, onOpen }) => {
+    const [assigneeFilter, setAssigneeFilter] = useState('');
+
+    const assignees = Array.from(new Set(invoices.map(record => getWorkflow(record).assignee).filter(Boolean))).sort();
+    const visibleInvoices = invoices.filter(record => !assigneeFilter || getWorkflow(record).assignee === assigneeFilter);
+    const overdueCount = visibleInvoices.filter(record => daysOverdue(record.data, getWorkflow(record)) > 0).length;
+
+    return (
+        <div className="mt-10 max-w-6xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Approvals</h2>
+                    <p className={`text-sm ${overdueCount > 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-500 dark:text-gray-400'}`}>
+                        {overdueCount > 0 ? `${overdueCount} overdue invoice${overdueCount === 1 ? '' : 's'}` : 'Nothing overdue'}
+                    </p>
+                </div>
+                <select value={assigneeFilter} onChange={e => setAssigneeFilter(e.target.value)} className="px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm">
+                    <option value="">All assignees</option>
+                    {assignees.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                {STATUSES.map(([status]) => {
+                    const group = visibleInvoices.filter(record => getWorkflow(record).status === status).sort(compareByDueDate);
+                    return (
+                        <section key={status} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                            <h3 className="flex items-center justify-between mb-2">
+                                <StatusBadge status={status} />
+                                <span className="text-xs text-gray-500 dark:text-gray-400">{group.length}</span>
+                            </h3>
+                            <ul className="space-y-2">
+                                {group.map(record => {
+                                    const workflow = getWorkflow(record);
+                                    const overdueDays = daysOverdue(record.data, workflow);
+                                    const poMatch = matchInvoice(record.data, purchaseOrders, matchTolerances);
+                                    return (
+                                        <li key={record.id}>
+                                            <button onClick={() => onOpen(record.id)} className={`w-full text-left bg-white dark:bg-gray-800 rounded-md p-3 text-sm shadow-sm hover:shadow transition-shadow border ${overdueDays > 0 ? 'border-red-400 dark:border-red-500' : 'border-transparent'}`}>
+                                                <span className="flex justify-between gap-2">
+                                                    <span className="font-semibold truncate dark:text-white">{record.data.from || 'Unknown vendor'}</span>
+                                                    <span className="font-semibold whitespace-nowrap dark:text-gray-200">{formatMoney(record.data.total, record.data.currency)}</span>
+                                                </span>
+                                                <span className="flex justify-between gap-2 text-xs text-gray-500 dark:text-gray-400 mt-1">
+                                                    <span className="truncate">#{record.data.invoiceNumber || 'N/A'}{workflow.assignee && ` · ${workflow.assignee}`}</span>
+                                                    <span className={overdueDays > 0 ? 'text-red-600 dark:text-red-400 font-semibold whitespace-nowrap' : 'whitespace-nowrap'}>
+                                                        {overdueDays > 0 ? `${overdueDays}d overdue` : `Due ${record.data.dueDate || 'N/A'}`}
+                                                    </span>
+                                                </span>
+                                                {poMatch && (
+                                                    <span className="block mt-2"><PoMatchBadge status={poMatch.status} /></span>
+                                                )}
+                                            </button>
+                                        </li>
+                                    );
+                                })}
+                                {group.length === 0 && <li className="text-xs text-gray-400 dark:text-gray-500 px-1">No invoices</li>}
+                            </ul>
+                        </section>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default ApprovalDashboard;
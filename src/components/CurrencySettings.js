@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { COMMON_CURRENCIES, isCurrencyCode } from '../lib/money';
+import { parseExchangeRates } from '../lib/exchangeRates';
+
+const inputClassName = "px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Base currency and the exchange-rate table used to convert invoice amounts
+const CurrencySettings = ({ exchangeRates, onChange }) => {
+    const [newCode, setNewCode] = useState('');
+    const [newRate, setNewRate] = useState('');
+    const [importError, setImportError] = useState(null);
+    const { baseCurrency, rates, updatedAt } = exchangeRates;
+
+    const update = changes => onChange({ ...exchangeRates, ...changes, updatedAt: new Date().toISOString() });
+    const updateRate = (code, value) => update({ rates: { ...rates, [code]: value } });
+    const deleteRate = (code) => {
+        const { [code]: removed, ...rest } = rates;
+        update({ rates: rest });
+    };
+
+    const code = newCode.trim().toUpperCase();
+    const canAdd = isCurrencyCode(code) && code !== baseCurrency && Number(newRate) > 0;
+    const addRate = () => {
+        if (!canAdd) return;
+        updateRate(code, Number(newRate));
+        setNewCode('');
+        setNewRate('');
+    };
+
+    const importRates = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseExchangeRates(await file.text());
+            update({ baseCurrency: imported.baseCurrency || baseCurrency, rates: { ...rates, ...imported.rates } });
+            setImportError(null);
+        } catch (err) {
+            console.error("Error importing exchange rates:", err);
+            setImportError(`Could not import ${file.name}. ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div>
+                <label htmlFor="base-currency-select" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Base currency</label>
+                <select id="base-currency-select" value={baseCurrency} onChange={e => update({ baseCurrency: e.target.value })} className={`${inputClassName} w-48`}>
+                    <option value="">No conversion</option>
+                    {COMMON_CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                </select>
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Invoices in other currencies show their amounts converted to this currency, and exports include them.</p>
+            </div>
+
+            {baseCurrency && (
+                <div>
+                    <div className="flex justify-between items-end mb-2">
+                        <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Rates per 1 {baseCurrency}</p>
+                        <label className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline cursor-pointer">
+                            Import JSON/CSV…
+                            <input type="file" accept=".json,.csv,.txt,application/json,text/csv" onChange={importRates} className="hidden" />
+                        </label>
+                    </div>
+                    {importError && <p className="mb-2 text-xs text-red-600 dark:text-red-400">{importError}</p>}
+                    <div className="max-h-64 overflow-y-auto">
+                        <table className="w-full text-sm">
+                            <tbody>
+                                {Object.entries(rates).sort(([a], [b]) => a.localeCompare(b)).map(([currency, rate]) => (
+                                    <tr key={currency}>
+                                        <td className="py-1 pr-2 font-mono w-16">{currency}</td>
+                                        <td className="py-1 pr-2"><input type="number" min="0" step="any" value={rate} onChange={e => updateRate(currency, e.target.value)} className={`${inputClassName} w-32 text-right`} /></td>
+                                        <td className="py-1 text-right"><button onClick={() => deleteRate(currency)} className="text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Delete rate">✕</button></td>
+                                    </tr>
+                                ))}
+                                <tr>
+                                    <td className="py-1 pr-2"><input value={newCode} onChange={e => setNewCode(e.target.value)} maxLength={3} placeholder="EUR" className={`${inputClassName} w-16 uppercase`} /></td>
+                                    <td className="py-1 pr-2"><input type="number" min="0" step="any" value={newRate} onChange={e => setNewRate(e.target.value)} onKeyDown={e => e.key === 'Enter' && addRate()} placeholder="0.92" className={`${inputClassName} w-32 text-right`} /></td>
+                                    <td className="py-1 text-right"><button onClick={addRate} disabled={!canAdd} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline disabled:opacity-40 disabled:no-underline">Add</button></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                    {updatedAt && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Last updated {new Date(updatedAt).toLocaleString()}.</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isPdfFile, loadPdfDocument, renderPdfPage, isRenderCancelled } from '../lib/pdf';
+
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 5;
+const ZOOM_STEP = 1.25;
+
+const toolbarButtonClassName = "p-1.5 rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:cursor-not-allowed";
+
+// Bounding boxes are [ymin, xmin, ymax, xmax] normalized to 0-1000
+const isValidBox = box => Array.isArray(box) && box.length === 4 && box.every(value => typeof value === 'number');
+
+const boxStyle = ([ymin, xmin, ymax, xmax]) => ({
+    top: `${ymin / 10}%`,
+    left: `${xmin / 10}%`,
+    height: `${(ymax - ymin) / 10}%`,
+    width: `${(xmax - xmin) / 10}%`
+});
+
+// Uploaded invoice with zoom, pan, rotation, PDF page navigation and a highlight for the selected field
+const DocumentViewer = ({ file, startPage = 1, highlight }) => {
+    const [zoom, setZoom] = useState(1);
+    const [rotation, setRotation] = useState(0);
+    const [pan, setPan] = useState({ x: 0, y: 0 });
+    const [page, setPage] = useState(1);
+    const [pdfDocument, setPdfDocument] = useState(null);
+    const [imageUrl, setImageUrl] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+    const isPdf = isPdfFile(file);
+    const pageCount = pdfDocument ? pdfDocument.numPages : 1;
+
+    const resetView = () => {
+        setZoom(1);
+        setRotation(0);
+        setPan({ x: 0, y: 0 });
+    };
+
+    // Load the document whenever a different file is shown
+    useEffect(() => {
+        resetView();
+        setLoadError(null);
+        setPdfDocument(null);
+        setImageUrl(null);
+        if (!file) return;
+
+        if (!isPdf) {
+            const url = URL.createObjectURL(file);
+            setImageUrl(url);
+            return () => URL.revokeObjectURL(url);
+        }
+
+        let cancelled = false;
+        let loadedDocument = null;
+        loadPdfDocument(file)
+            .then((pdf) => {
+                if (cancelled) {
+                    pdf.destroy();
+                    return;
+                }
+                loadedDocument = pdf;
+                setPdfDocument(pdf);
+            })
+            .catch((err) => {
+                console.error("Error loading PDF:", err);
+                if (!cancelled) setLoadError(`Could not open this PDF. ${err.message}`);
+            });
+        return () => {
+            cancelled = true;
+            if (loadedDocument) loadedDocument.destroy();
+        };
+    }, [file, isPdf]);
+
+    useEffect(() => {
+        if (!pdfDocument || !canvasRef.current) return;
+        const render = renderPdfPage(pdfDocument, page, canvasRef.current);
+        render.promise.catch((err) => {
+            if (!isRenderCancelled(err)) console.error(`Error rendering page ${page}:`, err);
+        });
+        return render.cancel;
+    }, [pdfDocument, page]);
+
+    // Open on the first page of the invoice, which may be part of a longer PDF
+    useEffect(() => setPage(startPage), [file, startPage]);
+
+    // Jump to the page the highlighted value came from
+    useEffect(() => {
+        if (highlight && highlight.page) setPage(highlight.page);
+    }, [highlight]);
+
+    const currentPage = Math.min(page, pageCount);
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { startX: e.clientX, startY: e.clientY, panX: pan.x, panY: pan.y };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        setPan({ x: drag.panX + e.clientX - drag.startX, y: drag.panY + e.clientY - drag.startY });
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const showHighlight = highlight && isValidBox(highlight.box) && (highlight.page || 1) === currentPage;
+
+    return (
+        <div className="flex flex-col h-full bg-gray-100 dark:bg-gray-900 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 text-sm">
+                <div className="flex items-center gap-1">
+                    <button onClick={() => setZoom(z => Math.max(MIN_ZOOM, z / ZOOM_STEP))} disabled={zoom <= MIN_ZOOM} className={toolbarButtonClassName} title="Zoom out">−</button>
+                    <span className="w-12 text-center tabular-nums">{Math.round(zoom * 100)}%</span>
+                    <button onClick={() => setZoom(z => Math.min(MAX_ZOOM, z * ZOOM_STEP))} disabled={zoom >= MAX_ZOOM} className={toolbarButtonClassName} title="Zoom in">+</button>
+                    <button onClick={() => setRotation(r => r - 90)} className={toolbarButtonClassName} title="Rotate left">⟲</button>
+                    <button onClick={() => setRotation(r => r + 90)} className={toolbarButtonClassName} title="Rotate right">⟳</button>
+                    <button onClick={resetView} className={`${toolbarButtonClassName} text-xs font-semibold`} title="Reset view">Reset</button>
+                </div>
+                {isPdf && pageCount > 1 && (
+                    <div className="flex items-center gap-1">
+                        <button onClick={() => setPage(currentPage - 1)} disabled={currentPage <= 1} className={toolbarButtonClassName} title="Previous page">←</button>
+                        <span className="tabular-nums">Page {currentPage} of {pageCount}</span>
+                        <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount} className={toolbarButtonClassName} title="Next page">→</button>
+                    </div>
+                )}
+            </div>
+            <div
+                className="relative flex-1 min-h-[24rem] overflow-hidden cursor-grab active:cursor-grabbing select-none"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+            >
+                {loadError ? (
+                    <p className="p-6 text-center text-sm text-red-600 dark:text-red-400">{loadError}</p>
+                ) : (
+                    <div className="absolute inset-0 flex items-center justify-center p-4">
+                        <div
+                            className="relative inline-block shadow-lg transition-transform duration-100"
+                            style={{ transform: `translate(${pan.x}px, ${pan.y}px) rotate(${rotation}deg) scale(${zoom})` }}
+                        >
+                            {isPdf
+                                ? <canvas ref={canvasRef} className="block max-w-full max-h-[70vh] w-auto h-auto bg-white" />
+                                : imageUrl && <img src={imageUrl} alt="Uploaded invoice" draggable={false} className="block max-w-full max-h-[70vh]" />}
+                            {showHighlight && (
+                                <div className="absolute border-2 border-yellow-400 bg-yellow-300/30 rounded-sm pointer-events-none animate-pulse" style={boxStyle(highlight.box)} />
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+            {highlight && !isValidBox(highlight.box) && (
+                <p className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700">No location was returned for this value.</p>
+            )}
+        </div>
+    );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { DUPLICATE_REASONS } from '../lib/duplicates';
+
+const buttonClassName = "font-semibold py-1 px-3 rounded-lg transition-colors text-xs";
+
+// Warning for a transcription that repeats a saved invoice, with the choice of what to keep
+const DuplicateWarning = ({ duplicate, record, onViewEarlier, onResolve, className = '' }) => {
+    const earlier = record && record.data;
+
+    return (
+        <div className={`bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg text-sm dark:bg-yellow-900/30 dark:border-yellow-700 dark:text-yellow-300 ${className}`} role="alert">
+            <p className="font-bold">⚠ Possible duplicate — not saved to the library yet</p>
+            <p className="mt-1">
+                {DUPLICATE_REASONS[duplicate.reason]} as{' '}
+                {earlier ? (
+                    <button onClick={() => onViewEarlier(record.id)} className="font-semibold underline hover:no-underline">
+                        {earlier.from || 'Unknown vendor'} #{earlier.invoiceNumber || 'N/A'}
+                    </button>
+                ) : 'an earlier invoice'}
+                {record && `, saved ${new Date(record.createdAt).toLocaleDateString()}`}.
+            </p>
+            <div className="mt-2 flex flex-wrap gap-2">
+                <button onClick={() => onResolve('discard')} className={`${buttonClassName} bg-red-100 text-red-700 hover:bg-red-200 dark:bg-red-500/20 dark:text-red-300 dark:hover:bg-red-500/30`}>Discard New</button>
+                <button onClick={() => onResolve('overwrite')} disabled={!record} className={`${buttonClassName} bg-yellow-200 text-yellow-900 hover:bg-yellow-300 dark:bg-yellow-500/20 dark:text-yellow-200 dark:hover:bg-yellow-500/30 disabled:opacity-50`}>Overwrite Earlier</button>
+                <button onClick={() => onResolve('keep')} className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500`}>Keep Both</button>
+            </div>
+        </div>
+    );
+};
+
+export default DuplicateWarning;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+
+const baseClassName = "w-full p-1 border border-transparent hover:border-gray-300 focus:border-gray-300 dark:hover:border-gray-600 dark:focus:border-gray-600 bg-transparent focus:bg-white dark:focus:bg-gray-700 rounded-md focus:outline-none";
+
+// Inline input for an extracted value. Number fields keep the raw text while
+// being typed so partial input such as "12." isn't reformatted mid-edit.
+// A cleared number field reports emptyValue: 0 by default, or '' for optional values.
+const EditableField = ({ value, onChange, type = 'text', className = '', placeholder = 'N/A', emptyValue = 0, ...props }) => {
+    const [draft, setDraft] = useState(null);
+
+    if (type === 'number') {
+        const handleChange = (e) => {
+            const text = e.target.value;
+            setDraft(text);
+            const number = parseFloat(text);
+            if (text.trim() === '') onChange(emptyValue);
+            else if (!isNaN(number)) onChange(number);
+        };
+
+        return (
+            <input
+                type="text"
+                inputMode="decimal"
+                value={draft !== null ? draft : (value === undefined || value === null ? '' : String(value))}
+                onChange={handleChange}
+                onBlur={() => setDraft(null)}
+                placeholder={placeholder}
+                className={`${baseClassName} ${className}`}
+                {...props}
+            />
+        );
+    }
+
+    return (
+        <input
+            type="text"
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={placeholder}
+            className={`${baseClassName} ${className}`}
+            {...props}
+        />
+    );
+};
+
+export default EditableField;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { LENGTHS, TONES, fillTemplate, placeholderValues } from '../lib/emailTemplates';
+import { MAILTO_MAX_LENGTH, buildEml, buildMailtoLink } from '../lib/eml';
+import { downloadBlob } from '../lib/download';
+import { safeFileName } from '../lib/exporters/format';
+import { formatMoney } from '../lib/money';
+import { isAbortError } from '../lib/ai';
+
+const inputClassName = "block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+const labelClassName = "block text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1";
+const secondaryButtonClassName = "bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 transition-colors disabled:opacity-50";
+
+// Draft an email about the open invoice from a template, optionally reworded by the AI,
+// then copy it, open it in the mail client or download it as an .eml with the invoice attached.
+// It's remounted each time it opens, so every composition starts from the first template with every line item included.
+const EmailComposer = ({ isOpen, invoice, poMatch, sourceFile, templates, emailStyle, userName, onRewrite, onCopy, onClose }) => {
+    const draftFrom = (chosen, itemIds) => {
+        const values = placeholderValues(invoice, { selectedItemIds: itemIds, userName, poMatch });
+        return { to: fillTemplate(chosen.to, values), subject: fillTemplate(chosen.subject, values), body: fillTemplate(chosen.body, values) };
+    };
+
+    const [templateId, setTemplateId] = useState(() => (templates.length > 0 ? templates[0].id : ''));
+    const [style, setStyle] = useState(emailStyle);
+    const [selectedItemIds, setSelectedItemIds] = useState([]);
+    const [draft, setDraft] = useState(() => (isOpen && invoice && templates.length > 0 ? draftFrom(templates[0], []) : { to: '', subject: '', body: '' }));
+    const [isRewriting, setIsRewriting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const template = templates.find(t => t.id === templateId) || templates[0];
+
+    const fillFromTemplate = (chosen = template, itemIds = selectedItemIds) => {
+        if (!chosen) return;
+        setDraft(draftFrom(chosen, itemIds));
+    };
+
+    if (!isOpen || !invoice) return null;
+
+    const chooseTemplate = (id) => {
+        setTemplateId(id);
+        fillFromTemplate(templates.find(t => t.id === id), selectedItemIds);
+    };
+
+    const toggleItem = (id) => {
+        const itemIds = selectedItemIds.includes(id) ? selectedItemIds.filter(itemId => itemId !== id) : [...selectedItemIds, id];
+        setSelectedItemIds(itemIds);
+        fillFromTemplate(template, itemIds);
+    };
+
+    const updateDraft = (field, value) => setDraft(current => ({ ...current, [field]: value }));
+
+    const rewrite = async () => {
+        setIsRewriting(true);
+        setError(null);
+        try {
+            const { subject, body } = await onRewrite(draft, style);
+            setDraft(current => ({ ...current, subject: subject || current.subject, body: body || current.body }));
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Error rewriting email:", err);
+            setError(`Failed to rewrite the email. ${err.message}`);
+        } finally {
+            setIsRewriting(false);
+        }
+    };
+
+    const downloadEml = async () => {
+        setError(null);
+        try {
+            const blob = await buildEml({ ...draft, attachment: sourceFile });
+            downloadBlob(blob, `${safeFileName(draft.subject || `invoice-${invoice.invoiceNumber || 'draft'}`)}.eml`);
+        } catch (err) {
+            console.error("Error building .eml file:", err);
+            setError(`Failed to create the .eml file. ${err.message}`);
+        }
+    };
+
+    const mailtoLink = buildMailtoLink(draft);
+    const isMailtoTooLong = mailtoLink.length > MAILTO_MAX_LENGTH;
+    const lineItems = invoice.lineItems || [];
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-full overflow-y-auto transform transition-all text-gray-800 dark:text-gray-200">
+                <div className="p-6">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-bold">Compose Email</h3>
+                        <button onClick={onClose} aria-label="Close" className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+                        <label>
+                            <span className={labelClassName}>Template</span>
+                            <select value={template ? template.id : ''} onChange={e => chooseTemplate(e.target.value)} className={inputClassName}>
+                                {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                            </select>
+                        </label>
+                        <label>
+                            <span className={labelClassName}>Tone</span>
+                            <select value={style.tone} onChange={e => setStyle({ ...style, tone: e.target.value })} className={inputClassName}>
+                                {TONES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                            </select>
+                        </label>
+                        <label>
+                            <span className={labelClassName}>Length</span>
+                            <select value={style.length} onChange={e => setStyle({ ...style, length: e.target.value })} className={inputClassName}>
+                                {LENGTHS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    {lineItems.length > 0 && (
+                        <details className="mb-4 text-sm">
+                            <summary className="cursor-pointer font-semibold text-gray-600 dark:text-gray-400">
+                                Line items to include ({selectedItemIds.length > 0 ? `${selectedItemIds.length} selected` : 'all'})
+                            </summary>
+                            <ul className="mt-2 max-h-40 overflow-y-auto space-y-1">
+                                {lineItems.map(item => (
+                                    <li key={item.id}>
+                                        <label className="flex items-center gap-2">
+                                            <input type="checkbox" checked={selectedItemIds.includes(item.id)} onChange={() => toggleItem(item.id)} />
+                                            <span className="flex-1 truncate">{item.description || 'Item'}</span>
+                                            <span className="text-gray-500 dark:text-gray-400">{formatMoney(Number(item.total) || 0, invoice.currency)}</span>
+                                        </label>
+                                    </li>
+                                ))}
+                            </ul>
+                        </details>
+                    )}
+
+                    <div className="space-y-3">
+                        <label className="block">
+                            <span className={labelClassName}>To</span>
+                            <input type="text" value={draft.to} onChange={e => updateDraft('to', e.target.value)} placeholder="name@example.com" className={inputClassName} />
+                        </label>
+                        <label className="block">
+                            <span className={labelClassName}>Subject</span>
+                            <input type="text" value={draft.subject} onChange={e => updateDraft('subject', e.target.value)} className={inputClassName} />
+                        </label>
+                        <label className="block">
+                            <span className={labelClassName}>Body</span>
+                            <textarea value={draft.body} onChange={e => updateDraft('body', e.target.value)} rows={12} className={`${inputClassName} font-mono`} />
+                        </label>
+                    </div>
+
+                    <div className="mt-3 flex flex-wrap gap-3 text-sm">
+                        <button onClick={() => fillFromTemplate()} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline">Reset from template</button>
+                        <button onClick={rewrite} disabled={isRewriting} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline disabled:opacity-50">
+                            {isRewriting ? '✨ Rewriting...' : `✨ Rewrite with AI (${style.tone}, ${style.length})`}
+                        </button>
+                    </div>
+
+                    {isMailtoTooLong && (
+                        <p className="mt-3 text-xs text-yellow-700 dark:text-yellow-400">This email is long for a mailto: link and some mail clients may cut it off. Download the .eml file instead.</p>
+                    )}
+                    {error && <p className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+                </div>
+                <div className="bg-gray-50 dark:bg-gray-800/50 px-6 py-4 rounded-b-xl flex flex-wrap justify-end gap-3">
+                    <button onClick={() => onCopy(`Subject: ${draft.subject}\n\n${draft.body}`)} className={secondaryButtonClassName}>
+                        Copy to Clipboard
+                    </button>
+                    <a href={mailtoLink} className={secondaryButtonClassName} title="Opens your mail client. Attachments can't be added this way.">
+                        Open in Mail App
+                    </a>
+                    <button onClick={downloadEml} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors" title={sourceFile ? 'Draft with the original invoice attached' : 'Draft without attachment'}>
+                        Download .eml
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EmailComposer;
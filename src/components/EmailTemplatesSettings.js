@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { createId } from '../lib/ids';
+import { BUILT_IN_TEMPLATES, LENGTHS, PLACEHOLDERS, TONES, restoreBuiltInTemplates } from '../lib/emailTemplates';
+
+const inputClassName = "block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+const labelClassName = "block text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1";
+
+// Email templates with {{placeholders}}, and the default tone and length for AI rewrites
+const EmailTemplatesSettings = ({ templates, onChange, emailStyle, onEmailStyleChange }) => {
+    const [selectedId, setSelectedId] = useState(templates.length > 0 ? templates[0].id : null);
+    const selected = templates.find(template => template.id === selectedId) || templates[0];
+
+    const updateTemplate = (field, value) => onChange(templates.map(template => template.id === selected.id ? { ...template, [field]: value } : template));
+
+    const addTemplate = () => {
+        const template = { id: createId(), name: 'New template', to: '', subject: 'Invoice {{invoiceNumber}}', body: 'Hello,\n\n\n\nRegards,\n{{userName}}', builtIn: false };
+        onChange([...templates, template]);
+        setSelectedId(template.id);
+    };
+
+    const duplicateTemplate = () => {
+        const template = { ...selected, id: createId(), name: `${selected.name} (copy)`, builtIn: false };
+        onChange([...templates, template]);
+        setSelectedId(template.id);
+    };
+
+    const deleteTemplate = () => {
+        const remaining = templates.filter(template => template.id !== selected.id);
+        onChange(remaining);
+        setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+    };
+
+    const missingBuiltIns = BUILT_IN_TEMPLATES.filter(builtIn => !templates.some(template => template.id === builtIn.id)).length;
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                <label>
+                    <span className={labelClassName}>Default tone</span>
+                    <select value={emailStyle.tone} onChange={e => onEmailStyleChange({ ...emailStyle, tone: e.target.value })} className={inputClassName}>
+                        {TONES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+                <label>
+                    <span className={labelClassName}>Default length</span>
+                    <select value={emailStyle.length} onChange={e => onEmailStyleChange({ ...emailStyle, length: e.target.value })} className={inputClassName}>
+                        {LENGTHS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-2">
+                <label className="flex-1 min-w-[12rem]">
+                    <span className={labelClassName}>Template</span>
+                    <select value={selected ? selected.id : ''} onChange={e => setSelectedId(e.target.value)} className={inputClassName}>
+                        {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+                    </select>
+                </label>
+                <button onClick={addTemplate} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline py-2">+ New</button>
+                {selected && <button onClick={duplicateTemplate} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline py-2">Duplicate</button>}
+                {selected && <button onClick={deleteTemplate} className="text-sm text-red-600 dark:text-red-400 font-semibold hover:underline py-2">Delete</button>}
+            </div>
+
+            {selected ? (
+                <div className="space-y-3">
+                    <label className="block">
+                        <span className={labelClassName}>Name</span>
+                        <input value={selected.name} onChange={e => updateTemplate('name', e.target.value)} className={inputClassName} />
+                    </label>
+                    <label className="block">
+                        <span className={labelClassName}>To</span>
+                        <input value={selected.to} onChange={e => updateTemplate('to', e.target.value)} placeholder="Optional, e.g. accounts@example.com" className={inputClassName} />
+                    </label>
+                    <label className="block">
+                        <span className={labelClassName}>Subject</span>
+                        <input value={selected.subject} onChange={e => updateTemplate('subject', e.target.value)} className={inputClassName} />
+                    </label>
+                    <label className="block">
+                        <span className={labelClassName}>Body</span>
+                        <textarea value={selected.body} onChange={e => updateTemplate('body', e.target.value)} rows={8} className={`${inputClassName} font-mono`} />
+                    </label>
+                </div>
+            ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400 py-4 text-center">No templates yet.</p>
+            )}
+
+            <details className="text-xs text-gray-500 dark:text-gray-400">
+                <summary className="cursor-pointer font-semibold">Placeholders</summary>
+                <ul className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                    {PLACEHOLDERS.map(([key, description]) => <li key={key}><code>{`{{${key}}}`}</code> {description}</li>)}
+                </ul>
+            </details>
+
+            {missingBuiltIns > 0 && (
+                <button onClick={() => onChange(restoreBuiltInTemplates(templates))} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">
+                    Restore {missingBuiltIns} deleted built-in template{missingBuiltIns === 1 ? '' : 's'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default EmailTemplatesSettings;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { createId } from '../lib/ids';
+
+const cellInputClassName = "w-full px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Daily spending limits per category that expense reports are checked against
+const ExpensePolicySettings = ({ policy, accounts, baseCurrency, onChange }) => {
+    const updateLimit = (id, field, value) => onChange({ ...policy, limits: policy.limits.map(limit => limit.id === id ? { ...limit, [field]: value } : limit) });
+    const addLimit = () => onChange({ ...policy, limits: [...policy.limits, { id: createId(), category: '', dailyLimit: '' }] });
+    const deleteLimit = id => onChange({ ...policy, limits: policy.limits.filter(limit => limit.id !== id) });
+
+    return (
+        <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                Receipts in an expense report are flagged when a day's spending in a category, including tax and tip, goes over its limit.
+                Limits are in {baseCurrency ? `your base currency (${baseCurrency})` : "the receipts' currency; set a base currency under Currencies to check receipts in several currencies"}.
+            </p>
+            <datalist id="policy-account-options">
+                {accounts.map(account => <option key={account.id} value={account.name} />)}
+            </datalist>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-left text-gray-600 dark:text-gray-400">
+                        <th className="pb-2 font-semibold">Category</th>
+                        <th className="pb-2 font-semibold w-32">Limit per day</th>
+                        <th className="pb-2 w-8"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {policy.limits.map(limit => (
+                        <tr key={limit.id}>
+                            <td className="pr-2 py-1"><input value={limit.category} list="policy-account-options" onChange={e => updateLimit(limit.id, 'category', e.target.value)} placeholder="e.g. Meals & Entertainment" className={cellInputClassName} /></td>
+                            <td className="pr-2 py-1"><input type="number" min="0" step="0.01" value={limit.dailyLimit} onChange={e => updateLimit(limit.id, 'dailyLimit', e.target.value === '' ? '' : Number(e.target.value))} placeholder="75" className={`${cellInputClassName} text-right`} /></td>
+                            <td className="py-1 text-right"><button onClick={() => deleteLimit(limit.id)} className="text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Delete limit">✕</button></td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <button onClick={addLimit} className="mt-3 text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">+ Add limit</button>
+        </div>
+    );
+};
+
+export default ExpensePolicySettings;
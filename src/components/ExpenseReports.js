@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { formatMoney } from '../lib/money';
+import { accountForItem } from '../lib/categories';
+import { checkExpensePolicy, createExpenseReport, reportPeriod, reportReceipts, reportTotals, unreportedReceipts } from '../lib/expenseReports';
+
+const inputClassName = "w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+const labelClassName = "block text-sm font-semibold text-gray-600 dark:text-gray-400 mb-1";
+
+const Field = ({ label, children, className = '' }) => (
+    <label className={`block ${className}`}>
+        <span className={labelClassName}>{label}</span>
+        {children}
+    </label>
+);
+
+const periodText = period => (period ? (period.from === period.to ? period.from : `${period.from} – ${period.to}`) : 'No dates');
+
+// Categories of a receipt's lines, or null when a line still has none
+const receiptCategories = (invoice, accounts) => {
+    const names = (invoice.lineItems || []).map(item => {
+        const account = accountForItem(item, accounts);
+        return account ? account.name : (item.category || '').trim();
+    });
+    return names.every(Boolean) ? Array.from(new Set(names)).join(', ') : null;
+};
+
+// Receipts grouped into expense reports with a purpose, checked against the
+// daily limits of the expense policy and exported as one file
+const ExpenseReports = ({ reports, invoices, accounts, exchangeRates, policy, userName, isLoading, onSave, onDelete, onOpen, onSuggestCategories, onExport, onEditPolicy }) => {
+    const [selectedId, setSelectedId] = useState(null);
+
+    const selected = reports.find(report => report.id === selectedId) || null;
+    const receipts = useMemo(() => (selected ? reportReceipts(selected, invoices) : []), [selected, invoices]);
+    const available = useMemo(() => unreportedReceipts(invoices, reports), [invoices, reports]);
+    const totals = useMemo(() => reportTotals(receipts, exchangeRates, accounts), [receipts, exchangeRates, accounts]);
+    const policyCheck = useMemo(() => checkExpensePolicy(receipts, policy, exchangeRates, accounts), [receipts, policy, exchangeRates, accounts]);
+
+    const flaggedIds = new Set(policyCheck.violations.flatMap(violation => violation.recordIds));
+    const uncategorized = receipts.filter(record => !receiptCategories(record.data, accounts));
+
+    const update = changes => onSave({ ...selected, ...changes, updatedAt: new Date().toISOString() });
+
+    const addReport = async () => {
+        const report = createExpenseReport({ title: `Expenses ${new Date().toISOString().slice(0, 10)}`, employee: userName.trim() });
+        await onSave(report);
+        setSelectedId(report.id);
+    };
+
+    const addReceipts = ids => update({ receiptIds: [...selected.receiptIds, ...ids.filter(id => !selected.receiptIds.includes(id))] });
+
+    const removeReceipt = id => update({ receiptIds: selected.receiptIds.filter(receiptId => receiptId !== id) });
+
+    const remove = () => {
+        if (!window.confirm(`Delete the expense report "${selected.title || 'Untitled'}"? Its receipts stay in the library.`)) return;
+        onDelete(selected.id);
+        setSelectedId(null);
+    };
+
+    return (
+        <div className="mt-10 max-w-6xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Expense Reports</h2>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{available.length} receipt{available.length === 1 ? '' : 's'} not in a report yet</p>
+                </div>
+                <button onClick={addReport} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap">+ New Report</button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-start">
+                <ul className="md:col-span-1 divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg max-h-[32rem] overflow-y-auto">
+                    {reports.map(report => {
+                        const reportRecords = reportReceipts(report, invoices);
+                        return (
+                            <li key={report.id}>
+                                <button onClick={() => setSelectedId(report.id)} className={`w-full text-left px-4 py-3 text-sm hover:bg-gray-50 dark:hover:bg-gray-700/50 ${report.id === selectedId ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}>
+                                    <span className="block font-semibold text-gray-800 dark:text-gray-200 truncate">{report.title || 'Untitled report'}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">
+                                        {reportRecords.length} receipt{reportRecords.length === 1 ? '' : 's'} · {periodText(reportPeriod(reportRecords))}
+                                    </span>
+                                </button>
+                            </li>
+                        );
+                    })}
+                    {reports.length === 0 && (
+                        <li className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                            No expense reports yet. Upload receipts with the document type set to Receipts or Auto-detect, then group them here.
+                        </li>
+                    )}
+                </ul>
+
+                {selected ? (
+                    <div className="md:col-span-2 space-y-5">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <Field label="Title"><input value={selected.title} onChange={e => update({ title: e.target.value })} className={inputClassName} /></Field>
+                            <Field label="Employee"><input value={selected.employee} onChange={e => update({ employee: e.target.value })} placeholder="Who is claiming" className={inputClassName} /></Field>
+                            <Field label="Business purpose" className="sm:col-span-2">
+                                <textarea value={selected.purpose} onChange={e => update({ purpose: e.target.value })} rows={2} placeholder="e.g. Client workshop with Northwind in Boston" className={inputClassName} />
+                            </Field>
+                        </div>
+
+                        <div className="flex flex-wrap items-baseline justify-between gap-2 text-sm text-gray-600 dark:text-gray-400">
+                            <span>{receipts.length} receipt{receipts.length === 1 ? '' : 's'} · {periodText(reportPeriod(receipts))}</span>
+                            {totals.currency && <span className="text-base font-bold text-gray-900 dark:text-white">Total {formatMoney(totals.total, totals.currency)}</span>}
+                        </div>
+                        {totals.unconvertedCount > 0 && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">{totals.unconvertedCount} receipt{totals.unconvertedCount === 1 ? ' is' : 's are'} left out of the total: no exchange rate to {totals.currency}.</p>
+                        )}
+
+                        {receipts.length > 0 && (policyCheck.violations.length > 0 ? (
+                            <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg text-sm dark:bg-yellow-900/30 dark:border-yellow-700 dark:text-yellow-300" role="status">
+                                <p className="font-semibold mb-1">Over the expense policy</p>
+                                <ul className="list-disc list-inside">
+                                    {policyCheck.violations.map(violation => (
+                                        <li key={`${violation.date}|${violation.category}`}>
+                                            {violation.category} on {violation.date}: {formatMoney(violation.spent, policyCheck.currency)} spent, limit {formatMoney(violation.limit, policyCheck.currency)} per day
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ) : (
+                            <p className="text-sm text-green-700 dark:text-green-400">✓ Within the daily limits of the expense policy. <button onClick={onEditPolicy} className="text-blue-600 dark:text-blue-400 hover:underline">Change the limits in Settings</button></p>
+                        ))}
+                        {policyCheck.notes.map(note => (
+                            <p key={note.recordId} className="text-xs text-gray-500 dark:text-gray-400">{note.message}</p>
+                        ))}
+
+                        {receipts.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-left text-sm">
+                                    <thead>
+                                        <tr className="bg-gray-100 dark:bg-gray-700/50 font-semibold text-gray-600 dark:text-gray-400">
+                                            <th className="p-3 rounded-l-lg">Date</th>
+                                            <th className="p-3">Merchant</th>
+                                            <th className="p-3">Category</th>
+                                            <th className="p-3 text-right">Total</th>
+                                            <th className="p-3 rounded-r-lg"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {receipts.map(record => {
+                                            const categories = receiptCategories(record.data, accounts);
+                                            return (
+                                                <tr key={record.id} className={`border-b border-gray-200 dark:border-gray-700 ${flaggedIds.has(record.id) ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''}`}>
+                                                    <td className="p-3 whitespace-nowrap">{record.data.invoiceDate || 'N/A'}</td>
+                                                    <td className="p-3">
+                                                        <p className="font-medium dark:text-gray-200">{record.data.from || 'N/A'}</p>
+                                                        {record.data.paymentMethod && <p className="text-xs text-gray-500 dark:text-gray-400">{record.data.paymentMethod}</p>}
+                                                    </td>
+                                                    <td className="p-3">{categories || <span className="text-amber-600 dark:text-amber-400">Needs a category</span>}</td>
+                                                    <td className="p-3 text-right">
+                                                        <span className="font-semibold">{formatMoney(record.data.total, record.data.currency)}</span>
+                                                        {Number(record.data.tip) > 0 && <span className="block text-xs text-gray-500 dark:text-gray-400">incl. {formatMoney(record.data.tip, record.data.currency)} tip</span>}
+                                                    </td>
+                                                    <td className="p-3 text-right whitespace-nowrap">
+                                                        <button onClick={() => onOpen(record.id)} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline mr-3">Open</button>
+                                                        <button onClick={() => removeReceipt(record.id)} className="text-gray-500 dark:text-gray-400 font-semibold hover:underline">Remove</button>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        {available.length > 0 && (
+                            <div className="flex flex-wrap items-center gap-3">
+                                <select value="" onChange={e => e.target.value && addReceipts([e.target.value])} className="px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-200">
+                                    <option value="">Add a receipt...</option>
+                                    {available.map(record => (
+                                        <option key={record.id} value={record.id}>{[record.data.invoiceDate, record.data.from, formatMoney(record.data.total, record.data.currency)].filter(Boolean).join(' · ')}</option>
+                                    ))}
+                                </select>
+                                <button onClick={() => addReceipts(available.map(record => record.id))} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">Add all {available.length}</button>
+                            </div>
+                        )}
+
+                        {totals.byCategory.length > 1 && (
+                            <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 text-sm">
+                                <p className="font-semibold text-gray-700 dark:text-gray-300 mb-2">By category</p>
+                                {totals.byCategory.map(({ category, amount }) => (
+                                    <div key={category} className="flex justify-between text-gray-600 dark:text-gray-400"><span>{category}</span><span>{formatMoney(amount, totals.currency)}</span></div>
+                                ))}
+                            </div>
+                        )}
+
+                        <div className="flex flex-wrap items-center gap-3">
+                            <button onClick={() => onExport(selected, receipts)} disabled={receipts.length === 0} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">Export Report (CSV)</button>
+                            <button onClick={() => onSuggestCategories(uncategorized)} disabled={isLoading || uncategorized.length === 0} className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-4 rounded-lg hover:bg-indigo-200 dark:bg-indigo-500/20 dark:text-indigo-300 dark:hover:bg-indigo-500/30 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed">✨ Suggest Categories</button>
+                            <button onClick={remove} className="ml-auto text-sm text-red-600 dark:text-red-400 font-semibold hover:underline">Delete Report</button>
+                        </div>
+                    </div>
+                ) : (
+                    <p className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">Select a report or start a new one to group receipts for reimbursement.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ExpenseReports;
@@ -0,0 +1,25 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from '../lib/exporters';
+
+const FORMAT_STORAGE_KEY = 'exportFormat';
+
+// Format picker and export button; remembers the last format used
+const ExportMenu = ({ onExport, disabled = false, label = 'Export' }) => {
+    const [formatId, setFormatId] = useState(() => localStorage.getItem(FORMAT_STORAGE_KEY) || EXPORT_FORMATS[0].id);
+
+    const handleFormatChange = (e) => {
+        setFormatId(e.target.value);
+        localStorage.setItem(FORMAT_STORAGE_KEY, e.target.value);
+    };
+
+    return (
+        <div className="flex items-center">
+            <select value={formatId} onChange={handleFormatChange} disabled={disabled} className="py-2 pl-3 pr-8 rounded-l-lg border border-r-0 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50" title="Export format">
+                {EXPORT_FORMATS.map(format => <option key={format.id} value={format.id}>{format.label}</option>)}
+            </select>
+            <button onClick={() => onExport(formatId)} disabled={disabled} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-r-lg hover:bg-blue-700 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed">{label}</button>
+        </div>
+    );
+};
+
+export default ExportMenu;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import ExportMenu from './ExportMenu';
+import StatusBadge from './StatusBadge';
+import { formatMoney } from '../lib/money';
+import { convertInvoice } from '../lib/exchangeRates';
+import { isReceipt, parseInvoiceDate } from '../lib/validation';
+import { getWorkflow } from '../lib/workflow';
+
+const EMPTY_FILTERS = { vendor: '', invoiceNumber: '', dateFrom: '', dateTo: '', minTotal: '', maxTotal: '' };
+
+const inputClassName = "block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm";
+
+// Check a saved invoice against the search filters
+const matchesFilters = (record, filters) => {
+    const { data } = record;
+    const contains = (value, query) => (value || '').toLowerCase().includes(query.trim().toLowerCase());
+
+    if (filters.vendor && !contains(data.from, filters.vendor)) return false;
+    if (filters.invoiceNumber && !contains(data.invoiceNumber, filters.invoiceNumber)) return false;
+
+    if (filters.dateFrom || filters.dateTo) {
+        const invoiceDate = parseInvoiceDate(data.invoiceDate);
+        if (!invoiceDate) return false;
+        if (filters.dateFrom && invoiceDate < new Date(`${filters.dateFrom}T00:00:00`)) return false;
+        if (filters.dateTo && invoiceDate > new Date(`${filters.dateTo}T23:59:59`)) return false;
+    }
+
+    const total = Number(data.total);
+    if (filters.minTotal !== '' && !(total >= Number(filters.minTotal))) return false;
+    if (filters.maxTotal !== '' && !(total <= Number(filters.maxTotal))) return false;
+    return true;
+};
+
+const HistoryView = ({ invoices, exchangeRates, onOpen, onDelete, onExport }) => {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [selectedIds, setSelectedIds] = useState(new Set());
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prevFilters => ({ ...prevFilters, [name]: value }));
+    };
+
+    const handleDelete = (record) => {
+        const label = record.data.invoiceNumber ? `invoice #${record.data.invoiceNumber}` : record.fileName;
+        if (window.confirm(`Delete ${label} from the library? This cannot be undone.`)) {
+            onDelete(record.id);
+        }
+    };
+
+    const filteredInvoices = invoices.filter(record => matchesFilters(record, filters));
+    const hasFilters = Object.values(filters).some(Boolean);
+    const selectedInvoices = filteredInvoices.filter(record => selectedIds.has(record.id));
+    const allSelected = filteredInvoices.length > 0 && selectedInvoices.length === filteredInvoices.length;
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prevIds => {
+            const newIds = new Set(prevIds);
+            if (newIds.has(id)) newIds.delete(id);
+            else newIds.add(id);
+            return newIds;
+        });
+    };
+
+    const toggleAllSelected = () => {
+        setSelectedIds(allSelected ? new Set() : new Set(filteredInvoices.map(record => record.id)));
+    };
+
+    return (
+        <div className="mt-10 max-w-5xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
+                <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Invoice Library</h2>
+                <div className="flex flex-wrap items-center gap-4">
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{filteredInvoices.length} of {invoices.length} invoices</p>
+                    <ExportMenu
+                        onExport={formatId => onExport(formatId, selectedInvoices.length > 0 ? selectedInvoices : filteredInvoices)}
+                        disabled={filteredInvoices.length === 0}
+                        label={selectedInvoices.length > 0 ? `Export ${selectedInvoices.length} selected` : 'Export all'}
+                    />
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 mb-6 text-sm">
+                <input name="vendor" value={filters.vendor} onChange={handleFilterChange} placeholder="Vendor" className={inputClassName} />
+                <input name="invoiceNumber" value={filters.invoiceNumber} onChange={handleFilterChange} placeholder="Invoice #" className={inputClassName} />
+                <div className="flex items-center gap-2">
+                    <input type="date" name="dateFrom" value={filters.dateFrom} onChange={handleFilterChange} title="Invoice date from" className={inputClassName} />
+                    <span className="text-gray-400">–</span>
+                    <input type="date" name="dateTo" value={filters.dateTo} onChange={handleFilterChange} title="Invoice date to" className={inputClassName} />
+                </div>
+                <div className="flex items-center gap-2">
+                    <input type="number" name="minTotal" value={filters.minTotal} onChange={handleFilterChange} placeholder="Min total" className={inputClassName} />
+                    <span className="text-gray-400">–</span>
+                    <input type="number" name="maxTotal" value={filters.maxTotal} onChange={handleFilterChange} placeholder="Max total" className={inputClassName} />
+                </div>
+                {hasFilters && (
+                    <button onClick={() => setFilters(EMPTY_FILTERS)} className="justify-self-start text-blue-600 dark:text-blue-400 font-semibold hover:underline">Clear filters</button>
+                )}
+            </div>
+
+            {filteredInvoices.length === 0 ? (
+                <p className="text-center text-gray-500 dark:text-gray-400 py-8">
+                    {invoices.length === 0 ? 'No saved invoices yet. Transcribed invoices are saved here automatically.' : 'No invoices match these filters.'}
+                </p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="bg-gray-100 dark:bg-gray-700/50 font-semibold text-gray-600 dark:text-gray-400">
+                                <th className="p-3 rounded-l-lg w-8"><input type="checkbox" checked={allSelected} onChange={toggleAllSelected} title="Select all" /></th>
+                                <th className="p-3"></th>
+                                <th className="p-3">Vendor</th>
+                                <th className="p-3">Invoice #</th>
+                                <th className="p-3">Date</th>
+                                <th className="p-3">Status</th>
+                                <th className="p-3 text-right">Total</th>
+                                <th className="p-3 rounded-r-lg"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filteredInvoices.map(record => (
+                                <tr key={record.id} className="border-b border-gray-200 dark:border-gray-700">
+                                    <td className="p-3"><input type="checkbox" checked={selectedIds.has(record.id)} onChange={() => toggleSelected(record.id)} /></td>
+                                    <td className="p-3 w-16">
+                                        {record.thumbnail
+                                            ? <img src={record.thumbnail} alt="" className="h-12 w-12 object-cover rounded border border-gray-200 dark:border-gray-700" />
+                                            : <div className="h-12 w-12 flex items-center justify-center rounded bg-gray-100 dark:bg-gray-700 text-xs font-bold text-gray-500">PDF</div>}
+                                    </td>
+                                    <td className="p-3">
+                                        <p className="font-medium dark:text-gray-200">
+                                            {record.data.from || 'N/A'}
+                                            {isReceipt(record.data) && <span className="ml-2 px-1.5 py-0.5 rounded bg-teal-100 text-teal-700 dark:bg-teal-500/20 dark:text-teal-300 text-xs font-semibold">Receipt</span>}
+                                        </p>
+                                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-xs" title={record.fileName}>{record.fileName}</p>
+                                    </td>
+                                    <td className="p-3">{record.data.invoiceNumber || 'N/A'}</td>
+                                    <td className="p-3">{record.data.invoiceDate || 'N/A'}</td>
+                                    <td className="p-3"><StatusBadge status={getWorkflow(record).status} /></td>
+                                    <td className="p-3 text-right">
+                                        <span className="font-semibold">{formatMoney(record.data.total, record.data.currency)}</span>
+                                        {convertInvoice(record.data, exchangeRates) && (
+                                            <span className="block text-xs text-gray-500 dark:text-gray-400">≈ {formatMoney(convertInvoice(record.data, exchangeRates).total, exchangeRates.baseCurrency)}</span>
+                                        )}
+                                    </td>
+                                    <td className="p-3 text-right whitespace-nowrap">
+                                        <button onClick={() => onOpen(record.id)} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline mr-3">Open</button>
+                                        <button onClick={() => handleDelete(record)} className="text-red-600 dark:text-red-400 font-semibold hover:underline">Delete</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryView;
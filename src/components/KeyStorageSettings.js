@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { KEY_STORAGE_MODES, decryptApiKeys, encryptApiKeys, forgetEncryptedKeys, hasEncryptedKeys } from '../lib/ai/keyStore';
+
+const inputClassName = "block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm placeholder-gray-400 dark:placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm";
+const labelClassName = "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+const linkButtonClassName = "text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline disabled:opacity-50";
+
+// How API keys are kept between visits, with passphrase unlock and save for encrypted keys
+const KeyStorageSettings = ({ aiSettings, onAiSettingsChange }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const hasKeys = Object.values(aiSettings.apiKeys).some(Boolean);
+    const isLocked = aiSettings.keyStorage === 'encrypted' && hasEncryptedKeys() && !hasKeys;
+
+    const run = async (action, successMessage) => {
+        setIsBusy(true);
+        setMessage(null);
+        try {
+            await action();
+            setPassphrase('');
+            setMessage({ type: 'success', text: successMessage });
+        } catch (err) {
+            console.error("Error updating API key storage:", err);
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const unlock = () => run(async () => {
+        const apiKeys = await decryptApiKeys(passphrase);
+        onAiSettingsChange({ ...aiSettings, apiKeys: { ...aiSettings.apiKeys, ...apiKeys } });
+    }, 'Keys unlocked for this session.');
+
+    const saveEncrypted = () => run(() => encryptApiKeys(aiSettings.apiKeys, passphrase), 'Keys encrypted and saved.');
+
+    const forget = () => {
+        forgetEncryptedKeys();
+        setMessage({ type: 'success', text: 'Saved keys removed from this browser.' });
+    };
+
+    return (
+        <div>
+            <label htmlFor="key-storage-select" className={labelClassName}>Remember API keys</label>
+            <select id="key-storage-select" value={aiSettings.keyStorage} onChange={e => { setMessage(null); onAiSettingsChange({ ...aiSettings, keyStorage: e.target.value }); }} className={inputClassName}>
+                {KEY_STORAGE_MODES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+
+            {aiSettings.keyStorage === 'plain' && (
+                <p className="mt-2 text-xs text-yellow-700 dark:text-yellow-400">Anyone with access to this browser profile can read the key. Use a passphrase on shared machines.</p>
+            )}
+            {aiSettings.keyStorage === 'session' && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Keys are forgotten when this tab is closed.</p>
+            )}
+
+            {aiSettings.keyStorage === 'encrypted' && (
+                <div className="mt-3 space-y-2">
+                    <input
+                        type="password"
+                        value={passphrase}
+                        onChange={e => setPassphrase(e.target.value)}
+                        onKeyDown={e => e.key === 'Enter' && passphrase && (isLocked ? unlock() : saveEncrypted())}
+                        placeholder={isLocked ? 'Passphrase to unlock saved keys' : 'Passphrase'}
+                        autoComplete="off"
+                        className={inputClassName}
+                    />
+                    <div className="flex flex-wrap gap-4">
+                        {hasEncryptedKeys() && <button onClick={unlock} disabled={isBusy || !passphrase} className={linkButtonClassName}>Unlock</button>}
+                        {!isLocked && <button onClick={saveEncrypted} disabled={isBusy || !passphrase || !hasKeys} className={linkButtonClassName}>Encrypt &amp; save</button>}
+                        {hasEncryptedKeys() && <button onClick={forget} disabled={isBusy} className="text-sm text-red-600 dark:text-red-400 font-semibold hover:underline disabled:opacity-50">Forget saved keys</button>}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {hasEncryptedKeys() ? 'Encrypted keys are saved in this browser. Save again after changing a key.' : 'Enter your key above, then choose a passphrase and save.'} The passphrase itself is never stored.
+                    </p>
+                </div>
+            )}
+
+            {message && <p className={`mt-2 text-xs font-semibold ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>{message.text}</p>}
+        </div>
+    );
+};
+
+export default KeyStorageSettings;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+const inputClassName = "w-24 px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-right focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// How far an invoice may stray from its purchase order and goods receipts and still count as matched
+const MatchToleranceSettings = ({ tolerances, onChange }) => {
+    const update = (field, value) => onChange({ ...tolerances, [field]: value === '' ? '' : Number(value) });
+
+    return (
+        <div className="space-y-4 text-sm">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                Invoice lines are matched to their purchase order lines. Quantities are checked against the goods received and unit prices against the order. Lines with no goods receipt yet are checked against the quantity ordered and stay partial.
+                Differences within these tolerances still count as matched; anything billed above them is flagged as over-billed.
+            </p>
+            <label className="flex items-center justify-between gap-4">
+                <span className="text-gray-700 dark:text-gray-300">Quantity tolerance</span>
+                <span className="flex items-center gap-2">
+                    <input type="number" min="0" step="0.1" value={tolerances.quantityPercent} onChange={e => update('quantityPercent', e.target.value)} aria-label="Quantity tolerance (%)" className={inputClassName} />
+                    <span className="text-gray-500 dark:text-gray-400">%</span>
+                </span>
+            </label>
+            <label className="flex items-center justify-between gap-4">
+                <span className="text-gray-700 dark:text-gray-300">Unit price tolerance</span>
+                <span className="flex items-center gap-2">
+                    <input type="number" min="0" step="0.1" value={tolerances.pricePercent} onChange={e => update('pricePercent', e.target.value)} aria-label="Unit price tolerance (%)" className={inputClassName} />
+                    <span className="text-gray-500 dark:text-gray-400">%</span>
+                </span>
+            </label>
+        </div>
+    );
+};
+
+export default MatchToleranceSettings;
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { getPdfPageText, loadPdfDocument, renderPdfPageToDataUrl } from '../lib/pdf';
+import { describePages, detectBoundariesFromText, groupPages, isScannedDocument } from '../lib/pdfSplit';
+
+const THUMBNAIL_SIZE = 200;
+
+// Alternating colours make it easy to see which pages belong together
+const GROUP_STYLES = [
+    'border-blue-400 dark:border-blue-500',
+    'border-green-400 dark:border-green-500',
+    'border-purple-400 dark:border-purple-500',
+    'border-orange-400 dark:border-orange-500'
+];
+
+const linkButtonClassName = "text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline disabled:opacity-50";
+
+// Page thumbnails of a multi-page PDF where the user picks pages and marks where each invoice starts
+const PdfSplitter = ({ file, remainingCount, onSubmit, onSkip, onDetectWithAI }) => {
+    const [pdfDocument, setPdfDocument] = useState(null);
+    const [thumbnails, setThumbnails] = useState({});
+    const [pageTexts, setPageTexts] = useState(null);
+    const [boundaries, setBoundaries] = useState([1]);
+    const [excludedPages, setExcludedPages] = useState([]);
+    const [isDetecting, setIsDetecting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const pageCount = pdfDocument ? pdfDocument.numPages : 0;
+    const pageNumbers = Array.from({ length: pageCount }, (_, index) => index + 1);
+    const groups = groupPages(pageCount, boundaries, excludedPages);
+
+    // Load the PDF, read its text layer to guess boundaries, then draw thumbnails one by one
+    useEffect(() => {
+        let cancelled = false;
+        let loadedDocument = null;
+        setPdfDocument(null);
+        setThumbnails({});
+        setPageTexts(null);
+        setBoundaries([1]);
+        setExcludedPages([]);
+        setError(null);
+
+        const load = async () => {
+            loadedDocument = await loadPdfDocument(file);
+            if (cancelled) return;
+            setPdfDocument(loadedDocument);
+            const pages = Array.from({ length: loadedDocument.numPages }, (_, index) => index + 1);
+            const texts = await Promise.all(pages.map(pageNumber => getPdfPageText(loadedDocument, pageNumber)));
+            if (cancelled) return;
+            setPageTexts(texts);
+            if (!isScannedDocument(texts)) setBoundaries(detectBoundariesFromText(texts));
+            for (const pageNumber of pages) {
+                const thumbnail = await renderPdfPageToDataUrl(loadedDocument, pageNumber, { maxSize: THUMBNAIL_SIZE, quality: 0.7 });
+                if (cancelled) return;
+                setThumbnails(current => ({ ...current, [pageNumber]: thumbnail }));
+            }
+        };
+        load().catch((err) => {
+            console.error("Error reading PDF pages:", err);
+            if (!cancelled) setError(`Could not read this PDF. ${err.message}`);
+        });
+
+        return () => {
+            cancelled = true;
+            if (loadedDocument) loadedDocument.destroy();
+        };
+    }, [file]);
+
+    const toggleBoundary = (pageNumber) => {
+        setBoundaries(current => (current.includes(pageNumber) ? current.filter(page => page !== pageNumber) : [...current, pageNumber].sort((a, b) => a - b)));
+    };
+
+    const toggleExcluded = (pageNumber) => {
+        setExcludedPages(current => (current.includes(pageNumber) ? current.filter(page => page !== pageNumber) : [...current, pageNumber]));
+    };
+
+    const detectWithText = () => setBoundaries(detectBoundariesFromText(pageTexts));
+
+    const detectWithAI = async () => {
+        setIsDetecting(true);
+        setError(null);
+        try {
+            setBoundaries(await onDetectWithAI(pdfDocument));
+        } catch (err) {
+            console.error("Error detecting invoice boundaries:", err);
+            setError(`Failed to detect invoice boundaries. ${err.message}`);
+        } finally {
+            setIsDetecting(false);
+        }
+    };
+
+    const groupIndexOf = pageNumber => groups.findIndex(group => group.includes(pageNumber));
+    const isScanned = pageTexts && isScannedDocument(pageTexts);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-5xl max-h-full flex flex-col text-gray-800 dark:text-gray-200">
+                <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+                    <h3 className="text-xl font-bold">Split PDF into invoices</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
+                        {file.name} · {pageCount || '…'} pages{remainingCount > 1 ? ` · ${remainingCount - 1} more PDF${remainingCount === 2 ? '' : 's'} to split after this` : ''}
+                    </p>
+                    <div className="mt-3 flex flex-wrap gap-4">
+                        <button onClick={detectWithText} disabled={!pageTexts || isScanned} className={linkButtonClassName} title={isScanned ? 'This PDF has no text layer' : 'Look for "Page 1 of" and changing invoice numbers'}>Detect from text</button>
+                        <button onClick={detectWithAI} disabled={!pdfDocument || isDetecting} className={linkButtonClassName}>{isDetecting ? '✨ Detecting...' : '✨ Detect with AI'}</button>
+                        <button onClick={() => setBoundaries([1])} disabled={!pdfDocument} className={linkButtonClassName}>One invoice</button>
+                        <button onClick={() => setBoundaries(pageNumbers)} disabled={!pdfDocument} className={linkButtonClassName}>One invoice per page</button>
+                    </div>
+                    {isScanned && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">This looks like a scan without a text layer. Use AI detection or mark where each invoice starts.</p>}
+                    {error && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+                </div>
+
+                <div className="p-6 overflow-y-auto">
+                    {!pdfDocument && !error && <p className="text-center text-gray-500 dark:text-gray-400">Reading pages...</p>}
+                    <ol className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+                        {pageNumbers.map(pageNumber => {
+                            const isExcluded = excludedPages.includes(pageNumber);
+                            const groupIndex = groupIndexOf(pageNumber);
+                            return (
+                                <li key={pageNumber} className="flex flex-col items-center gap-1">
+                                    <button
+                                        onClick={() => toggleExcluded(pageNumber)}
+                                        className={`w-full aspect-[3/4] flex items-center justify-center bg-gray-100 dark:bg-gray-700 rounded-md border-4 overflow-hidden ${isExcluded ? 'border-transparent opacity-30' : GROUP_STYLES[groupIndex % GROUP_STYLES.length]}`}
+                                        title={isExcluded ? 'Include this page' : 'Leave this page out'}
+                                    >
+                                        {thumbnails[pageNumber] ? <img src={thumbnails[pageNumber]} alt={`Page ${pageNumber}`} className="max-w-full max-h-full" /> : <span className="text-xs text-gray-400">…</span>}
+                                    </button>
+                                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                                        Page {pageNumber}{!isExcluded && groupIndex >= 0 && ` · Invoice ${groupIndex + 1}`}
+                                    </span>
+                                    {pageNumber > 1 && (
+                                        <label className="flex items-center gap-1 text-xs">
+                                            <input type="checkbox" checked={boundaries.includes(pageNumber)} onChange={() => toggleBoundary(pageNumber)} />
+                                            Starts new invoice
+                                        </label>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ol>
+                </div>
+
+                <div className="bg-gray-50 dark:bg-gray-800/50 px-6 py-4 rounded-b-xl flex flex-wrap items-center justify-between gap-3 border-t border-gray-200 dark:border-gray-700">
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                        {groups.length} invoice{groups.length === 1 ? '' : 's'}{groups.length > 0 && `: ${groups.map(describePages).join(' · ')}`}
+                    </p>
+                    <div className="flex gap-3">
+                        <button onClick={onSkip} className="bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 transition-colors">Skip File</button>
+                        <button onClick={() => onSubmit(groups, pageCount)} disabled={groups.length === 0} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+                            Transcribe {groups.length} Invoice{groups.length === 1 ? '' : 's'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PdfSplitter;
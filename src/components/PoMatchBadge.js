@@ -0,0 +1,17 @@
+import React from 'react';
+import { LINE_STATUSES, MATCH_STATUSES } from '../lib/purchaseOrders';
+
+export const MATCH_STYLES = {
+    matched: 'bg-green-100 text-green-700 dark:bg-green-500/20 dark:text-green-300',
+    partial: 'bg-amber-100 text-amber-800 dark:bg-amber-500/20 dark:text-amber-300',
+    overBilled: 'bg-red-100 text-red-700 dark:bg-red-500/20 dark:text-red-300',
+    noOrder: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+    unmatched: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+};
+
+// Result of matching an invoice, or one of its lines, to the purchase order
+const PoMatchBadge = ({ status, line = false }) => (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${MATCH_STYLES[status]}`}>{(line ? LINE_STATUSES : MATCH_STATUSES)[status]}</span>
+);
+
+export default PoMatchBadge;
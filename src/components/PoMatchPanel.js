@@ -0,0 +1,84 @@
+import React from 'react';
+import PoMatchBadge from './PoMatchBadge';
+import { formatMoney } from '../lib/money';
+import { findPurchaseOrder } from '../lib/purchaseOrders';
+
+const signed = (value, format) => (value > 0 ? `+${format(value)}` : format(value));
+
+const formatQuantity = quantity => String(Math.round(quantity * 1000) / 1000);
+
+// Three-way match of the open invoice: each line against its purchase order line and the goods received
+const PoMatchPanel = ({ invoice, match, orders, onAssignLine, onShowOrders }) => {
+    if (!match) return null;
+    const currency = invoice.currency;
+
+    return (
+        <div className="mt-8">
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+                <h3 className="text-xl font-bold text-gray-700 dark:text-gray-300">Purchase Order Match</h3>
+                <PoMatchBadge status={match.status} />
+                <span className="text-sm text-gray-500 dark:text-gray-400">PO {match.poNumbers.join(', ')}</span>
+            </div>
+            {match.missingPoNumbers.length > 0 && (
+                <p className="mb-3 text-sm text-gray-600 dark:text-gray-400">
+                    PO {match.missingPoNumbers.join(', ')} isn't in the app yet. <button onClick={onShowOrders} className="text-blue-600 dark:text-blue-400 hover:underline">Import purchase orders</button>
+                </p>
+            )}
+            {match.status !== 'noOrder' && (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="bg-gray-100 dark:bg-gray-700/50 font-semibold text-gray-600 dark:text-gray-400">
+                                <th className="p-3 rounded-l-lg">Invoice line</th>
+                                <th className="p-3">PO line</th>
+                                <th className="p-3 text-right">Qty (ordered / received)</th>
+                                <th className="p-3 text-right">Unit price (PO)</th>
+                                <th className="p-3 text-right">Variance</th>
+                                <th className="p-3 rounded-r-lg">Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {match.lines.map((line, index) => {
+                                const order = findPurchaseOrder(orders, line.poNumber || invoice.poNumber || match.poNumbers[0]);
+                                return (
+                                    <tr key={line.itemId || index} className="border-b border-gray-200 dark:border-gray-700 align-top">
+                                        <td className="p-3 font-medium dark:text-gray-200">{line.description || 'N/A'}</td>
+                                        <td className="p-3">
+                                            {order ? (
+                                                <select value={line.poLineNumber || ''} onChange={e => onAssignLine(line.itemId, e.target.value)} aria-label={`PO line for ${line.description || `line ${index + 1}`}`} className="max-w-[14rem] px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-200">
+                                                    <option value="">Choose a line...</option>
+                                                    {order.lines.map(orderLine => <option key={orderLine.id} value={orderLine.lineNumber}>{orderLine.lineNumber}. {orderLine.description || orderLine.itemCode}</option>)}
+                                                </select>
+                                            ) : '–'}
+                                        </td>
+                                        <td className="p-3 text-right whitespace-nowrap">
+                                            {formatQuantity(line.quantity)}
+                                            {line.poLineNumber && (
+                                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                                    {formatQuantity(line.orderedQuantity)} / {line.receivedQuantity === null ? 'none yet' : formatQuantity(line.receivedQuantity)}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="p-3 text-right whitespace-nowrap">
+                                            {formatMoney(line.unitPrice, currency)}
+                                            {line.poLineNumber && <span className="block text-xs text-gray-500 dark:text-gray-400">{formatMoney(line.poUnitPrice, currency)}</span>}
+                                        </td>
+                                        <td className={`p-3 text-right whitespace-nowrap ${line.status === 'overBilled' ? 'text-red-600 dark:text-red-400 font-semibold' : ''}`}>
+                                            {line.poLineNumber && line.amountVariance !== null ? signed(line.amountVariance, value => formatMoney(value, currency)) : '–'}
+                                        </td>
+                                        <td className="p-3">
+                                            <PoMatchBadge status={line.status} line />
+                                            {line.reasons.map(reason => <p key={reason} className="mt-1 text-xs text-gray-500 dark:text-gray-400">{reason}</p>)}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PoMatchPanel;
@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import PoMatchBadge from './PoMatchBadge';
+import { formatMoney } from '../lib/money';
+import { addGoodsReceipts, invoicedQuantities, matchInvoice, mergePurchaseOrders, normalizePoNumber, parseGoodsReceipts, parsePurchaseOrders, receivedQuantity, referencedPoNumbers } from '../lib/purchaseOrders';
+
+const importLabelClassName = "bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 transition-colors whitespace-nowrap cursor-pointer text-sm";
+
+const formatQuantity = quantity => String(Math.round(quantity * 1000) / 1000);
+
+const orderTotal = order => order.lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+
+// Purchase orders and their goods receipts, imported from CSV or JSON, with what
+// has been received and invoiced against each line
+const PurchaseOrders = ({ orders, invoices, tolerances, onSave, onDelete, onOpen }) => {
+    const [selectedId, setSelectedId] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const [importError, setImportError] = useState(null);
+
+    const selected = orders.find(order => order.id === selectedId) || null;
+    const linkedInvoices = useMemo(() => (selected
+        ? invoices.filter(record => referencedPoNumbers(record.data).some(number => normalizePoNumber(number) === normalizePoNumber(selected.poNumber)))
+        : []), [selected, invoices]);
+    const invoiced = useMemo(() => (selected ? invoicedQuantities(selected, linkedInvoices, tolerances) : {}), [selected, linkedInvoices, tolerances]);
+
+    // Read the chosen file and hand its text to `apply`, which saves what changed and returns the notice to show
+    const importFile = apply => async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setNotice(await apply(await file.text()));
+            setImportError(null);
+        } catch (err) {
+            console.error("Error importing purchase order data:", err);
+            setImportError(`Could not import ${file.name}. ${err.message}`);
+            setNotice(null);
+        }
+    };
+
+    const importOrders = importFile(async (text) => {
+        const merged = mergePurchaseOrders(orders, parsePurchaseOrders(text));
+        await onSave(merged);
+        return `Imported ${merged.length} purchase order${merged.length === 1 ? '' : 's'}.`;
+    });
+
+    const importReceipts = importFile(async (text) => {
+        const receipts = parseGoodsReceipts(text);
+        const { updated, unknownPoNumbers } = addGoodsReceipts(orders, receipts);
+        if (updated.length > 0) await onSave(updated);
+        const recorded = receipts.length - receipts.filter(receipt => unknownPoNumbers.includes(receipt.poNumber)).length;
+        return [
+            `Recorded ${recorded} goods receipt${recorded === 1 ? '' : 's'}.`,
+            unknownPoNumbers.length > 0 ? `Skipped receipts for PO ${unknownPoNumbers.join(', ')}: import those orders first.` : ''
+        ].filter(Boolean).join(' ');
+    });
+
+    const remove = () => {
+        if (!window.confirm(`Delete purchase order ${selected.poNumber} and its goods receipts? Invoices that refer to it will show it as not found.`)) return;
+        onDelete(selected.id);
+        setSelectedId(null);
+    };
+
+    return (
+        <div className="mt-10 max-w-6xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Purchase Orders</h2>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Invoices that quote a PO number are matched to it line by line.</p>
+                </div>
+                <div className="flex flex-wrap gap-3">
+                    <label className={importLabelClassName}>
+                        Import POs (CSV/JSON)
+                        <input type="file" accept=".json,.csv,.txt,application/json,text/csv" onChange={importOrders} className="hidden" />
+                    </label>
+                    <label className={importLabelClassName}>
+                        Import Goods Receipts
+                        <input type="file" accept=".json,.csv,.txt,application/json,text/csv" onChange={importReceipts} className="hidden" />
+                    </label>
+                </div>
+            </div>
+            {importError && <p className="mb-4 text-sm text-red-600 dark:text-red-400">{importError}</p>}
+            {notice && <p className="mb-4 text-sm text-green-700 dark:text-green-400" role="status">{notice}</p>}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-start">
+                <ul className="md:col-span-1 divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg max-h-[32rem] overflow-y-auto">
+                    {orders.map(order => (
+                        <li key={order.id}>
+                            <button onClick={() => setSelectedId(order.id)} className={`w-full text-left px-4 py-3 text-sm hover:bg-gray-50 dark:hover:bg-gray-700/50 ${order.id === selectedId ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}>
+                                <span className="block font-semibold text-gray-800 dark:text-gray-200 truncate">PO {order.poNumber}</span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">
+                                    {[order.vendor, `${order.lines.length} line${order.lines.length === 1 ? '' : 's'}`, `${(order.goodsReceipts || []).length} goods receipt${(order.goodsReceipts || []).length === 1 ? '' : 's'}`].filter(Boolean).join(' · ')}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                    {orders.length === 0 && (
+                        <li className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                            No purchase orders yet. Import a CSV with one row per order line (PO Number, Line, Description, Quantity, Unit Price) or a JSON export from your purchasing system.
+                        </li>
+                    )}
+                </ul>
+
+                {selected ? (
+                    <div className="md:col-span-2 space-y-5">
+                        <div className="flex flex-wrap items-baseline justify-between gap-2">
+                            <div>
+                                <h3 className="text-xl font-bold text-gray-800 dark:text-white">PO {selected.poNumber}</h3>
+                                <p className="text-sm text-gray-500 dark:text-gray-400">{[selected.vendor, selected.orderDate].filter(Boolean).join(' · ') || 'No vendor or date'}</p>
+                            </div>
+                            {selected.currency && <span className="text-base font-bold text-gray-900 dark:text-white">{formatMoney(orderTotal(selected), selected.currency)}</span>}
+                        </div>
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-left text-sm">
+                                <thead>
+                                    <tr className="bg-gray-100 dark:bg-gray-700/50 font-semibold text-gray-600 dark:text-gray-400">
+                                        <th className="p-3 rounded-l-lg">Line</th>
+                                        <th className="p-3">Item</th>
+                                        <th className="p-3 text-right">Unit Price</th>
+                                        <th className="p-3 text-right">Ordered</th>
+                                        <th className="p-3 text-right">Received</th>
+                                        <th className="p-3 text-right rounded-r-lg">Invoiced</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {selected.lines.map(line => {
+                                        const received = receivedQuantity(selected, line);
+                                        const billed = invoiced[line.lineNumber] || 0;
+                                        const limit = received === null ? line.quantity : received;
+                                        return (
+                                            <tr key={line.id} className="border-b border-gray-200 dark:border-gray-700">
+                                                <td className="p-3">{line.lineNumber}</td>
+                                                <td className="p-3">
+                                                    <p className="font-medium dark:text-gray-200">{line.description || 'N/A'}</p>
+                                                    {line.itemCode && <p className="text-xs font-mono text-gray-500 dark:text-gray-400">{line.itemCode}</p>}
+                                                </td>
+                                                <td className="p-3 text-right">{selected.currency ? formatMoney(line.unitPrice, selected.currency) : line.unitPrice}</td>
+                                                <td className="p-3 text-right">{formatQuantity(line.quantity)}</td>
+                                                <td className="p-3 text-right">{received === null ? '–' : formatQuantity(received)}</td>
+                                                <td className={`p-3 text-right ${billed > limit ? 'text-red-600 dark:text-red-400 font-semibold' : ''}`}>{formatQuantity(billed)}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 text-sm">
+                            <p className="font-semibold text-gray-700 dark:text-gray-300 mb-2">Goods receipts</p>
+                            {(selected.goodsReceipts || []).length > 0 ? (selected.goodsReceipts.map(receipt => (
+                                <div key={receipt.id} className="flex justify-between text-gray-600 dark:text-gray-400">
+                                    <span>{receipt.reference || 'No reference'}{receipt.date && ` · ${receipt.date}`}</span>
+                                    <span>{formatQuantity(receipt.lines.reduce((sum, line) => sum + line.quantity, 0))} units</span>
+                                </div>
+                            ))) : (
+                                <p className="text-gray-500 dark:text-gray-400">None yet. Invoices against this order can't be fully matched until its goods receipts are imported.</p>
+                            )}
+                        </div>
+
+                        <div>
+                            <p className="font-semibold text-gray-700 dark:text-gray-300 mb-2 text-sm">Invoices</p>
+                            {linkedInvoices.length > 0 ? (
+                                <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                                    {linkedInvoices.map(record => {
+                                        const match = matchInvoice(record.data, orders, tolerances);
+                                        return (
+                                            <li key={record.id} className="flex flex-wrap items-center justify-between gap-3 py-2">
+                                                <span className="dark:text-gray-200">#{record.data.invoiceNumber || 'N/A'} · {formatMoney(record.data.total, record.data.currency)}</span>
+                                                <span className="flex items-center gap-3">
+                                                    {match && <PoMatchBadge status={match.status} />}
+                                                    <button onClick={() => onOpen(record.id)} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline">Open</button>
+                                                </span>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            ) : (
+                                <p className="text-sm text-gray-500 dark:text-gray-400">No invoices refer to this order yet.</p>
+                            )}
+                        </div>
+
+                        <div className="flex">
+                            <button onClick={remove} className="ml-auto text-sm text-red-600 dark:text-red-400 font-semibold hover:underline">Delete Purchase Order</button>
+                        </div>
+                    </div>
+                ) : (
+                    <p className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">Select a purchase order to see what has been received and invoiced against it.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,115 @@
+import React from 'react';
+import DuplicateWarning from './DuplicateWarning';
+
+const STATUS_STYLES = {
+    pending: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+    running: 'bg-blue-100 text-blue-700 dark:bg-blue-500/20 dark:text-blue-300',
+    waiting: 'bg-orange-100 text-orange-700 dark:bg-orange-500/20 dark:text-orange-300',
+    done: 'bg-green-100 text-green-700 dark:bg-green-500/20 dark:text-green-300',
+    failed: 'bg-red-100 text-red-700 dark:bg-red-500/20 dark:text-red-300',
+    cancelled: 'bg-gray-100 text-gray-500 dark:bg-gray-700 dark:text-gray-400',
+    duplicate: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-500/20 dark:text-yellow-300'
+};
+
+const STATUS_LABELS = {
+    pending: 'Pending',
+    running: 'Processing',
+    waiting: 'Waiting',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+    duplicate: 'Duplicate?'
+};
+
+// When a waiting job will try again
+const retryText = job => (job.retryAt === null
+    ? 'Waiting for the connection to come back'
+    : `Retrying at ${new Date(job.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })} (attempt ${job.attempts + 1})`);
+
+const QueuePanel = ({ jobs, savedInvoices, isOnline = true, onOpen, onOpenSaved, onResolveDuplicate, onRetry, onRetryFailed, onCancel, onRemove, onClearFinished }) => {
+    if (jobs.length === 0) return null;
+
+    const countByStatus = status => jobs.filter(job => job.status === status).length;
+    const failedCount = countByStatus('failed') + countByStatus('cancelled');
+    const finishedCount = countByStatus('done') + failedCount;
+    const queuedCount = countByStatus('pending') + countByStatus('waiting');
+
+    return (
+        <div className="mt-8 max-w-2xl mx-auto bg-white dark:bg-gray-800 rounded-xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center gap-3 p-4 border-b border-gray-200 dark:border-gray-700">
+                <div>
+                    <h2 className="text-lg font-bold text-gray-800 dark:text-white">Processing Queue</h2>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {countByStatus('done')} done · {countByStatus('running')} processing · {countByStatus('pending')} pending · {countByStatus('waiting')} waiting · {failedCount} failed
+                    </p>
+                    {!isOnline && queuedCount > 0 && (
+                        <p className="text-xs text-orange-700 dark:text-orange-300 mt-1">Offline: {queuedCount} upload{queuedCount === 1 ? '' : 's'} will start when you're back online.</p>
+                    )}
+                </div>
+                <div className="flex items-center gap-2">
+                    {failedCount > 0 && (
+                        <button onClick={onRetryFailed} title="Retry failed and cancelled uploads" className="bg-red-100 text-red-700 font-semibold py-1 px-3 rounded-lg hover:bg-red-200 dark:bg-red-500/20 dark:text-red-300 dark:hover:bg-red-500/30 transition-colors text-sm">Retry Failed</button>
+                    )}
+                    {finishedCount > 0 && (
+                        <button onClick={onClearFinished} className="bg-gray-200 text-gray-700 font-semibold py-1 px-3 rounded-lg hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 transition-colors text-sm">Clear Finished</button>
+                    )}
+                </div>
+            </div>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {jobs.map(job => {
+                    const badge = job.duplicate ? 'duplicate' : job.status;
+                    return (
+                        <li key={job.id} className="p-4 text-sm">
+                            <div className="flex items-center gap-3">
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-medium truncate dark:text-gray-200" title={job.fileName}>{job.fileName}</p>
+                                    {job.status === 'done' && job.result && (
+                                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{job.result.from || 'Unknown vendor'} · #{job.result.invoiceNumber || 'N/A'}</p>
+                                    )}
+                                    {job.status === 'failed' && <p className="text-xs text-red-600 dark:text-red-400 break-words">{job.error}</p>}
+                                    {job.status === 'waiting' && (
+                                        <p className="text-xs text-orange-700 dark:text-orange-300 break-words" title={job.error || ''}>{retryText(job)}</p>
+                                    )}
+                                </div>
+                                <span className={`shrink-0 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[badge]}`}>
+                                    {job.status === 'running' && <span className="inline-block animate-spin rounded-full h-3 w-3 border-b-2 border-current"></span>}
+                                    {STATUS_LABELS[badge]}
+                                </span>
+                                <div className="shrink-0 flex items-center gap-2">
+                                    {job.status === 'done' && (
+                                        <button onClick={() => onOpen(job.id)} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline">Open</button>
+                                    )}
+                                    {(job.status === 'failed' || job.status === 'cancelled') && (
+                                        <button onClick={() => onRetry(job.id)} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline">Retry</button>
+                                    )}
+                                    {job.status === 'waiting' && (
+                                        <button onClick={() => onRetry(job.id)} className="text-blue-600 dark:text-blue-400 font-semibold hover:underline">Retry Now</button>
+                                    )}
+                                    {['pending', 'running', 'waiting'].includes(job.status) && (
+                                        <button onClick={() => onCancel(job.id)} className="text-gray-500 dark:text-gray-400 font-semibold hover:underline">Cancel</button>
+                                    )}
+                                    {job.status !== 'running' && (
+                                        <button onClick={() => onRemove(job.id)} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" title="Remove from queue">
+                                            <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            {job.duplicate && (
+                                <DuplicateWarning
+                                    className="mt-3"
+                                    duplicate={job.duplicate}
+                                    record={savedInvoices.find(record => record.id === job.duplicate.recordId)}
+                                    onViewEarlier={onOpenSaved}
+                                    onResolve={action => onResolveDuplicate(job.id, action)}
+                                />
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default QueuePanel;
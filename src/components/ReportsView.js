@@ -0,0 +1,218 @@
+import React, { useMemo, useState } from 'react';
+import StackedBarChart, { seriesColor } from './StackedBarChart';
+import { formatCompactMoney, formatMoney, toCurrencyCode } from '../lib/money';
+import { GRANULARITIES, PAYABLE_BUCKETS, averagePaymentTerms, defaultReportCurrency, drillDown, periodLabel, selectReportRows, spendByPeriod, topLineItems, upcomingPayables } from '../lib/reports';
+
+const inputClassName = "block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm";
+const cardClassName = "bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4";
+
+const GROUPINGS = [['category', 'Category'], ['vendor', 'Vendor']];
+
+const toggleClassName = isActive => `py-1 px-3 rounded-md text-sm font-semibold transition-colors ${isActive ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600'}`;
+
+// Spend by category and vendor over time, top line items, payment terms and upcoming payables,
+// with drill-down into the invoices and line items behind each figure
+const ReportsView = ({ invoices, exchangeRates, onOpen }) => {
+    const [filters, setFilters] = useState({ dateFrom: '', dateTo: '', currency: '' });
+    const [granularity, setGranularity] = useState('month');
+    const [groupBy, setGroupBy] = useState('category');
+    const [drill, setDrill] = useState(null);
+
+    const currency = filters.currency || defaultReportCurrency(invoices, exchangeRates);
+    const currencies = useMemo(() => Array.from(new Set([exchangeRates.baseCurrency, ...invoices.map(record => toCurrencyCode(record.data.currency))].filter(Boolean))).sort(), [invoices, exchangeRates.baseCurrency]);
+
+    const { rows, unconvertedCount, undatedCount } = useMemo(() => selectReportRows(invoices, { ...filters, currency }, exchangeRates), [invoices, filters, currency, exchangeRates]);
+    const spend = useMemo(() => spendByPeriod(rows, granularity, groupBy), [rows, granularity, groupBy]);
+    const topItems = useMemo(() => topLineItems(rows), [rows]);
+    const terms = useMemo(() => averagePaymentTerms(rows), [rows]);
+    const payables = useMemo(() => upcomingPayables(rows), [rows]);
+    const drillResult = useMemo(() => (drill ? drillDown(rows, { granularity, groupBy, ...drill.query }) : null), [drill, rows, granularity, groupBy]);
+
+    const money = amount => formatMoney(amount, currency);
+    const totalSpend = rows.reduce((sum, row) => sum + row.amount(row.record.data.total), 0);
+    const openTotal = PAYABLE_BUCKETS.reduce((sum, [id]) => sum + payables[id].total, 0);
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prevFilters => ({ ...prevFilters, [name]: value }));
+        setDrill(null);
+    };
+
+    const keysOf = seriesKey => {
+        const series = spend.series.find(s => s.key === seriesKey);
+        return series && series.keys ? series.keys : [seriesKey];
+    };
+
+    const selectSegment = ({ period, seriesKey }) => setDrill({
+        title: `${seriesKey} · ${periodLabel(period)}`,
+        chart: { period, seriesKey },
+        query: { period, seriesKeys: keysOf(seriesKey) }
+    });
+
+    const selectSeries = seriesKey => setDrill({ title: seriesKey, query: { seriesKeys: keysOf(seriesKey) } });
+
+    const selectItem = item => setDrill({ title: item.description, query: { description: item.key } });
+
+    if (invoices.length === 0) {
+        return (
+            <div className="mt-10 max-w-6xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg text-center text-gray-500 dark:text-gray-400">
+                No invoices in the library yet. Reports appear once invoices have been transcribed.
+            </div>
+        );
+    }
+
+    return (
+        <div className="mt-10 max-w-6xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-end gap-4 mb-6">
+                <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Reports</h2>
+                <div className="flex flex-wrap items-end gap-3">
+                    <label className="text-xs text-gray-500 dark:text-gray-400">From<input type="date" name="dateFrom" value={filters.dateFrom} onChange={handleFilterChange} className={inputClassName} /></label>
+                    <label className="text-xs text-gray-500 dark:text-gray-400">To<input type="date" name="dateTo" value={filters.dateTo} onChange={handleFilterChange} className={inputClassName} /></label>
+                    <label className="text-xs text-gray-500 dark:text-gray-400">Currency
+                        <select name="currency" value={currency} onChange={handleFilterChange} className={inputClassName}>
+                            {currencies.map(code => <option key={code} value={code}>{code}{code === exchangeRates.baseCurrency ? ' (all, converted)' : ''}</option>)}
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            {(unconvertedCount > 0 || undatedCount > 0) && (
+                <p className="mb-4 text-xs text-yellow-700 dark:text-yellow-400">
+                    {unconvertedCount > 0 && `${unconvertedCount} invoice${unconvertedCount === 1 ? ' is' : 's are'} in other currencies without an exchange rate and left out. `}
+                    {undatedCount > 0 && `${undatedCount} invoice${undatedCount === 1 ? ' has' : 's have'} no readable invoice date and ${undatedCount === 1 ? 'is' : 'are'} left out of the charts.`}
+                </p>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+                <div className={cardClassName}><p className="text-xs text-gray-500 dark:text-gray-400">Total spend</p><p className="text-xl font-bold dark:text-white">{money(totalSpend)}</p></div>
+                <div className={cardClassName}><p className="text-xs text-gray-500 dark:text-gray-400">Invoices</p><p className="text-xl font-bold dark:text-white">{rows.length}</p></div>
+                <div className={cardClassName}>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Average payment terms</p>
+                    <p className="text-xl font-bold dark:text-white">{terms.averageDays === null ? 'N/A' : `${Math.round(terms.averageDays)} days`}</p>
+                    {terms.count > 0 && <p className="text-xs text-gray-500 dark:text-gray-400">over {terms.count} invoice{terms.count === 1 ? '' : 's'} with both dates</p>}
+                </div>
+                <div className={cardClassName}><p className="text-xs text-gray-500 dark:text-gray-400">Open payables</p><p className="text-xl font-bold dark:text-white">{money(openTotal)}</p></div>
+            </div>
+
+            <section className="mb-8">
+                <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                    <h3 className="text-lg font-bold text-gray-700 dark:text-gray-300">Spend by {groupBy}</h3>
+                    <div className="flex gap-4">
+                        <div className="flex gap-1">{GROUPINGS.map(([id, label]) => <button key={id} onClick={() => { setGroupBy(id); setDrill(null); }} className={toggleClassName(groupBy === id)}>{label}</button>)}</div>
+                        <div className="flex gap-1">{GRANULARITIES.map(([id, label]) => <button key={id} onClick={() => { setGranularity(id); setDrill(null); }} className={toggleClassName(granularity === id)}>{label}</button>)}</div>
+                    </div>
+                </div>
+                {spend.periods.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 py-8 text-center">No dated invoices match the filters.</p>
+                ) : (
+                    <>
+                        <StackedBarChart
+                            periods={spend.periods}
+                            series={spend.series}
+                            formatAmount={amount => formatCompactMoney(amount, currency)}
+                            formatPeriod={periodLabel}
+                            selected={drill && drill.chart}
+                            onSelect={selectSegment}
+                        />
+                        <ul className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs">
+                            {spend.series.map((s, index) => (
+                                <li key={s.key}>
+                                    <button onClick={() => selectSeries(s.key)} className="flex items-center gap-1 hover:underline dark:text-gray-300">
+                                        <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: seriesColor(s, index) }}></span>
+                                        {s.key} <span className="text-gray-500 dark:text-gray-400">{money(s.total)}</span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                            {groupBy === 'category' ? 'Category spend adds up line totals before tax.' : 'Vendor spend adds up invoice totals including tax.'} Click a bar or a legend entry for details.
+                        </p>
+                    </>
+                )}
+            </section>
+
+            {drill && drillResult && (
+                <section className="mb-8 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
+                    <div className="flex justify-between items-center mb-3">
+                        <h3 className="font-bold text-gray-700 dark:text-gray-300">{drill.title}</h3>
+                        <button onClick={() => setDrill(null)} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" title="Close details">✕</button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+                        <div>
+                            <h4 className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">Invoices ({drillResult.invoices.length})</h4>
+                            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+                                {drillResult.invoices.map(({ record, amount }) => (
+                                    <li key={record.id}>
+                                        <button onClick={() => onOpen(record.id)} className="w-full flex justify-between gap-2 py-1 text-left hover:text-blue-600 dark:hover:text-blue-400">
+                                            <span className="truncate">{record.data.from || 'Unknown vendor'} · #{record.data.invoiceNumber || 'N/A'} · {record.data.invoiceDate || 'No date'}</span>
+                                            <span className="whitespace-nowrap font-semibold">{money(amount)}</span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                        <div>
+                            <h4 className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">Line items ({drillResult.lines.length})</h4>
+                            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+                                {drillResult.lines.map(({ record, item, amount }, index) => (
+                                    <li key={`${record.id}-${item.id || index}`} className="flex justify-between gap-2 py-1">
+                                        <span className="truncate" title={item.description}>{item.description || 'Untitled item'} <span className="text-gray-500 dark:text-gray-400">· {record.data.from || 'Unknown vendor'}</span></span>
+                                        <span className="whitespace-nowrap">{money(amount)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    </div>
+                </section>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <section>
+                    <h3 className="text-lg font-bold text-gray-700 dark:text-gray-300 mb-3">Top line items</h3>
+                    {topItems.length === 0 ? <p className="text-sm text-gray-500 dark:text-gray-400">No line items.</p> : (
+                        <ul className="space-y-2 text-sm">
+                            {topItems.map(item => (
+                                <li key={item.key}>
+                                    <button onClick={() => selectItem(item)} className="w-full text-left group">
+                                        <span className="flex justify-between gap-2">
+                                            <span className="truncate group-hover:text-blue-600 dark:group-hover:text-blue-400 dark:text-gray-300">{item.description} <span className="text-xs text-gray-500 dark:text-gray-400">×{item.count}</span></span>
+                                            <span className="whitespace-nowrap font-semibold dark:text-gray-200">{money(item.total)}</span>
+                                        </span>
+                                        <span className="block h-1.5 mt-1 rounded bg-blue-500" style={{ width: `${topItems[0].total > 0 ? Math.max(2, (item.total / topItems[0].total) * 100) : 0}%` }}></span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                <section>
+                    <h3 className="text-lg font-bold text-gray-700 dark:text-gray-300 mb-3">Upcoming payables</h3>
+                    <div className="space-y-3 text-sm">
+                        {PAYABLE_BUCKETS.map(([id, label]) => (
+                            <details key={id} open={id === 'overdue' || id === 'week'} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                                <summary className={`cursor-pointer flex justify-between font-semibold ${id === 'overdue' && payables[id].rows.length > 0 ? 'text-red-600 dark:text-red-400' : 'dark:text-gray-300'}`}>
+                                    <span>{label} ({payables[id].rows.length})</span>
+                                    <span>{money(payables[id].total)}</span>
+                                </summary>
+                                <ul className="mt-2 divide-y divide-gray-200 dark:divide-gray-600">
+                                    {payables[id].rows.map(({ record, amount, days }) => (
+                                        <li key={record.id}>
+                                            <button onClick={() => onOpen(record.id)} className="w-full flex justify-between gap-2 py-1 text-left hover:text-blue-600 dark:hover:text-blue-400">
+                                                <span className="truncate">{record.data.from || 'Unknown vendor'} · {days < 0 ? `${-days}d overdue` : `due ${record.data.dueDate}`}</span>
+                                                <span className="whitespace-nowrap">{money(amount(record.data.total))}</span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                    {payables[id].rows.length === 0 && <li className="py-1 text-xs text-gray-400 dark:text-gray-500">None</li>}
+                                </ul>
+                            </details>
+                        ))}
+                    </div>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default ReportsView;
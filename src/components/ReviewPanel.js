@@ -0,0 +1,66 @@
+import React from 'react';
+import { confidenceLevel, isReviewed } from '../lib/confidence';
+
+const buttonClassName = "font-semibold py-1 px-3 rounded-lg transition-colors disabled:opacity-30 disabled:cursor-not-allowed";
+const secondaryButtonClassName = `${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500`;
+
+const percent = score => (score === null ? '–' : `${Math.round(score * 100)}%`);
+
+// Summary of low-confidence values and, in review mode, a stepper that walks
+// through them one at a time
+const ReviewPanel = ({ invoice, entries, activeKey, onStart, onSelect, onConfirm, onExit }) => {
+    const lowEntries = entries.filter(entry => confidenceLevel(entry.score) === 'low');
+    const uncertainCount = entries.filter(entry => confidenceLevel(entry.score) === 'uncertain').length;
+    const pendingCount = lowEntries.filter(entry => !isReviewed(invoice, entry.key)).length;
+    if (lowEntries.length === 0 && uncertainCount === 0) return null;
+
+    const activeIndex = lowEntries.findIndex(entry => entry.key === activeKey);
+    const active = lowEntries[activeIndex];
+
+    if (!active) {
+        return (
+            <div className={`mb-6 border px-4 py-3 rounded-lg text-sm flex flex-wrap items-center gap-3 ${pendingCount > 0 ? 'bg-orange-50 border-orange-300 text-orange-800 dark:bg-orange-900/30 dark:border-orange-700 dark:text-orange-300' : 'bg-gray-50 border-gray-200 text-gray-600 dark:bg-gray-700/50 dark:border-gray-600 dark:text-gray-400'}`}>
+                <p className="flex-1">
+                    {pendingCount > 0
+                        ? <><span className="font-bold">{pendingCount} low-confidence value{pendingCount === 1 ? '' : 's'} to review</span> before this invoice can be exported or approved.</>
+                        : lowEntries.length > 0 && `All ${lowEntries.length} low-confidence value${lowEntries.length === 1 ? ' has' : 's have'} been reviewed.`}
+                    {uncertainCount > 0 && ` ${uncertainCount} more ${uncertainCount === 1 ? 'is' : 'are'} underlined as uncertain.`}
+                </p>
+                {lowEntries.length > 0 && (
+                    <button onClick={onStart} className={`${buttonClassName} ${pendingCount > 0 ? 'bg-orange-600 text-white hover:bg-orange-700' : 'text-blue-600 dark:text-blue-400 hover:underline'}`}>
+                        {pendingCount > 0 ? 'Start Review' : 'Review Again'}
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    const isActiveReviewed = isReviewed(invoice, active.key);
+
+    return (
+        <div className="mb-6 border border-blue-300 bg-blue-50 dark:bg-blue-900/30 dark:border-blue-700 px-4 py-3 rounded-lg text-sm" role="region" aria-label="Low-confidence review">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="font-bold text-blue-800 dark:text-blue-300">
+                    Reviewing {activeIndex + 1} of {lowEntries.length}: {active.label}
+                </p>
+                <span className="text-xs text-gray-600 dark:text-gray-400">
+                    Confidence {percent(active.score)} · {pendingCount} left{isActiveReviewed && ' · ✓ reviewed'}
+                </span>
+            </div>
+            {active.reasons.length > 0 && (
+                <ul className="mt-1 list-disc list-inside text-gray-700 dark:text-gray-300">
+                    {active.reasons.map((reason, index) => <li key={index}>{reason}</li>)}
+                </ul>
+            )}
+            <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">Check the value against the highlighted part of the document. Correct it if needed, then confirm.</p>
+            <div className="mt-3 flex flex-wrap gap-2">
+                <button onClick={() => onSelect(lowEntries[activeIndex - 1].key)} disabled={activeIndex === 0} className={secondaryButtonClassName}>← Previous</button>
+                <button onClick={() => onSelect(lowEntries[activeIndex + 1].key)} disabled={activeIndex === lowEntries.length - 1} className={secondaryButtonClassName}>Next →</button>
+                <button onClick={() => onConfirm(active.key)} className={`${buttonClassName} bg-blue-600 text-white hover:bg-blue-700`}>✓ Confirm Value</button>
+                <button onClick={onExit} className={`${buttonClassName} ml-auto text-blue-600 dark:text-blue-400 hover:underline`}>Exit Review</button>
+            </div>
+        </div>
+    );
+};
+
+export default ReviewPanel;
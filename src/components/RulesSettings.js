@@ -0,0 +1,57 @@
+import React from 'react';
+import { createId } from '../lib/ids';
+
+const cellInputClassName = "w-full px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Vendor/keyword rules that categorize line items before any AI call
+const RulesSettings = ({ rules, accounts, onChange }) => {
+    const updateRule = (id, field, value) => onChange(rules.map(rule => rule.id === id ? { ...rule, [field]: value } : rule));
+    const addRule = () => onChange([...rules, { id: createId(), vendor: '', keyword: '', accountId: accounts.length > 0 ? accounts[0].id : '', learned: false }]);
+    const deleteRule = id => onChange(rules.filter(rule => rule.id !== id));
+
+    return (
+        <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                A line item matches when the vendor contains the vendor text and the description contains the keyword (leave one blank to match any).
+                Rules marked "learned" were created from your category corrections.
+            </p>
+            {rules.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400 py-4 text-center">No rules yet.</p>
+            ) : (
+                <div className="max-h-80 overflow-y-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-600 dark:text-gray-400">
+                                <th className="pb-2 font-semibold">Vendor contains</th>
+                                <th className="pb-2 font-semibold">Description contains</th>
+                                <th className="pb-2 font-semibold">Account</th>
+                                <th className="pb-2 w-8"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.map(rule => (
+                                <tr key={rule.id}>
+                                    <td className="pr-2 py-1"><input value={rule.vendor} onChange={e => updateRule(rule.id, 'vendor', e.target.value)} placeholder="Any vendor" className={cellInputClassName} /></td>
+                                    <td className="pr-2 py-1">
+                                        <input value={rule.keyword} onChange={e => updateRule(rule.id, 'keyword', e.target.value)} placeholder="Any description" className={cellInputClassName} />
+                                        {rule.learned && <span className="text-xs text-indigo-600 dark:text-indigo-400">learned</span>}
+                                    </td>
+                                    <td className="pr-2 py-1">
+                                        <select value={rule.accountId} onChange={e => updateRule(rule.id, 'accountId', e.target.value)} className={cellInputClassName}>
+                                            {!accounts.some(account => account.id === rule.accountId) && <option value={rule.accountId}>(deleted account)</option>}
+                                            {accounts.map(account => <option key={account.id} value={account.id}>{account.name}{account.glCode ? ` ${account.glCode}` : ''}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="py-1 text-right"><button onClick={() => deleteRule(rule.id)} className="text-gray-400 hover:text-red-600 dark:hover:text-red-400" title="Delete rule">✕</button></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <button onClick={addRule} disabled={accounts.length === 0} className="mt-3 text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline disabled:opacity-50">+ Add rule</button>
+        </div>
+    );
+};
+
+export default RulesSettings;
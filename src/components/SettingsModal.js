@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import AccountsSettings from './AccountsSettings';
+import RulesSettings from './RulesSettings';
+import CurrencySettings from './CurrencySettings';
+import EmailTemplatesSettings from './EmailTemplatesSettings';
+import ExpensePolicySettings from './ExpensePolicySettings';
+import MatchToleranceSettings from './MatchToleranceSettings';
+import KeyStorageSettings from './KeyStorageSettings';
+import { PROVIDERS } from '../lib/ai';
+
+const inputClassName = "block w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm placeholder-gray-400 dark:placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm";
+const labelClassName = "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+const TABS = [['general', 'General'], ['accounts', 'Chart of Accounts'], ['rules', 'Category Rules'], ['currencies', 'Currencies'], ['email', 'Email Templates'], ['policy', 'Expense Policy'], ['matching', 'PO Matching']];
+
+const SettingsModal = ({ isOpen, onClose, aiSettings, onAiSettingsChange, theme, onThemeChange, accounts, onAccountsChange, rules, onRulesChange, exchangeRates, onExchangeRatesChange, userName, onUserNameChange, emailTemplates, onEmailTemplatesChange, emailStyle, onEmailStyleChange, expensePolicy, onExpensePolicyChange, matchTolerances, onMatchTolerancesChange }) => {
+    const [tab, setTab] = useState('general');
+
+    if (!isOpen) return null;
+
+    const provider = PROVIDERS[aiSettings.provider];
+
+    const updateSettings = changes => onAiSettingsChange({ ...aiSettings, ...changes });
+    const updateApiKey = value => updateSettings({ apiKeys: { ...aiSettings.apiKeys, [provider.id]: value } });
+    const updateModel = value => updateSettings({ models: { ...aiSettings.models, [provider.id]: value } });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full ${tab === 'general' ? 'max-w-md' : 'max-w-2xl'} transform transition-all text-gray-800 dark:text-gray-200`}>
+                <div className="p-6">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-bold">Settings</h3>
+                        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                        </button>
+                    </div>
+
+                    <div className="flex gap-1 mb-6 border-b border-gray-200 dark:border-gray-700 overflow-x-auto">
+                        {TABS.map(([id, label]) => (
+                            <button key={id} onClick={() => setTab(id)} className={`px-3 py-2 text-sm font-semibold whitespace-nowrap border-b-2 -mb-px transition-colors ${tab === id ? 'border-blue-600 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'}`}>{label}</button>
+                        ))}
+                    </div>
+
+                    {tab === 'accounts' && <AccountsSettings accounts={accounts} onChange={onAccountsChange} />}
+                    {tab === 'rules' && <RulesSettings rules={rules} accounts={accounts} onChange={onRulesChange} />}
+                    {tab === 'currencies' && <CurrencySettings exchangeRates={exchangeRates} onChange={onExchangeRatesChange} />}
+                    {tab === 'email' && <EmailTemplatesSettings templates={emailTemplates} onChange={onEmailTemplatesChange} emailStyle={emailStyle} onEmailStyleChange={onEmailStyleChange} />}
+                    {tab === 'policy' && <ExpensePolicySettings policy={expensePolicy} accounts={accounts} baseCurrency={exchangeRates.baseCurrency} onChange={onExpensePolicyChange} />}
+                    {tab === 'matching' && <MatchToleranceSettings tolerances={matchTolerances} onChange={onMatchTolerancesChange} />}
+
+                    {tab === 'general' && (
+                        <div className="space-y-6">
+                            <div>
+                                <label htmlFor="user-name-input" className={labelClassName}>Your name</label>
+                                <input
+                                    type="text"
+                                    id="user-name-input"
+                                    value={userName}
+                                    onChange={e => onUserNameChange(e.target.value)}
+                                    placeholder="e.g. Jordan Lee"
+                                    className={inputClassName}
+                                />
+                                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Recorded with approvals and in the audit trail.</p>
+                            </div>
+
+                            <div>
+                                <label htmlFor="provider-select" className={labelClassName}>AI Provider</label>
+                                <select id="provider-select" value={provider.id} onChange={e => updateSettings({ provider: e.target.value })} className={inputClassName}>
+                                    {Object.values(PROVIDERS).map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                                </select>
+                                {provider.id === 'mock' && (
+                                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Returns built-in sample data without calling any service. Useful for offline demos and tests.</p>
+                                )}
+                            </div>
+
+                            {provider.id !== 'mock' && (
+                                <div>
+                                    <label htmlFor="model-input" className={labelClassName}>Model</label>
+                                    <input
+                                        type="text"
+                                        id="model-input"
+                                        value={aiSettings.models[provider.id] || ''}
+                                        onChange={e => updateModel(e.target.value)}
+                                        placeholder={provider.defaultModel}
+                                        className={inputClassName}
+                                    />
+                                </div>
+                            )}
+
+                            {provider.requiresBaseUrl && (
+                                <div>
+                                    <label htmlFor="base-url-input" className={labelClassName}>Server URL</label>
+                                    <input
+                                        type="url"
+                                        id="base-url-input"
+                                        value={aiSettings.baseUrl}
+                                        onChange={e => updateSettings({ baseUrl: e.target.value })}
+                                        placeholder={provider.defaultBaseUrl}
+                                        className={inputClassName}
+                                    />
+                                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                                        The <code>/v1</code> address of any OpenAI-compatible server, e.g. Ollama at {provider.defaultBaseUrl}. Use a vision-capable model.
+                                    </p>
+                                </div>
+                            )}
+
+                            {provider.supportsProxy && (
+                                <div>
+                                    <label htmlFor="proxy-url-input" className={labelClassName}>Local proxy (optional)</label>
+                                    <input
+                                        type="url"
+                                        id="proxy-url-input"
+                                        value={aiSettings.proxyUrl}
+                                        onChange={e => updateSettings({ proxyUrl: e.target.value })}
+                                        placeholder="http://localhost:8787"
+                                        className={inputClassName}
+                                    />
+                                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                                        Run <code>GEMINI_API_KEY=... npm run proxy</code> to keep the key on your machine instead of in the browser.
+                                    </p>
+                                </div>
+                            )}
+
+                            {provider.id === 'gemini' && !aiSettings.proxyUrl && (
+                                <div>
+                                    <label htmlFor="api-key-input" className={labelClassName}>
+                                        Google AI API Key
+                                    </label>
+                                    <input
+                                        type="password"
+                                        id="api-key-input"
+                                        value={aiSettings.apiKeys.gemini}
+                                        onChange={e => updateApiKey(e.target.value)}
+                                        placeholder="Paste your API key here"
+                                        autoComplete="off"
+                                        className={inputClassName}
+                                    />
+                                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                                        Get a free key from <a href="https://aistudio.google.com/API" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">Google AI Studio</a>.
+                                    </p>
+                                </div>
+                            )}
+
+                            {provider.id === 'openai' && (
+                                <div>
+                                    <label htmlFor="api-key-input" className={labelClassName}>API Key (optional)</label>
+                                    <input
+                                        type="password"
+                                        id="api-key-input"
+                                        value={aiSettings.apiKeys.openai}
+                                        onChange={e => updateApiKey(e.target.value)}
+                                        placeholder="Not needed for most local servers"
+                                        autoComplete="off"
+                                        className={inputClassName}
+                                    />
+                                </div>
+                            )}
+
+                            {provider.id !== 'mock' && !(provider.supportsProxy && aiSettings.proxyUrl) && (
+                                <KeyStorageSettings aiSettings={aiSettings} onAiSettingsChange={onAiSettingsChange} />
+                            )}
+
+                            <div className="flex items-center justify-between">
+                                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Dark Mode</span>
+                                <button onClick={onThemeChange} className={`relative inline-flex items-center h-6 rounded-full w-11 transition-colors ${theme === 'dark' ? 'bg-blue-600' : 'bg-gray-200'}`}>
+                                    <span className={`inline-block w-4 h-4 transform bg-white rounded-full transition-transform ${theme === 'dark' ? 'translate-x-6' : 'translate-x-1'}`}/>
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+                 <div className="bg-gray-50 dark:bg-gray-800/50 px-6 py-4 rounded-b-xl flex justify-end">
+                    <button onClick={onClose} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors">
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SettingsModal;
@@ -0,0 +1,82 @@
+import React from 'react';
+
+// Colours for series in order; the last one is used for "Other"
+export const SERIES_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#9333ea', '#dc2626', '#0891b2', '#6b7280'];
+
+export const seriesColor = (series, index) => (series.key === 'Other' ? SERIES_COLORS[SERIES_COLORS.length - 1] : SERIES_COLORS[index % (SERIES_COLORS.length - 1)]);
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const MARGIN = { top: 10, right: 10, bottom: 30, left: 64 };
+const TICK_COUNT = 4;
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+    if (value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+    return step * magnitude;
+};
+
+// Stacked bars per period. Clicking a segment selects { period, seriesKey }.
+const StackedBarChart = ({ periods, series, formatAmount, formatPeriod, selected, onSelect }) => {
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const periodTotals = periods.map(period => series.reduce((sum, s) => sum + Math.max(0, s.values[period] || 0), 0));
+    const maxValue = niceMax(Math.max(0, ...periodTotals));
+    const slot = plotWidth / Math.max(1, periods.length);
+    const barWidth = Math.min(48, slot * 0.7);
+    const y = value => MARGIN.top + plotHeight - (value / maxValue) * plotHeight;
+    // Label every nth period so labels don't overlap
+    const labelEvery = Math.ceil(periods.length / 12);
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Spend by period">
+            {Array.from({ length: TICK_COUNT + 1 }, (_, index) => {
+                const value = (maxValue / TICK_COUNT) * index;
+                return (
+                    <g key={index}>
+                        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(value)} y2={y(value)} className="stroke-gray-200 dark:stroke-gray-700" />
+                        <text x={MARGIN.left - 6} y={y(value)} textAnchor="end" dominantBaseline="middle" className="fill-gray-500 dark:fill-gray-400" fontSize="10">{formatAmount(value)}</text>
+                    </g>
+                );
+            })}
+            {periods.map((period, periodIndex) => {
+                const x = MARGIN.left + slot * periodIndex + (slot - barWidth) / 2;
+                let stackTop = 0;
+                return (
+                    <g key={period}>
+                        {series.map((s, seriesIndex) => {
+                            const value = Math.max(0, s.values[period] || 0);
+                            if (value === 0) return null;
+                            const top = y(stackTop + value);
+                            const height = y(stackTop) - top;
+                            stackTop += value;
+                            const isSelected = selected && selected.period === period && selected.seriesKey === s.key;
+                            return (
+                                <rect
+                                    key={s.key}
+                                    x={x}
+                                    y={top}
+                                    width={barWidth}
+                                    height={Math.max(0.5, height)}
+                                    fill={seriesColor(s, seriesIndex)}
+                                    opacity={selected && !isSelected ? 0.45 : 1}
+                                    className="cursor-pointer"
+                                    onClick={() => onSelect({ period, seriesKey: s.key })}
+                                >
+                                    <title>{`${s.key} · ${formatPeriod(period)}: ${formatAmount(value)}`}</title>
+                                </rect>
+                            );
+                        })}
+                        {periodIndex % labelEvery === 0 && (
+                            <text x={x + barWidth / 2} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" className="fill-gray-500 dark:fill-gray-400" fontSize="10">{formatPeriod(period)}</text>
+                        )}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+export default StackedBarChart;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { STATUS_LABELS } from '../lib/workflow';
+
+export const STATUS_STYLES = {
+    received: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+    in_review: 'bg-blue-100 text-blue-700 dark:bg-blue-500/20 dark:text-blue-300',
+    approved: 'bg-green-100 text-green-700 dark:bg-green-500/20 dark:text-green-300',
+    scheduled: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-500/20 dark:text-indigo-300',
+    paid: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-500/20 dark:text-emerald-300',
+    rejected: 'bg-red-100 text-red-700 dark:bg-red-500/20 dark:text-red-300'
+};
+
+const StatusBadge = ({ status }) => (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${STATUS_STYLES[status]}`}>{STATUS_LABELS[status]}</span>
+);
+
+export default StatusBadge;
@@ -0,0 +1,70 @@
+import React from 'react';
+import EditableField from './EditableField';
+import { taxLineField } from '../lib/validation';
+
+// Tax names offered while typing; anything else can still be entered
+const TAX_TYPES = ['VAT', 'Reduced VAT', 'GST', 'HST', 'PST', 'QST', 'Sales tax', 'Use tax', 'Withholding tax'];
+
+// Editable tax breakdown: one row per tax type and rate
+const TaxSummary = ({ taxLines, canFillFromItems, onUpdate, onAdd, onDelete, onFillFromItems, onFocus, formatCurrency, issueClassName, issueTitle }) => {
+    const baseTotal = taxLines.reduce((sum, line) => sum + (Number(line.baseAmount) || 0), 0);
+    const taxTotal = taxLines.reduce((sum, line) => sum + (Number(line.taxAmount) || 0), 0);
+
+    return (
+        <div className="mt-8">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-xl font-bold text-gray-700 dark:text-gray-300">Tax Summary</h3>
+                {canFillFromItems && (
+                    <button onClick={onFillFromItems} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">Calculate from line rates</button>
+                )}
+            </div>
+            <div className={`overflow-x-auto rounded-lg ${issueClassName('taxLines')}`} title={issueTitle('taxLines')}>
+                <datalist id="tax-type-options">
+                    {TAX_TYPES.map(type => <option key={type} value={type} />)}
+                </datalist>
+                <table className="w-full text-left text-sm">
+                    <thead>
+                        <tr className="bg-gray-100 dark:bg-gray-700/50 font-semibold text-gray-600 dark:text-gray-400">
+                            <th className="p-3 rounded-l-lg">Tax</th>
+                            <th className="p-3 text-right">Rate %</th>
+                            <th className="p-3 text-right">Taxable Amount</th>
+                            <th className="p-3 text-right">Tax Amount</th>
+                            <th className="p-3 rounded-r-lg"><span className="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {taxLines.map((line, index) => (
+                            <tr key={line.id || index} className="border-b border-gray-200 dark:border-gray-700">
+                                <td className="p-3"><EditableField value={line.type} onChange={value => onUpdate(line.id, 'type', value)} onFocus={onFocus} list="tax-type-options" placeholder="Tax type" /></td>
+                                {['rate', 'baseAmount', 'taxAmount'].map(field => (
+                                    <td key={field} className="p-3 w-32">
+                                        <EditableField type="number" value={line[field]} onChange={value => onUpdate(line.id, field, value)} onFocus={onFocus} title={issueTitle(taxLineField(line, index, field))} className={`text-right ${issueClassName(taxLineField(line, index, field))}`} />
+                                    </td>
+                                ))}
+                                <td className="p-3 text-gray-400">
+                                    <button onClick={() => onDelete(line.id)} className="p-1 hover:text-red-600 dark:hover:text-red-400" title="Delete tax line">✕</button>
+                                </td>
+                            </tr>
+                        ))}
+                        {taxLines.length === 0 && (
+                            <tr><td colSpan={5} className="p-3 text-gray-500 dark:text-gray-400">No tax breakdown. The tax amount below is used as entered.</td></tr>
+                        )}
+                    </tbody>
+                    {taxLines.length > 1 && (
+                        <tfoot>
+                            <tr className="font-semibold">
+                                <td className="p-3" colSpan={2}>Total</td>
+                                <td className="p-3 text-right">{formatCurrency(baseTotal)}</td>
+                                <td className="p-3 text-right">{formatCurrency(taxTotal)}</td>
+                                <td></td>
+                            </tr>
+                        </tfoot>
+                    )}
+                </table>
+            </div>
+            <button onClick={onAdd} className="mt-3 text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">+ Add tax line</button>
+        </div>
+    );
+};
+
+export default TaxSummary;
@@ -0,0 +1,32 @@
+import React from 'react';
+
+// List of validation problems found in the open invoice
+const ValidationSummary = ({ issues }) => {
+    if (issues.length === 0) {
+        return (
+            <div className="mb-6 bg-green-50 border border-green-300 text-green-700 px-4 py-3 rounded-lg text-sm dark:bg-green-900/30 dark:border-green-700 dark:text-green-300">
+                ✓ All checks passed: line items, totals and dates are consistent.
+            </div>
+        );
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+
+    return (
+        <div className={`mb-6 border px-4 py-3 rounded-lg text-sm ${errorCount > 0 ? 'bg-red-50 border-red-300 text-red-700 dark:bg-red-900/30 dark:border-red-700 dark:text-red-300' : 'bg-yellow-50 border-yellow-300 text-yellow-800 dark:bg-yellow-900/30 dark:border-yellow-700 dark:text-yellow-300'}`} role="alert">
+            <p className="font-bold mb-1">
+                {errorCount > 0 && `${errorCount} error${errorCount === 1 ? '' : 's'}`}
+                {errorCount > 0 && warningCount > 0 && ' and '}
+                {warningCount > 0 && `${warningCount} warning${warningCount === 1 ? '' : 's'}`} found. Please review the highlighted values.
+            </p>
+            <ul className="list-disc list-inside space-y-0.5">
+                {issues.map((issue, index) => (
+                    <li key={index}><span className="font-semibold">{issue.severity === 'error' ? 'Error' : 'Warning'}:</span> {issue.message}</li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default ValidationSummary;
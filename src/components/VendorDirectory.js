@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import { createVendor, matchVendor, vendorHistory } from '../lib/vendors';
+import { COMMON_CURRENCIES } from '../lib/money';
+
+const inputClassName = "w-full px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+const labelClassName = "block text-sm font-semibold text-gray-600 dark:text-gray-400 mb-1";
+
+const Field = ({ label, children, className = '' }) => (
+    <label className={`block ${className}`}>
+        <span className={labelClassName}>{label}</span>
+        {children}
+    </label>
+);
+
+// Vendor master data: canonical names with aliases, tax and payment details,
+// and defaults applied to invoices linked to the vendor
+const VendorDirectory = ({ vendors, invoices, accounts, onSave, onDelete, onLinkInvoices }) => {
+    const [search, setSearch] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [draft, setDraft] = useState(null);
+
+    const selected = vendors.find(vendor => vendor.id === selectedId) || null;
+
+    useEffect(() => {
+        setDraft(selected ? { ...selected, aliasText: (selected.aliases || []).join('\n') } : null);
+    }, [selected]);
+
+    const query = search.trim().toLowerCase();
+    const visibleVendors = vendors.filter(vendor => !query || [vendor.name, vendor.taxId, ...(vendor.aliases || [])].some(text => (text || '').toLowerCase().includes(query)));
+
+    // Library invoices not linked to any vendor that this vendor would match
+    const unlinkedMatches = draft ? invoices.filter(record => !record.data.vendorId && matchVendor([selected], { name: record.data.from, taxId: record.data.sellerTaxId })).length : 0;
+    const history = draft ? vendorHistory(invoices, draft.id) : null;
+
+    const update = (field, value) => setDraft(current => ({ ...current, [field]: value }));
+    const updateBank = (field, value) => setDraft(current => ({ ...current, bankDetails: { ...current.bankDetails, [field]: value } }));
+
+    const addVendor = async () => {
+        const vendor = createVendor({ name: 'New vendor' });
+        await onSave(vendor);
+        setSelectedId(vendor.id);
+    };
+
+    const save = () => {
+        const { aliasText, ...vendor } = draft;
+        const terms = parseInt(vendor.paymentTermsDays, 10);
+        onSave({
+            ...vendor,
+            name: vendor.name.trim(),
+            aliases: aliasText.split('\n').map(alias => alias.trim()).filter(Boolean),
+            paymentTermsDays: Number.isNaN(terms) ? null : terms,
+            updatedAt: new Date().toISOString()
+        });
+    };
+
+    const remove = () => {
+        if (!window.confirm(`Delete ${draft.name} from the vendor directory? Invoices linked to it keep their data.`)) return;
+        onDelete(draft.id);
+        setSelectedId(null);
+    };
+
+    return (
+        <div className="mt-10 max-w-6xl mx-auto bg-white dark:bg-gray-800 p-6 sm:p-8 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Vendors</h2>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{vendors.length} vendor{vendors.length === 1 ? '' : 's'} in the directory</p>
+                </div>
+                <div className="flex items-center gap-3">
+                    <input type="search" value={search} onChange={e => setSearch(e.target.value)} placeholder="Search name, alias or tax ID" className={`${inputClassName} w-64`} />
+                    <button onClick={addVendor} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap">+ Add Vendor</button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-start">
+                <ul className="md:col-span-1 divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg max-h-[32rem] overflow-y-auto">
+                    {visibleVendors.map(vendor => (
+                        <li key={vendor.id}>
+                            <button onClick={() => setSelectedId(vendor.id)} className={`w-full text-left px-4 py-3 text-sm hover:bg-gray-50 dark:hover:bg-gray-700/50 ${vendor.id === selectedId ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}>
+                                <span className="block font-semibold text-gray-800 dark:text-gray-200 truncate">{vendor.name || 'Unnamed vendor'}</span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">
+                                    {[vendor.taxId, (vendor.aliases || []).length > 0 && `${vendor.aliases.length} alias${vendor.aliases.length === 1 ? '' : 'es'}`].filter(Boolean).join(' · ') || 'No tax ID'}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                    {visibleVendors.length === 0 && (
+                        <li className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                            {vendors.length === 0 ? 'No vendors yet. Add one here or create one from an open invoice.' : 'No vendors match your search.'}
+                        </li>
+                    )}
+                </ul>
+
+                {draft ? (
+                    <div className="md:col-span-2 space-y-4">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <Field label="Canonical name"><input value={draft.name} onChange={e => update('name', e.target.value)} className={inputClassName} /></Field>
+                            <Field label="Tax ID"><input value={draft.taxId} onChange={e => update('taxId', e.target.value)} placeholder="VAT, GST/ABN, EIN..." className={inputClassName} /></Field>
+                            <Field label="Aliases (one per line)" className="sm:col-span-2">
+                                <textarea value={draft.aliasText} onChange={e => update('aliasText', e.target.value)} rows={3} placeholder={'ACME LTD.\nAcme Limited'} className={inputClassName} />
+                            </Field>
+                            <Field label="Address" className="sm:col-span-2">
+                                <textarea value={draft.address} onChange={e => update('address', e.target.value)} rows={2} className={inputClassName} />
+                            </Field>
+                            <Field label="Default currency">
+                                <input value={draft.defaultCurrency} onChange={e => update('defaultCurrency', e.target.value.toUpperCase())} list="vendor-currency-options" placeholder="e.g. EUR" className={inputClassName} />
+                                <datalist id="vendor-currency-options">
+                                    {COMMON_CURRENCIES.map(currency => <option key={currency} value={currency} />)}
+                                </datalist>
+                            </Field>
+                            <Field label="Default category">
+                                <input value={draft.defaultCategory} onChange={e => update('defaultCategory', e.target.value)} list="vendor-account-options" placeholder="Used for uncategorized lines" className={inputClassName} />
+                                <datalist id="vendor-account-options">
+                                    {accounts.map(account => <option key={account.id} value={account.name} />)}
+                                </datalist>
+                            </Field>
+                            <Field label="Payment terms (days)">
+                                <input type="number" min="0" value={draft.paymentTermsDays === null ? '' : draft.paymentTermsDays} onChange={e => update('paymentTermsDays', e.target.value)} placeholder="e.g. 30" className={inputClassName} />
+                            </Field>
+                        </div>
+
+                        <fieldset className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                            <legend className="px-1 text-sm font-semibold text-gray-600 dark:text-gray-400">Bank details</legend>
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                                <Field label="Account holder"><input value={draft.bankDetails.accountName} onChange={e => updateBank('accountName', e.target.value)} className={inputClassName} /></Field>
+                                <Field label="IBAN / account number"><input value={draft.bankDetails.accountNumber} onChange={e => updateBank('accountNumber', e.target.value)} className={inputClassName} /></Field>
+                                <Field label="SWIFT/BIC or routing code"><input value={draft.bankDetails.routingCode} onChange={e => updateBank('routingCode', e.target.value)} className={inputClassName} /></Field>
+                            </div>
+                        </fieldset>
+
+                        <Field label="Extraction notes">
+                            <textarea value={draft.notes} onChange={e => update('notes', e.target.value)} rows={2} placeholder="e.g. The invoice number is printed top right, next to the logo" className={inputClassName} />
+                        </Field>
+
+                        {history.invoiceCount > 0 && (
+                            <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 text-sm text-gray-600 dark:text-gray-400">
+                                <p className="font-semibold text-gray-700 dark:text-gray-300 mb-1">Learned from {history.invoiceCount} linked invoice{history.invoiceCount === 1 ? '' : 's'}</p>
+                                {history.numberPattern && <p>Invoice numbers look like <span className="font-mono">{history.numberPattern}</span> (e.g. {history.numberExample})</p>}
+                                {history.usualItems.length > 0 && <p>Usual line items: {history.usualItems.join(', ')}</p>}
+                            </div>
+                        )}
+
+                        <div className="flex flex-wrap items-center gap-3">
+                            <button onClick={save} disabled={!draft.name.trim()} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">Save Vendor</button>
+                            {unlinkedMatches > 0 && (
+                                <button onClick={() => onLinkInvoices(selected)} className="text-sm text-blue-600 dark:text-blue-400 font-semibold hover:underline">
+                                    Link {unlinkedMatches} matching invoice{unlinkedMatches === 1 ? '' : 's'}
+                                </button>
+                            )}
+                            <button onClick={remove} className="ml-auto text-sm text-red-600 dark:text-red-400 font-semibold hover:underline">Delete Vendor</button>
+                        </div>
+                    </div>
+                ) : (
+                    <p className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">Select a vendor to edit its details.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VendorDirectory;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { matchVendor } from '../lib/vendors';
+
+const linkButtonClassName = "font-semibold text-blue-600 dark:text-blue-400 hover:underline";
+
+// Which directory vendor the open invoice belongs to, with a prompt to link or create one
+const VendorLink = ({ invoice, vendors, onLink, onCreate, onUnlink }) => {
+    const linked = invoice.vendorId && vendors.find(vendor => vendor.id === invoice.vendorId);
+
+    if (linked) {
+        return (
+            <div className="mb-8 -mt-4 flex flex-wrap items-center gap-3 text-sm text-gray-600 dark:text-gray-400">
+                <span>✓ Linked to <span className="font-semibold text-gray-800 dark:text-gray-200">{linked.name}</span> in the vendor directory</span>
+                <button onClick={onUnlink} className="text-gray-500 dark:text-gray-400 hover:underline">Unlink</button>
+            </div>
+        );
+    }
+
+    const printedName = (invoice.from || '').trim();
+    const match = matchVendor(vendors, { name: printedName, taxId: invoice.sellerTaxId });
+    if (!printedName && !match) return null;
+
+    return (
+        <div className="mb-8 -mt-4 flex flex-wrap items-center gap-3 text-sm bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 text-blue-800 dark:text-blue-300 px-4 py-2 rounded-lg">
+            {match ? (
+                <>
+                    <span>This looks like <span className="font-semibold">{match.name}</span> from the vendor directory.</span>
+                    <button onClick={() => onLink(match)} className={linkButtonClassName}>Link</button>
+                </>
+            ) : (
+                <>
+                    <span><span className="font-semibold">{printedName}</span> isn't in the vendor directory.</span>
+                    <button onClick={onCreate} className={linkButtonClassName}>Create Vendor</button>
+                    {vendors.length > 0 && (
+                        <select value="" onChange={e => onLink(vendors.find(vendor => vendor.id === e.target.value))} className="px-2 py-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-200">
+                            <option value="">Or link to an existing vendor...</option>
+                            {vendors.map(vendor => <option key={vendor.id} value={vendor.id}>{vendor.name}</option>)}
+                        </select>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default VendorLink;
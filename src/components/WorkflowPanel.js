@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import StatusBadge from './StatusBadge';
+import { STATUSES, STATUS_LABELS, allowedTransitions, daysOverdue } from '../lib/workflow';
+import { listAuditEntries } from '../lib/invoiceStore';
+
+const inputClassName = "px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Action buttons read better as verbs than as the status they lead to
+const ACTION_LABELS = {
+    in_review: 'Start Review',
+    approved: 'Approve',
+    scheduled: 'Schedule Payment',
+    paid: 'Mark Paid',
+    rejected: 'Reject'
+};
+
+const statusOrder = status => STATUSES.findIndex(([id]) => id === status);
+
+const actionLabel = (from, to) => {
+    if (from === 'rejected') return 'Reopen';
+    if (to !== 'rejected' && statusOrder(to) < statusOrder(from)) return `Back to ${STATUS_LABELS[to]}`;
+    return ACTION_LABELS[to];
+};
+
+const formatTimestamp = at => new Date(at).toLocaleString();
+
+const describeAuditEntry = (entry) => {
+    switch (entry.type) {
+        case 'status':
+            return `changed status from ${STATUS_LABELS[entry.from]} to ${STATUS_LABELS[entry.to]}${entry.comment ? `: "${entry.comment}"` : ''}`;
+        case 'assign':
+            return entry.to ? `assigned to ${entry.to}` : `removed assignee ${entry.from}`;
+        case 'edit':
+            if (entry.change) return `${entry.change} ${entry.label}`;
+            return `changed ${entry.label} from "${entry.from}" to "${entry.to}"`;
+        case 'created':
+            return `saved the transcription of ${entry.to}`;
+        case 'deleted':
+            return 'deleted the invoice';
+        case 'replaced':
+            return `replaced the invoice with a new transcription of ${entry.to}`;
+        default:
+            return entry.type;
+    }
+};
+
+// Status, assignee, transition history and audit trail of a saved invoice.
+// `blockedTransitions` maps a status to the reason it can't be reached yet.
+const WorkflowPanel = ({ record, workflow, auditVersion, knownAssignees, onTransition, onAssign, blockedTransitions = {} }) => {
+    const [comment, setComment] = useState('');
+    const [assignee, setAssignee] = useState(workflow.assignee);
+    const [isAuditOpen, setIsAuditOpen] = useState(false);
+    const [auditEntries, setAuditEntries] = useState([]);
+
+    useEffect(() => setAssignee(workflow.assignee), [workflow.assignee]);
+
+    useEffect(() => {
+        if (!isAuditOpen) return;
+        let cancelled = false;
+        listAuditEntries(record.id)
+            .then(entries => { if (!cancelled) setAuditEntries(entries); })
+            .catch(err => console.error("Error loading audit trail:", err));
+        return () => { cancelled = true; };
+    }, [record.id, isAuditOpen, auditVersion]);
+
+    const commitAssignee = () => {
+        if (assignee.trim() !== workflow.assignee) onAssign(assignee.trim());
+    };
+
+    const handleTransition = async (to) => {
+        if (await onTransition(to, comment)) setComment('');
+    };
+
+    const overdueDays = daysOverdue(record.data, workflow);
+
+    return (
+        <div className="mb-6 bg-gray-50 dark:bg-gray-700/50 p-4 rounded-lg text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="font-semibold text-gray-500 dark:text-gray-400">Status</span>
+                <StatusBadge status={workflow.status} />
+                {overdueDays > 0 && <span className="text-xs font-semibold text-red-600 dark:text-red-400">Overdue by {overdueDays} day{overdueDays === 1 ? '' : 's'}</span>}
+                <label className="ml-auto flex items-center gap-2">
+                    <span className="font-semibold text-gray-500 dark:text-gray-400">Assignee</span>
+                    <input
+                        value={assignee}
+                        onChange={e => setAssignee(e.target.value)}
+                        onBlur={commitAssignee}
+                        onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                        list="assignee-options"
+                        placeholder="Unassigned"
+                        className={`${inputClassName} w-44 py-1`}
+                    />
+                    <datalist id="assignee-options">
+                        {knownAssignees.map(name => <option key={name} value={name} />)}
+                    </datalist>
+                </label>
+            </div>
+
+            {allowedTransitions(workflow.status).length > 0 && (
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                    <input value={comment} onChange={e => setComment(e.target.value)} placeholder="Comment (required to reject)" className={`${inputClassName} flex-1 min-w-[12rem] py-1`} />
+                    {allowedTransitions(workflow.status).map(to => (
+                        <button
+                            key={to}
+                            onClick={() => handleTransition(to)}
+                            disabled={Boolean(blockedTransitions[to])}
+                            title={blockedTransitions[to]}
+                            className={`font-semibold py-1 px-3 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${to === 'rejected' ? 'bg-red-100 text-red-700 hover:bg-red-200 dark:bg-red-500/20 dark:text-red-300 dark:hover:bg-red-500/30' : 'bg-blue-600 text-white hover:bg-blue-700'}`}
+                        >
+                            {actionLabel(workflow.status, to)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {workflow.history.length > 0 && (
+                <ol className="mt-3 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                    {workflow.history.map((step, index) => (
+                        <li key={index}>
+                            <span className="font-semibold">{STATUS_LABELS[step.to]}</span> · {step.by} · {formatTimestamp(step.at)}
+                            {step.comment && <span className="italic"> — "{step.comment}"</span>}
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            <button onClick={() => setIsAuditOpen(open => !open)} className="mt-3 text-xs text-blue-600 dark:text-blue-400 font-semibold hover:underline">
+                {isAuditOpen ? 'Hide audit trail' : 'Show audit trail'}
+            </button>
+            {isAuditOpen && (
+                <ul className="mt-2 max-h-60 overflow-y-auto space-y-1 text-xs text-gray-600 dark:text-gray-400 border-t border-gray-200 dark:border-gray-600 pt-2">
+                    {auditEntries.length === 0 && <li>No changes recorded yet.</li>}
+                    {auditEntries.map(entry => (
+                        <li key={entry.id}><span className="text-gray-400">{formatTimestamp(entry.at)}</span> · <span className="font-semibold">{entry.by}</span> {describeAuditEntry(entry)}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default WorkflowPanel;
@@ -0,0 +1,64 @@
+import { useState, useCallback } from 'react';
+
+const MAX_HISTORY = 100;
+
+// State with an undo/redo history. Consecutive updates that share a
+// coalesceKey (e.g. keystrokes in the same field) become a single step.
+const useUndoableState = (initialValue) => {
+    const [history, setHistory] = useState({ past: [], present: initialValue, future: [], lastKey: null });
+
+    const set = useCallback((updater, { coalesceKey = null } = {}) => {
+        setHistory(prev => {
+            const next = typeof updater === 'function' ? updater(prev.present) : updater;
+            if (next === prev.present) return prev;
+            const coalesce = coalesceKey !== null && coalesceKey === prev.lastKey;
+            return {
+                past: coalesce ? prev.past : [...prev.past, prev.present].slice(-MAX_HISTORY),
+                present: next,
+                future: [],
+                lastKey: coalesceKey
+            };
+        });
+    }, []);
+
+    // Replace the value and forget its history
+    const reset = useCallback((value) => {
+        setHistory({ past: [], present: value, future: [], lastKey: null });
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(prev => {
+            if (prev.past.length === 0) return prev;
+            return {
+                past: prev.past.slice(0, -1),
+                present: prev.past[prev.past.length - 1],
+                future: [prev.present, ...prev.future],
+                lastKey: null
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(prev => {
+            if (prev.future.length === 0) return prev;
+            return {
+                past: [...prev.past, prev.present],
+                present: prev.future[0],
+                future: prev.future.slice(1),
+                lastKey: null
+            };
+        });
+    }, []);
+
+    return {
+        value: history.present,
+        set,
+        reset,
+        undo,
+        redo,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    };
+};
+
+export default useUndoableState;
@@ -0,0 +1,128 @@
+const MAX_RETRIES = 3;
+
+// First retry delay; each further retry waits twice as long
+const BASE_RETRY_DELAY_MS = 1000;
+
+// Waits longer than this aren't spent inside one request. The error is thrown
+// instead, so the upload queue can hold the job and try again later.
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Overloaded (503) and rate-limited (429) requests are worth repeating
+const RETRYABLE_STATUSES = [429, 503];
+
+// Remove API keys from text that may be shown to the user or logged: the given
+// secrets, anything shaped like a Google API key, and key= query parameters
+export const redactSecrets = (text, secrets = []) => {
+    let redacted = String(text);
+    secrets.filter(Boolean).forEach(secret => { redacted = redacted.split(secret).join('[redacted]'); });
+    return redacted
+        .replace(/AIza[0-9A-Za-z_-]{35}/g, '[redacted]')
+        .replace(/([?&]key=)[^&\s"']+/gi, '$1[redacted]');
+};
+
+// Delay before retry number `attempt` (1-based): 1s, 2s, 4s, ...
+export const backoffDelay = (attempt, baseDelay = BASE_RETRY_DELAY_MS) => baseDelay * 2 ** (attempt - 1);
+
+// Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or null
+export const parseRetryAfter = (value, now = Date.now()) => {
+    const text = (value || '').trim();
+    if (!text) return null;
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Google APIs also give the delay in the error body as a RetryInfo detail, e.g. "retryDelay": "31s".
+// Browsers can't read Retry-After on cross-origin responses unless the server exposes it.
+const retryDelayFromBody = (text) => {
+    const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(text || '');
+    return match ? Math.round(Number(match[1]) * 1000) : null;
+};
+
+// An error the caller can retry later: { retryable: true, status, retryAfterMs }
+const retryableError = (message, { status = null, retryAfterMs = null } = {}) => Object.assign(new Error(message), { retryable: true, status, retryAfterMs });
+
+// True for rate limits, overloads and dropped connections that are worth trying again later
+export const isRetryableError = err => Boolean(err && err.retryable);
+
+// True when the request was cancelled through its AbortSignal
+export const isAbortError = err => Boolean(err) && err.name === 'AbortError';
+
+const abortError = () => (typeof DOMException === 'function' ? new DOMException('The request was cancelled.', 'AbortError') : Object.assign(new Error('The request was cancelled.'), { name: 'AbortError' }));
+
+// Wait, stopping early with an AbortError if the signal fires
+export const sleep = (ms, signal = null) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// POST a JSON body and return the parsed JSON response.
+// Retries with exponential backoff on 429 (rate limited), 503 (model overloaded)
+// and network errors, waiting as long as the server's Retry-After asks. When the
+// wait would be too long, or the browser is offline, the error is thrown at once
+// and marked retryable. Other error statuses are thrown straight away.
+// `signal` cancels the request, including any wait between attempts.
+export const postJson = async (url, body, headers = {}, { signal = null } = {}) => {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            if (isAbortError(error) || (signal && signal.aborted)) throw abortError();
+            // Network errors: no point retrying while the browser knows it's offline
+            lastError = retryableError(isOffline() ? "You're offline. The request will be retried when the connection is back." : `Network error: ${error.message}`);
+            console.error(`Attempt ${attempt} failed with network error:`, error);
+            if (isOffline()) break;
+            if (attempt < MAX_RETRIES) await sleep(backoffDelay(attempt), signal);
+            continue;
+        }
+
+        if (response.ok) {
+            // A garbled body won't improve on a retry, so report it straight away
+            const text = await response.text();
+            try {
+                return JSON.parse(text);
+            } catch (err) {
+                lastError = new Error(`The API returned a response that isn't valid JSON: ${text.slice(0, 200)}`);
+                break;
+            }
+        }
+
+        const errorBody = await response.text();
+        if (!RETRYABLE_STATUSES.includes(response.status)) {
+            lastError = new Error(`API request failed with status ${response.status}: ${errorBody}`);
+            break;
+        }
+
+        const retryAfterMs = parseRetryAfter(response.headers && response.headers.get('Retry-After')) ?? retryDelayFromBody(errorBody);
+        const reason = response.status === 429 ? 'Too many requests, the rate limit was reached' : 'The model is temporarily overloaded';
+        lastError = retryableError(`API request failed with status ${response.status}: ${reason}. ${errorBody}`, { status: response.status, retryAfterMs });
+        const delay = Math.max(retryAfterMs || 0, backoffDelay(attempt));
+        if (attempt === MAX_RETRIES || delay > MAX_RETRY_DELAY_MS) break;
+        console.warn(`Attempt ${attempt} failed with status ${response.status}. Retrying in ${delay}ms...`);
+        await sleep(delay, signal);
+    }
+
+    // If all retries fail, throw the last captured error
+    throw lastError;
+};
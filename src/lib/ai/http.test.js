@@ -0,0 +1,164 @@
+import { backoffDelay, isAbortError, isRetryableError, parseRetryAfter, postJson, redactSecrets } from './http';
+import { installFakeFetch, recorded, skipDelays } from '../../test/fakeFetch';
+
+const URL = 'https://api.example.test/generate';
+
+beforeEach(() => {
+    skipDelays();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('postJson', () => {
+    it('posts the body as JSON with the extra headers', async () => {
+        const { requests } = installFakeFetch([{ status: 200, body: { ok: true } }]);
+
+        await expect(postJson(URL, { prompt: 'hi' }, { 'x-goog-api-key': 'secret' })).resolves.toEqual({ ok: true });
+        expect(requests).toEqual([{
+            url: URL,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': 'secret' },
+            body: { prompt: 'hi' }
+        }]);
+    });
+
+    it('retries while the model is overloaded and returns the first success', async () => {
+        const { requests } = installFakeFetch([
+            { recorded: 'overloaded-503', status: 503 },
+            { recorded: 'overloaded-503', status: 503 },
+            { status: 200, body: { ok: true } }
+        ]);
+
+        await expect(postJson(URL, {})).resolves.toEqual({ ok: true });
+        expect(requests).toHaveLength(3);
+    });
+
+    it('reports the last 503 once the retries run out', async () => {
+        const { requests } = installFakeFetch([
+            { recorded: 'overloaded-503', status: 503 },
+            { recorded: 'overloaded-503', status: 503 },
+            { recorded: 'overloaded-503', status: 503 }
+        ]);
+
+        await expect(postJson(URL, {})).rejects.toThrow(/status 503: .*The model is overloaded/);
+        expect(requests).toHaveLength(3);
+    });
+
+    it('does not retry other error statuses', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'invalid-api-key-400', status: 400 }]);
+
+        await expect(postJson(URL, {})).rejects.toThrow(/status 400: .*API key not valid/);
+        expect(requests).toHaveLength(1);
+    });
+
+    it('retries network errors', async () => {
+        const { requests } = installFakeFetch([{ networkError: true }, { status: 200, body: { ok: true } }]);
+
+        await expect(postJson(URL, {})).resolves.toEqual({ ok: true });
+        expect(requests).toHaveLength(2);
+    });
+
+    it('gives up after repeated network errors with a retryable error', async () => {
+        installFakeFetch([{ networkError: true }, { networkError: true }, { networkError: true }]);
+
+        const error = await postJson(URL, {}).catch(err => err);
+        expect(error.message).toMatch('Failed to fetch');
+        expect(isRetryableError(error)).toBe(true);
+    });
+
+    it('does not retry network errors while the browser is offline', async () => {
+        jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const { requests } = installFakeFetch([{ networkError: true }]);
+
+        const error = await postJson(URL, {}).catch(err => err);
+        expect(error.message).toMatch("You're offline");
+        expect(isRetryableError(error)).toBe(true);
+        expect(requests).toHaveLength(1);
+    });
+
+    it('waits as long as a short Retry-After asks before retrying', async () => {
+        const { requests } = installFakeFetch([
+            { status: 429, body: { error: { message: 'Slow down' } }, headers: { 'retry-after': '5' } },
+            { status: 200, body: { ok: true } }
+        ]);
+
+        await expect(postJson(URL, {})).resolves.toEqual({ ok: true });
+        expect(requests).toHaveLength(2);
+        expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 5000);
+    });
+
+    it('hands a long rate-limit wait back to the caller instead of sleeping through it', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'rate-limited-429', status: 429 }]);
+
+        const error = await postJson(URL, {}).catch(err => err);
+        expect(error.message).toMatch(/status 429: Too many requests/);
+        expect(error).toMatchObject({ retryable: true, status: 429, retryAfterMs: 31000 });
+        expect(requests).toHaveLength(1);
+        expect(setTimeout).not.toHaveBeenCalled();
+    });
+
+    it('prefers the Retry-After header over the delay in the body', async () => {
+        installFakeFetch([{ ...recorded('rate-limited-429', 429), headers: { 'retry-after': '60' } }]);
+
+        await expect(postJson(URL, {})).rejects.toMatchObject({ retryAfterMs: 60000 });
+    });
+
+    it('stops when the signal aborts mid-request', async () => {
+        installFakeFetch([{ hang: true }]);
+        const controller = new AbortController();
+
+        const pending = postJson(URL, {}, {}, { signal: controller.signal });
+        controller.abort();
+
+        const error = await pending.catch(err => err);
+        expect(isAbortError(error)).toBe(true);
+    });
+
+    it('rejects straight away when the signal has already aborted', async () => {
+        installFakeFetch([{ status: 200, body: { ok: true } }]);
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(postJson(URL, {}, {}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('fails straight away on a garbled body', async () => {
+        const { requests } = installFakeFetch([{ status: 200, body: '<html>Bad gateway</html>' }]);
+
+        await expect(postJson(URL, {})).rejects.toThrow("The API returned a response that isn't valid JSON: <html>Bad gateway</html>");
+        expect(requests).toHaveLength(1);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+        const now = Date.parse('2024-03-01T12:00:00Z');
+        expect(parseRetryAfter('30', now)).toBe(30000);
+        expect(parseRetryAfter('1.5', now)).toBe(1500);
+        expect(parseRetryAfter('Fri, 01 Mar 2024 12:00:45 GMT', now)).toBe(45000);
+    });
+
+    it('ignores missing or unreadable values and dates in the past', () => {
+        const now = Date.parse('2024-03-01T12:00:00Z');
+        expect(parseRetryAfter(null, now)).toBeNull();
+        expect(parseRetryAfter('soon', now)).toBeNull();
+        expect(parseRetryAfter('Fri, 01 Mar 2024 11:00:00 GMT', now)).toBe(0);
+    });
+});
+
+describe('backoffDelay', () => {
+    it('doubles with each attempt', () => {
+        expect([1, 2, 3].map(attempt => backoffDelay(attempt))).toEqual([1000, 2000, 4000]);
+        expect(backoffDelay(3, 15000)).toBe(60000);
+    });
+});
+
+describe('redactSecrets', () => {
+    it('removes given secrets, Google-shaped keys and key= parameters', () => {
+        const googleKey = `AIza${'x'.repeat(35)}`;
+        expect(redactSecrets(`bad sk-123 and ${googleKey} at /v1?key=abc&alt=json`, ['sk-123']))
+            .toBe('bad [redacted] and [redacted] at /v1?key=[redacted]&alt=json');
+    });
+});
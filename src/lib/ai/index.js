@@ -0,0 +1,88 @@
+import gemini from './providers/gemini';
+import openai from './providers/openai';
+import mock from './providers/mock';
+import { hasEncryptedKeys, hasPlainKeys, loadApiKeys, saveApiKeys } from './keyStore';
+
+export { isAbortError, isRetryableError } from './http';
+
+// --- AI provider registry ---
+//
+// Features describe what they need as a provider-neutral request:
+//   { task, prompt, files: [{ mimeType, data }], responseSchema, json, context, signal }
+// `responseSchema` uses the Gemini schema dialect; other providers convert it.
+// `context` carries the structured inputs behind the prompt for the mock provider.
+
+export const PROVIDERS = { gemini, openai, mock };
+
+const SETTINGS_KEY = 'aiSettings';
+
+export const DEFAULT_AI_SETTINGS = {
+    provider: 'gemini',
+    models: Object.values(PROVIDERS).reduce((models, provider) => ({ ...models, [provider.id]: provider.defaultModel }), {}),
+    baseUrl: openai.defaultBaseUrl,
+    // Address of the local proxy (npm run proxy) that holds the Gemini key; empty to call Google directly
+    proxyUrl: '',
+    keyStorage: 'session',
+    apiKeys: { gemini: '', openai: '' }
+};
+
+export const loadAiSettings = () => {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (err) {
+        console.error("Error reading AI settings:", err);
+    }
+    // Keys saved before storage modes existed stay readable until the user picks a mode
+    const keyStorage = saved.keyStorage || (hasPlainKeys() ? 'plain' : DEFAULT_AI_SETTINGS.keyStorage);
+    return {
+        ...DEFAULT_AI_SETTINGS,
+        ...saved,
+        provider: PROVIDERS[saved.provider] ? saved.provider : DEFAULT_AI_SETTINGS.provider,
+        models: { ...DEFAULT_AI_SETTINGS.models, ...saved.models },
+        keyStorage,
+        apiKeys: { ...DEFAULT_AI_SETTINGS.apiKeys, ...loadApiKeys(keyStorage) }
+    };
+};
+
+export const saveAiSettings = ({ apiKeys, ...settings }) => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    saveApiKeys(settings.keyStorage, apiKeys);
+};
+
+export const getProvider = settings => PROVIDERS[settings.provider] || PROVIDERS[DEFAULT_AI_SETTINGS.provider];
+
+// Explains what is missing before the selected provider can be used, or null if it is ready
+export const getSetupProblem = (settings) => {
+    const provider = getProvider(settings);
+    const usesProxy = provider.supportsProxy && settings.proxyUrl;
+    if (provider.requiresApiKey && !usesProxy && !settings.apiKeys[provider.id]) {
+        if (settings.keyStorage === 'encrypted' && hasEncryptedKeys()) return "Please unlock your saved API keys in Settings.";
+        return `Please enter your ${provider.label} API key in Settings.`;
+    }
+    if (provider.requiresBaseUrl && !settings.baseUrl) return `Please enter the ${provider.label} server URL in Settings.`;
+    return null;
+};
+
+// Send a request to the provider selected in settings and return the response text.
+// `request.signal` (an AbortSignal) cancels it.
+export const callAI = (request, settings) => {
+    const provider = getProvider(settings);
+    return provider.generate(request, {
+        model: settings.models[provider.id] || provider.defaultModel,
+        apiKey: settings.apiKeys[provider.id],
+        baseUrl: settings.baseUrl,
+        proxyUrl: provider.supportsProxy ? settings.proxyUrl : '',
+        signal: request.signal || null
+    });
+};
+
+// Parse a JSON answer, which some models wrap in a Markdown code fence
+export const parseJsonResponse = (text) => {
+    const unfenced = String(text || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    try {
+        return JSON.parse(unfenced);
+    } catch (err) {
+        throw new Error(`The model returned a response that isn't valid JSON. ${err.message}`);
+    }
+};
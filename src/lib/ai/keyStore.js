@@ -0,0 +1,103 @@
+// --- API key storage ---
+//
+// Keys can be kept for this browser session only, or remembered encrypted
+// with a passphrase (PBKDF2 + AES-GCM via WebCrypto). Unencrypted storage
+// is only kept for installs that saved a key before these options existed.
+
+const ENCRYPTED_KEYS_STORAGE_KEY = 'encryptedApiKeys';
+const SESSION_KEYS_STORAGE_KEY = 'sessionApiKeys';
+
+// Plain-text keys from earlier versions; geminiApiKey predates the provider layer
+const PLAIN_KEY_STORAGE_KEYS = { gemini: 'geminiApiKey', openai: 'openaiApiKey' };
+
+const PBKDF2_ITERATIONS = 310000;
+
+export const KEY_STORAGE_MODES = [
+    ['session', "This session only (don't remember)"],
+    ['encrypted', 'Remember, encrypted with a passphrase'],
+    ['plain', 'Remember unencrypted (not recommended)']
+];
+
+const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+// Encrypt text with a passphrase into a JSON-safe { salt, iv, data } record
+export const encryptSecret = async (text, passphrase) => {
+    if (!window.crypto || !crypto.subtle) throw new Error("Encryption isn't available in this browser. Open the app over https or on localhost.");
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+};
+
+export const decryptSecret = async (record, passphrase) => {
+    if (!window.crypto || !crypto.subtle) throw new Error("Encryption isn't available in this browser. Open the app over https or on localhost.");
+    const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+    try {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+        return new TextDecoder().decode(data);
+    } catch (err) {
+        // AES-GCM can't tell a wrong passphrase from tampered data
+        throw new Error("Wrong passphrase.");
+    }
+};
+
+const readJson = (storage, key) => {
+    try {
+        return JSON.parse(storage.getItem(key));
+    } catch (err) {
+        console.error(`Error reading ${key}:`, err);
+        return null;
+    }
+};
+
+export const hasEncryptedKeys = () => Boolean(localStorage.getItem(ENCRYPTED_KEYS_STORAGE_KEY));
+
+export const hasPlainKeys = () => Object.values(PLAIN_KEY_STORAGE_KEYS).some(storageKey => localStorage.getItem(storageKey));
+
+// Keys available without a passphrase for the given storage mode
+export const loadApiKeys = (mode) => {
+    if (mode === 'plain') {
+        return Object.entries(PLAIN_KEY_STORAGE_KEYS).reduce((keys, [providerId, storageKey]) => ({ ...keys, [providerId]: localStorage.getItem(storageKey) || '' }), {});
+    }
+    if (mode === 'session') return readJson(sessionStorage, SESSION_KEYS_STORAGE_KEY) || {};
+    return {};
+};
+
+// Store keys for the session or plain modes, and clear them from every place the mode doesn't use.
+// Encrypted keys are only written by encryptApiKeys, since that needs the passphrase.
+export const saveApiKeys = (mode, apiKeys) => {
+    Object.entries(PLAIN_KEY_STORAGE_KEYS).forEach(([providerId, storageKey]) => {
+        if (mode === 'plain' && apiKeys[providerId]) localStorage.setItem(storageKey, apiKeys[providerId]);
+        else localStorage.removeItem(storageKey);
+    });
+    if (mode === 'session') sessionStorage.setItem(SESSION_KEYS_STORAGE_KEY, JSON.stringify(apiKeys));
+    else sessionStorage.removeItem(SESSION_KEYS_STORAGE_KEY);
+    if (mode !== 'encrypted') localStorage.removeItem(ENCRYPTED_KEYS_STORAGE_KEY);
+};
+
+export const encryptApiKeys = async (apiKeys, passphrase) => {
+    if (!passphrase) throw new Error("Please enter a passphrase.");
+    const record = await encryptSecret(JSON.stringify(apiKeys), passphrase);
+    localStorage.setItem(ENCRYPTED_KEYS_STORAGE_KEY, JSON.stringify(record));
+};
+
+export const decryptApiKeys = async (passphrase) => {
+    const record = readJson(localStorage, ENCRYPTED_KEYS_STORAGE_KEY);
+    if (!record) throw new Error("No encrypted API keys are saved.");
+    return JSON.parse(await decryptSecret(record, passphrase));
+};
+
+export const forgetEncryptedKeys = () => localStorage.removeItem(ENCRYPTED_KEYS_STORAGE_KEY);
@@ -0,0 +1,63 @@
+import { isAbortError, postJson, redactSecrets } from '../http';
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// generateContent body for a provider-neutral request
+export const buildGeminiPayload = (request) => {
+    const parts = [
+        { text: request.prompt },
+        ...(request.files || []).map(file => ({ inlineData: { mimeType: file.mimeType, data: file.data } }))
+    ];
+    const payload = { contents: [{ role: "user", parts }] };
+    if (request.json || request.responseSchema) {
+        payload.generationConfig = { responseMimeType: "application/json" };
+        if (request.responseSchema) payload.generationConfig.responseSchema = request.responseSchema;
+    }
+    return payload;
+};
+
+// Text of the first candidate, or an error explaining why there is none
+export const parseGeminiResponse = (result) => {
+    if (result.candidates && result.candidates.length > 0 &&
+        result.candidates[0].content && result.candidates[0].content.parts &&
+        result.candidates[0].content.parts.length > 0) {
+        return result.candidates[0].content.parts[0].text;
+    }
+
+    console.error("Invalid API Response Structure:", result);
+    if (result.promptFeedback && result.promptFeedback.blockReason) {
+        throw new Error(`Request was blocked. Reason: ${result.promptFeedback.blockReason}. ${result.promptFeedback.blockReasonMessage || ''}`);
+    }
+    throw new Error("Invalid response structure from the API.");
+};
+
+// Google Gemini generateContent API, called directly or through the local proxy in proxy/server.js
+const gemini = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.0-flash',
+    requiresApiKey: true,
+    supportsProxy: true,
+    supportsPdf: true,
+
+    generate: async (request, { model, apiKey, proxyUrl, signal }) => {
+        if (!apiKey && !proxyUrl) {
+            throw new Error("API Key is missing. Please enter your Google AI API Key in Settings.");
+        }
+
+        // The key goes in a header rather than the URL so it stays out of browser history and server logs.
+        // Through the proxy the key never reaches the browser at all.
+        const url = proxyUrl ? `${proxyUrl.replace(/\/+$/, '')}/v1beta/models/${model}:generateContent` : `${API_BASE_URL}/${model}:generateContent`;
+        let result;
+        try {
+            result = await postJson(url, buildGeminiPayload(request), proxyUrl ? {} : { 'x-goog-api-key': apiKey }, { signal });
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            // Keep retryable, status and retryAfterMs so the upload queue knows when to try again
+            throw Object.assign(new Error(redactSecrets(err.message, [apiKey])), { retryable: err.retryable, status: err.status, retryAfterMs: err.retryAfterMs });
+        }
+        return parseGeminiResponse(result);
+    }
+};
+
+export default gemini;
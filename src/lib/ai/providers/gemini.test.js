@@ -0,0 +1,82 @@
+import gemini, { buildGeminiPayload, parseGeminiResponse } from './gemini';
+import { installFakeFetch, recorded, recordedText, skipDelays } from '../../../test/fakeFetch';
+
+const MODEL = 'gemini-2.0-flash';
+const API_KEY = `AIza${'k'.repeat(35)}`;
+
+beforeEach(() => {
+    skipDelays();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('buildGeminiPayload', () => {
+    it('sends the prompt followed by the files as inline data', () => {
+        const payload = buildGeminiPayload({ prompt: 'Read this', files: [{ mimeType: 'image/jpeg', data: 'AAAA' }] });
+        expect(payload).toEqual({
+            contents: [{ role: 'user', parts: [{ text: 'Read this' }, { inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } }] }]
+        });
+    });
+
+    it('asks for JSON when a schema or JSON output is requested', () => {
+        const schema = { type: 'OBJECT', properties: {} };
+        expect(buildGeminiPayload({ prompt: 'x', responseSchema: schema }).generationConfig)
+            .toEqual({ responseMimeType: 'application/json', responseSchema: schema });
+        expect(buildGeminiPayload({ prompt: 'x', json: true }).generationConfig).toEqual({ responseMimeType: 'application/json' });
+    });
+});
+
+describe('parseGeminiResponse', () => {
+    it('returns the text of the first candidate', () => {
+        expect(parseGeminiResponse(recorded('transcribe-invoice').body)).toBe(recordedText('transcribe-invoice'));
+    });
+
+    it('explains a blocked prompt', () => {
+        expect(() => parseGeminiResponse(recorded('blocked-prompt').body)).toThrow('Request was blocked. Reason: SAFETY.');
+    });
+
+    it('rejects a response without candidates', () => {
+        expect(() => parseGeminiResponse({ candidates: [] })).toThrow('Invalid response structure from the API.');
+    });
+});
+
+describe('gemini.generate', () => {
+    it('sends the key in a header, never in the URL', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'transcribe-invoice' }]);
+
+        const text = await gemini.generate({ prompt: 'Read this' }, { model: MODEL, apiKey: API_KEY, proxyUrl: '' });
+
+        expect(text).toBe(recordedText('transcribe-invoice'));
+        expect(requests[0].url).toBe(`https://generativelanguage.googleapis.com/v1beta/models/${MODEL}:generateContent`);
+        expect(requests[0].headers['x-goog-api-key']).toBe(API_KEY);
+    });
+
+    it('goes through the proxy without a key', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'transcribe-invoice' }]);
+
+        await gemini.generate({ prompt: 'Read this' }, { model: MODEL, apiKey: '', proxyUrl: 'http://localhost:8787/' });
+
+        expect(requests[0].url).toBe(`http://localhost:8787/v1beta/models/${MODEL}:generateContent`);
+        expect(requests[0].headers).not.toHaveProperty('x-goog-api-key');
+    });
+
+    it('requires a key or a proxy', async () => {
+        await expect(gemini.generate({ prompt: 'x' }, { model: MODEL, apiKey: '', proxyUrl: '' })).rejects.toThrow('API Key is missing');
+    });
+
+    it('reports a blocked prompt', async () => {
+        installFakeFetch([{ recorded: 'blocked-prompt' }]);
+
+        await expect(gemini.generate({ prompt: 'x' }, { model: MODEL, apiKey: API_KEY })).rejects.toThrow('Reason: SAFETY');
+    });
+
+    it('keeps the key out of error messages', async () => {
+        installFakeFetch([{ status: 400, body: `Invalid key ${API_KEY}` }]);
+
+        const error = await gemini.generate({ prompt: 'x' }, { model: MODEL, apiKey: API_KEY }).catch(err => err);
+        expect(error.message).toContain('status 400');
+        expect(error.message).not.toContain(API_KEY);
+    });
+});
@@ -0,0 +1,131 @@
+import { sleep } from '../http';
+
+// Deterministic offline provider for demos and tests. It never touches the
+// network and answers from the structured `context` each feature sends along
+// with its prompt, so the same input always produces the same output.
+
+const MOCK_LATENCY_MS = 400;
+
+const CATEGORY_KEYWORDS = [
+    [/hosting|cloud|server|aws|azure|compute|storage/i, 'Cloud Hosting'],
+    [/software|licen[cs]e|subscription|saas|seat/i, 'Software'],
+    [/paper|toner|ink|pen|stationery|office/i, 'Office Supplies'],
+    [/ads?\b|advert|marketing|campaign|seo/i, 'Marketing'],
+    [/flight|hotel|taxi|uber|train|travel|mileage/i, 'Travel'],
+    [/lunch|dinner|meal|restaurant|catering|coffee/i, 'Meals & Entertainment'],
+    [/consult|design|development|service|support|hours?/i, 'Professional Services']
+];
+
+// Small stable hash so each file name maps to its own sample invoice
+const hashString = text => Array.from(text || '').reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+// Pick a category by keyword, staying within the chart of accounts when one is given
+const suggestCategory = (description, accountNames = []) => {
+    const match = CATEGORY_KEYWORDS.find(([pattern]) => pattern.test(description || ''));
+    const category = match ? match[1] : 'General Expenses';
+    if (accountNames.length === 0 || accountNames.includes(category)) return category;
+    return accountNames.includes('General Expenses') ? 'General Expenses' : accountNames[0];
+};
+
+const sampleInvoice = (fileName) => {
+    const seed = hashString(fileName);
+    const hours = 4 + (seed % 12);
+    const lineItems = [
+        { description: 'Cloud hosting - monthly plan', quantity: 1, unitPrice: 120, total: 120, taxRate: 10, confidence: 0.98 },
+        { description: 'Software license (per seat)', quantity: 5, unitPrice: 12.5, total: 62.5, taxRate: 10, confidence: 0.95 },
+        { description: 'Consulting hours', quantity: hours, unitPrice: 85, total: hours * 85, taxRate: 10, confidence: 0.5 }
+    ];
+    const subtotal = lineItems.reduce((sum, item) => sum + item.total, 0);
+    const tax = Math.round(subtotal * 0.1 * 100) / 100;
+    return {
+        invoiceNumber: `INV-${1000 + (seed % 9000)}`,
+        invoiceDate: '2024-03-01',
+        dueDate: '2024-03-31',
+        from: 'Acme Cloud Services Ltd',
+        billedTo: 'Example Company Inc.',
+        currency: 'USD',
+        sellerTaxId: 'US12-3456789',
+        buyerTaxId: '',
+        poNumber: `PO-${4500 + (seed % 500)}`,
+        lineItems,
+        subtotal,
+        tax,
+        taxLines: [{ type: 'Sales tax', rate: 10, baseAmount: subtotal, taxAmount: tax }],
+        total: Math.round((subtotal + tax) * 100) / 100,
+        // A smudged due date and handwritten hours give review mode something to show
+        fieldConfidence: [
+            ...['invoiceNumber', 'invoiceDate', 'from', 'billedTo', 'currency', 'sellerTaxId', 'subtotal', 'tax', 'total'].map(field => ({ field, confidence: 0.97 })),
+            { field: 'dueDate', confidence: 0.55 },
+            { field: 'buyerTaxId', confidence: 0.8 }
+        ]
+    };
+};
+
+// A restaurant receipt with a handwritten tip, for the receipt schema
+const sampleReceipt = (fileName) => {
+    const seed = hashString(fileName);
+    const lineItems = [
+        { description: 'Lunch menu', quantity: 2, unitPrice: 18.5, total: 37, taxRate: 10, confidence: 0.96 },
+        { description: 'Sparkling water', quantity: 2, unitPrice: 3.5, total: 7, taxRate: 10, confidence: 0.93 }
+    ];
+    const subtotal = 44;
+    const tax = 4.4;
+    const tip = 5 + (seed % 5);
+    return {
+        merchant: 'Harbour Street Bistro',
+        date: '2024-03-04',
+        receiptNumber: `R-${100 + (seed % 900)}`,
+        paymentMethod: 'Visa •••• 4242',
+        currency: 'USD',
+        lineItems,
+        subtotal,
+        tax,
+        tip,
+        taxLines: [{ type: 'Sales tax', rate: 10, baseAmount: subtotal, taxAmount: tax }],
+        total: Math.round((subtotal + tax + tip) * 100) / 100,
+        fieldConfidence: [
+            ...['merchant', 'date', 'paymentMethod', 'currency', 'subtotal', 'tax', 'total'].map(field => ({ field, confidence: 0.95 })),
+            { field: 'tip', confidence: 0.7 }
+        ]
+    };
+};
+
+// Files named like receipts are receipts; everything else is an invoice
+const detectDocumentType = ({ fileName }) => ({ documentType: /receipt|bon|ticket|taxi|uber/i.test(fileName || '') ? 'receipt' : 'invoice' });
+
+// Drafts come from the user's templates, so the mock hands them back unchanged instead of rewording them
+const rewriteEmail = ({ draft }) => ({ subject: (draft && draft.subject) || '', body: (draft && draft.body) || '' });
+
+const mock = {
+    id: 'mock',
+    label: 'Mock (offline demo)',
+    defaultModel: 'mock',
+    requiresApiKey: false,
+    supportsPdf: true,
+
+    generate: async (request, { signal }) => {
+        await sleep(MOCK_LATENCY_MS, signal);
+        const context = request.context || {};
+        switch (request.task) {
+            case 'transcribe':
+                return JSON.stringify(sampleInvoice(context.fileName));
+            case 'transcribeReceipt':
+                return JSON.stringify(sampleReceipt(context.fileName));
+            case 'detectDocumentType':
+                return JSON.stringify(detectDocumentType(context));
+            case 'categorize':
+                return JSON.stringify({ category: suggestCategory(context.description, context.accountNames) });
+            case 'categorizeAll':
+                return JSON.stringify({ categories: (context.items || []).map(({ index, description }) => ({ index, category: suggestCategory(description, context.accountNames) })) });
+            case 'detectBoundaries':
+                // Treat every page as its own invoice
+                return JSON.stringify({ firstPages: Array.from({ length: context.pageCount || 1 }, (_, index) => index + 1) });
+            case 'email':
+                return JSON.stringify(rewriteEmail(context));
+            default:
+                return request.json || request.responseSchema ? '{}' : 'This is a mock response.';
+        }
+    }
+};
+
+export default mock;
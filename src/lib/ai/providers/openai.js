@@ -0,0 +1,58 @@
+import { postJson } from '../http';
+
+// Convert a Gemini-style schema (upper-case types) into standard JSON Schema
+const toJsonSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.entries(schema).reduce((converted, [key, value]) => ({
+        ...converted,
+        [key]: key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value)
+    }), {});
+};
+
+// Local models often wrap JSON answers in a markdown code fence
+const stripCodeFence = text => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+// Any endpoint implementing the OpenAI chat completions API (OpenAI, Ollama, LM Studio, vLLM, ...)
+const openai = {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    defaultModel: 'llama3.2-vision',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    requiresBaseUrl: true,
+    supportsPdf: false,
+
+    generate: async (request, { model, apiKey, baseUrl, signal }) => {
+        if (!baseUrl) {
+            throw new Error("Base URL is missing. Please enter the address of your OpenAI-compatible server in Settings.");
+        }
+
+        const unsupported = (request.files || []).find(file => !file.mimeType.startsWith('image/'));
+        if (unsupported) {
+            throw new Error(`OpenAI-compatible providers only accept images, not ${unsupported.mimeType}.`);
+        }
+
+        let text = request.prompt;
+        if (request.responseSchema) {
+            text += `\n\nRespond only with JSON that matches this JSON Schema:\n${JSON.stringify(toJsonSchema(request.responseSchema))}`;
+        }
+        const content = [
+            { type: 'text', text },
+            ...(request.files || []).map(file => ({ type: 'image_url', image_url: { url: `data:${file.mimeType};base64,${file.data}` } }))
+        ];
+        const body = { model, messages: [{ role: 'user', content }] };
+        if (request.json || request.responseSchema) body.response_format = { type: 'json_object' };
+
+        const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+        const result = await postJson(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, body, headers, { signal });
+        const message = result.choices && result.choices.length > 0 && result.choices[0].message;
+        if (!message || typeof message.content !== 'string') {
+            console.error("Invalid API Response Structure:", result);
+            throw new Error("Invalid response structure from the API.");
+        }
+        return body.response_format ? stripCodeFence(message.content) : message.content;
+    }
+};
+
+export default openai;
@@ -0,0 +1,81 @@
+import { createId } from './ids';
+
+// --- Audit trail entries ---
+
+// Fields that are bookkeeping for the viewer rather than invoice content
+const IGNORED_KEYS = ['id', 'region', 'regions', 'accountId', 'vendorId', 'confidence', 'reviewedFields'];
+
+const FIELD_LABELS = {
+    invoiceNumber: 'Invoice #',
+    invoiceDate: 'Invoice date',
+    dueDate: 'Due date',
+    from: 'Vendor',
+    billedTo: 'Billed to',
+    sellerTaxId: 'Seller tax ID',
+    buyerTaxId: 'Buyer tax ID',
+    unitPrice: 'unit price',
+    taxRate: 'tax rate',
+    baseAmount: 'taxable amount',
+    taxAmount: 'tax amount'
+};
+
+const labelFor = key => FIELD_LABELS[key] || key;
+
+// Row collections are keyed by id so reordering or deleting a row doesn't
+// show up as edits to every row after it
+const ROW_COLLECTIONS = { lineItems: 'Line', taxLines: 'Tax line' };
+
+export const createAuditEntry = (invoiceId, by, type, details = {}) => ({
+    id: createId(),
+    invoiceId,
+    at: new Date().toISOString(),
+    by,
+    type,
+    ...details
+});
+
+const rowLabel = (prefix, row, index) => `${prefix} ${index + 1}${row.description ? ` (${row.description})` : row.type ? ` (${row.type})` : ''}`;
+
+// Flatten an invoice into { path: { label, value } } for comparison
+const flattenInvoice = (invoice) => {
+    const fields = {};
+    Object.entries(invoice || {}).forEach(([key, value]) => {
+        if (IGNORED_KEYS.includes(key)) return;
+        if (ROW_COLLECTIONS[key]) {
+            (value || []).forEach((row, index) => {
+                const rowId = row.id || index;
+                fields[`${key}.${rowId}`] = { label: rowLabel(ROW_COLLECTIONS[key], row, index), isRow: true };
+                Object.entries(row).forEach(([field, fieldValue]) => {
+                    if (!IGNORED_KEYS.includes(field)) fields[`${key}.${rowId}.${field}`] = { label: `${rowLabel(ROW_COLLECTIONS[key], row, index)} ${labelFor(field)}`, value: fieldValue };
+                });
+            });
+        } else if (value === null || typeof value !== 'object') {
+            fields[key] = { label: labelFor(key), value };
+        }
+    });
+    return fields;
+};
+
+const normalize = value => (value === undefined || value === null ? '' : value);
+
+// Field-level changes between two versions of an invoice: [{ field, label, from, to }].
+// Added and removed rows are reported once, as { field, label, change: 'added' | 'removed' }.
+export const diffInvoices = (before, after) => {
+    const oldFields = flattenInvoice(before);
+    const newFields = flattenInvoice(after);
+    const changes = [];
+    new Set([...Object.keys(oldFields), ...Object.keys(newFields)]).forEach(path => {
+        const oldField = oldFields[path];
+        const newField = newFields[path];
+        const rowPath = path.split('.').slice(0, 2).join('.');
+        if ((oldField && oldField.isRow) || (newField && newField.isRow)) {
+            if (!oldField || !newField) changes.push({ field: path, label: (newField || oldField).label, change: newField ? 'added' : 'removed' });
+            return;
+        }
+        // Fields of added or removed rows are covered by the row change
+        if (path !== rowPath && (!oldFields[rowPath] || !newFields[rowPath])) return;
+        if (String(normalize(oldField && oldField.value)) === String(normalize(newField && newField.value))) return;
+        changes.push({ field: path, label: (newField || oldField).label, from: normalize(oldField && oldField.value), to: normalize(newField && newField.value) });
+    });
+    return changes;
+};
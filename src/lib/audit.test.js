@@ -0,0 +1,36 @@
+import { diffInvoices } from './audit';
+
+const before = {
+    invoiceNumber: 'A-1',
+    from: 'Paper Co',
+    confidence: { from: 0.4 },
+    lineItems: [
+        { id: 'a', description: 'Paper', total: 10, region: { page: 1 } },
+        { id: 'b', description: 'Toner', total: 30 }
+    ]
+};
+
+describe('diffInvoices', () => {
+    it('reports field changes with readable labels', () => {
+        expect(diffInvoices(before, { ...before, from: 'Paper Company' })).toEqual([
+            { field: 'from', label: 'Vendor', from: 'Paper Co', to: 'Paper Company' }
+        ]);
+    });
+
+    it('tracks rows by id, so reordering is not an edit', () => {
+        expect(diffInvoices(before, { ...before, lineItems: [before.lineItems[1], before.lineItems[0]] })).toEqual([]);
+    });
+
+    it('reports added and removed rows once', () => {
+        const after = { ...before, lineItems: [before.lineItems[0], { id: 'c', description: 'Pens', total: 4 }] };
+        expect(diffInvoices(before, after)).toEqual([
+            { field: 'lineItems.b', label: 'Line 2 (Toner)', change: 'removed' },
+            { field: 'lineItems.c', label: 'Line 2 (Pens)', change: 'added' }
+        ]);
+    });
+
+    it('ignores viewer bookkeeping such as regions, confidence and reviews', () => {
+        const after = { ...before, confidence: {}, reviewedFields: ['from'], vendorId: 'v1', lineItems: before.lineItems.map(item => ({ ...item, region: null })) };
+        expect(diffInvoices(before, after)).toEqual([]);
+    });
+});
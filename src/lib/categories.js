@@ -0,0 +1,136 @@
+import { createId } from './ids';
+
+// --- Chart of accounts and auto-categorization rules ---
+
+const ACCOUNTS_STORAGE_KEY = 'chartOfAccounts';
+const RULES_STORAGE_KEY = 'categoryRules';
+
+// Starting chart of accounts for new users; everything here is editable in Settings
+export const DEFAULT_ACCOUNTS = [
+    ['Office Supplies', '6010'],
+    ['Software', '6100'],
+    ['Cloud Hosting', '6120'],
+    ['Marketing', '6200'],
+    ['Travel', '6300'],
+    ['Meals & Entertainment', '6310'],
+    ['Professional Services', '6400'],
+    ['Utilities', '6500'],
+    ['Rent', '6600'],
+    ['General Expenses', '6900']
+].map(([name, glCode]) => ({ id: createId(), name, glCode, taxCode: '' }));
+
+const loadList = (key, fallback) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(saved) ? saved : fallback;
+    } catch (err) {
+        console.error(`Error reading ${key}:`, err);
+        return fallback;
+    }
+};
+
+export const loadAccounts = () => loadList(ACCOUNTS_STORAGE_KEY, DEFAULT_ACCOUNTS);
+export const saveAccounts = accounts => localStorage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify(accounts));
+
+export const loadRules = () => loadList(RULES_STORAGE_KEY, []);
+export const saveRules = rules => localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+
+export const findAccountByName = (accounts, name) => {
+    const target = (name || '').trim().toLowerCase();
+    return target ? accounts.find(account => account.name.trim().toLowerCase() === target) || null : null;
+};
+
+// The account a line item is booked to, by id or else by its category text
+export const accountForItem = (item, accounts) => (
+    (item.accountId && accounts.find(account => account.id === item.accountId)) || findAccountByName(accounts, item.category)
+);
+
+// Set a line item's category, linking it to an account when the name matches one
+export const assignCategory = (item, category, accounts) => {
+    const account = findAccountByName(accounts, category);
+    return { ...item, category: account ? account.name : category, accountId: account ? account.id : null };
+};
+
+// Lower-case text without numbers or punctuation so "AWS usage 03/2024" and
+// "AWS usage 04/2024" compare equal
+export const normalizeText = text => (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s&]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Rules matching on both vendor and keyword beat single-condition rules
+const specificity = rule => (rule.vendor ? 1 : 0) + (rule.keyword ? 1 : 0);
+
+// First rule whose vendor and keyword conditions both match, most specific first
+export const findMatchingRule = (rules, vendor, description) => {
+    const normalizedVendor = normalizeText(vendor);
+    const normalizedDescription = normalizeText(description);
+    return [...rules]
+        .filter(rule => specificity(rule) > 0)
+        .sort((a, b) => specificity(b) - specificity(a))
+        .find(rule => (
+            (!rule.vendor || normalizedVendor.includes(normalizeText(rule.vendor))) &&
+            (!rule.keyword || normalizedDescription.includes(normalizeText(rule.keyword)))
+        )) || null;
+};
+
+// Categorize the line items that a rule covers. Returns the updated invoice and
+// the ids of the items that still need a suggestion.
+export const applyCategoryRules = (invoice, rules, accounts, { overwrite = false } = {}) => {
+    const unmatchedIds = [];
+    const lineItems = invoice.lineItems.map((item) => {
+        if (item.category && !overwrite) return item;
+        const rule = findMatchingRule(rules, invoice.from, item.description);
+        const account = rule && accounts.find(a => a.id === rule.accountId);
+        if (!account) {
+            unmatchedIds.push(item.id);
+            return item;
+        }
+        return { ...item, category: account.name, accountId: account.id };
+    });
+    return { invoice: { ...invoice, lineItems }, unmatchedIds };
+};
+
+// Describe the categories the model may choose from: the chart of accounts if there is one
+export const categoryChoices = (accounts) => {
+    const accountNames = accounts.map(account => account.name).filter(Boolean);
+    return {
+        accountNames,
+        instruction: accountNames.length > 0
+            ? `choose the best matching expense account from this chart of accounts: ${JSON.stringify(accountNames)}`
+            : `suggest a single, common business expense category (e.g., "Software", "Office Supplies", "Marketing", "Travel", "Meals & Entertainment")`,
+        schema: accountNames.length > 0 ? { "type": "STRING", "enum": accountNames } : { "type": "STRING" }
+    };
+};
+
+// The lines to send for a batch suggestion, numbered by their position on the invoice
+export const suggestionItems = (lineItems, itemIds) => lineItems
+    .map((item, index) => ({ index, id: item.id, description: item.description }))
+    .filter(item => itemIds.includes(item.id))
+    .map(({ index, description }) => ({ index, description }));
+
+// Map the model's [{ index, category }] answer back to line item ids, ignoring unknown indexes and blanks
+export const categoriesByItemId = (lineItems, suggestions) => suggestions.reduce((byId, { index, category }) => {
+    const item = lineItems[index];
+    return item && category && category.trim() ? { ...byId, [item.id]: category.trim() } : byId;
+}, {});
+
+// Apply suggested categories by item id. Ids are used rather than positions so
+// lines reordered or deleted while the model was answering aren't mixed up.
+export const applySuggestedCategories = (invoice, categoryById, accounts) => ({
+    ...invoice,
+    lineItems: invoice.lineItems.map(item => (categoryById[item.id] ? assignCategory(item, categoryById[item.id], accounts) : item))
+});
+
+// Remember a user's correction as a vendor + description rule so the same
+// line from the same vendor is categorized the same way next time
+export const learnRule = (rules, vendor, description, accountId) => {
+    const keyword = normalizeText(description);
+    if (!keyword || !accountId) return rules;
+    const existing = rules.find(rule => rule.learned && normalizeText(rule.vendor) === normalizeText(vendor) && rule.keyword === keyword);
+    if (existing) {
+        return existing.accountId === accountId ? rules : rules.map(rule => rule === existing ? { ...rule, accountId } : rule);
+    }
+    return [...rules, { id: createId(), vendor: vendor || '', keyword, accountId, learned: true }];
+};
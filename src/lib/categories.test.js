@@ -0,0 +1,85 @@
+import { applyCategoryRules, applySuggestedCategories, assignCategory, categoriesByItemId, categoryChoices, findMatchingRule, learnRule, suggestionItems } from './categories';
+
+const accounts = [
+    { id: 'acc-software', name: 'Software', glCode: '6100', taxCode: '' },
+    { id: 'acc-hosting', name: 'Cloud Hosting', glCode: '6120', taxCode: '' },
+    { id: 'acc-office', name: 'Office Supplies', glCode: '6010', taxCode: '' }
+];
+
+const invoice = {
+    from: 'Amazon Web Services EMEA',
+    lineItems: [
+        { id: 'a', description: 'AWS usage 03/2024', category: '' },
+        { id: 'b', description: 'Printer paper', category: '' },
+        { id: 'c', description: 'IDE licence', category: 'Software', accountId: 'acc-software' }
+    ]
+};
+
+describe('findMatchingRule', () => {
+    it('prefers rules matching both vendor and keyword', () => {
+        const rules = [
+            { id: 'keyword', keyword: 'usage', accountId: 'acc-office' },
+            { id: 'both', vendor: 'amazon web services', keyword: 'aws usage', accountId: 'acc-hosting' }
+        ];
+        expect(findMatchingRule(rules, invoice.from, 'AWS usage 04/2024').id).toBe('both');
+    });
+
+    it('ignores rules without conditions', () => {
+        expect(findMatchingRule([{ id: 'empty', accountId: 'acc-office' }], 'Anyone', 'Anything')).toBeNull();
+    });
+});
+
+describe('applyCategoryRules', () => {
+    const rules = [{ id: 'r1', vendor: 'Amazon Web Services', keyword: '', accountId: 'acc-hosting' }];
+
+    it('categorizes matching lines and lists the rest', () => {
+        const { invoice: categorized, unmatchedIds } = applyCategoryRules({ ...invoice, from: 'Paper Co' }, rules, accounts);
+        expect(unmatchedIds).toEqual(['a', 'b']);
+        expect(categorized.lineItems[2].category).toBe('Software');
+    });
+
+    it('keeps existing categories unless asked to overwrite', () => {
+        expect(applyCategoryRules(invoice, rules, accounts).invoice.lineItems.map(item => item.category)).toEqual(['Cloud Hosting', 'Cloud Hosting', 'Software']);
+        expect(applyCategoryRules(invoice, rules, accounts, { overwrite: true }).invoice.lineItems[2].category).toBe('Cloud Hosting');
+    });
+});
+
+describe('category suggestions', () => {
+    it('limits the model to the chart of accounts when there is one', () => {
+        expect(categoryChoices(accounts).schema).toEqual({ type: 'STRING', enum: ['Software', 'Cloud Hosting', 'Office Supplies'] });
+        expect(categoryChoices([]).schema).toEqual({ type: 'STRING' });
+    });
+
+    it('numbers the lines to suggest by their position on the invoice', () => {
+        expect(suggestionItems(invoice.lineItems, ['b'])).toEqual([{ index: 1, description: 'Printer paper' }]);
+    });
+
+    it('maps suggestions back to item ids, skipping unknown indexes and blanks', () => {
+        const suggestions = [{ index: 0, category: ' Cloud Hosting ' }, { index: 1, category: '' }, { index: 7, category: 'Software' }];
+        expect(categoriesByItemId(invoice.lineItems, suggestions)).toEqual({ a: 'Cloud Hosting' });
+    });
+
+    it('merges suggestions by id so reordered lines keep the right category', () => {
+        const reordered = { ...invoice, lineItems: [invoice.lineItems[1], invoice.lineItems[0]] };
+        const merged = applySuggestedCategories(reordered, { a: 'cloud hosting', b: 'Stationery' }, accounts);
+        expect(merged.lineItems).toEqual([
+            expect.objectContaining({ id: 'b', category: 'Stationery', accountId: null }),
+            expect.objectContaining({ id: 'a', category: 'Cloud Hosting', accountId: 'acc-hosting' })
+        ]);
+    });
+});
+
+describe('assignCategory', () => {
+    it('links the item to the account with that name', () => {
+        expect(assignCategory({ id: 'x' }, 'software', accounts)).toEqual({ id: 'x', category: 'Software', accountId: 'acc-software' });
+    });
+});
+
+describe('learnRule', () => {
+    it('adds a learned rule once and updates its account on later corrections', () => {
+        const learned = learnRule([], 'Paper Co', 'Printer paper 5x', 'acc-office');
+        expect(learned).toEqual([expect.objectContaining({ vendor: 'Paper Co', keyword: 'printer paper x', accountId: 'acc-office', learned: true })]);
+        expect(learnRule(learned, 'Paper Co', 'Printer paper 5x', 'acc-office')).toBe(learned);
+        expect(learnRule(learned, 'Paper Co', 'Printer paper 5x', 'acc-software')[0].accountId).toBe('acc-software');
+    });
+});
@@ -0,0 +1,130 @@
+import { isReceipt, lineItemField, validateInvoice } from './validation';
+
+// --- Extraction confidence and low-confidence review ---
+//
+// The model rates how sure it is of each header field and each line item
+// (0-1). Those scores are combined with the validation cross-checks: a value
+// that fails a check can't be trusted however sure the model was, and amounts
+// that reconcile exactly are very unlikely to be misread.
+
+// Below this a value must be reviewed before the invoice is exported or approved
+export const LOW_CONFIDENCE = 0.6;
+
+// Below this a value is highlighted but doesn't need reviewing
+export const UNCERTAIN_CONFIDENCE = 0.85;
+
+// Highest score a value can keep when a validation check fails on it
+const ISSUE_CAPS = { error: 0.3, warning: 0.5 };
+
+// Score given to amounts when line items, subtotal, tax and total all add up
+const RECONCILED_CONFIDENCE = 0.9;
+
+// Header fields the model rates, in the order they appear on screen
+export const CONFIDENCE_FIELDS = [
+    ['invoiceNumber', 'Invoice #'],
+    ['poNumber', 'PO #'],
+    ['invoiceDate', 'Invoice Date'],
+    ['dueDate', 'Due Date'],
+    ['from', 'From'],
+    ['billedTo', 'Billed To'],
+    ['currency', 'Currency'],
+    ['sellerTaxId', 'Seller Tax ID'],
+    ['buyerTaxId', 'Buyer Tax ID'],
+    ['subtotal', 'Subtotal'],
+    ['tax', 'Tax'],
+    ['total', 'Total']
+];
+
+// Fields rated on receipts, under the invoice field names they're stored in
+export const RECEIPT_CONFIDENCE_FIELDS = [
+    ['from', 'Merchant'],
+    ['invoiceDate', 'Date'],
+    ['invoiceNumber', 'Receipt #'],
+    ['paymentMethod', 'Payment Method'],
+    ['currency', 'Currency'],
+    ['subtotal', 'Subtotal'],
+    ['tax', 'Tax'],
+    ['tip', 'Tip'],
+    ['total', 'Total']
+];
+
+const RECONCILED_FIELDS = ['subtotal', 'tax', 'total'];
+
+// Key a whole line item is reviewed under
+export const lineItemKey = (item, index) => `lineItems.${item.id || index}`;
+
+const clampScore = value => (typeof value === 'number' && !Number.isNaN(value) ? Math.min(1, Math.max(0, value)) : null);
+
+// Turn the model's [{ field, confidence }] list into { field: score }
+export const parseFieldConfidence = fieldConfidence => (fieldConfidence || []).reduce((scores, { field, confidence }) => {
+    const score = clampScore(confidence);
+    return field && score !== null ? { ...scores, [field]: score } : scores;
+}, {});
+
+export const parseLineConfidence = confidence => clampScore(confidence);
+
+// Only invoices extracted with confidence scores are assessed; older ones and
+// manual entries have nothing to compare against
+export const hasConfidence = invoice => Boolean(invoice && invoice.confidence);
+
+const capByIssues = (entry, issues) => {
+    issues.forEach((issue) => {
+        const cap = ISSUE_CAPS[issue.severity];
+        if (cap === undefined) return;
+        if (entry.score === null || entry.score > cap) entry.score = cap;
+        entry.reasons.push(issue.message);
+    });
+    return entry;
+};
+
+// Score every rated value of an invoice, given its validation issues.
+// Returns [{ key, label, field | itemId, score, modelScore, reasons }] in screen order;
+// `score` is null when neither the model nor a check said anything about the value.
+export const assessConfidence = (invoice, issues = validateInvoice(invoice)) => {
+    if (!hasConfidence(invoice)) return [];
+    const issuesByField = issues.reduce((byField, issue) => {
+        (byField[issue.field] = byField[issue.field] || []).push(issue);
+        return byField;
+    }, {});
+    const lineItems = invoice.lineItems || [];
+    const isReconciled = lineItems.length > 0
+        && RECONCILED_FIELDS.every(field => !issuesByField[field])
+        && !issues.some(issue => issue.field.startsWith('lineItems.') && issue.field.endsWith('.total'));
+
+    const fields = (isReceipt(invoice) ? RECEIPT_CONFIDENCE_FIELDS : CONFIDENCE_FIELDS).map(([field, label]) => {
+        const modelScore = clampScore(invoice.confidence[field]);
+        const entry = { key: field, field, label, modelScore, score: modelScore, reasons: [] };
+        if (modelScore !== null && modelScore < LOW_CONFIDENCE) entry.reasons.push(`The model rated this ${Math.round(modelScore * 100)}% certain.`);
+        if (isReconciled && RECONCILED_FIELDS.includes(field) && (entry.score === null || entry.score < RECONCILED_CONFIDENCE)) {
+            entry.score = RECONCILED_CONFIDENCE;
+            entry.reasons = [];
+        }
+        return capByIssues(entry, issuesByField[field] || []);
+    });
+
+    const lines = lineItems.map((item, index) => {
+        const modelScore = clampScore(item.confidence);
+        const entry = { key: lineItemKey(item, index), itemId: item.id, label: `Line ${index + 1}${item.description ? ` (${item.description})` : ''}`, modelScore, score: modelScore, reasons: [] };
+        if (modelScore !== null && modelScore < LOW_CONFIDENCE) entry.reasons.push(`The model rated this line ${Math.round(modelScore * 100)}% certain.`);
+        const lineIssues = ['description', 'total'].flatMap(field => issuesByField[lineItemField(item, index, field)] || []);
+        return capByIssues(entry, lineIssues);
+    });
+
+    return [...fields, ...lines];
+};
+
+// 'low' | 'uncertain' | null
+export const confidenceLevel = (score) => {
+    if (score === null || score === undefined) return null;
+    if (score < LOW_CONFIDENCE) return 'low';
+    if (score < UNCERTAIN_CONFIDENCE) return 'uncertain';
+    return null;
+};
+
+export const isReviewed = (invoice, key) => Boolean(invoice.reviewedFields && invoice.reviewedFields.includes(key));
+
+// Low-confidence values the user hasn't confirmed or corrected yet
+export const pendingReviews = (invoice, issues = validateInvoice(invoice)) => assessConfidence(invoice, issues)
+    .filter(entry => confidenceLevel(entry.score) === 'low' && !isReviewed(invoice, entry.key));
+
+export const markReviewed = (invoice, key) => (isReviewed(invoice, key) ? invoice : { ...invoice, reviewedFields: [...(invoice.reviewedFields || []), key] });
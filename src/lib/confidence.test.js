@@ -0,0 +1,72 @@
+import { assessConfidence, confidenceLevel, lineItemKey, markReviewed, parseFieldConfidence, pendingReviews } from './confidence';
+
+const invoice = {
+    invoiceNumber: 'A-1',
+    invoiceDate: '2024-03-05',
+    dueDate: '2024-04-04',
+    from: 'Paper Co',
+    billedTo: 'Example Inc.',
+    currency: 'USD',
+    lineItems: [
+        { id: 'a', description: 'Paper', quantity: 2, unitPrice: 5, total: 10, confidence: 0.95 },
+        { id: 'b', description: 'Toner', quantity: 1, unitPrice: 30, total: 30, confidence: 0.4 }
+    ],
+    subtotal: 40,
+    tax: 8,
+    total: 48,
+    confidence: { invoiceNumber: 0.99, dueDate: 0.5, total: 0.3 },
+    reviewedFields: []
+};
+
+const entry = (entries, key) => entries.find(item => item.key === key);
+
+describe('parseFieldConfidence', () => {
+    it('keeps valid scores, clamped to 0-1', () => {
+        expect(parseFieldConfidence([{ field: 'total', confidence: 1.4 }, { field: 'tax', confidence: 'high' }, { confidence: 0.5 }])).toEqual({ total: 1 });
+    });
+});
+
+describe('assessConfidence', () => {
+    it('does nothing for invoices without scores', () => {
+        expect(assessConfidence({ ...invoice, confidence: undefined })).toEqual([]);
+    });
+
+    it('trusts amounts that reconcile whatever the model said', () => {
+        const entries = assessConfidence(invoice);
+        expect(entry(entries, 'total')).toEqual(expect.objectContaining({ score: 0.9, modelScore: 0.3, reasons: [] }));
+        expect(entry(entries, 'dueDate').score).toBe(0.5);
+        expect(entry(entries, 'invoiceNumber').score).toBe(0.99);
+        expect(entry(entries, 'lineItems.b')).toEqual(expect.objectContaining({ itemId: 'b', label: 'Line 2 (Toner)', score: 0.4 }));
+    });
+
+    it('rates receipts on their own fields', () => {
+        const receipt = { ...invoice, documentType: 'receipt', tip: 2, total: 50, confidence: { from: 0.95, tip: 0.45 } };
+        const entries = assessConfidence(receipt);
+        expect(entry(entries, 'from').label).toBe('Merchant');
+        expect(entry(entries, 'tip')).toEqual(expect.objectContaining({ label: 'Tip', score: 0.45 }));
+        expect(entry(entries, 'dueDate')).toBeUndefined();
+    });
+
+    it('caps values that fail a validation check', () => {
+        const entries = assessConfidence({ ...invoice, total: 50, confidence: { ...invoice.confidence, total: 0.99 } });
+        expect(entry(entries, 'total')).toEqual(expect.objectContaining({ score: 0.3, reasons: ['Subtotal + tax is 48.00 but the total is 50.00.'] }));
+    });
+});
+
+describe('confidenceLevel', () => {
+    it('splits scores into low, uncertain and fine', () => {
+        expect(confidenceLevel(0.59)).toBe('low');
+        expect(confidenceLevel(0.6)).toBe('uncertain');
+        expect(confidenceLevel(0.85)).toBeNull();
+        expect(confidenceLevel(null)).toBeNull();
+    });
+});
+
+describe('pendingReviews', () => {
+    it('lists low-confidence values until they are reviewed', () => {
+        expect(pendingReviews(invoice).map(item => item.key)).toEqual(['dueDate', 'lineItems.b']);
+        const reviewed = markReviewed(markReviewed(invoice, 'dueDate'), lineItemKey(invoice.lineItems[1], 1));
+        expect(pendingReviews(reviewed)).toEqual([]);
+        expect(markReviewed(reviewed, 'dueDate')).toBe(reviewed);
+    });
+});
@@ -0,0 +1,68 @@
+import { parseInvoiceDate } from './validation';
+
+// --- Duplicate invoice detection ---
+
+// Company suffixes that vary between documents from the same vendor
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|sarl|bv|plc|pty)\b/g;
+
+// Why a transcription was flagged, strongest evidence first
+export const DUPLICATE_REASONS = {
+    file: 'The same file was uploaded before',
+    number: 'Same vendor and invoice number',
+    similar: 'Same vendor, total and invoice date'
+};
+
+// SHA-256 of the uploaded file as hex, or null where WebCrypto isn't available (non-HTTPS pages).
+// Invoices split out of one PDF get the page numbers appended so they don't match each other.
+export const hashFile = async (file, pages = null) => {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return pages ? `${hash}#${pages.join(',')}` : hash;
+};
+
+// "ACME Supplies, Inc." and "Acme Supplies" compare equal
+export const normalizeVendor = vendor => (vendor || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// "INV-00042" and "inv 42" compare equal
+export const normalizeInvoiceNumber = number => String(number || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '')
+    .replace(/^([A-Z]*)0+(?=\d)/, '$1');
+
+const sameDay = (a, b) => {
+    const first = parseInvoiceDate(a);
+    const second = parseInvoiceDate(b);
+    return Boolean(first && second) && first.getTime() === second.getTime();
+};
+
+const sameAmount = (a, b) => (
+    a !== undefined && a !== null && b !== undefined && b !== null && Math.abs(Number(a) - Number(b)) < 0.01
+);
+
+// Decide whether a new transcription repeats a saved record, and why
+const matchReason = (invoice, fileHash, record) => {
+    if (fileHash && record.fileHash === fileHash) return 'file';
+    const data = record.data || {};
+    const vendor = normalizeVendor(invoice.from);
+    if (!vendor || vendor !== normalizeVendor(data.from)) return null;
+
+    const number = normalizeInvoiceNumber(invoice.invoiceNumber);
+    if (number && number === normalizeInvoiceNumber(data.invoiceNumber)) return 'number';
+    if (sameAmount(invoice.total, data.total) && sameDay(invoice.invoiceDate, data.invoiceDate)) return 'similar';
+    return null;
+};
+
+// The saved record a new transcription most likely duplicates: { record, reason } or null
+export const findDuplicate = (invoice, fileHash, records) => {
+    const reasons = Object.keys(DUPLICATE_REASONS);
+    return records
+        .map(record => ({ record, reason: matchReason(invoice, fileHash, record) }))
+        .filter(match => match.reason)
+        .sort((a, b) => reasons.indexOf(a.reason) - reasons.indexOf(b.reason))[0] || null;
+};
@@ -0,0 +1,148 @@
+import { formatMoney } from './money';
+import { describeMatch } from './purchaseOrders';
+
+// --- Email templates ---
+//
+// Templates are plain text with {{placeholders}} filled from the open invoice.
+// The filled template can be sent as is, or rewritten by the AI provider in the chosen tone and length.
+
+const TEMPLATES_STORAGE_KEY = 'emailTemplates';
+const STYLE_STORAGE_KEY = 'emailStyle';
+
+// Placeholders available in the To, Subject and Body of a template, with what they insert
+export const PLACEHOLDERS = [
+    ['from', 'Vendor name'],
+    ['billedTo', 'Billed-to name'],
+    ['invoiceNumber', 'Invoice number'],
+    ['poNumber', 'Purchase order number'],
+    ['poMatch', 'Purchase order match result, with any lines that differ from the order'],
+    ['invoiceDate', 'Invoice date'],
+    ['dueDate', 'Due date, or N/A when the invoice has none'],
+    ['subtotal', 'Subtotal with currency'],
+    ['tax', 'Tax with currency'],
+    ['total', 'Total with currency'],
+    ['currency', 'Currency code'],
+    ['lineItems', 'Selected line items, one per line (all items when none are selected)'],
+    ['userName', 'Your name from Settings']
+];
+
+export const TONES = [['formal', 'Formal'], ['friendly', 'Friendly'], ['firm', 'Firm']];
+export const LENGTHS = [['short', 'Short'], ['medium', 'Medium'], ['detailed', 'Detailed']];
+
+export const DEFAULT_EMAIL_STYLE = { tone: 'formal', length: 'short' };
+
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'payment-approval',
+        name: 'Payment approval request',
+        to: '',
+        subject: 'Payment approval request - {{from}} invoice {{invoiceNumber}}',
+        body: 'Hi team,\n\nPlease approve payment of invoice {{invoiceNumber}} from {{from}} for {{total}}, due on {{dueDate}}.\n\nLine items:\n{{lineItems}}\n\nPurchase order: {{poMatch}}\n\nBest regards,\n{{userName}}'
+    },
+    {
+        id: 'vendor-query',
+        name: 'Query to vendor',
+        to: '',
+        subject: 'Question about invoice {{invoiceNumber}}',
+        body: 'Hello {{from}} team,\n\nThank you for invoice {{invoiceNumber}} for {{total}}. Before we process it, could you please clarify the following:\n\n[INSERT QUESTION ABOUT A SPECIFIC CHARGE HERE]\n\nThank you,\n{{userName}}'
+    },
+    {
+        id: 'payment-reminder',
+        name: 'Payment reminder (internal)',
+        to: '',
+        subject: 'Reminder: {{from}} invoice {{invoiceNumber}} is due {{dueDate}}',
+        body: 'Hi team,\n\nA reminder that invoice {{invoiceNumber}} from {{from}} for {{total}} is due on {{dueDate}} and has not been paid yet. Please approve or schedule it so we avoid late fees.\n\nThanks,\n{{userName}}'
+    },
+    {
+        id: 'line-dispute',
+        name: 'Dispute line items',
+        to: '',
+        subject: 'Disputed charges on invoice {{invoiceNumber}}',
+        body: 'Hello {{from}} team,\n\nWe have reviewed invoice {{invoiceNumber}} dated {{invoiceDate}} and dispute the following charges:\n\n{{lineItems}}\n\n[EXPLAIN WHY THESE CHARGES ARE INCORRECT]\n\nPlease send a corrected invoice or a credit note. We will pay the undisputed amount by {{dueDate}}.\n\nRegards,\n{{userName}}'
+    },
+    {
+        id: 'remittance-advice',
+        name: 'Remittance advice',
+        to: '',
+        subject: 'Remittance advice - invoice {{invoiceNumber}}',
+        body: 'Hello {{from}} team,\n\nThis is to confirm that we have paid invoice {{invoiceNumber}} dated {{invoiceDate}}.\n\nAmount paid: {{total}}\nPayment date: [PAYMENT DATE]\nPayment reference: [REFERENCE]\n\nPlease allow a few days for the funds to arrive.\n\nKind regards,\n{{userName}}\n{{billedTo}}'
+    }
+].map(template => ({ ...template, builtIn: true }));
+
+export const loadEmailTemplates = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : BUILT_IN_TEMPLATES;
+    } catch (err) {
+        console.error("Error reading email templates:", err);
+        return BUILT_IN_TEMPLATES;
+    }
+};
+
+export const saveEmailTemplates = templates => localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+
+// Add back any built-in template that was deleted, leaving edited ones alone
+export const restoreBuiltInTemplates = templates => [
+    ...templates,
+    ...BUILT_IN_TEMPLATES.filter(builtIn => !templates.some(template => template.id === builtIn.id))
+];
+
+export const loadEmailStyle = () => {
+    try {
+        return { ...DEFAULT_EMAIL_STYLE, ...JSON.parse(localStorage.getItem(STYLE_STORAGE_KEY)) };
+    } catch (err) {
+        return DEFAULT_EMAIL_STYLE;
+    }
+};
+
+export const saveEmailStyle = style => localStorage.setItem(STYLE_STORAGE_KEY, JSON.stringify(style));
+
+const describeLineItem = (item, currency) => {
+    const quantity = Number(item.quantity) || 0;
+    return `- ${item.description || 'Item'}: ${quantity} × ${formatMoney(Number(item.unitPrice) || 0, currency)} = ${formatMoney(Number(item.total) || 0, currency)}`;
+};
+
+// Values for every placeholder, given the invoice and the line items picked in the composer
+export const placeholderValues = (invoice, { selectedItemIds = [], userName = '', poMatch = null } = {}) => {
+    const lineItems = invoice.lineItems || [];
+    const selected = selectedItemIds.length > 0 ? lineItems.filter(item => selectedItemIds.includes(item.id)) : lineItems;
+    return {
+        from: invoice.from || '',
+        billedTo: invoice.billedTo || '',
+        invoiceNumber: invoice.invoiceNumber || '',
+        poNumber: invoice.poNumber || '',
+        poMatch: describeMatch(poMatch),
+        invoiceDate: invoice.invoiceDate || '',
+        dueDate: invoice.dueDate || 'N/A',
+        subtotal: formatMoney(invoice.subtotal, invoice.currency),
+        tax: formatMoney(invoice.tax || 0, invoice.currency),
+        total: formatMoney(invoice.total, invoice.currency),
+        currency: invoice.currency || '',
+        lineItems: selected.map(item => describeLineItem(item, invoice.currency)).join('\n'),
+        userName
+    };
+};
+
+// Replace {{placeholders}}, leaving unknown ones visible so they're easy to spot
+export const fillTemplate = (text, values) => (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+
+const TONE_INSTRUCTIONS = {
+    formal: 'a formal, professional tone',
+    friendly: 'a warm, friendly but professional tone',
+    firm: 'a firm, direct tone that stays polite'
+};
+
+const LENGTH_INSTRUCTIONS = {
+    short: 'Keep it short: no more than about 80 words in the body.',
+    medium: 'Aim for about 120-180 words in the body.',
+    detailed: 'Be thorough and include all relevant invoice details.'
+};
+
+// Prompt asking the model to rewrite a filled-in draft in the chosen tone and length
+export const buildRewritePrompt = (draft, { tone, length }) => `Rewrite the following email draft in ${TONE_INSTRUCTIONS[tone] || TONE_INSTRUCTIONS.formal}. ${LENGTH_INSTRUCTIONS[length] || LENGTH_INSTRUCTIONS.short}
+Keep every fact, amount, date, invoice number and line item exactly as given, and keep any text in [SQUARE BRACKETS] as a placeholder for the user to fill in. Keep the sign-off name.
+Respond with a JSON object with "subject" and "body".
+
+Subject: ${draft.subject}
+
+${draft.body}`;
@@ -0,0 +1,29 @@
+import { BUILT_IN_TEMPLATES, fillTemplate, placeholderValues } from './emailTemplates';
+
+const invoice = {
+    from: 'Paper Co',
+    invoiceNumber: 'INV-7',
+    invoiceDate: '2024-03-05',
+    dueDate: '',
+    currency: 'USD',
+    lineItems: [{ id: 'a', description: 'Paper', quantity: 2, unitPrice: 5, total: 10 }],
+    subtotal: 10,
+    tax: 2,
+    total: 12
+};
+
+describe('placeholderValues', () => {
+    it('fills every built-in template for an invoice without a due date', () => {
+        const values = placeholderValues(invoice, { userName: 'Sam' });
+        BUILT_IN_TEMPLATES.forEach((template) => {
+            const text = fillTemplate(`${template.subject}\n${template.body}`, values);
+            expect(text).not.toMatch(/\{\{|receipt/);
+        });
+        expect(fillTemplate(BUILT_IN_TEMPLATES.find(t => t.id === 'payment-reminder').subject, values)).toBe('Reminder: Paper Co invoice INV-7 is due N/A');
+        expect(fillTemplate(BUILT_IN_TEMPLATES.find(t => t.id === 'line-dispute').body, values)).toContain('We will pay the undisputed amount by N/A.');
+    });
+
+    it('uses the due date when there is one', () => {
+        expect(placeholderValues({ ...invoice, dueDate: '2024-04-04' }).dueDate).toBe('2024-04-04');
+    });
+});
@@ -0,0 +1,81 @@
+// --- .eml drafts ---
+//
+// Builds an RFC 5322 message that mail clients open as an unsent draft,
+// with the original invoice attached.
+
+const LINE_LENGTH = 76;
+
+const wrap = text => text.match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')) || [];
+
+const utf8ToBase64 = text => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+};
+
+const arrayBufferToBase64 = buffer => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+// Header values outside ASCII use RFC 2047 encoded words
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${utf8ToBase64(value)}?=`);
+
+// File names are quoted, so strip characters that would break the quoting
+const safeHeaderFileName = name => encodeHeader((name || 'invoice').replace(/["\\\r\n]/g, '_'));
+
+// Build a .eml draft. `attachment` is an optional File or Blob with a name.
+export const buildEml = async ({ to = '', subject = '', body = '', attachment = null, date = new Date() }) => {
+    const boundary = `----=_Part_${Math.random().toString(36).slice(2)}`;
+    const headers = [
+        `To: ${to.replace(/[\r\n]/g, ' ')}`,
+        `Subject: ${encodeHeader(subject.replace(/[\r\n]/g, ' '))}`,
+        `Date: ${date.toUTCString()}`,
+        'X-Unsent: 1',
+        'MIME-Version: 1.0'
+    ];
+    const textPart = [
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        ...wrap(utf8ToBase64(body.replace(/\r?\n/g, '\r\n')))
+    ];
+
+    if (!attachment) {
+        return new Blob([[...headers, ...textPart].join('\r\n')], { type: 'message/rfc822' });
+    }
+
+    const fileName = safeHeaderFileName(attachment.name);
+    const attachmentPart = [
+        `Content-Type: ${attachment.type || 'application/octet-stream'}; name="${fileName}"`,
+        'Content-Transfer-Encoding: base64',
+        `Content-Disposition: attachment; filename="${fileName}"`,
+        '',
+        ...wrap(arrayBufferToBase64(await attachment.arrayBuffer()))
+    ];
+    const message = [
+        ...headers,
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        ...textPart,
+        `--${boundary}`,
+        ...attachmentPart,
+        `--${boundary}--`,
+        ''
+    ];
+    return new Blob([message.join('\r\n')], { type: 'message/rfc822' });
+};
+
+// Most clients accept about 2000 characters in a mailto: link
+export const MAILTO_MAX_LENGTH = 2000;
+
+export const buildMailtoLink = ({ to = '', subject = '', body = '' }) => {
+    const params = [`subject=${encodeURIComponent(subject)}`, `body=${encodeURIComponent(body.replace(/\r?\n/g, '\r\n'))}`];
+    return `mailto:${to.split(/[,;]/).map(address => encodeURIComponent(address.trim()).replace(/%40/g, '@')).filter(Boolean).join(',')}?${params.join('&')}`;
+};
@@ -0,0 +1,75 @@
+import { currencyDecimals, isCurrencyCode, toCurrencyCode } from './money';
+
+// --- Base currency and exchange-rate table ---
+//
+// Rates are quoted the way most rate feeds publish them: units of the foreign
+// currency per one unit of the base currency (base USD, EUR 0.92 means 1 USD = 0.92 EUR).
+
+const STORAGE_KEY = 'exchangeRates';
+
+export const DEFAULT_EXCHANGE_RATES = { baseCurrency: '', rates: {}, updatedAt: null };
+
+export const loadExchangeRates = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved && typeof saved.rates === 'object' ? { ...DEFAULT_EXCHANGE_RATES, ...saved } : DEFAULT_EXCHANGE_RATES;
+    } catch (err) {
+        console.error("Error reading exchange rates:", err);
+        return DEFAULT_EXCHANGE_RATES;
+    }
+};
+
+export const saveExchangeRates = settings => localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+
+// Foreign units per base unit for a currency, or null when conversion isn't possible
+export const rateFor = (currency, { baseCurrency, rates }) => {
+    if (!baseCurrency) return null;
+    const code = toCurrencyCode(currency);
+    if (code === baseCurrency) return 1;
+    const rate = Number(rates[code]);
+    return rate > 0 ? rate : null;
+};
+
+// Convert an amount into the base currency, rounded to the base currency's minor unit
+export const convertToBase = (amount, currency, settings) => {
+    const rate = rateFor(currency, settings);
+    if (rate === null || amount === undefined || amount === null || amount === '') return null;
+    const factor = 10 ** currencyDecimals(settings.baseCurrency);
+    return Math.round(((Number(amount) || 0) / rate) * factor) / factor;
+};
+
+// The invoice's amounts in the base currency, or null when there is no base currency or rate
+export const convertInvoice = (invoice, settings) => {
+    const rate = rateFor(invoice.currency, settings);
+    if (rate === null || toCurrencyCode(invoice.currency) === settings.baseCurrency) return null;
+    return {
+        baseCurrency: settings.baseCurrency,
+        rate,
+        subtotal: convertToBase(invoice.subtotal, invoice.currency, settings),
+        tax: convertToBase(invoice.tax, invoice.currency, settings),
+        total: convertToBase(invoice.total, invoice.currency, settings)
+    };
+};
+
+// Read a rate table from JSON ({ base, rates: { EUR: 0.92 } } as served by most rate APIs)
+// or CSV ("EUR,0.92" per line, with an optional header). Returns { baseCurrency?, rates }.
+export const parseExchangeRates = (text) => {
+    const trimmed = text.trim();
+    let baseCurrency;
+    let entries;
+    if (trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        baseCurrency = data.base || data.baseCurrency || data.base_code;
+        entries = Object.entries(data.rates || data.conversion_rates || {});
+    } else {
+        entries = trimmed.split(/\r?\n/).map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+    }
+
+    const rates = {};
+    entries.forEach(([code, rate]) => {
+        const value = Number(rate);
+        if (isCurrencyCode(code) && value > 0) rates[code.toUpperCase()] = value;
+    });
+    if (Object.keys(rates).length === 0) throw new Error("No exchange rates found. Expected JSON with a \"rates\" object or CSV lines like \"EUR,0.92\".");
+    return { baseCurrency: isCurrencyCode(baseCurrency) ? baseCurrency.toUpperCase() : undefined, rates };
+};
@@ -0,0 +1,163 @@
+import { createId } from './ids';
+import { accountForItem } from './categories';
+import { rateFor } from './exchangeRates';
+import { roundMoney } from './invoiceMath';
+import { currencyDecimals, toCurrencyCode } from './money';
+import { isReceipt, parseInvoiceDate } from './validation';
+
+// --- Expense reports: receipts grouped for reimbursement and checked against the expense policy ---
+
+const POLICY_STORAGE_KEY = 'expensePolicy';
+
+// Amounts within half a cent of the limit are within it
+const LIMIT_TOLERANCE = 0.005;
+
+// Daily spending limits per category (per diems). Limits are in the base currency,
+// or in the receipts' own currency when no base currency is set.
+export const DEFAULT_EXPENSE_POLICY = {
+    limits: [{ id: createId(), category: 'Meals & Entertainment', dailyLimit: 75 }]
+};
+
+export const loadExpensePolicy = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(POLICY_STORAGE_KEY));
+        return saved && Array.isArray(saved.limits) ? { ...DEFAULT_EXPENSE_POLICY, ...saved } : DEFAULT_EXPENSE_POLICY;
+    } catch (err) {
+        console.error("Error reading the expense policy:", err);
+        return DEFAULT_EXPENSE_POLICY;
+    }
+};
+
+export const saveExpensePolicy = policy => localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(policy));
+
+export const createExpenseReport = (fields = {}) => {
+    const now = new Date().toISOString();
+    return {
+        id: createId(),
+        title: '',
+        employee: '',
+        purpose: '',
+        receiptIds: [],
+        createdAt: now,
+        ...fields,
+        updatedAt: now
+    };
+};
+
+// The report's receipts in the order they were added, skipping any deleted from the library
+export const reportReceipts = (report, records) => report.receiptIds
+    .map(id => records.find(record => record.id === id))
+    .filter(record => record && isReceipt(record.data));
+
+// Library receipts that aren't in any report yet
+export const unreportedReceipts = (records, reports) => {
+    const reported = new Set(reports.flatMap(report => report.receiptIds));
+    return records.filter(record => isReceipt(record.data) && !reported.has(record.id));
+};
+
+const toIsoDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// First and last receipt date as YYYY-MM-DD, or null when no receipt has a readable date
+export const reportPeriod = (records) => {
+    const dates = records.map(record => parseInvoiceDate(record.data.invoiceDate)).filter(Boolean).sort((a, b) => a - b);
+    return dates.length > 0 ? { from: toIsoDate(dates[0]), to: toIsoDate(dates[dates.length - 1]) } : null;
+};
+
+// Currency the report is totalled and checked in: the base currency, else the first receipt's
+export const reportCurrency = (records, exchangeRates) => (
+    exchangeRates.baseCurrency || (records.length > 0 ? toCurrencyCode(records[0].data.currency) : '')
+);
+
+// An amount of a receipt in the report currency, or null when there's no rate for it
+export const toReportAmount = (invoice, amount, currency, exchangeRates) => {
+    if (toCurrencyCode(invoice.currency) === currency) return amount;
+    const rate = currency === exchangeRates.baseCurrency ? rateFor(invoice.currency, exchangeRates) : null;
+    return rate ? amount / rate : null;
+};
+
+// What each line of a receipt cost including its share of the tax and tip:
+// [{ item, tax, tip, amount }] in the receipt's currency
+export const lineShares = (invoice) => {
+    const lineItems = invoice.lineItems || [];
+    const subtotal = lineItems.reduce((sum, item) => sum + (Number(item.total) || 0), 0);
+    const share = (item, value) => (subtotal ? (Number(item.total) || 0) / subtotal * (Number(value) || 0) : (Number(value) || 0) / lineItems.length);
+    const decimals = currencyDecimals(invoice.currency);
+    return lineItems.map(item => {
+        const tax = roundMoney(share(item, invoice.tax), decimals);
+        const tip = roundMoney(share(item, invoice.tip), decimals);
+        return { item, tax, tip, amount: roundMoney((Number(item.total) || 0) + tax + tip, decimals) };
+    });
+};
+
+const categoryName = (item, accounts) => {
+    const account = accountForItem(item, accounts);
+    return (account ? account.name : item.category || '').trim();
+};
+
+const sameCategory = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Totals of the report in its currency: { currency, total, byCategory: [{ category, amount }], unconvertedCount }.
+// Receipts without a rate to the report currency are left out and counted.
+export const reportTotals = (records, exchangeRates, accounts = []) => {
+    const currency = reportCurrency(records, exchangeRates);
+    const byCategory = new Map();
+    let total = 0;
+    let unconvertedCount = 0;
+    records.forEach(({ data }) => {
+        if (toReportAmount(data, 1, currency, exchangeRates) === null) {
+            unconvertedCount++;
+            return;
+        }
+        total += toReportAmount(data, Number(data.total) || 0, currency, exchangeRates);
+        lineShares(data).forEach(({ item, amount }) => {
+            const category = categoryName(item, accounts) || 'Uncategorized';
+            byCategory.set(category, (byCategory.get(category) || 0) + toReportAmount(data, amount, currency, exchangeRates));
+        });
+    });
+    const decimals = currencyDecimals(currency);
+    return {
+        currency,
+        total: roundMoney(total, decimals),
+        byCategory: Array.from(byCategory, ([category, amount]) => ({ category, amount: roundMoney(amount, decimals) })).sort((a, b) => b.amount - a.amount),
+        unconvertedCount
+    };
+};
+
+// Check a report's receipts against the daily category limits.
+// Returns { currency, violations: [{ date, category, limit, spent, recordIds }], notes: [{ recordId, message }] };
+// notes list receipts that couldn't be checked.
+export const checkExpensePolicy = (records, policy, exchangeRates, accounts = []) => {
+    const currency = reportCurrency(records, exchangeRates);
+    const limits = (policy.limits || []).filter(limit => limit.category && Number(limit.dailyLimit) > 0);
+    const spending = new Map();
+    const notes = [];
+
+    records.forEach(({ id, data }) => {
+        const shares = lineShares(data)
+            .map(share => ({ ...share, limit: limits.find(limit => sameCategory(limit.category, categoryName(share.item, accounts))) }))
+            .filter(share => share.limit);
+        if (shares.length === 0) return;
+        const date = parseInvoiceDate(data.invoiceDate);
+        if (!date) {
+            notes.push({ recordId: id, message: `${data.from || 'A receipt'} has no readable date, so its daily limits can't be checked.` });
+            return;
+        }
+        if (toReportAmount(data, 1, currency, exchangeRates) === null) {
+            notes.push({ recordId: id, message: `No ${toCurrencyCode(data.currency)} rate to convert ${data.from || 'a receipt'} to ${currency}. Add one in Settings.` });
+            return;
+        }
+        shares.forEach(({ amount, limit }) => {
+            const key = `${toIsoDate(date)}|${limit.id}`;
+            const entry = spending.get(key) || { date: toIsoDate(date), category: limit.category, limit: Number(limit.dailyLimit), spent: 0, recordIds: [] };
+            entry.spent += toReportAmount(data, amount, currency, exchangeRates);
+            if (!entry.recordIds.includes(id)) entry.recordIds.push(id);
+            spending.set(key, entry);
+        });
+    });
+
+    const violations = Array.from(spending.values())
+        .map(entry => ({ ...entry, spent: roundMoney(entry.spent, currencyDecimals(currency)) }))
+        .filter(entry => entry.spent > entry.limit + LIMIT_TOLERANCE)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.category.localeCompare(b.category));
+    return { currency, violations, notes };
+};
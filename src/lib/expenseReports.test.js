@@ -0,0 +1,76 @@
+import { checkExpensePolicy, createExpenseReport, lineShares, reportPeriod, reportReceipts, reportTotals, unreportedReceipts } from './expenseReports';
+
+const receipt = (id, data) => ({ id, data: { documentType: 'receipt', currency: 'USD', tax: 0, tip: 0, ...data } });
+
+const lunch = receipt('r1', {
+    from: 'Harbour Street Bistro',
+    invoiceDate: '2024-03-04',
+    lineItems: [{ description: 'Lunch menu x2', category: 'Meals & Entertainment', total: 49 }, { description: 'Sparkling water', category: 'Meals & Entertainment', total: 8 }],
+    subtotal: 57,
+    tax: 5.13,
+    tip: 12,
+    total: 74.13
+});
+const taxi = receipt('r2', { from: 'City Cabs', invoiceDate: '2024-03-05', currency: 'EUR', lineItems: [{ description: 'Taxi fare', category: 'Travel', total: 20 }], subtotal: 20, tip: 2, total: 22 });
+const dinner = receipt('r3', { from: 'Noodle Bar', invoiceDate: '2024-03-04', lineItems: [{ description: 'Dinner', category: 'Meals & Entertainment', total: 30 }], subtotal: 30, total: 30 });
+const undated = receipt('r4', { from: 'Corner Cafe', invoiceDate: '', lineItems: [{ description: 'Coffee', category: 'Meals & Entertainment', total: 4 }], subtotal: 4, total: 4 });
+const invoice = { id: 'i1', data: { from: 'Paper Co', invoiceDate: '2024-03-04', currency: 'USD', lineItems: [], total: 10 } };
+
+const exchangeRates = { baseCurrency: 'USD', rates: { EUR: 0.5 } };
+const policy = { limits: [{ id: 'meals', category: 'Meals & Entertainment', dailyLimit: 75 }] };
+
+describe('report receipts', () => {
+    it('keeps the order they were added in and skips deleted ones', () => {
+        const report = createExpenseReport({ receiptIds: ['r3', 'gone', 'r1'] });
+        expect(reportReceipts(report, [lunch, taxi, dinner]).map(record => record.id)).toEqual(['r3', 'r1']);
+    });
+
+    it('offers receipts that are in no report yet', () => {
+        const reports = [createExpenseReport({ receiptIds: ['r1'] })];
+        expect(unreportedReceipts([lunch, taxi, invoice], reports).map(record => record.id)).toEqual(['r2']);
+    });
+
+    it('spans the first to the last receipt date', () => {
+        expect(reportPeriod([taxi, undated, lunch])).toEqual({ from: '2024-03-04', to: '2024-03-05' });
+        expect(reportPeriod([undated])).toBeNull();
+    });
+});
+
+describe('lineShares', () => {
+    it('spreads tax and tip over the lines so they add up to the total', () => {
+        const shares = lineShares(lunch.data);
+        expect(shares.map(({ tax, tip, amount }) => [tax, tip, amount])).toEqual([[4.41, 10.32, 63.73], [0.72, 1.68, 10.4]]);
+        expect(shares[0].amount + shares[1].amount).toBeCloseTo(74.13);
+    });
+});
+
+describe('reportTotals', () => {
+    it('totals by category in the base currency', () => {
+        expect(reportTotals([lunch, taxi, dinner], exchangeRates)).toEqual({
+            currency: 'USD',
+            total: 148.13,
+            byCategory: [{ category: 'Meals & Entertainment', amount: 104.13 }, { category: 'Travel', amount: 44 }],
+            unconvertedCount: 0
+        });
+    });
+
+    it('leaves out receipts without a rate', () => {
+        expect(reportTotals([lunch, taxi], { baseCurrency: 'USD', rates: {} })).toEqual(expect.objectContaining({ total: 74.13, unconvertedCount: 1 }));
+    });
+});
+
+describe('checkExpensePolicy', () => {
+    it('adds up each day and category against its limit', () => {
+        const { currency, violations, notes } = checkExpensePolicy([lunch, taxi, dinner, undated], policy, exchangeRates);
+        expect(currency).toBe('USD');
+        expect(violations).toEqual([{ date: '2024-03-04', category: 'Meals & Entertainment', limit: 75, spent: 104.13, recordIds: ['r1', 'r3'] }]);
+        expect(notes).toEqual([{ recordId: 'r4', message: "Corner Cafe has no readable date, so its daily limits can't be checked." }]);
+    });
+
+    it('matches categories through the chart of accounts and ignores unlimited ones', () => {
+        const accounts = [{ id: 'acc-meals', name: 'Meals & Entertainment' }];
+        const linked = receipt('r5', { invoiceDate: '2024-03-06', lineItems: [{ description: 'Team lunch', category: 'Food', accountId: 'acc-meals', total: 90 }], subtotal: 90, total: 90 });
+        expect(checkExpensePolicy([linked], policy, exchangeRates, accounts).violations).toHaveLength(1);
+        expect(checkExpensePolicy([taxi], policy, exchangeRates, accounts)).toEqual({ currency: 'USD', violations: [], notes: [] });
+    });
+});
@@ -0,0 +1,26 @@
+// Values that spreadsheet apps would treat as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Plain numbers such as "-10.00" are left alone so negative amounts still import as numbers
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Escape one CSV value (RFC 4180), neutralizing text that would be read as a formula
+export const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from a column mapping: [{ header, value: (invoice, item, index) => ... }].
+// Every line item becomes a row and repeats its invoice's header fields, which importers expect.
+export const buildLineItemCsv = (columns, invoices) => {
+    const rows = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+    invoices.forEach(invoice => {
+        (invoice.lineItems || []).forEach((item, index) => {
+            rows.push(columns.map(column => escapeCsvValue(column.value(invoice, item, index))).join(','));
+        });
+    });
+    return rows.join('\r\n') + '\r\n';
+};
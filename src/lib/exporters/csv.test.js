@@ -0,0 +1,43 @@
+import { buildLineItemCsv, escapeCsvValue } from './csv';
+
+describe('escapeCsvValue', () => {
+    it('leaves plain values alone', () => {
+        expect(escapeCsvValue('Paper')).toBe('Paper');
+        expect(escapeCsvValue(-12.5)).toBe('-12.5');
+        expect(escapeCsvValue(null)).toBe('');
+    });
+
+    it('keeps negative amounts as numbers', () => {
+        expect(escapeCsvValue('-10.00')).toBe('-10.00');
+        expect(escapeCsvValue('-10')).toBe('-10');
+    });
+
+    it('quotes separators, quotes, line breaks and padding', () => {
+        expect(escapeCsvValue('Paper, A4')).toBe('"Paper, A4"');
+        expect(escapeCsvValue('12" ruler')).toBe('"12"" ruler"');
+        expect(escapeCsvValue('line 1\nline 2')).toBe('"line 1\nline 2"');
+        expect(escapeCsvValue(' padded')).toBe('" padded"');
+    });
+
+    it('neutralizes text that spreadsheets would run as a formula', () => {
+        expect(escapeCsvValue('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+        expect(escapeCsvValue('-1+A1')).toBe("'-1+A1");
+        expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+});
+
+describe('buildLineItemCsv', () => {
+    it('writes one row per line item, repeating the invoice fields', () => {
+        const columns = [
+            { header: 'Invoice', value: invoice => invoice.invoiceNumber },
+            { header: 'Line', value: (invoice, item, index) => index + 1 },
+            { header: 'Description', value: (invoice, item) => item.description }
+        ];
+        const invoices = [
+            { invoiceNumber: 'A-1', lineItems: [{ description: 'Paper' }, { description: 'Toner, black' }] },
+            { invoiceNumber: 'A-2', lineItems: [] },
+            { invoiceNumber: 'A-3' }
+        ];
+        expect(buildLineItemCsv(columns, invoices)).toBe('Invoice,Line,Description\r\nA-1,1,Paper\r\nA-1,2,"Toner, black"\r\n');
+    });
+});
@@ -0,0 +1,60 @@
+import { buildLineItemCsv } from './csv';
+import { amount, formatDate, safeFileName } from './format';
+import { accountForItem } from '../categories';
+import { checkExpensePolicy, lineShares, reportCurrency, toReportAmount } from '../expenseReports';
+import { toCurrencyCode } from '../money';
+
+// --- Expense report export: every receipt line of a report in one CSV ---
+//
+// Each line carries its share of the receipt's tax and tip, so the Total
+// column adds up to what the employee paid, and is flagged when its day and
+// category went over the expense policy.
+
+const policyFlag = (invoice, item, violations, currency) => {
+    const violation = violations.find(entry => entry.recordIds.includes(invoice.recordId) && entry.category.trim().toLowerCase() === (item.category || '').trim().toLowerCase());
+    return violation ? `Over the ${violation.category} limit on ${violation.date} (${amount(violation.spent, currency)} of ${amount(violation.limit, currency)})` : '';
+};
+
+// The line total in the report currency, or '' when there's no rate for it
+const reportAmount = (invoice, value, currency, exchangeRates) => {
+    const converted = toReportAmount(invoice, value, currency, exchangeRates);
+    return converted === null ? '' : amount(converted, currency);
+};
+
+const columns = (report, currency, violations, exchangeRates) => [
+    { header: 'Report', value: () => report.title },
+    { header: 'Employee', value: () => report.employee },
+    { header: 'Purpose', value: () => report.purpose },
+    { header: 'Date', value: invoice => formatDate(invoice.invoiceDate, 'YYYY-MM-DD') },
+    { header: 'Merchant', value: invoice => invoice.from },
+    { header: 'Receipt #', value: invoice => invoice.invoiceNumber },
+    { header: 'Payment Method', value: invoice => invoice.paymentMethod },
+    { header: 'Description', value: (invoice, item) => item.description },
+    { header: 'Category', value: (invoice, item) => item.category },
+    { header: 'GL Code', value: (invoice, item) => item.glCode },
+    { header: 'Amount', value: (invoice, item) => amount(item.total, invoice.currency) },
+    { header: 'Tax', value: (invoice, item, index) => amount(invoice.shares[index].tax, invoice.currency) },
+    { header: 'Tip', value: (invoice, item, index) => amount(invoice.shares[index].tip, invoice.currency) },
+    { header: 'Total', value: (invoice, item, index) => amount(invoice.shares[index].amount, invoice.currency) },
+    { header: 'Currency', value: invoice => toCurrencyCode(invoice.currency) },
+    { header: `Total (${currency})`, value: (invoice, item, index) => reportAmount(invoice, invoice.shares[index].amount, currency, exchangeRates) },
+    { header: 'Policy', value: (invoice, item) => policyFlag(invoice, item, violations, currency) }
+];
+
+// One CSV for a report and its receipt records: { fileName, blob }
+export const exportExpenseReport = (report, records, { accounts = [], exchangeRates, policy }) => {
+    const currency = reportCurrency(records, exchangeRates);
+    const { violations } = checkExpensePolicy(records, policy, exchangeRates, accounts);
+    const invoices = records.map(({ id, data }) => {
+        const lineItems = (data.lineItems || []).map(item => {
+            const account = accountForItem(item, accounts);
+            return { ...item, category: account ? account.name : item.category, glCode: account ? account.glCode : '' };
+        });
+        const invoice = { ...data, lineItems, recordId: id };
+        return { ...invoice, shares: lineShares(invoice) };
+    });
+    return {
+        fileName: `expense_report_${safeFileName(report.title)}.csv`,
+        blob: new Blob([buildLineItemCsv(columns(report, currency, violations, exchangeRates), invoices)], { type: 'text/csv;charset=utf-8' })
+    };
+};
@@ -0,0 +1,35 @@
+import { exportExpenseReport } from './expenseReport';
+
+const accounts = [{ id: 'acc-meals', name: 'Meals & Entertainment', glCode: '6400' }];
+
+const record = {
+    id: 'r1',
+    data: {
+        documentType: 'receipt',
+        from: 'Harbour Street Bistro',
+        invoiceDate: '2024-03-04',
+        invoiceNumber: '0042-118',
+        paymentMethod: 'Visa •••• 4242',
+        currency: 'EUR',
+        lineItems: [{ description: 'Lunch menu x2', category: 'Meals & Entertainment', total: 49 }, { description: 'Sparkling water', category: '', total: 8 }],
+        subtotal: 57,
+        tax: 5.13,
+        tip: 12,
+        total: 74.13
+    }
+};
+
+const report = { title: 'Boston trip', employee: 'Dana', purpose: 'Client workshop', receiptIds: ['r1'] };
+
+describe('exportExpenseReport', () => {
+    it('writes each receipt line with its share of tax and tip and flags lines over the policy', async () => {
+        const policy = { limits: [{ id: 'meals', category: 'Meals & Entertainment', dailyLimit: 50 }] };
+        const file = exportExpenseReport(report, [record], { accounts, exchangeRates: { baseCurrency: 'USD', rates: { EUR: 0.5 } }, policy });
+
+        expect(file.fileName).toBe('expense_report_Boston_trip.csv');
+        const [header, lunch, water] = (await file.blob.text()).trim().split('\r\n');
+        expect(header).toBe('Report,Employee,Purpose,Date,Merchant,Receipt #,Payment Method,Description,Category,GL Code,Amount,Tax,Tip,Total,Currency,Total (USD),Policy');
+        expect(lunch).toBe('Boston trip,Dana,Client workshop,2024-03-04,Harbour Street Bistro,0042-118,Visa •••• 4242,Lunch menu x2,Meals & Entertainment,6400,49.00,4.41,10.32,63.73,EUR,127.46,Over the Meals & Entertainment limit on 2024-03-04 (127.46 of 50.00)');
+        expect(water).toBe('Boston trip,Dana,Client workshop,2024-03-04,Harbour Street Bistro,0042-118,Visa •••• 4242,Sparkling water,,,8.00,0.72,1.68,10.40,EUR,20.80,');
+    });
+});
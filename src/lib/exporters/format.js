@@ -0,0 +1,56 @@
+import { parseInvoiceDate } from '../validation';
+import { roundMoney } from '../invoiceMath';
+import { currencyDecimals } from '../money';
+import { LINE_STATUSES, MATCH_STATUSES } from '../purchaseOrders';
+
+const pad = number => String(number).padStart(2, '0');
+
+// Reformat an extracted date for an importer, keeping the original text if it can't be parsed
+export const formatDate = (value, pattern) => {
+    const date = parseInvoiceDate(value);
+    if (!date) return value || '';
+    const parts = { YYYY: date.getFullYear(), MM: pad(date.getMonth() + 1), DD: pad(date.getDate()) };
+    return pattern.replace(/YYYY|MM|DD/g, token => parts[token]);
+};
+
+// An amount with the currency's minor-unit digits, e.g. "1500" for JPY and "1.250" for KWD
+export const amount = (value, currency) => (Number(value) || 0).toFixed(currencyDecimals(currency));
+
+// An amount of the invoice converted to the base currency, or '' when the export has no conversion
+export const baseAmount = (invoice, value) => {
+    if (!invoice.conversion) return '';
+    const decimals = currencyDecimals(invoice.conversion.baseCurrency);
+    return roundMoney((Number(value) || 0) / invoice.conversion.rate, decimals);
+};
+
+// Overall tax rate of an invoice as a percentage, e.g. 20 for 20% VAT
+export const taxRate = (invoice) => {
+    const subtotal = Number(invoice.subtotal) || 0;
+    const tax = Number(invoice.tax) || 0;
+    return subtotal > 0 ? Math.round((tax / subtotal) * 10000) / 100 : 0;
+};
+
+export const hasTaxRate = item => item.taxRate !== undefined && item.taxRate !== null && item.taxRate !== '';
+
+// Tax on one line: from its own rate when known, otherwise the invoice-level
+// tax spread over the lines in proportion to their totals
+export const lineTax = (invoice, item) => {
+    const decimals = currencyDecimals(invoice.currency);
+    if (hasTaxRate(item)) return roundMoney((Number(item.total) || 0) * Number(item.taxRate) / 100, decimals);
+    const subtotal = Number(invoice.subtotal) || 0;
+    if (!subtotal) return 0;
+    return roundMoney(((Number(item.total) || 0) / subtotal) * (Number(invoice.tax) || 0), decimals);
+};
+
+// Purchase order match of the whole invoice, e.g. "PO 4500123: Over-billed", or '' when the export has none
+export const poMatchLabel = invoice => (invoice.poMatch ? `PO ${invoice.poMatch.poNumbers.join(', ')}: ${MATCH_STATUSES[invoice.poMatch.status]}` : '');
+
+// Match of the invoice's line at index; its lines are matched in order
+export const poLineMatch = (invoice, index) => (invoice.poMatch ? invoice.poMatch.lines[index] || null : null);
+
+export const poLineLabel = (invoice, index) => {
+    const line = poLineMatch(invoice, index);
+    return line ? LINE_STATUSES[line.status] : '';
+};
+
+export const safeFileName = text => (text || 'data').replace(/[^\w.-]+/g, '_');
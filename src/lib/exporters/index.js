@@ -0,0 +1,58 @@
+import quickbooks from './quickbooks';
+import xero from './xero';
+import json from './json';
+import xlsx from './xlsx';
+import ubl from './ubl';
+import { safeFileName } from './format';
+import { accountForItem } from '../categories';
+import { convertInvoice } from '../exchangeRates';
+import { matchInvoice } from '../purchaseOrders';
+
+// --- Export formats ---
+//
+// Each format maps invoice fields to its own layout in build(invoices), which
+// returns the file contents (string or bytes, optionally via a promise).
+// Formats with filePerInvoice produce one file for each invoice in a batch.
+
+export const EXPORT_FORMATS = [quickbooks, xero, json, xlsx, ubl];
+
+const defaultFileName = (format, invoices) => {
+    const stem = invoices.length === 1
+        ? `invoice_${safeFileName(invoices[0].invoiceNumber)}`
+        : `invoices_${new Date().toISOString().slice(0, 10)}`;
+    return `${stem}_${format.id}.${format.extension}`;
+};
+
+// Copy the GL and tax codes of each line's account onto the line so formats can read them directly
+const withAccountCodes = (invoice, accounts) => ({
+    ...invoice,
+    lineItems: (invoice.lineItems || []).map(item => {
+        const account = accountForItem(item, accounts);
+        return { ...item, glCode: account ? account.glCode : '', taxCode: account ? account.taxCode : '' };
+    })
+});
+
+// Attach the amounts in the base currency when a rate is known
+const withConversion = (invoice, exchangeRates) => {
+    const conversion = exchangeRates && convertInvoice(invoice, exchangeRates);
+    return conversion ? { ...invoice, conversion } : invoice;
+};
+
+// Attach the purchase order match so formats can report it
+const withPoMatch = (invoice, purchaseOrders, matchTolerances) => {
+    const poMatch = purchaseOrders && matchInvoice(invoice, purchaseOrders, matchTolerances);
+    return poMatch ? { ...invoice, poMatch } : invoice;
+};
+
+// Build the files for one invoice or a batch: [{ fileName, blob }]
+export const exportInvoices = async (formatId, invoices, { accounts = [], exchangeRates, purchaseOrders, matchTolerances } = {}) => {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+    const coded = invoices.map(invoice => withPoMatch(withConversion(withAccountCodes(invoice, accounts), exchangeRates), purchaseOrders, matchTolerances));
+    const groups = format.filePerInvoice ? coded.map(invoice => [invoice]) : [coded];
+    return Promise.all(groups.map(async group => ({
+        fileName: format.fileName ? format.fileName(group[0]) : defaultFileName(format, group),
+        blob: new Blob([await format.build(group)], { type: format.mimeType })
+    })));
+};
@@ -0,0 +1,75 @@
+import { exportInvoices } from '.';
+
+const accounts = [{ id: 'acc-office', name: 'Office Supplies', glCode: '6010', taxCode: 'TAX20' }];
+
+const invoice = {
+    invoiceNumber: 'INV/7',
+    invoiceDate: '2024-03-05',
+    dueDate: '2024-04-04',
+    from: 'Paper Co',
+    billedTo: '',
+    currency: 'EUR',
+    lineItems: [{ id: 'a', description: 'Paper', category: 'Office Supplies', quantity: 2, unitPrice: 5, total: 10, taxRate: 20 }],
+    subtotal: 10,
+    tax: 2,
+    total: 12
+};
+
+describe('exportInvoices', () => {
+    it('builds a QuickBooks CSV with the account codes and line tax', async () => {
+        const [file] = await exportInvoices('quickbooks', [invoice], { accounts });
+
+        expect(file.fileName).toBe('invoice_INV_7_quickbooks.csv');
+        const [header, row] = (await file.blob.text()).trim().split('\r\n');
+        expect(header).toBe('Bill No.,Supplier,Bill Date,Due Date,Memo,Account,Line Description,Line Amount,Line Tax Code,Line Tax Amount,Currency,Exchange Rate');
+        expect(row).toBe('INV/7,Paper Co,03/05/2024,04/04/2024,,Office Supplies,Paper,10.00,TAX20,2.00,EUR,');
+    });
+
+    it('includes the purchase order match', async () => {
+        const purchaseOrders = [{ poNumber: 'PO-88', currency: 'EUR', lines: [{ id: 'l1', lineNumber: '3', description: 'Paper', quantity: 2, unitPrice: 4 }], goodsReceipts: [] }];
+        const ordered = { ...invoice, poNumber: 'PO-88' };
+
+        const [csv] = await exportInvoices('quickbooks', [ordered], { accounts, purchaseOrders });
+        expect((await csv.blob.text()).trim().split('\r\n')[1]).toContain(',PO PO-88: Over-billed,');
+
+        const [xml] = await exportInvoices('ubl', [ordered], { purchaseOrders });
+        const text = await xml.blob.text();
+        expect(text).toContain('<cac:OrderReference>\n        <cbc:ID>PO-88</cbc:ID>');
+        expect(text).toContain('<cac:OrderLineReference>\n            <cbc:LineID>3</cbc:LineID>');
+
+        const [json] = await exportInvoices('json', [ordered], { purchaseOrders });
+        expect(JSON.parse(await json.blob.text()).poMatch).toMatchObject({ status: 'overBilled', lines: [{ poLineNumber: '3', priceVariance: 1, amountVariance: 2 }] });
+    });
+
+    it('leaves the match out for invoices without a purchase order', async () => {
+        const [json] = await exportInvoices('json', [invoice], { purchaseOrders: [] });
+        expect(JSON.parse(await json.blob.text())).not.toHaveProperty('poMatch');
+    });
+
+    it('exports discount lines as negative numbers', async () => {
+        const discounted = { ...invoice, lineItems: [...invoice.lineItems, { id: 'b', description: 'Discount', quantity: 1, unitPrice: -10, total: -10, taxRate: 0 }], subtotal: 0, tax: 2, total: 2 };
+
+        const [quickbooks] = await exportInvoices('quickbooks', [discounted], { accounts });
+        expect((await quickbooks.blob.text()).trim().split('\r\n')[2]).toBe('INV/7,Paper Co,03/05/2024,04/04/2024,,,Discount,-10.00,,0.00,EUR,');
+
+        const [xero] = await exportInvoices('xero', [discounted], { accounts });
+        expect((await xero.blob.text()).trim().split('\r\n')[2]).toContain(',Discount,1,-10.00,');
+    });
+
+    it("writes amounts with the currency's minor-unit digits", async () => {
+        const yen = { ...invoice, currency: 'JPY', lineItems: [{ ...invoice.lineItems[0], unitPrice: 750, total: 1500 }], subtotal: 1500, tax: 300, total: 1800 };
+        const [quickbooks] = await exportInvoices('quickbooks', [yen], { accounts });
+        expect((await quickbooks.blob.text()).trim().split('\r\n')[1]).toContain(',Paper,1500,TAX20,300,JPY,');
+
+        const dinar = { ...invoice, currency: 'KWD', lineItems: [{ ...invoice.lineItems[0], unitPrice: 1.125, total: 2.25, taxRate: 5 }], subtotal: 2.25, tax: 0.113, total: 2.363 };
+        const [xero] = await exportInvoices('xero', [dinar], { accounts });
+        expect((await xero.blob.text()).trim().split('\r\n')[1]).toContain(',2,1.125,6010,TAX20,0.113,KWD');
+
+        const [xml] = await exportInvoices('ubl', [dinar]);
+        expect(await xml.blob.text()).toContain('<cbc:PayableAmount currencyID="KWD">2.363</cbc:PayableAmount>');
+    });
+
+    it('rejects unknown formats', async () => {
+        await expect(exportInvoices('pdf', [invoice])).rejects.toThrow('Unknown export format: pdf');
+    });
+});
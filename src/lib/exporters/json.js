@@ -0,0 +1,16 @@
+// Drop viewer-only data (document regions, row and account ids) from an invoice
+export const toPlainInvoice = ({ regions, ...invoice }) => ({
+    ...invoice,
+    lineItems: (invoice.lineItems || []).map(({ id, region, accountId, ...item }) => item),
+    taxLines: (invoice.taxLines || []).map(({ id, ...line }) => line)
+});
+
+const json = {
+    id: 'json',
+    label: 'Generic JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    build: invoices => JSON.stringify(invoices.length === 1 ? toPlainInvoice(invoices[0]) : invoices.map(toPlainInvoice), null, 2)
+};
+
+export default json;
@@ -0,0 +1,30 @@
+import { buildLineItemCsv } from './csv';
+import { amount, formatDate, lineTax, poMatchLabel } from './format';
+import { toCurrencyCode } from '../money';
+
+// QuickBooks Online bill import (Expenses > Bills)
+const COLUMNS = [
+    { header: 'Bill No.', value: invoice => invoice.invoiceNumber },
+    { header: 'Supplier', value: invoice => invoice.from },
+    { header: 'Bill Date', value: invoice => formatDate(invoice.invoiceDate, 'MM/DD/YYYY') },
+    { header: 'Due Date', value: invoice => formatDate(invoice.dueDate, 'MM/DD/YYYY') },
+    { header: 'Memo', value: invoice => [invoice.billedTo ? `Billed to ${invoice.billedTo}` : '', poMatchLabel(invoice)].filter(Boolean).join('; ') },
+    { header: 'Account', value: (invoice, item) => item.category },
+    { header: 'Line Description', value: (invoice, item) => item.description },
+    { header: 'Line Amount', value: (invoice, item) => amount(item.total, invoice.currency) },
+    { header: 'Line Tax Code', value: (invoice, item) => item.taxCode },
+    { header: 'Line Tax Amount', value: (invoice, item) => amount(lineTax(invoice, item), invoice.currency) },
+    { header: 'Currency', value: invoice => toCurrencyCode(invoice.currency) },
+    // Home currency per unit of the bill's currency, as QuickBooks expects
+    { header: 'Exchange Rate', value: invoice => (invoice.conversion ? Number((1 / invoice.conversion.rate).toFixed(6)) : '') }
+];
+
+const quickbooks = {
+    id: 'quickbooks',
+    label: 'QuickBooks bill import (CSV)',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    build: invoices => buildLineItemCsv(COLUMNS, invoices)
+};
+
+export default quickbooks;
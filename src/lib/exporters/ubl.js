@@ -0,0 +1,126 @@
+import { amount, formatDate, hasTaxRate, poLineMatch, safeFileName, taxRate } from './format';
+import { toCurrencyCode } from '../money';
+
+const escapeXml = value => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const party = (role, name, taxId) => `    <cac:${role}>
+        <cac:Party>
+            <cac:PartyName>
+                <cbc:Name>${escapeXml(name)}</cbc:Name>
+            </cac:PartyName>
+${taxId ? `            <cac:PartyTaxScheme>
+                <cbc:CompanyID>${escapeXml(taxId)}</cbc:CompanyID>
+                <cac:TaxScheme>
+                    <cbc:ID>VAT</cbc:ID>
+                </cac:TaxScheme>
+            </cac:PartyTaxScheme>
+` : ''}            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${escapeXml(name)}</cbc:RegistrationName>
+            </cac:PartyLegalEntity>
+        </cac:Party>
+    </cac:${role}>`;
+
+// Standard rate ("S") when tax was charged, exempt ("E") otherwise
+const taxCategory = (percent, indent) => `${indent}<cbc:ID>${percent > 0 ? 'S' : 'E'}</cbc:ID>
+${indent}<cbc:Percent>${percent}</cbc:Percent>
+${indent}<cac:TaxScheme>
+${indent}    <cbc:ID>VAT</cbc:ID>
+${indent}</cac:TaxScheme>`;
+
+const taxSubtotal = (currency, taxableAmount, taxAmount, percent) => `        <cac:TaxSubtotal>
+            <cbc:TaxableAmount currencyID="${currency}">${amount(taxableAmount, currency)}</cbc:TaxableAmount>
+            <cbc:TaxAmount currencyID="${currency}">${amount(taxAmount, currency)}</cbc:TaxAmount>
+            <cac:TaxCategory>
+${taxCategory(percent, '                ')}
+            </cac:TaxCategory>
+        </cac:TaxSubtotal>`;
+
+// PO line the invoice line bills: from the match when there is one, else as printed
+const orderLineNumber = (invoice, item, index) => {
+    const match = poLineMatch(invoice, index);
+    return match && match.poLineNumber ? match.poLineNumber : item.poLine || '';
+};
+
+const invoiceLine = (invoice, item, index, currency, percent) => `    <cac:InvoiceLine>
+        <cbc:ID>${index + 1}</cbc:ID>
+        <cbc:InvoicedQuantity unitCode="C62">${Number(item.quantity) || 0}</cbc:InvoicedQuantity>
+        <cbc:LineExtensionAmount currencyID="${currency}">${amount(item.total, currency)}</cbc:LineExtensionAmount>
+${item.glCode ? `        <cbc:AccountingCost>${escapeXml(item.glCode)}</cbc:AccountingCost>\n` : ''}${orderLineNumber(invoice, item, index) ? `        <cac:OrderLineReference>
+            <cbc:LineID>${escapeXml(orderLineNumber(invoice, item, index))}</cbc:LineID>
+        </cac:OrderLineReference>
+` : ''}        <cac:Item>
+            <cbc:Name>${escapeXml((item.description || '').slice(0, 100) || `Line ${index + 1}`)}</cbc:Name>
+            <cac:ClassifiedTaxCategory>
+${taxCategory(hasTaxRate(item) ? Number(item.taxRate) : percent, '                ')}
+            </cac:ClassifiedTaxCategory>
+        </cac:Item>
+        <cac:Price>
+            <cbc:PriceAmount currencyID="${currency}">${amount(item.unitPrice, currency)}</cbc:PriceAmount>
+        </cac:Price>
+    </cac:InvoiceLine>`;
+
+// UBL 2.1 invoice following the Peppol BIS Billing 3.0 structure.
+// Endpoint IDs and addresses aren't extracted, so add them before sending over the Peppol network.
+export const buildUblInvoice = (invoice) => {
+    const currency = toCurrencyCode(invoice.currency);
+    const percent = taxRate(invoice);
+    const lineItems = invoice.lineItems || [];
+    const dueDate = formatDate(invoice.dueDate, 'YYYY-MM-DD');
+    // One subtotal per tax line, or a single one for the whole invoice without a breakdown
+    const taxLines = invoice.taxLines || [];
+    const taxSubtotals = taxLines.length > 0
+        ? taxLines.map(line => taxSubtotal(currency, line.baseAmount, line.taxAmount, Number(line.rate) || 0))
+        : [taxSubtotal(currency, invoice.subtotal, invoice.tax, percent)];
+    // Peppol reports VAT in the accounting currency as a second tax total
+    const conversion = invoice.conversion;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+         xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+         xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+    <cbc:CustomizationID>urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0</cbc:CustomizationID>
+    <cbc:ProfileID>urn:fdc:peppol.eu:2017:poacc:billing:01:1.0</cbc:ProfileID>
+    <cbc:ID>${escapeXml(invoice.invoiceNumber)}</cbc:ID>
+    <cbc:IssueDate>${escapeXml(formatDate(invoice.invoiceDate, 'YYYY-MM-DD'))}</cbc:IssueDate>
+${dueDate ? `    <cbc:DueDate>${escapeXml(dueDate)}</cbc:DueDate>\n` : ''}    <cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>
+    <cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>
+${conversion ? `    <cbc:TaxCurrencyCode>${conversion.baseCurrency}</cbc:TaxCurrencyCode>\n` : ''}${invoice.poNumber ? `    <cac:OrderReference>
+        <cbc:ID>${escapeXml(invoice.poNumber)}</cbc:ID>
+    </cac:OrderReference>
+` : ''}${party('AccountingSupplierParty', invoice.from, invoice.sellerTaxId)}
+${party('AccountingCustomerParty', invoice.billedTo, invoice.buyerTaxId)}
+    <cac:TaxTotal>
+        <cbc:TaxAmount currencyID="${currency}">${amount(invoice.tax, currency)}</cbc:TaxAmount>
+${taxSubtotals.join('\n')}
+    </cac:TaxTotal>
+${conversion ? `    <cac:TaxTotal>
+        <cbc:TaxAmount currencyID="${conversion.baseCurrency}">${amount(conversion.tax, conversion.baseCurrency)}</cbc:TaxAmount>
+    </cac:TaxTotal>
+` : ''}    <cac:LegalMonetaryTotal>
+        <cbc:LineExtensionAmount currencyID="${currency}">${amount(invoice.subtotal, currency)}</cbc:LineExtensionAmount>
+        <cbc:TaxExclusiveAmount currencyID="${currency}">${amount(invoice.subtotal, currency)}</cbc:TaxExclusiveAmount>
+        <cbc:TaxInclusiveAmount currencyID="${currency}">${amount(invoice.total, currency)}</cbc:TaxInclusiveAmount>
+        <cbc:PayableAmount currencyID="${currency}">${amount(invoice.total, currency)}</cbc:PayableAmount>
+    </cac:LegalMonetaryTotal>
+${lineItems.map((item, index) => invoiceLine(invoice, item, index, currency, percent)).join('\n')}
+</Invoice>
+`;
+};
+
+// One XML document per invoice
+const ubl = {
+    id: 'ubl',
+    label: 'UBL 2.1 / Peppol (XML)',
+    extension: 'xml',
+    mimeType: 'application/xml',
+    filePerInvoice: true,
+    fileName: invoice => `invoice_${safeFileName(invoice.invoiceNumber)}.xml`,
+    build: invoices => buildUblInvoice(invoices[0])
+};
+
+export default ubl;
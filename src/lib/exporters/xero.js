@@ -0,0 +1,28 @@
+import { buildLineItemCsv } from './csv';
+import { amount, formatDate, lineTax } from './format';
+import { toCurrencyCode } from '../money';
+
+// Xero bills import template (Business > Bills to pay > Import)
+const COLUMNS = [
+    { header: '*ContactName', value: invoice => invoice.from },
+    { header: '*InvoiceNumber', value: invoice => invoice.invoiceNumber },
+    { header: '*InvoiceDate', value: invoice => formatDate(invoice.invoiceDate, 'DD/MM/YYYY') },
+    { header: '*DueDate', value: invoice => formatDate(invoice.dueDate || invoice.invoiceDate, 'DD/MM/YYYY') },
+    { header: 'Description', value: (invoice, item) => item.description },
+    { header: '*Quantity', value: (invoice, item) => Number(item.quantity) || 0 },
+    { header: '*UnitAmount', value: (invoice, item) => amount(item.unitPrice, invoice.currency) },
+    { header: '*AccountCode', value: (invoice, item) => item.glCode || item.category },
+    { header: '*TaxType', value: (invoice, item) => item.taxCode || (lineTax(invoice, item) > 0 ? 'Tax on Purchases' : 'Tax Exempt') },
+    { header: 'TaxAmount', value: (invoice, item) => amount(lineTax(invoice, item), invoice.currency) },
+    { header: 'Currency', value: invoice => toCurrencyCode(invoice.currency) }
+];
+
+const xero = {
+    id: 'xero',
+    label: 'Xero bills (CSV)',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    build: invoices => buildLineItemCsv(COLUMNS, invoices)
+};
+
+export default xero;
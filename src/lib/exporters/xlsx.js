@@ -0,0 +1,79 @@
+import { toPlainInvoice } from './json';
+import { toCurrencyCode } from '../money';
+import { baseAmount, lineTax, poLineLabel, poLineMatch } from './format';
+import { MATCH_STATUSES } from '../purchaseOrders';
+
+const INVOICE_COLUMNS = [
+    ['Invoice #', invoice => invoice.invoiceNumber],
+    ['PO #', invoice => invoice.poNumber || ''],
+    ['Vendor', invoice => invoice.from],
+    ['Billed To', invoice => invoice.billedTo],
+    ['Seller Tax ID', invoice => invoice.sellerTaxId],
+    ['Buyer Tax ID', invoice => invoice.buyerTaxId],
+    ['Invoice Date', invoice => invoice.invoiceDate],
+    ['Due Date', invoice => invoice.dueDate],
+    ['Currency', invoice => toCurrencyCode(invoice.currency)],
+    ['Subtotal', invoice => Number(invoice.subtotal) || 0],
+    ['Tax', invoice => Number(invoice.tax) || 0],
+    ['Total', invoice => Number(invoice.total) || 0],
+    ['Base Currency', invoice => (invoice.conversion ? invoice.conversion.baseCurrency : '')],
+    ['Exchange Rate', invoice => (invoice.conversion ? invoice.conversion.rate : '')],
+    ['Subtotal (Base)', invoice => baseAmount(invoice, invoice.subtotal)],
+    ['Tax (Base)', invoice => baseAmount(invoice, invoice.tax)],
+    ['Total (Base)', invoice => baseAmount(invoice, invoice.total)],
+    ['PO Match', invoice => (invoice.poMatch ? MATCH_STATUSES[invoice.poMatch.status] : '')]
+];
+
+const LINE_ITEM_COLUMNS = [
+    ['Invoice #', invoice => invoice.invoiceNumber],
+    ['Vendor', invoice => invoice.from],
+    ['Description', (invoice, item) => item.description],
+    ['Category', (invoice, item) => item.category],
+    ['GL Code', (invoice, item) => item.glCode],
+    ['Tax Code', (invoice, item) => item.taxCode],
+    ['Quantity', (invoice, item) => Number(item.quantity) || 0],
+    ['Unit Price', (invoice, item) => Number(item.unitPrice) || 0],
+    ['Total', (invoice, item) => Number(item.total) || 0],
+    ['Tax Rate %', (invoice, item) => item.taxRate],
+    ['Tax', (invoice, item) => lineTax(invoice, item)],
+    ['Currency', invoice => toCurrencyCode(invoice.currency)],
+    ['Total (Base)', (invoice, item) => baseAmount(invoice, item.total)],
+    ['PO Line', (invoice, item, index) => (poLineMatch(invoice, index) ? poLineMatch(invoice, index).poLineNumber || '' : '')],
+    ['PO Match', (invoice, item, index) => poLineLabel(invoice, index)]
+];
+
+const TAX_LINE_COLUMNS = [
+    ['Invoice #', invoice => invoice.invoiceNumber],
+    ['Vendor', invoice => invoice.from],
+    ['Tax', (invoice, line) => line.type],
+    ['Rate %', (invoice, line) => Number(line.rate) || 0],
+    ['Taxable Amount', (invoice, line) => Number(line.baseAmount) || 0],
+    ['Tax Amount', (invoice, line) => Number(line.taxAmount) || 0],
+    ['Currency', invoice => toCurrencyCode(invoice.currency)],
+    ['Tax Amount (Base)', (invoice, line) => baseAmount(invoice, line.taxAmount)]
+];
+
+const toSheetRows = (columns, rows) => [columns.map(([header]) => header), ...rows.map(args => columns.map(([, value]) => value(...args)))];
+
+// Excel workbook with sheets of invoice headers, line items and tax lines.
+// SheetJS is only loaded when someone exports to Excel.
+const xlsx = {
+    id: 'xlsx',
+    label: 'Excel workbook (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    build: async (invoices) => {
+        const XLSX = await import('xlsx');
+        const plainInvoices = invoices.map(toPlainInvoice);
+        const lineRows = plainInvoices.flatMap(invoice => (invoice.lineItems || []).map((item, index) => [invoice, item, index]));
+        const taxRows = plainInvoices.flatMap(invoice => invoice.taxLines.map(line => [invoice, line]));
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(toSheetRows(INVOICE_COLUMNS, plainInvoices.map(invoice => [invoice]))), 'Invoices');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(toSheetRows(LINE_ITEM_COLUMNS, lineRows)), 'Line Items');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(toSheetRows(TAX_LINE_COLUMNS, taxRows)), 'Tax Lines');
+        return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+};
+
+export default xlsx;
@@ -0,0 +1,4 @@
+// Generate a unique id for jobs, records and line items
+export const createId = () => (window.crypto && window.crypto.randomUUID)
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
@@ -0,0 +1,64 @@
+import { createId } from './ids';
+import { currencyDecimals } from './money';
+
+// Round a monetary amount to the currency's minor unit (cents by default)
+export const roundMoney = (amount, decimals = 2) => {
+    const factor = 10 ** decimals;
+    return Math.round((Number(amount) || 0) * factor) / factor;
+};
+
+export const createLineItem = () => ({ id: createId(), description: '', category: '', quantity: 1, unitPrice: 0, total: 0 });
+
+export const createTaxLine = (rate = 0) => ({ id: createId(), type: 'VAT', rate, baseAmount: 0, taxAmount: 0 });
+
+const withIds = rows => (rows && !rows.every(row => row.id) ? rows.map(row => row.id ? row : { ...row, id: createId() }) : rows);
+
+// Give every line item and tax line a stable id so rows can be edited and reordered
+export const ensureLineItemIds = (invoice) => {
+    if (!invoice) return invoice;
+    const lineItems = withIds(invoice.lineItems);
+    const taxLines = withIds(invoice.taxLines);
+    if (lineItems === invoice.lineItems && taxLines === invoice.taxLines) return invoice;
+    return { ...invoice, lineItems, ...(taxLines && { taxLines }) };
+};
+
+// Apply an edit to a line item, recomputing its total when quantity or price change
+export const applyLineItemEdit = (item, field, value, decimals = 2) => {
+    const updatedItem = { ...item, [field]: value };
+    if (field === 'quantity' || field === 'unitPrice') {
+        updatedItem.total = roundMoney((Number(updatedItem.quantity) || 0) * (Number(updatedItem.unitPrice) || 0), decimals);
+    }
+    return updatedItem;
+};
+
+// Apply an edit to a tax line, recomputing its tax amount when the rate or base change
+export const applyTaxLineEdit = (line, field, value, decimals = 2) => {
+    const updatedLine = { ...line, [field]: value };
+    if (field === 'rate' || field === 'baseAmount') {
+        updatedLine.taxAmount = roundMoney((Number(updatedLine.baseAmount) || 0) * (Number(updatedLine.rate) || 0) / 100, decimals);
+    }
+    return updatedLine;
+};
+
+// Build one tax line per rate from the line items' own tax rates
+export const taxLinesFromItems = (invoice) => {
+    const decimals = currencyDecimals(invoice.currency);
+    const baseByRate = invoice.lineItems
+        .filter(item => item.taxRate !== undefined && item.taxRate !== null && item.taxRate !== '')
+        .reduce((bases, item) => bases.set(Number(item.taxRate), (bases.get(Number(item.taxRate)) || 0) + (Number(item.total) || 0)), new Map());
+    const existing = invoice.taxLines || [];
+    return Array.from(baseByRate, ([rate, base]) => {
+        const line = existing.find(taxLine => Number(taxLine.rate) === rate) || createTaxLine(rate);
+        return applyTaxLineEdit(line, 'baseAmount', roundMoney(base, decimals), decimals);
+    });
+};
+
+// Recompute subtotal and total from the line items, tax and any tip (receipts).
+// With a tax breakdown, the tax is the sum of its tax lines.
+export const recalculateTotals = (invoice) => {
+    const decimals = currencyDecimals(invoice.currency);
+    const subtotal = roundMoney(invoice.lineItems.reduce((sum, item) => sum + (Number(item.total) || 0), 0), decimals);
+    const taxLines = invoice.taxLines || [];
+    const tax = taxLines.length > 0 ? roundMoney(taxLines.reduce((sum, line) => sum + (Number(line.taxAmount) || 0), 0), decimals) : invoice.tax;
+    return { ...invoice, subtotal, tax, total: roundMoney(subtotal + (Number(tax) || 0) + (Number(invoice.tip) || 0), decimals) };
+};
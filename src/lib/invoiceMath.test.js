@@ -0,0 +1,52 @@
+import { applyLineItemEdit, applyTaxLineEdit, ensureLineItemIds, recalculateTotals, roundMoney, taxLinesFromItems } from './invoiceMath';
+
+describe('roundMoney', () => {
+    it('rounds to the currency minor unit', () => {
+        expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+        expect(roundMoney(1.2345, 3)).toBe(1.235);
+        expect(roundMoney('abc')).toBe(0);
+    });
+});
+
+describe('line edits', () => {
+    it('recomputes the line total when quantity or price change', () => {
+        expect(applyLineItemEdit({ quantity: 3, unitPrice: 1.1, total: 0 }, 'quantity', 4).total).toBe(4.4);
+        expect(applyLineItemEdit({ quantity: 3, unitPrice: 1.1, total: 9 }, 'description', 'Pens').total).toBe(9);
+    });
+
+    it('recomputes the tax amount when the rate or base change', () => {
+        expect(applyTaxLineEdit({ rate: 20, baseAmount: 0, taxAmount: 0 }, 'baseAmount', 99.99).taxAmount).toBe(20);
+    });
+});
+
+describe('ensureLineItemIds', () => {
+    it('adds ids to rows without one and leaves complete invoices untouched', () => {
+        const invoice = { lineItems: [{ id: 'a' }, { description: 'new' }], taxLines: [] };
+        const withIds = ensureLineItemIds(invoice);
+        expect(withIds.lineItems[0].id).toBe('a');
+        expect(withIds.lineItems[1].id).toEqual(expect.any(String));
+        expect(ensureLineItemIds(withIds)).toBe(withIds);
+    });
+});
+
+describe('totals', () => {
+    const invoice = {
+        currency: 'JPY',
+        lineItems: [{ total: 1000, taxRate: 10 }, { total: 501, taxRate: 10 }, { total: 300, taxRate: 8 }, { total: 50 }],
+        taxLines: [],
+        tax: 0
+    };
+
+    it('builds one tax line per rate from the line items', () => {
+        expect(taxLinesFromItems(invoice).map(({ rate, baseAmount, taxAmount }) => [rate, baseAmount, taxAmount])).toEqual([[10, 1501, 150], [8, 300, 24]]);
+    });
+
+    it('sums the lines and tax lines in the currency precision', () => {
+        const recalculated = recalculateTotals({ ...invoice, taxLines: taxLinesFromItems(invoice) });
+        expect(recalculated).toEqual(expect.objectContaining({ subtotal: 1851, tax: 174, total: 2025 }));
+    });
+
+    it('adds a receipt tip to the total', () => {
+        expect(recalculateTotals({ ...invoice, tax: 185, tip: 200 }).total).toBe(2236);
+    });
+});
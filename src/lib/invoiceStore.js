@@ -0,0 +1,176 @@
+// --- Local invoice library, vendor directory, upload queue, expense reports and purchase orders backed by IndexedDB ---
+
+const DB_NAME = 'ai-invoice-app';
+const DB_VERSION = 7;
+const INVOICES_STORE = 'invoices';
+const FILES_STORE = 'files';
+const AUDIT_STORE = 'audit';
+const VENDORS_STORE = 'vendors';
+const QUEUE_STORE = 'queue';
+const EXPENSE_REPORTS_STORE = 'expenseReports';
+const PURCHASE_ORDERS_STORE = 'purchaseOrders';
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Open (and create or upgrade if needed) the database, reusing the connection
+const openDatabase = () => {
+    if (!window.indexedDB) {
+        return Promise.reject(new Error("IndexedDB is not available in this browser."));
+    }
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(INVOICES_STORE)) {
+                    const store = db.createObjectStore(INVOICES_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                // Original uploads are kept apart so listing the library doesn't load every file
+                if (!db.objectStoreNames.contains(FILES_STORE)) {
+                    db.createObjectStore(FILES_STORE);
+                }
+                if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                    const store = db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                    store.createIndex('invoiceId', 'invoiceId');
+                }
+                if (!db.objectStoreNames.contains(VENDORS_STORE)) {
+                    db.createObjectStore(VENDORS_STORE, { keyPath: 'id' });
+                }
+                // Uploads waiting to be transcribed, with their files, so they survive a reload
+                if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                    db.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+                }
+                // Reports refer to their receipts by id; the receipts stay in the invoices store
+                if (!db.objectStoreNames.contains(EXPENSE_REPORTS_STORE)) {
+                    db.createObjectStore(EXPENSE_REPORTS_STORE, { keyPath: 'id' });
+                }
+                // Orders keep their goods receipts with them; invoices are matched to them on the fly
+                if (!db.objectStoreNames.contains(PURCHASE_ORDERS_STORE)) {
+                    db.createObjectStore(PURCHASE_ORDERS_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Run a single request against an object store
+const withStore = async (storeName, mode, callback) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    return promisifyRequest(callback(transaction.objectStore(storeName)));
+};
+
+export const listInvoices = async () => {
+    const records = await withStore(INVOICES_STORE, 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const getInvoice = id => withStore(INVOICES_STORE, 'readonly', store => store.get(id));
+
+export const saveInvoice = async (record) => {
+    await withStore(INVOICES_STORE, 'readwrite', store => store.put(record));
+    return record;
+};
+
+export const deleteInvoice = async (id) => {
+    await withStore(INVOICES_STORE, 'readwrite', store => store.delete(id));
+    await withStore(FILES_STORE, 'readwrite', store => store.delete(id));
+};
+
+// The uploaded document an invoice was transcribed from
+export const saveSourceFile = (id, file) => withStore(FILES_STORE, 'readwrite', store => store.put(file, id));
+
+export const getSourceFile = id => withStore(FILES_STORE, 'readonly', store => store.get(id));
+
+// --- Audit log ---
+//
+// Append-only: entries are added with add() so an existing entry can never be
+// overwritten, and nothing here updates or deletes them, even when the invoice is deleted.
+
+export const appendAuditEntries = async (entries) => {
+    if (entries.length === 0) return;
+    const db = await openDatabase();
+    const transaction = db.transaction(AUDIT_STORE, 'readwrite');
+    const store = transaction.objectStore(AUDIT_STORE);
+    entries.forEach(entry => store.add(entry));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// An invoice's audit entries, oldest first
+export const listAuditEntries = async (invoiceId) => {
+    const entries = await withStore(AUDIT_STORE, 'readonly', store => store.index('invoiceId').getAll(invoiceId));
+    return entries.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+// --- Vendor directory ---
+
+export const listVendors = async () => {
+    const vendors = await withStore(VENDORS_STORE, 'readonly', store => store.getAll());
+    return vendors.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveVendor = async (vendor) => {
+    await withStore(VENDORS_STORE, 'readwrite', store => store.put(vendor));
+    return vendor;
+};
+
+export const deleteVendor = id => withStore(VENDORS_STORE, 'readwrite', store => store.delete(id));
+
+// --- Upload queue ---
+
+export const listQueuedJobs = async () => {
+    const jobs = await withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+export const saveQueuedJob = async (job) => {
+    await withStore(QUEUE_STORE, 'readwrite', store => store.put(job));
+    return job;
+};
+
+export const deleteQueuedJob = id => withStore(QUEUE_STORE, 'readwrite', store => store.delete(id));
+
+// --- Expense reports ---
+
+export const listExpenseReports = async () => {
+    const reports = await withStore(EXPENSE_REPORTS_STORE, 'readonly', store => store.getAll());
+    return reports.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const saveExpenseReport = async (report) => {
+    await withStore(EXPENSE_REPORTS_STORE, 'readwrite', store => store.put(report));
+    return report;
+};
+
+export const deleteExpenseReport = id => withStore(EXPENSE_REPORTS_STORE, 'readwrite', store => store.delete(id));
+
+// --- Purchase orders ---
+
+export const listPurchaseOrders = async () => {
+    const orders = await withStore(PURCHASE_ORDERS_STORE, 'readonly', store => store.getAll());
+    return orders.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const savePurchaseOrder = async (order) => {
+    await withStore(PURCHASE_ORDERS_STORE, 'readwrite', store => store.put(order));
+    return order;
+};
+
+export const deletePurchaseOrder = id => withStore(PURCHASE_ORDERS_STORE, 'readwrite', store => store.delete(id));
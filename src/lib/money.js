@@ -0,0 +1,57 @@
+// Common currency symbols and the ISO 4217 code they usually stand for.
+// "$", "¥" and "kr" are shared by several currencies, so prefer a code wherever one is known.
+const SYMBOL_TO_CODE = { '$': 'USD', 'US$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY', '₪': 'ILS', 'R$': 'BRL', 'C$': 'CAD', 'CA$': 'CAD', 'A$': 'AUD', 'AU$': 'AUD', 'NZ$': 'NZD', 'HK$': 'HKD', 'S$': 'SGD', 'Fr.': 'CHF', 'zł': 'PLN', 'Kč': 'CZK', '₫': 'VND', '₱': 'PHP', '฿': 'THB' };
+
+// Currencies offered in pickers; any other valid code can still be typed in
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'HKD', 'SGD', 'INR', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'MXN', 'BRL', 'ZAR', 'AED', 'KWD', 'BHD'];
+
+const isCodeLike = value => /^[A-Za-z]{3}$/.test(value);
+
+// Whether Intl knows the code, e.g. "USD" but not "XYZ"
+export const isCurrencyCode = (code) => {
+    if (!isCodeLike(code || '')) return false;
+    if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('currency').includes(code.toUpperCase());
+    try {
+        new Intl.NumberFormat('en', { style: 'currency', currency: code });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Best-effort ISO 4217 code for a currency code or symbol
+export const toCurrencyCode = (currency) => {
+    const value = (currency || '').trim();
+    if (isCodeLike(value)) return value.toUpperCase();
+    return SYMBOL_TO_CODE[value] || 'USD';
+};
+
+// Number of minor-unit digits: 2 for USD, 0 for JPY, 3 for KWD
+export const currencyDecimals = (currency) => {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency: toCurrencyCode(currency) }).resolvedOptions().maximumFractionDigits;
+    } catch (err) {
+        return 2;
+    }
+};
+
+// Format an amount with the locale's rules for the invoice's currency (symbol position, separators, decimals)
+export const formatMoney = (amount, currency, locale) => {
+    if (amount === undefined || amount === null || amount === '' || Number.isNaN(Number(amount))) return 'N/A';
+    const code = toCurrencyCode(currency);
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(Number(amount));
+    } catch (err) {
+        return `${code} ${Number(amount).toFixed(2)}`;
+    }
+};
+
+// Short form for chart axes, e.g. "$12K"
+export const formatCompactMoney = (amount, currency, locale) => {
+    const code = toCurrencyCode(currency);
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: code, notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 }).format(Number(amount) || 0);
+    } catch (err) {
+        return `${code} ${Math.round(Number(amount) || 0)}`;
+    }
+};
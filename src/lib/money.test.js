@@ -0,0 +1,44 @@
+import { currencyDecimals, formatMoney, isCurrencyCode, toCurrencyCode } from './money';
+
+describe('toCurrencyCode', () => {
+    it('upper-cases codes and maps known symbols', () => {
+        expect(toCurrencyCode('eur')).toBe('EUR');
+        expect(toCurrencyCode(' £ ')).toBe('GBP');
+        expect(toCurrencyCode('A$')).toBe('AUD');
+    });
+
+    it('falls back to USD for unknown or missing currencies', () => {
+        expect(toCurrencyCode('dollars')).toBe('USD');
+        expect(toCurrencyCode(undefined)).toBe('USD');
+    });
+});
+
+describe('isCurrencyCode', () => {
+    it('accepts ISO codes only', () => {
+        expect(isCurrencyCode('JPY')).toBe(true);
+        expect(isCurrencyCode('XYZ')).toBe(false);
+        expect(isCurrencyCode('$')).toBe(false);
+    });
+});
+
+describe('currencyDecimals', () => {
+    it('follows the currency minor unit', () => {
+        expect(currencyDecimals('USD')).toBe(2);
+        expect(currencyDecimals('JPY')).toBe(0);
+        expect(currencyDecimals('KWD')).toBe(3);
+    });
+});
+
+describe('formatMoney', () => {
+    it('formats with the locale rules for the currency', () => {
+        expect(formatMoney(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+        expect(formatMoney(1234.5, '€', 'de-DE')).toBe('1.234,50 €');
+        expect(formatMoney(1234, 'JPY', 'en-US')).toBe('¥1,234');
+    });
+
+    it('shows N/A for missing amounts', () => {
+        expect(formatMoney('', 'USD')).toBe('N/A');
+        expect(formatMoney(null, 'USD')).toBe('N/A');
+        expect(formatMoney('abc', 'USD')).toBe('N/A');
+    });
+});
@@ -0,0 +1,89 @@
+// --- PDF rendering with pdf.js, loaded on first use ---
+
+let pdfjsPromise = null;
+
+const loadPdfJs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist').then((pdfjs) => {
+            pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+            return pdfjs;
+        });
+    }
+    return pdfjsPromise;
+};
+
+export const isPdfFile = file => Boolean(file) && file.type === 'application/pdf';
+
+// Open a PDF file; the returned document exposes numPages and getPage()
+export const loadPdfDocument = async (file) => {
+    const pdfjs = await loadPdfJs();
+    const data = await file.arrayBuffer();
+    return pdfjs.getDocument({ data }).promise;
+};
+
+// Draw one page (1-based) of an open PDF onto a canvas.
+// Returns { promise, cancel } so a stale render can be stopped before the next one starts.
+export const renderPdfPage = (pdfDocument, pageNumber, canvas, scale = 1.5) => {
+    let renderTask = null;
+    let cancelled = false;
+    const promise = pdfDocument.getPage(pageNumber).then((page) => {
+        if (cancelled) return null;
+        const viewport = page.getViewport({ scale });
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        return renderTask.promise;
+    });
+    const cancel = () => {
+        cancelled = true;
+        if (renderTask) renderTask.cancel();
+    };
+    return { promise, cancel };
+};
+
+export const isRenderCancelled = err => Boolean(err) && err.name === 'RenderingCancelledException';
+
+// Render one page (1-based) to an image data URL no larger than maxSize pixels on its longest side
+export const renderPdfPageToDataUrl = async (pdfDocument, pageNumber, { maxSize, type = 'image/jpeg', quality = 0.85 }) => {
+    const page = await pdfDocument.getPage(pageNumber);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const canvas = document.createElement('canvas');
+    const scale = maxSize / Math.max(width, height);
+    const { promise } = renderPdfPage(pdfDocument, pageNumber, canvas, scale);
+    await promise;
+    return canvas.toDataURL(type, quality);
+};
+
+// Text layer of one page, or '' for scanned pages without one
+export const getPdfPageText = async (pdfDocument, pageNumber) => {
+    const page = await pdfDocument.getPage(pageNumber);
+    const content = await page.getTextContent();
+    return content.items.map(item => item.str).join(' ');
+};
+
+// Text layer of a PDF file, limited to `pages` when given. '' if the file can't be read.
+export const getPdfFileText = async (file, pages = null) => {
+    try {
+        const pdfDocument = await loadPdfDocument(file);
+        const pageNumbers = pages || Array.from({ length: pdfDocument.numPages }, (_, index) => index + 1);
+        const texts = await Promise.all(pageNumbers.map(pageNumber => getPdfPageText(pdfDocument, pageNumber)));
+        pdfDocument.destroy();
+        return texts.join('\n');
+    } catch (err) {
+        console.error("Error reading PDF text:", err);
+        return '';
+    }
+};
+
+// Number of pages in a PDF file, or 1 if it can't be read (transcription will report the problem)
+export const countPdfPages = async (file) => {
+    try {
+        const pdfDocument = await loadPdfDocument(file);
+        const { numPages } = pdfDocument;
+        pdfDocument.destroy();
+        return numPages;
+    } catch (err) {
+        console.error("Error counting PDF pages:", err);
+        return 1;
+    }
+};
@@ -0,0 +1,65 @@
+// --- Splitting multi-invoice PDFs ---
+//
+// A split is described by the pages that start a new invoice ("boundaries")
+// and the pages left out entirely (cover sheets, blank separators).
+
+const PAGE_ONE_PATTERN = /\bpage\s*1\s*(?:of|\/)\s*\d+/i;
+const INVOICE_NUMBER_PATTERN = /\binvoice\s*(?:no\.?|number|num\.?|#)\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/.]*\d[A-Z0-9\-/]*)/i;
+
+const invoiceNumberOnPage = (text) => {
+    const match = text.match(INVOICE_NUMBER_PATTERN);
+    return match ? match[1].toUpperCase() : null;
+};
+
+// Guess which pages start a new invoice from their text layers (one string per page).
+// A page starts an invoice when it says "Page 1 of N" or shows a different invoice
+// number from the invoice before it. The first page always starts one.
+export const detectBoundariesFromText = (pageTexts) => {
+    const boundaries = [];
+    let currentNumber = null;
+    pageTexts.forEach((text, index) => {
+        const pageNumber = index + 1;
+        const invoiceNumber = invoiceNumberOnPage(text || '');
+        const startsInvoice = pageNumber === 1
+            || PAGE_ONE_PATTERN.test(text || '')
+            || Boolean(invoiceNumber && currentNumber && invoiceNumber !== currentNumber);
+        if (startsInvoice) {
+            boundaries.push(pageNumber);
+            currentNumber = invoiceNumber;
+        } else if (invoiceNumber && !currentNumber) {
+            currentNumber = invoiceNumber;
+        }
+    });
+    return boundaries;
+};
+
+// True when no page has a usable text layer, i.e. a scan that needs the model to find boundaries
+export const isScannedDocument = pageTexts => pageTexts.every(text => !text || !text.trim());
+
+// Group pages into invoices: [[1, 2], [3], ...], skipping excluded pages and empty groups
+export const groupPages = (pageCount, boundaries, excludedPages = []) => {
+    const groups = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        if (groups.length === 0 || boundaries.includes(pageNumber)) groups.push([]);
+        if (!excludedPages.includes(pageNumber)) groups[groups.length - 1].push(pageNumber);
+    }
+    return groups.filter(group => group.length > 0);
+};
+
+// "p. 3" or "pp. 1-2" or "pp. 1, 3-4"
+export const describePages = (pages) => {
+    const ranges = [];
+    pages.forEach((pageNumber) => {
+        const last = ranges[ranges.length - 1];
+        if (last && pageNumber === last[1] + 1) last[1] = pageNumber;
+        else ranges.push([pageNumber, pageNumber]);
+    });
+    const text = ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+    return `${pages.length === 1 ? 'p.' : 'pp.'} ${text}`;
+};
+
+// Name shown for a file, or for the pages of it that hold one invoice
+export const partFileName = (file, pages) => {
+    const name = file.webkitRelativePath || file.name;
+    return pages ? `${name} (${describePages(pages)})` : name;
+};
@@ -0,0 +1,39 @@
+import { describePages, detectBoundariesFromText, groupPages, isScannedDocument, partFileName } from './pdfSplit';
+
+describe('detectBoundariesFromText', () => {
+    it('starts a new invoice on "Page 1 of N" and on a new invoice number', () => {
+        const pages = [
+            'Invoice No: A-100 Page 1 of 2',
+            'Invoice No: A-100 Page 2 of 2',
+            'Invoice # B-7',
+            'continued',
+            'Page 1/1 Statement'
+        ];
+        expect(detectBoundariesFromText(pages)).toEqual([1, 3, 5]);
+    });
+
+    it('treats pages without text as scans', () => {
+        expect(isScannedDocument(['', '  ', null])).toBe(true);
+        expect(isScannedDocument(['', 'Invoice'])).toBe(false);
+    });
+});
+
+describe('groupPages', () => {
+    it('groups pages by boundary and drops excluded pages', () => {
+        expect(groupPages(5, [1, 3], [2])).toEqual([[1], [3, 4, 5]]);
+        expect(groupPages(3, [1, 2], [2])).toEqual([[1], [3]]);
+    });
+});
+
+describe('page names', () => {
+    it('describes page ranges', () => {
+        expect(describePages([3])).toBe('p. 3');
+        expect(describePages([1, 2, 4, 5, 6])).toBe('pp. 1-2, 4-6');
+    });
+
+    it('names the part of a file an invoice came from', () => {
+        const file = { name: 'batch.pdf' };
+        expect(partFileName(file, null)).toBe('batch.pdf');
+        expect(partFileName(file, [2, 3])).toBe('batch.pdf (pp. 2-3)');
+    });
+});
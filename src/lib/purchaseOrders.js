@@ -0,0 +1,441 @@
+import { createId } from './ids';
+import { roundMoney } from './invoiceMath';
+import { currencyDecimals, formatMoney, toCurrencyCode } from './money';
+import { isReceipt } from './validation';
+
+// --- Purchase orders, goods receipts and three-way matching ---
+//
+// Each invoice line is matched to the purchase order line it bills. Its
+// quantity is checked against what the goods receipts say arrived and its unit
+// price against the order's. Differences within the tolerances from Settings
+// still match. Until a goods receipt is recorded a line can't be fully matched:
+// it is checked against the quantity ordered and stays partial.
+
+const TOLERANCES_STORAGE_KEY = 'matchTolerances';
+
+// How far an invoice may differ from the order, in percent, and still match
+export const DEFAULT_MATCH_TOLERANCES = { quantityPercent: 0, pricePercent: 1 };
+
+// Rounding differences below half a cent are never a variance
+const AMOUNT_EPSILON = 0.005;
+
+// Descriptions sharing at least this share of their words are the same item
+const DESCRIPTION_MATCH = 0.5;
+
+export const MATCH_STATUSES = {
+    matched: 'Fully matched',
+    partial: 'Partial',
+    overBilled: 'Over-billed',
+    noOrder: 'PO not found'
+};
+
+export const LINE_STATUSES = {
+    matched: 'Matched',
+    partial: 'Partial',
+    overBilled: 'Over-billed',
+    unmatched: 'Not on the PO'
+};
+
+export const loadMatchTolerances = () => {
+    try {
+        return { ...DEFAULT_MATCH_TOLERANCES, ...JSON.parse(localStorage.getItem(TOLERANCES_STORAGE_KEY)) };
+    } catch (err) {
+        console.error("Error reading the match tolerances:", err);
+        return DEFAULT_MATCH_TOLERANCES;
+    }
+};
+
+export const saveMatchTolerances = tolerances => localStorage.setItem(TOLERANCES_STORAGE_KEY, JSON.stringify(tolerances));
+
+// "PO-4500123", "po 4500123" and "4500123" are the same order
+export const normalizePoNumber = value => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^PO(?=\d)/, '');
+
+export const findPurchaseOrder = (orders, poNumber) => {
+    const key = normalizePoNumber(poNumber);
+    return key ? orders.find(order => normalizePoNumber(order.poNumber) === key) || null : null;
+};
+
+// Quantity of a PO line the goods receipts say arrived, or null when nothing has been received on the order yet
+export const receivedQuantity = (order, line) => {
+    const receipts = order.goodsReceipts || [];
+    if (receipts.length === 0) return null;
+    return receipts.reduce((sum, receipt) => sum + receipt.lines
+        .filter(received => String(received.lineNumber) === String(line.lineNumber))
+        .reduce((lineSum, received) => lineSum + (Number(received.quantity) || 0), 0), 0);
+};
+
+// --- Importing orders and goods receipts ---
+
+// Header names each field may appear under, compared without case, spaces or punctuation
+const PO_NUMBER_HEADERS = ['ponumber', 'po', 'pono', 'purchaseorder', 'purchaseordernumber', 'ordernumber'];
+const LINE_NUMBER_HEADERS = ['line', 'linenumber', 'lineno', 'poline', 'polinenumber'];
+
+const ORDER_HEADERS = {
+    poNumber: PO_NUMBER_HEADERS,
+    vendor: ['vendor', 'vendorname', 'supplier', 'suppliername'],
+    currency: ['currency', 'currencycode'],
+    orderDate: ['orderdate', 'podate', 'date'],
+    lineNumber: LINE_NUMBER_HEADERS,
+    itemCode: ['itemcode', 'itemnumber', 'sku', 'partnumber'],
+    description: ['description', 'itemdescription', 'item'],
+    quantity: ['quantity', 'qty', 'orderedquantity', 'quantityordered'],
+    unitPrice: ['unitprice', 'price', 'unitcost']
+};
+
+const RECEIPT_HEADERS = {
+    poNumber: PO_NUMBER_HEADERS,
+    reference: ['reference', 'grn', 'grnnumber', 'goodsreceipt', 'goodsreceiptnumber', 'receiptnumber', 'deliverynote'],
+    date: ['date', 'receiptdate', 'receiveddate', 'deliverydate'],
+    lineNumber: LINE_NUMBER_HEADERS,
+    description: ['description', 'itemdescription', 'item'],
+    quantity: ['quantity', 'qty', 'received', 'receivedquantity', 'quantityreceived']
+};
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Read an amount written either way round: "$1,250.00", "1.250,00 €" and "1250" are all 1250,
+// and "12,50" from a European export is 12.5. Whichever of "," and "." comes last is the decimal
+// mark, except that a lone comma is only one when one or two digits follow it.
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    let text = String(value || '').replace(/[^\d.,-]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot && (lastDot >= 0 || /^[^,]*,\d{1,2}$/.test(text))) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (lastDot >= 0 && text.indexOf('.') !== lastDot && lastComma < 0) {
+        // "1.000.000": dots as thousands separators
+        text = text.replace(/\./g, '');
+    }
+    return Number(text.replace(/,/g, '')) || 0;
+};
+
+// Split CSV text into rows of cells. Quoted cells may hold separators, quotes and line breaks;
+// the separator is whichever of comma, semicolon or tab the header row uses most.
+const parseCsvRows = (text) => {
+    const headerLine = text.split(/\r?\n/)[0];
+    const separator = [';', '\t'].reduce((best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, cell]);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    rows.push([...row, cell]);
+    return rows.map(cells => cells.map(value => value.trim())).filter(cells => cells.some(Boolean));
+};
+
+// Rows of a CSV as objects keyed by field, using the first row as the header
+const readCsvRecords = (text, headers, kind) => {
+    const [headerRow, ...rows] = parseCsvRows(text);
+    const columns = (headerRow || []).map(normalizeHeader).map(header => Object.keys(headers).find(field => headers[field].includes(header)));
+    if (!columns.includes('poNumber')) throw new Error(`No PO number column found. The first row of a ${kind} CSV must name its columns, e.g. "PO Number".`);
+    return rows.map(cells => columns.reduce((record, field, index) => (field && cells[index] !== undefined ? { ...record, [field]: cells[index] } : record), {}));
+};
+
+// Parse JSON, or throw an error a user can act on
+const readJson = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error("The file isn't valid JSON.");
+    }
+};
+
+// Rows that share a PO number (and reference), in file order
+const groupRows = (rows, keyOf) => rows.reduce((groups, row) => {
+    const key = keyOf(row);
+    const group = groups.find(entry => entry.key === key);
+    if (group) group.rows.push(row);
+    else groups.push({ key, rows: [row] });
+    return groups;
+}, []);
+
+const toOrderLine = (line, index) => ({
+    lineNumber: String(line.lineNumber || index + 1),
+    itemCode: String(line.itemCode || ''),
+    description: String(line.description || ''),
+    quantity: toNumber(line.quantity),
+    unitPrice: toNumber(line.unitPrice)
+});
+
+// Read purchase orders from CSV (one row per order line) or JSON (an array of
+// orders with "lines", or { purchaseOrders: [...] }).
+// Returns [{ poNumber, vendor, currency, orderDate, lines: [{ lineNumber, itemCode, description, quantity, unitPrice }] }].
+export const parsePurchaseOrders = (text) => {
+    const trimmed = text.trim();
+    let orders;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = readJson(trimmed);
+        orders = (Array.isArray(data) ? data : data.purchaseOrders || []).map(order => ({
+            poNumber: String(order.poNumber || order.number || ''),
+            vendor: String(order.vendor || order.supplier || ''),
+            currency: order.currency ? toCurrencyCode(order.currency) : '',
+            orderDate: String(order.orderDate || order.date || ''),
+            lines: (order.lines || order.lineItems || []).map(toOrderLine)
+        }));
+    } else {
+        const rows = readCsvRecords(trimmed, ORDER_HEADERS, 'purchase order').filter(row => row.poNumber);
+        orders = groupRows(rows, row => normalizePoNumber(row.poNumber)).map(({ rows: orderRows }) => ({
+            poNumber: orderRows[0].poNumber,
+            vendor: orderRows[0].vendor || '',
+            currency: orderRows[0].currency ? toCurrencyCode(orderRows[0].currency) : '',
+            orderDate: orderRows[0].orderDate || '',
+            lines: orderRows.map(toOrderLine)
+        }));
+    }
+    orders = orders.filter(order => normalizePoNumber(order.poNumber) && order.lines.length > 0);
+    if (orders.length === 0) throw new Error("No purchase orders found. Expected a PO number and at least one line with a quantity and unit price per order.");
+    return orders;
+};
+
+// Read goods receipts from CSV (one row per received line) or JSON (an array of
+// receipts with "lines", or { goodsReceipts: [...] }).
+// Returns [{ poNumber, reference, date, lines: [{ lineNumber, description, quantity }] }].
+export const parseGoodsReceipts = (text) => {
+    const trimmed = text.trim();
+    let receipts;
+    const toReceiptLine = line => ({ lineNumber: line.lineNumber ? String(line.lineNumber) : '', description: String(line.description || ''), quantity: toNumber(line.quantity) });
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = readJson(trimmed);
+        receipts = (Array.isArray(data) ? data : data.goodsReceipts || []).map(receipt => ({
+            poNumber: String(receipt.poNumber || ''),
+            reference: String(receipt.reference || receipt.number || ''),
+            date: String(receipt.date || ''),
+            lines: (receipt.lines || []).map(toReceiptLine)
+        }));
+    } else {
+        const rows = readCsvRecords(trimmed, RECEIPT_HEADERS, 'goods receipt').filter(row => row.poNumber);
+        receipts = groupRows(rows, row => `${normalizePoNumber(row.poNumber)}|${row.reference || ''}`).map(({ rows: receiptRows }) => ({
+            poNumber: receiptRows[0].poNumber,
+            reference: receiptRows[0].reference || '',
+            date: receiptRows[0].date || '',
+            lines: receiptRows.map(toReceiptLine)
+        }));
+    }
+    receipts = receipts.filter(receipt => normalizePoNumber(receipt.poNumber) && receipt.lines.length > 0);
+    if (receipts.length === 0) throw new Error("No goods receipts found. Expected a PO number and a received quantity on each row.");
+    return receipts;
+};
+
+// Add imported orders to the stored ones. An order that is already there gets the
+// imported header and lines but keeps its id and goods receipts.
+// Returns the new and updated orders, ready to save.
+export const mergePurchaseOrders = (orders, imported) => {
+    const now = new Date().toISOString();
+    return imported.map((order) => {
+        const existing = findPurchaseOrder(orders, order.poNumber);
+        const lines = order.lines.map((line) => {
+            const existingLine = existing && existing.lines.find(entry => entry.lineNumber === line.lineNumber);
+            return { ...line, id: existingLine ? existingLine.id : createId() };
+        });
+        return existing
+            ? { ...existing, ...order, lines, updatedAt: now }
+            : { id: createId(), ...order, lines, goodsReceipts: [], createdAt: now, updatedAt: now };
+    });
+};
+
+// --- Matching ---
+
+const words = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(word => word.length > 1);
+
+// Share of words two descriptions have in common, from 0 to 1
+const descriptionSimilarity = (a, b) => {
+    const first = new Set(words(a));
+    const second = new Set(words(b));
+    if (first.size === 0 || second.size === 0) return 0;
+    const shared = [...first].filter(word => second.has(word)).length;
+    return (2 * shared) / (first.size + second.size);
+};
+
+// The PO line an invoice (or goods receipt) line refers to: by line number when printed,
+// then by item code, then by the most similar description, then by an identical unit price
+const findOrderLine = (order, line, usedIds = new Set()) => {
+    const candidates = order.lines.filter(orderLine => !usedIds.has(orderLine.id));
+    if (line.poLine) {
+        const byNumber = order.lines.find(orderLine => orderLine.lineNumber === String(line.poLine).trim());
+        if (byNumber) return byNumber;
+    }
+    const description = String(line.description || '').toLowerCase();
+    const byCode = candidates.find(orderLine => orderLine.itemCode && description.includes(orderLine.itemCode.toLowerCase()));
+    if (byCode) return byCode;
+    const scored = candidates
+        .map(orderLine => ({ orderLine, score: descriptionSimilarity(line.description, orderLine.description) }))
+        .filter(({ score }) => score >= DESCRIPTION_MATCH)
+        .sort((a, b) => b.score - a.score);
+    if (scored.length > 0) return scored[0].orderLine;
+    if (line.unitPrice === undefined) return null;
+    const samePrice = candidates.filter(orderLine => Math.abs(orderLine.unitPrice - (Number(line.unitPrice) || 0)) < AMOUNT_EPSILON);
+    return samePrice.length === 1 ? samePrice[0] : null;
+};
+
+// Record imported goods receipts on their orders. A receipt imported again under the
+// same reference replaces the earlier one. Lines without a number are placed by description.
+// Returns { updated: [orders to save], unknownPoNumbers: [...] }.
+export const addGoodsReceipts = (orders, receipts) => {
+    const updated = [];
+    const unknownPoNumbers = [];
+    receipts.forEach((receipt) => {
+        const stored = findPurchaseOrder(updated, receipt.poNumber) || findPurchaseOrder(orders, receipt.poNumber);
+        if (!stored) {
+            if (!unknownPoNumbers.includes(receipt.poNumber)) unknownPoNumbers.push(receipt.poNumber);
+            return;
+        }
+        const lines = receipt.lines.map((line) => {
+            const orderLine = line.lineNumber ? null : findOrderLine(stored, line);
+            return { lineNumber: line.lineNumber || (orderLine ? orderLine.lineNumber : ''), quantity: line.quantity };
+        });
+        const goodsReceipt = { id: createId(), reference: receipt.reference, date: receipt.date, lines };
+        const goodsReceipts = [
+            ...(stored.goodsReceipts || []).filter(existing => !receipt.reference || existing.reference !== receipt.reference),
+            goodsReceipt
+        ];
+        const order = { ...stored, goodsReceipts, updatedAt: new Date().toISOString() };
+        updated.splice(0, updated.length, ...updated.filter(entry => entry.id !== order.id), order);
+    });
+    return { updated, unknownPoNumbers };
+};
+
+// PO numbers an invoice refers to: its own and any printed on its lines
+export const referencedPoNumbers = (invoice) => {
+    const numbers = [invoice.poNumber, ...(invoice.lineItems || []).map(item => item.poNumber)].filter(number => normalizePoNumber(number));
+    return numbers.filter((number, index) => numbers.findIndex(other => normalizePoNumber(other) === normalizePoNumber(number)) === index);
+};
+
+const exceeds = (value, expected, percent) => value > expected * (1 + percent / 100) + AMOUNT_EPSILON;
+const fallsShort = (value, expected, percent) => value < expected * (1 - percent / 100) - AMOUNT_EPSILON;
+
+const formatQuantity = quantity => String(Math.round(quantity * 1000) / 1000);
+
+// Compare one invoice line with its PO line
+const matchLine = (invoice, item, order, orderLine, tolerances) => {
+    const decimals = currencyDecimals(invoice.currency);
+    const invoiced = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unitPrice) || 0;
+    const received = receivedQuantity(order, orderLine);
+    // Nothing received yet: check against the order so over-billing still shows, but don't call it matched
+    const expected = received === null ? orderLine.quantity : received;
+    const quantityPercent = Number(tolerances.quantityPercent) || 0;
+    const pricePercent = Number(tolerances.pricePercent) || 0;
+    const comparePrices = !order.currency || toCurrencyCode(order.currency) === toCurrencyCode(invoice.currency);
+    const reasons = [];
+    let status = 'matched';
+
+    if (exceeds(invoiced, expected, quantityPercent)) {
+        status = 'overBilled';
+        reasons.push(received === null
+            ? `${formatQuantity(invoiced)} invoiced but ${formatQuantity(orderLine.quantity)} ordered.`
+            : `${formatQuantity(invoiced)} invoiced but ${formatQuantity(received)} received.`);
+    } else if (fallsShort(invoiced, orderLine.quantity, quantityPercent)) {
+        status = 'partial';
+        reasons.push(`${formatQuantity(invoiced)} of the ${formatQuantity(orderLine.quantity)} ordered invoiced.`);
+    }
+    if (received === null) {
+        if (status === 'matched') status = 'partial';
+        reasons.push('No goods receipt recorded yet, so the goods may not have arrived.');
+    }
+
+    if (!comparePrices) {
+        if (status === 'matched') status = 'partial';
+        reasons.push(`The PO is in ${toCurrencyCode(order.currency)}, so prices weren't compared.`);
+    } else if (exceeds(unitPrice, orderLine.unitPrice, pricePercent)) {
+        status = 'overBilled';
+        reasons.push(`Unit price ${formatMoney(unitPrice, invoice.currency)} is above the PO price of ${formatMoney(orderLine.unitPrice, invoice.currency)}.`);
+    } else if (fallsShort(unitPrice, orderLine.unitPrice, pricePercent)) {
+        if (status === 'matched') status = 'partial';
+        reasons.push(`Unit price ${formatMoney(unitPrice, invoice.currency)} is below the PO price of ${formatMoney(orderLine.unitPrice, invoice.currency)}.`);
+    }
+
+    return {
+        poNumber: order.poNumber,
+        poLineNumber: orderLine.lineNumber,
+        poDescription: orderLine.description,
+        orderedQuantity: orderLine.quantity,
+        receivedQuantity: received,
+        poUnitPrice: orderLine.unitPrice,
+        quantityVariance: roundMoney(invoiced - expected, 3),
+        priceVariance: comparePrices ? roundMoney(unitPrice - orderLine.unitPrice, decimals) : null,
+        // What the invoice asks for beyond what the order and receipts support
+        amountVariance: comparePrices ? roundMoney(invoiced * unitPrice - expected * orderLine.unitPrice, decimals) : null,
+        status,
+        reasons
+    };
+};
+
+// Match an invoice against the purchase orders it refers to, line by line.
+// Returns null when the invoice names no PO (and for receipts), otherwise
+// { status, poNumbers, missingPoNumbers, lines: [{ itemId, description, quantity, unitPrice, status, reasons, ...PO line details }] }
+// with status 'matched', 'partial', 'overBilled' or 'noOrder'.
+export const matchInvoice = (invoice, orders, tolerances = DEFAULT_MATCH_TOLERANCES) => {
+    if (!invoice || isReceipt(invoice)) return null;
+    const poNumbers = referencedPoNumbers(invoice);
+    if (poNumbers.length === 0) return null;
+    const missingPoNumbers = poNumbers.filter(number => !findPurchaseOrder(orders, number));
+    const usedIds = new Set();
+
+    const lines = (invoice.lineItems || []).map((item) => {
+        const base = { itemId: item.id, description: item.description || '', quantity: Number(item.quantity) || 0, unitPrice: Number(item.unitPrice) || 0 };
+        const order = findPurchaseOrder(orders, item.poNumber || invoice.poNumber || poNumbers[0]);
+        const orderLine = order && findOrderLine(order, item, usedIds);
+        if (!orderLine) {
+            return { ...base, status: 'unmatched', reasons: [order ? `No line on PO ${order.poNumber} matches this item.` : 'Its purchase order is not in the app.'] };
+        }
+        usedIds.add(orderLine.id);
+        return { ...base, ...matchLine(invoice, item, order, orderLine, tolerances) };
+    });
+
+    let status = 'partial';
+    if (missingPoNumbers.length === poNumbers.length) status = 'noOrder';
+    else if (lines.some(line => line.status === 'overBilled')) status = 'overBilled';
+    else if (lines.length > 0 && missingPoNumbers.length === 0 && lines.every(line => line.status === 'matched')) status = 'matched';
+
+    return { status, poNumbers, missingPoNumbers, lines };
+};
+
+// Quantity of each line of an order billed by the invoices in the library: { [lineNumber]: quantity }
+export const invoicedQuantities = (order, records, tolerances) => records.reduce((quantities, record) => {
+    const match = referencedPoNumbers(record.data).some(number => normalizePoNumber(number) === normalizePoNumber(order.poNumber))
+        ? matchInvoice(record.data, [order], tolerances)
+        : null;
+    (match ? match.lines : [])
+        .filter(line => line.poLineNumber && normalizePoNumber(line.poNumber) === normalizePoNumber(order.poNumber))
+        .forEach((line) => {
+            quantities[line.poLineNumber] = (quantities[line.poLineNumber] || 0) + line.quantity;
+        });
+    return quantities;
+}, {});
+
+// Plain-text summary of a match for emails: the result and any line that needs attention
+export const describeMatch = (match) => {
+    if (!match) return 'No purchase order referenced';
+    const orders = match.poNumbers.join(', ');
+    if (match.status === 'noOrder') return `PO ${orders} not found`;
+    const problems = match.lines
+        .filter(line => line.status !== 'matched')
+        .map(line => `- ${line.description || 'Item'}: ${line.reasons.join(' ') || LINE_STATUSES[line.status]}`);
+    const missing = match.missingPoNumbers.length > 0 ? [`- PO ${match.missingPoNumbers.join(', ')} not found`] : [];
+    return [`${MATCH_STATUSES[match.status]} against PO ${orders}`, ...problems, ...missing].join('\n');
+};
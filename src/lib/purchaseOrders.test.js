@@ -0,0 +1,171 @@
+import { addGoodsReceipts, describeMatch, invoicedQuantities, matchInvoice, mergePurchaseOrders, normalizePoNumber, parseGoodsReceipts, parsePurchaseOrders, receivedQuantity } from './purchaseOrders';
+
+const ORDERS_CSV = [
+    'PO Number,Vendor,Currency,Order Date,Line,Item Code,Description,Quantity,Unit Price',
+    'PO-4500,Paper Co,USD,2024-02-20,1,PAP-A4,"A4 copy paper, 5 reams",10,22.50',
+    'PO-4500,Paper Co,USD,2024-02-20,2,TN-2420,Toner cartridge TN-2420,2,64.99',
+    'PO-4501,Cable Co,USD,2024-02-21,1,,HDMI cable 2m,5,"$1,000.00"'
+].join('\n');
+
+const ordersFromCsv = () => mergePurchaseOrders([], parsePurchaseOrders(ORDERS_CSV));
+
+// Orders with everything on PO-4500 delivered
+const receivedOrders = () => {
+    const orders = ordersFromCsv();
+    return addGoodsReceipts(orders, parseGoodsReceipts('PO,Reference,Line,Qty\n4500,GRN-1,1,10\n4500,GRN-1,2,2')).updated.concat(orders.slice(1));
+};
+
+const invoiceFor = (lineItems, fields = {}) => ({ poNumber: 'PO-4500', currency: 'USD', lineItems, ...fields });
+const paper = (quantity, unitPrice = 22.5) => ({ id: 'paper', description: 'A4 copy paper, 5 reams', quantity, unitPrice, total: quantity * unitPrice });
+const toner = (quantity, unitPrice = 64.99) => ({ id: 'toner', description: 'Toner cartridge TN-2420', quantity, unitPrice, total: quantity * unitPrice });
+
+describe('normalizePoNumber', () => {
+    it('ignores case, punctuation and a PO prefix', () => {
+        expect(['PO-4500', 'po 4500', '4500', 'P.O. 4500'].map(normalizePoNumber)).toEqual(['4500', '4500', '4500', '4500']);
+        expect(normalizePoNumber('POLAR-1')).toBe('POLAR1');
+    });
+});
+
+describe('parsePurchaseOrders', () => {
+    it('groups CSV rows into orders with their lines', () => {
+        const orders = parsePurchaseOrders(ORDERS_CSV);
+        expect(orders.map(order => order.poNumber)).toEqual(['PO-4500', 'PO-4501']);
+        expect(orders[0]).toMatchObject({ vendor: 'Paper Co', currency: 'USD', orderDate: '2024-02-20' });
+        expect(orders[0].lines[0]).toEqual({ lineNumber: '1', itemCode: 'PAP-A4', description: 'A4 copy paper, 5 reams', quantity: 10, unitPrice: 22.5 });
+        expect(orders[1].lines[0].unitPrice).toBe(1000);
+    });
+
+    it('reads semicolon-separated files and numbers lines without a line column', () => {
+        const [order] = parsePurchaseOrders('PO;Description;Qty;Price\n7;Stapler;3;12\n7;Staples;10;2');
+        expect(order.lines.map(line => line.lineNumber)).toEqual(['1', '2']);
+    });
+
+    it('reads decimal commas from semicolon-separated exports', () => {
+        const [order] = parsePurchaseOrders('PO;Description;Qty;Price\n7;Stapler;3;12,50\n7;Desk;1;1.250,00 €\n7;Chair;2,5;1,000');
+        expect(order.lines.map(line => [line.quantity, line.unitPrice])).toEqual([[3, 12.5], [1, 1250], [2.5, 1000]]);
+    });
+
+    it('reads JSON orders', () => {
+        const orders = parsePurchaseOrders(JSON.stringify({ purchaseOrders: [{ poNumber: 'PO-9', currency: '€', lines: [{ lineNumber: 10, description: 'Desk', quantity: 1, unitPrice: 300 }] }] }));
+        expect(orders[0]).toMatchObject({ poNumber: 'PO-9', currency: 'EUR', lines: [{ lineNumber: '10', quantity: 1, unitPrice: 300 }] });
+    });
+
+    it('explains files it cannot use', () => {
+        expect(() => parsePurchaseOrders('Vendor,Total\nPaper Co,10')).toThrow('No PO number column found');
+        expect(() => parsePurchaseOrders('[]')).toThrow('No purchase orders found');
+        expect(() => parsePurchaseOrders('{ nope')).toThrow("The file isn't valid JSON.");
+    });
+});
+
+describe('mergePurchaseOrders', () => {
+    it('updates an order imported again but keeps its id, line ids and goods receipts', () => {
+        const [existing] = ordersFromCsv();
+        const received = { ...existing, goodsReceipts: [{ id: 'gr', reference: 'GRN-1', lines: [] }] };
+        const [merged] = mergePurchaseOrders([received], parsePurchaseOrders('PO Number,Line,Description,Quantity,Unit Price\n4500,1,A4 copy paper,12,22.5'));
+        expect(merged.id).toBe(existing.id);
+        expect(merged.lines).toEqual([expect.objectContaining({ id: existing.lines[0].id, quantity: 12 })]);
+        expect(merged.goodsReceipts).toHaveLength(1);
+    });
+});
+
+describe('goods receipts', () => {
+    it('records receipts on their orders, placing unnumbered lines by description', () => {
+        const orders = ordersFromCsv();
+        const receipts = parseGoodsReceipts('PO Number,GRN,Date,Description,Received\nPO-4500,GRN-1,2024-03-01,Copy paper A4 (5 reams),6\nPO-9999,GRN-2,2024-03-01,Chairs,2');
+        const { updated, unknownPoNumbers } = addGoodsReceipts(orders, receipts);
+        expect(unknownPoNumbers).toEqual(['PO-9999']);
+        expect(updated).toHaveLength(1);
+        expect(receivedQuantity(updated[0], updated[0].lines[0])).toBe(6);
+        expect(receivedQuantity(updated[0], updated[0].lines[1])).toBe(0);
+        expect(receivedQuantity(orders[0], orders[0].lines[0])).toBeNull();
+    });
+
+    it('replaces a receipt imported again under the same reference', () => {
+        const orders = ordersFromCsv();
+        const first = addGoodsReceipts(orders, parseGoodsReceipts('PO,Reference,Line,Qty\n4500,GRN-1,1,6')).updated;
+        const { updated } = addGoodsReceipts(first, parseGoodsReceipts(JSON.stringify([{ poNumber: '4500', reference: 'GRN-1', lines: [{ lineNumber: 1, quantity: 8 }] }])));
+        expect(updated[0].goodsReceipts).toHaveLength(1);
+        expect(receivedQuantity(updated[0], updated[0].lines[0])).toBe(8);
+    });
+});
+
+describe('matchInvoice', () => {
+    const receive = (orders, csv) => addGoodsReceipts(orders, parseGoodsReceipts(csv)).updated.concat(orders.slice(1));
+
+    it('returns null for invoices without a PO and for receipts', () => {
+        expect(matchInvoice(invoiceFor([paper(10)], { poNumber: '' }), ordersFromCsv())).toBeNull();
+        expect(matchInvoice(invoiceFor([paper(10)], { documentType: 'receipt' }), ordersFromCsv())).toBeNull();
+    });
+
+    it('fully matches an invoice that bills what was ordered and received', () => {
+        const match = matchInvoice(invoiceFor([paper(10), toner(2)], { poNumber: '4500' }), receivedOrders());
+        expect(match.status).toBe('matched');
+        expect(match.lines[0]).toMatchObject({ poLineNumber: '1', orderedQuantity: 10, receivedQuantity: 10, quantityVariance: 0, priceVariance: 0, status: 'matched', reasons: [] });
+    });
+
+    it('is partial while no goods receipt is recorded, even when the invoice bills the order exactly', () => {
+        const match = matchInvoice(invoiceFor([paper(10), toner(2)]), ordersFromCsv());
+        expect(match.status).toBe('partial');
+        expect(match.lines[0]).toMatchObject({ receivedQuantity: null, status: 'partial', reasons: ['No goods receipt recorded yet, so the goods may not have arrived.'] });
+        expect(matchInvoice(invoiceFor([paper(12)]), ordersFromCsv()).lines[0]).toMatchObject({ status: 'overBilled', reasons: ['12 invoiced but 10 ordered.', 'No goods receipt recorded yet, so the goods may not have arrived.'] });
+    });
+
+    it('flags quantities billed beyond what was received', () => {
+        const orders = receive(ordersFromCsv(), 'PO,Reference,Line,Qty\n4500,GRN-1,1,6\n4500,GRN-1,2,2');
+        const match = matchInvoice(invoiceFor([paper(10), toner(2)]), orders);
+        expect(match.status).toBe('overBilled');
+        expect(match.lines[0]).toMatchObject({ receivedQuantity: 6, quantityVariance: 4, amountVariance: 90, status: 'overBilled', reasons: ['10 invoiced but 6 received.'] });
+        expect(match.lines[1].status).toBe('matched');
+    });
+
+    it('matches unit prices within the tolerance and flags ones above it', () => {
+        const orders = receivedOrders();
+        expect(matchInvoice(invoiceFor([paper(10, 22.7)]), orders, { quantityPercent: 0, pricePercent: 1 }).lines[0].status).toBe('matched');
+        const match = matchInvoice(invoiceFor([paper(10, 23)]), orders, { quantityPercent: 0, pricePercent: 1 });
+        expect(match.lines[0]).toMatchObject({ status: 'overBilled', priceVariance: 0.5, amountVariance: 5 });
+        expect(match.lines[0].reasons).toEqual(['Unit price $23.00 is above the PO price of $22.50.']);
+    });
+
+    it('is partial when lines are billed short or are not on the order', () => {
+        const shortMatch = matchInvoice(invoiceFor([paper(4), toner(2)]), ordersFromCsv());
+        expect(shortMatch.status).toBe('partial');
+        expect(shortMatch.lines[0].reasons[0]).toBe('4 of the 10 ordered invoiced.');
+
+        const extra = matchInvoice(invoiceFor([paper(10), { id: 'x', description: 'Delivery charge', quantity: 1, unitPrice: 15 }]), ordersFromCsv());
+        expect(extra.status).toBe('partial');
+        expect(extra.lines[1]).toMatchObject({ status: 'unmatched', reasons: ['No line on PO PO-4500 matches this item.'] });
+    });
+
+    it('uses the PO line printed on the invoice over the description', () => {
+        const match = matchInvoice(invoiceFor([{ ...paper(2, 64.99), description: 'Item', poLine: '2' }]), receivedOrders());
+        expect(match.lines[0]).toMatchObject({ poLineNumber: '2', status: 'matched' });
+    });
+
+    it('reports orders that are not in the app', () => {
+        const match = matchInvoice(invoiceFor([paper(10)], { poNumber: 'PO-7777' }), ordersFromCsv());
+        expect(match).toMatchObject({ status: 'noOrder', missingPoNumbers: ['PO-7777'] });
+        expect(describeMatch(match)).toBe('PO PO-7777 not found');
+    });
+});
+
+describe('describeMatch', () => {
+    it('summarises the result and the lines that need attention', () => {
+        const orders = addGoodsReceipts(ordersFromCsv(), parseGoodsReceipts('PO,Line,Qty\n4500,1,6\n4500,2,2')).updated;
+        expect(describeMatch(matchInvoice(invoiceFor([paper(10), toner(2)]), orders))).toBe('Over-billed against PO PO-4500\n- A4 copy paper, 5 reams: 10 invoiced but 6 received.');
+        expect(describeMatch(matchInvoice(invoiceFor([paper(10), toner(2)]), receivedOrders()))).toBe('Fully matched against PO PO-4500');
+        expect(describeMatch(matchInvoice(invoiceFor([paper(10)]), ordersFromCsv()))).toBe('Partial against PO PO-4500\n- A4 copy paper, 5 reams: No goods receipt recorded yet, so the goods may not have arrived.');
+        expect(describeMatch(null)).toBe('No purchase order referenced');
+    });
+});
+
+describe('invoicedQuantities', () => {
+    it('adds up what the library bills against each line of an order', () => {
+        const [order] = ordersFromCsv();
+        const records = [
+            { id: 'a', data: invoiceFor([paper(4)]) },
+            { id: 'b', data: invoiceFor([paper(3), toner(1)], { poNumber: '4500' }) },
+            { id: 'c', data: invoiceFor([paper(9)], { poNumber: 'PO-4501' }) }
+        ];
+        expect(invoicedQuantities(order, records)).toEqual({ 1: 7, 2: 1 });
+    });
+});
@@ -0,0 +1,202 @@
+import { parseInvoiceDate } from './validation';
+import { convertToBase } from './exchangeRates';
+import { toCurrencyCode } from './money';
+import { getWorkflow } from './workflow';
+
+// --- Spend reports over the invoice library ---
+//
+// Every report works on "rows": a saved record with its parsed invoice date and
+// a function that turns an amount on that invoice into the report currency.
+
+// Statuses that still need paying
+const OPEN_STATUSES = ['received', 'in_review', 'approved', 'scheduled'];
+
+// Series beyond this many are summed into "Other" so charts stay readable
+const MAX_SERIES = 6;
+
+const DAY_MS = 86400000;
+
+export const GRANULARITIES = [['month', 'Month'], ['quarter', 'Quarter']];
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Report currency when the user hasn't picked one: the base currency, or the most common invoice currency
+export const defaultReportCurrency = (records, exchangeRates) => {
+    if (exchangeRates.baseCurrency) return exchangeRates.baseCurrency;
+    const counts = records.reduce((totals, { data }) => {
+        const code = toCurrencyCode(data.currency);
+        return code ? { ...totals, [code]: (totals[code] || 0) + 1 } : totals;
+    }, {});
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || '';
+};
+
+// Records in the date range whose amounts can be expressed in the report currency.
+// Other currencies are converted through the exchange rates; invoices without a
+// rate are left out and counted so the view can say so.
+export const selectReportRows = (records, { dateFrom, dateTo, currency }, exchangeRates) => {
+    // Local midnight, like the parsed invoice dates; new Date('YYYY-MM-DD') alone would be UTC
+    const from = dateFrom ? new Date(`${dateFrom}T00:00:00`) : null;
+    const to = dateTo ? new Date(`${dateTo}T23:59:59`) : null;
+    const canConvert = exchangeRates.baseCurrency === currency;
+    const rows = [];
+    let unconvertedCount = 0;
+    let undatedCount = 0;
+
+    records.forEach((record) => {
+        const date = parseInvoiceDate(record.data.invoiceDate);
+        if ((from || to) && !date) return;
+        if (from && date < from) return;
+        if (to && date > to) return;
+
+        const invoiceCurrency = toCurrencyCode(record.data.currency);
+        let toReportCurrency;
+        if (invoiceCurrency === currency) {
+            toReportCurrency = value => Number(value) || 0;
+        } else if (canConvert && convertToBase(1, invoiceCurrency, exchangeRates) !== null) {
+            toReportCurrency = value => convertToBase(value, invoiceCurrency, exchangeRates) || 0;
+        } else {
+            unconvertedCount++;
+            return;
+        }
+        if (!date) undatedCount++;
+        rows.push({ record, date, amount: toReportCurrency });
+    });
+    return { rows, unconvertedCount, undatedCount };
+};
+
+// "2024-03" or "2024-Q1"
+export const periodKey = (date, granularity) => (granularity === 'quarter'
+    ? `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`
+    : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`);
+
+export const periodLabel = (key) => {
+    const [year, part] = key.split('-');
+    if (part.startsWith('Q')) return `${part} ${year}`;
+    return new Date(Number(year), Number(part) - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+};
+
+// Every period from the first to the last key, so gaps show as empty bars
+const fillPeriods = (keys, granularity) => {
+    if (keys.length === 0) return [];
+    const sorted = [...keys].sort();
+    const parse = key => {
+        const [year, part] = key.split('-');
+        return new Date(Number(year), part.startsWith('Q') ? (Number(part.slice(1)) - 1) * 3 : Number(part) - 1, 1);
+    };
+    const periods = [];
+    const last = sorted[sorted.length - 1];
+    for (let date = parse(sorted[0]); periods.length === 0 || periods[periods.length - 1] !== last; date.setMonth(date.getMonth() + (granularity === 'quarter' ? 3 : 1))) {
+        periods.push(periodKey(date, granularity));
+    }
+    return periods;
+};
+
+export const categoryOf = item => (item.category || '').trim() || 'Uncategorized';
+export const vendorOf = invoice => (invoice.from || '').trim() || 'Unknown vendor';
+
+// Spend per period split into series by category (line totals) or vendor (invoice totals):
+// { periods: [key], series: [{ key, total, values: { [period]: amount } }] }, largest series first
+export const spendByPeriod = (rows, granularity, groupBy) => {
+    const totals = {};
+    const periodKeys = new Set();
+    const add = (seriesKey, period, value) => {
+        if (!totals[seriesKey]) totals[seriesKey] = { key: seriesKey, total: 0, values: {} };
+        totals[seriesKey].total += value;
+        totals[seriesKey].values[period] = (totals[seriesKey].values[period] || 0) + value;
+    };
+
+    rows.filter(row => row.date).forEach(({ record, date, amount }) => {
+        const period = periodKey(date, granularity);
+        periodKeys.add(period);
+        if (groupBy === 'vendor') {
+            add(vendorOf(record.data), period, amount(record.data.total));
+        } else {
+            (record.data.lineItems || []).forEach(item => add(categoryOf(item), period, amount(item.total)));
+        }
+    });
+
+    const series = Object.values(totals).sort((a, b) => b.total - a.total);
+    if (series.length > MAX_SERIES) {
+        const other = { key: 'Other', total: 0, values: {}, keys: [] };
+        series.splice(MAX_SERIES - 1).forEach((extra) => {
+            other.total += extra.total;
+            other.keys.push(extra.key);
+            Object.entries(extra.values).forEach(([period, value]) => { other.values[period] = (other.values[period] || 0) + value; });
+        });
+        series.push(other);
+    }
+    return { periods: fillPeriods([...periodKeys], granularity), series };
+};
+
+const itemDescription = item => (item.description || '').trim() || 'Untitled item';
+const itemKey = item => itemDescription(item).toLowerCase();
+
+// Line items summed by description (case-insensitive), largest spend first
+export const topLineItems = (rows, limit = 10) => {
+    const byDescription = {};
+    rows.forEach(({ record, amount }) => {
+        (record.data.lineItems || []).forEach((item) => {
+            const description = itemDescription(item);
+            const key = itemKey(item);
+            if (!byDescription[key]) byDescription[key] = { key, description, total: 0, quantity: 0, count: 0 };
+            byDescription[key].total += amount(item.total);
+            byDescription[key].quantity += Number(item.quantity) || 0;
+            byDescription[key].count += 1;
+        });
+    });
+    return Object.values(byDescription).sort((a, b) => b.total - a.total).slice(0, limit);
+};
+
+// Average days from invoice date to due date over invoices that have both
+export const averagePaymentTerms = (rows) => {
+    const terms = rows
+        .map(({ record, date }) => {
+            const dueDate = parseInvoiceDate(record.data.dueDate);
+            return date && dueDate ? Math.round((dueDate - date) / DAY_MS) : null;
+        })
+        .filter(days => days !== null && days >= 0);
+    if (terms.length === 0) return { averageDays: null, count: 0 };
+    return { averageDays: terms.reduce((sum, days) => sum + days, 0) / terms.length, count: terms.length };
+};
+
+export const PAYABLE_BUCKETS = [['overdue', 'Overdue'], ['week', 'Due in 7 days'], ['month', 'Due in 8-30 days'], ['later', 'Due later']];
+
+// Unpaid invoices with a due date, grouped into PAYABLE_BUCKETS and sorted by due date
+export const upcomingPayables = (rows, today = new Date()) => {
+    const start = startOfDay(today);
+    const buckets = Object.fromEntries(PAYABLE_BUCKETS.map(([id]) => [id, { total: 0, rows: [] }]));
+    rows.forEach((row) => {
+        if (!OPEN_STATUSES.includes(getWorkflow(row.record).status)) return;
+        const dueDate = parseInvoiceDate(row.record.data.dueDate);
+        if (!dueDate) return;
+        const days = Math.round((dueDate - start) / DAY_MS);
+        const bucket = days < 0 ? 'overdue' : days <= 7 ? 'week' : days <= 30 ? 'month' : 'later';
+        buckets[bucket].total += row.amount(row.record.data.total);
+        buckets[bucket].rows.push({ ...row, dueDate, days });
+    });
+    Object.values(buckets).forEach(bucket => bucket.rows.sort((a, b) => a.dueDate - b.dueDate));
+    return buckets;
+};
+
+// Invoices and line items behind a chart segment or a top line item, for drill-down.
+// `seriesKeys` lists the categories or vendors to include; `description` picks one top line item.
+export const drillDown = (rows, { granularity, groupBy, period, seriesKeys, description }) => {
+    const matchesItem = (record, item) => {
+        if (description) return itemKey(item) === description;
+        if (!seriesKeys) return true;
+        return seriesKeys.includes(groupBy === 'vendor' ? vendorOf(record.data) : categoryOf(item));
+    };
+    const invoices = [];
+    const lines = [];
+    rows.forEach(({ record, date, amount }) => {
+        if (period && !(date && periodKey(date, granularity) === period)) return;
+        const matching = (record.data.lineItems || []).filter(item => matchesItem(record, item));
+        const wholeInvoice = groupBy === 'vendor' && !description;
+        const isIncluded = wholeInvoice ? !seriesKeys || seriesKeys.includes(vendorOf(record.data)) : matching.length > 0;
+        if (!isIncluded) return;
+        matching.forEach(item => lines.push({ record, item, amount: amount(item.total) }));
+        // Vendor spend counts whole invoices; category and item spend count the matching lines
+        invoices.push({ record, amount: wholeInvoice ? amount(record.data.total) : matching.reduce((sum, item) => sum + amount(item.total), 0) });
+    });
+    return { invoices, lines: lines.sort((a, b) => b.amount - a.amount) };
+};
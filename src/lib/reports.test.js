@@ -0,0 +1,63 @@
+import { averagePaymentTerms, selectReportRows, spendByPeriod, topLineItems, upcomingPayables } from './reports';
+
+const record = (id, data, status = 'received') => ({ id, data, workflow: { status, assignee: '', history: [] } });
+
+const records = [
+    record('1', { from: 'Paper Co', currency: 'USD', invoiceDate: '2024-01-10', dueDate: '2024-02-09', total: 40, lineItems: [{ description: 'Paper', category: 'Office Supplies', quantity: 2, total: 10 }, { description: 'Toner', category: 'Office Supplies', quantity: 1, total: 30 }] }),
+    record('2', { from: 'Cloud Inc', currency: 'USD', invoiceDate: '2024-03-02', dueDate: '2024-03-16', total: 100, lineItems: [{ description: 'paper', category: '', quantity: 5, total: 25 }, { description: 'Hosting', category: 'Cloud Hosting', quantity: 1, total: 75 }] }, 'paid'),
+    record('3', { from: 'Euro GmbH', currency: 'EUR', invoiceDate: '2024-03-05', dueDate: '2024-03-20', total: 50, lineItems: [{ description: 'Paper', category: 'Office Supplies', quantity: 1, total: 50 }] })
+];
+
+const exchangeRates = { baseCurrency: 'USD', rates: { EUR: 0.5 } };
+
+describe('selectReportRows', () => {
+    it('converts other currencies when the report is in the base currency', () => {
+        const { rows, unconvertedCount } = selectReportRows(records, { currency: 'USD' }, exchangeRates);
+        expect(rows).toHaveLength(3);
+        expect(unconvertedCount).toBe(0);
+        expect(rows[2].amount(50)).toBe(100);
+    });
+
+    it('leaves out invoices it cannot convert and those outside the date range', () => {
+        const { rows, unconvertedCount } = selectReportRows(records, { currency: 'USD', dateFrom: '2024-02-01' }, { baseCurrency: '', rates: {} });
+        expect(rows.map(row => row.record.id)).toEqual(['2']);
+        expect(unconvertedCount).toBe(1);
+    });
+
+    it('includes invoices dated on the first and last day of the range in local time', () => {
+        const { rows } = selectReportRows(records, { currency: 'USD', dateFrom: '2024-03-02', dateTo: '2024-03-05' }, exchangeRates);
+        expect(rows.map(row => row.record.id)).toEqual(['2', '3']);
+    });
+});
+
+describe('spend reports', () => {
+    const { rows } = selectReportRows(records, { currency: 'USD' }, exchangeRates);
+
+    it('splits spend by period and category, filling empty periods', () => {
+        const { periods, series } = spendByPeriod(rows, 'month', 'category');
+        expect(periods).toEqual(['2024-01', '2024-02', '2024-03']);
+        expect(series.map(({ key, total }) => [key, total])).toEqual([['Office Supplies', 140], ['Cloud Hosting', 75], ['Uncategorized', 25]]);
+        expect(series[0].values).toEqual({ '2024-01': 40, '2024-03': 100 });
+    });
+
+    it('groups vendor spend by quarter', () => {
+        const { periods, series } = spendByPeriod(rows, 'quarter', 'vendor');
+        expect(periods).toEqual(['2024-Q1']);
+        expect(series[0]).toEqual(expect.objectContaining({ key: 'Cloud Inc', total: 100 }));
+    });
+
+    it('sums top line items case-insensitively', () => {
+        expect(topLineItems(rows, 1)).toEqual([{ key: 'paper', description: 'Paper', total: 135, quantity: 8, count: 3 }]);
+    });
+
+    it('averages payment terms', () => {
+        expect(averagePaymentTerms(rows)).toEqual({ averageDays: (30 + 14 + 15) / 3, count: 3 });
+    });
+
+    it('buckets unpaid invoices by due date', () => {
+        const buckets = upcomingPayables(rows, new Date(2024, 2, 14));
+        expect(buckets.overdue.rows.map(row => row.record.id)).toEqual(['1']);
+        expect(buckets.week).toEqual(expect.objectContaining({ total: 100 }));
+        expect(buckets.week.rows[0].days).toBe(6);
+    });
+});
@@ -0,0 +1,62 @@
+import { backoffDelay, isRetryableError } from './ai/http';
+
+// --- Persistent upload queue ---
+//
+// Uploads stay in IndexedDB until they're transcribed, so going offline,
+// hitting a rate limit or reloading the page doesn't lose them. A job that
+// fails with a retryable error waits and then resumes by itself, backing off
+// exponentially and never sooner than the server's Retry-After.
+
+// First wait after a retryable failure; doubles with each failure after that
+const QUEUE_BASE_DELAY_MS = 15000;
+
+const QUEUE_MAX_DELAY_MS = 15 * 60 * 1000;
+
+// After this many failed attempts the job fails and waits for the user to retry it
+export const MAX_QUEUE_ATTEMPTS = 8;
+
+// Jobs kept in the queue store. Finished jobs are in the invoice library instead.
+const QUEUED_STATUSES = ['pending', 'running', 'waiting', 'failed', 'cancelled'];
+
+export const isQueuedJob = job => QUEUED_STATUSES.includes(job.status);
+
+// Wait before the next attempt after `attempts` failures: 15s, 30s, 1 min, ... up to 15 min
+export const queueDelay = attempts => Math.min(QUEUE_MAX_DELAY_MS, backoffDelay(attempts, QUEUE_BASE_DELAY_MS));
+
+// Job changes after a failed attempt. Rate limits, overloads and lost connections
+// wait for a retry; anything else fails. A null `retryAt` waits for the connection to come back.
+export const failedAttemptChanges = (job, err, { now = Date.now(), isOnline = true } = {}) => {
+    const attempts = (job.attempts || 0) + 1;
+    if (!isRetryableError(err) || attempts >= MAX_QUEUE_ATTEMPTS) {
+        return { status: 'failed', attempts, retryAt: null, error: err.message };
+    }
+    return {
+        status: 'waiting',
+        attempts,
+        retryAt: isOnline ? now + Math.max(err.retryAfterMs || 0, queueDelay(attempts)) : null,
+        error: err.message
+    };
+};
+
+// Waiting jobs that may start again now
+export const dueJobIds = (jobs, { now = Date.now(), isOnline = true } = {}) => (isOnline
+    ? jobs.filter(job => job.status === 'waiting' && (job.retryAt === null || job.retryAt <= now)).map(job => job.id)
+    : []);
+
+// Earliest scheduled retry among waiting jobs, or null
+export const nextRetryAt = (jobs) => {
+    const times = jobs.filter(job => job.status === 'waiting' && job.retryAt !== null).map(job => job.retryAt);
+    return times.length > 0 ? Math.min(...times) : null;
+};
+
+// What is stored for a job; its state is compared to decide when to save it again
+export const toQueueRecord = ({ id, file, pages, fileName, documentType, status, attempts, retryAt, error, createdAt }) => ({ id, file, pages, fileName, documentType, status, attempts, retryAt, error, createdAt });
+
+export const queueRecordState = job => [job.status, job.attempts, job.retryAt, job.error].join('|');
+
+// A stored job as it resumes after a reload. Jobs cut off mid-request start over.
+export const restoreQueuedJob = record => ({
+    ...record,
+    status: record.status === 'running' ? 'pending' : record.status,
+    result: null
+});
@@ -0,0 +1,77 @@
+import { MAX_QUEUE_ATTEMPTS, dueJobIds, failedAttemptChanges, isQueuedJob, nextRetryAt, queueDelay, queueRecordState, restoreQueuedJob, toQueueRecord } from './requestQueue';
+
+const NOW = Date.parse('2024-03-01T12:00:00Z');
+
+const retryable = (fields = {}) => Object.assign(new Error('API request failed with status 429'), { retryable: true, ...fields });
+
+describe('queueDelay', () => {
+    it('backs off from 15 seconds up to 15 minutes', () => {
+        expect([1, 2, 3].map(queueDelay)).toEqual([15000, 30000, 60000]);
+        expect(queueDelay(20)).toBe(15 * 60 * 1000);
+    });
+});
+
+describe('failedAttemptChanges', () => {
+    it('schedules a retryable failure after the backoff', () => {
+        expect(failedAttemptChanges({ attempts: 1 }, retryable(), { now: NOW })).toEqual({
+            status: 'waiting',
+            attempts: 2,
+            retryAt: NOW + 30000,
+            error: 'API request failed with status 429'
+        });
+    });
+
+    it('never retries sooner than the server asked', () => {
+        expect(failedAttemptChanges({ attempts: 0 }, retryable({ retryAfterMs: 120000 }), { now: NOW }).retryAt).toBe(NOW + 120000);
+    });
+
+    it('waits for the connection instead of a time while offline', () => {
+        expect(failedAttemptChanges({ attempts: 0 }, retryable(), { now: NOW, isOnline: false })).toMatchObject({ status: 'waiting', retryAt: null });
+    });
+
+    it('fails errors that a retry will not fix', () => {
+        expect(failedAttemptChanges({ attempts: 0 }, new Error('API key not valid'), { now: NOW })).toEqual({ status: 'failed', attempts: 1, retryAt: null, error: 'API key not valid' });
+    });
+
+    it('fails once the attempts run out', () => {
+        expect(failedAttemptChanges({ attempts: MAX_QUEUE_ATTEMPTS - 1 }, retryable(), { now: NOW }).status).toBe('failed');
+    });
+});
+
+describe('dueJobIds and nextRetryAt', () => {
+    const jobs = [
+        { id: 'due', status: 'waiting', retryAt: NOW - 1 },
+        { id: 'later', status: 'waiting', retryAt: NOW + 60000 },
+        { id: 'offline', status: 'waiting', retryAt: null },
+        { id: 'done', status: 'done', retryAt: NOW - 1 }
+    ];
+
+    it('returns waiting jobs whose time has come, and none while offline', () => {
+        expect(dueJobIds(jobs, { now: NOW })).toEqual(['due', 'offline']);
+        expect(dueJobIds(jobs, { now: NOW, isOnline: false })).toEqual([]);
+    });
+
+    it('finds the earliest scheduled retry', () => {
+        expect(nextRetryAt(jobs)).toBe(NOW - 1);
+        expect(nextRetryAt(jobs.slice(2))).toBeNull();
+    });
+});
+
+describe('queue records', () => {
+    const job = { id: 'j1', file: new Blob(['%PDF']), pages: null, fileName: 'a.pdf', documentType: 'receipt', status: 'running', attempts: 2, retryAt: null, error: null, createdAt: NOW, result: { invoiceNumber: '1' }, duplicateOf: null };
+
+    it('stores only what is needed to resume the job', () => {
+        expect(Object.keys(toQueueRecord(job)).sort()).toEqual(['attempts', 'createdAt', 'documentType', 'error', 'file', 'fileName', 'id', 'pages', 'retryAt', 'status']);
+        expect(queueRecordState(job)).toBe('running|2||');
+    });
+
+    it('restarts jobs that were cut off mid-request', () => {
+        expect(restoreQueuedJob(toQueueRecord(job))).toMatchObject({ status: 'pending', attempts: 2, result: null });
+        expect(restoreQueuedJob(toQueueRecord({ ...job, status: 'waiting' })).status).toBe('waiting');
+    });
+
+    it('keeps unfinished jobs in the queue', () => {
+        expect(['pending', 'running', 'waiting', 'failed', 'cancelled'].every(status => isQueuedJob({ status }))).toBe(true);
+        expect(isQueuedJob({ status: 'done' })).toBe(false);
+    });
+});
@@ -0,0 +1,45 @@
+import { isPdfFile, loadPdfDocument, renderPdfPageToDataUrl } from './pdf';
+
+const THUMBNAIL_SIZE = 160;
+
+// Preview of one PDF page, or null if the PDF can't be read
+const createPdfThumbnail = async (file, pageNumber) => {
+    let pdfDocument = null;
+    try {
+        pdfDocument = await loadPdfDocument(file);
+        return await renderPdfPageToDataUrl(pdfDocument, Math.min(pageNumber, pdfDocument.numPages), { maxSize: THUMBNAIL_SIZE, quality: 0.7 });
+    } catch (err) {
+        console.error("Error creating PDF thumbnail:", err);
+        return null;
+    } finally {
+        if (pdfDocument) pdfDocument.destroy();
+    }
+};
+
+// Create a small JPEG data URL preview of an image file or of a PDF page, or null for other file types
+export const createThumbnail = (file, pageNumber = 1) => new Promise((resolve) => {
+    if (isPdfFile(file)) {
+        resolve(createPdfThumbnail(file, pageNumber));
+        return;
+    }
+    if (!file.type.startsWith('image/')) {
+        resolve(null);
+        return;
+    }
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        resolve(null);
+    };
+    image.src = url;
+});
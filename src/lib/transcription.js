@@ -0,0 +1,285 @@
+import { callAI, parseJsonResponse } from './ai';
+import { createId } from './ids';
+import { toCurrencyCode } from './money';
+import { listInvoices } from './invoiceStore';
+import { isPdfFile, getPdfFileText, renderPdfPageToDataUrl } from './pdf';
+import { prepareUploadFiles } from './upload';
+import { partFileName } from './pdfSplit';
+import { CONFIDENCE_FIELDS, parseFieldConfidence, parseLineConfidence } from './confidence';
+import { findVendorInText, vendorDirectoryHints, vendorPromptHints } from './vendors';
+
+// --- Invoice and receipt transcription, document type and boundary detection ---
+//
+// Each AI flow is split into building the request, calling the model and
+// parsing the response, so the first and last steps can be tested on their own.
+
+// Header fields the model can locate on the document
+const REGION_FIELDS = ["invoiceNumber", "poNumber", "invoiceDate", "dueDate", "billedTo", "from", "sellerTaxId", "buyerTaxId", "subtotal", "tax", "total"];
+
+// Where a value appears on the document: page number and a [ymin, xmin, ymax, xmax] box on a 0-1000 scale
+const REGION_SCHEMA = {
+    "type": "OBJECT",
+    "properties": {
+        "page": { "type": "INTEGER" },
+        "box": { "type": "ARRAY", "items": { "type": "NUMBER" } }
+    }
+};
+
+// How certain the model is of a value, from 0 (guessed) to 1 (clearly printed)
+const CONFIDENCE_SCHEMA = { "type": "NUMBER", "description": "Certainty from 0 to 1" };
+
+// Structure of a transcribed invoice, in the Gemini schema dialect
+export const TRANSCRIPTION_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "invoiceNumber": { "type": "STRING" }, "invoiceDate": { "type": "STRING" }, "dueDate": { "type": "STRING" },
+        "billedTo": { "type": "STRING" }, "from": { "type": "STRING" }, "currency": { "type": "STRING", "description": "ISO 4217 currency code" },
+        "sellerTaxId": { "type": "STRING" }, "buyerTaxId": { "type": "STRING" },
+        "poNumber": { "type": "STRING", "description": "Purchase order number the invoice bills" },
+        "lineItems": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "description": { "type": "STRING" }, "quantity": { "type": "NUMBER" },
+                    "unitPrice": { "type": "NUMBER" }, "total": { "type": "NUMBER" },
+                    "taxRate": { "type": "NUMBER", "description": "Tax rate in percent, e.g. 20 for 20%" },
+                    "poNumber": { "type": "STRING", "description": "Purchase order number printed on this line, when it differs by line" },
+                    "poLine": { "type": "STRING", "description": "Line number of the purchase order this line bills" },
+                    "region": REGION_SCHEMA,
+                    "confidence": CONFIDENCE_SCHEMA
+                },
+                "required": ["description", "quantity", "unitPrice", "total"]
+            }
+        },
+        "subtotal": { "type": "NUMBER" }, "tax": { "type": "NUMBER" }, "total": { "type": "NUMBER" },
+        "taxLines": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "type": { "type": "STRING", "description": "Tax name, e.g. VAT, GST or Sales tax" },
+                    "rate": { "type": "NUMBER", "description": "Rate in percent" },
+                    "baseAmount": { "type": "NUMBER" }, "taxAmount": { "type": "NUMBER" }
+                },
+                "required": ["rate", "baseAmount", "taxAmount"]
+            }
+        },
+        "fieldRegions": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "field": { "type": "STRING", "enum": REGION_FIELDS },
+                    ...REGION_SCHEMA.properties
+                },
+                "required": ["field", "box"]
+            }
+        },
+        "fieldConfidence": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "field": { "type": "STRING", "enum": CONFIDENCE_FIELDS.map(([field]) => field) },
+                    "confidence": CONFIDENCE_SCHEMA
+                },
+                "required": ["field", "confidence"]
+            }
+        }
+    },
+    required: ["invoiceNumber", "invoiceDate", "billedTo", "from", "lineItems", "subtotal", "total", "currency"]
+};
+
+// Instructions for transcribing an invoice sent as `pageCount` images
+export const buildTranscriptionPrompt = ({ pageCount = 1, vendorHints = '' } = {}) => {
+    return `Analyze the following invoice/bill image. Extract the information in the specified JSON format. Identify the currency and return its ISO 4217 code (e.g., USD, EUR, GBP, JPY), not a symbol. A "$" alone is ambiguous: use the vendor's country, address or tax ID to decide between USD, CAD, AUD and others. Ensure all monetary values are numbers.
+    List every tax in "taxLines", one per tax type and rate (e.g. VAT 20%, reduced VAT 5%, GST 10%, state sales tax), with the percentage rate, the taxable base amount and the tax amount; "tax" is the sum of the tax amounts. Give each line item's tax rate as a percentage when the document shows it. Include the seller's and the buyer's tax IDs (VAT number, GST/ABN, EIN, etc.) when printed.
+    Give the purchase order number the invoice refers to (labelled e.g. "PO", "P.O. No.", "Order number" or "Your reference") in "poNumber", exactly as printed; leave it empty when there is none. When lines cite their own PO number or PO line number, give them on the line item.
+    Also report where each value appears on the document: for every header field in "fieldRegions" and for every line item in its "region", give the 1-based page number and a bounding box [ymin, xmin, ymax, xmax] normalized to 0-1000.
+    Rate how certain you are of each value from 0 to 1: for every header field in "fieldConfidence" and for every line item in its "confidence". Use a high score only when the value is clearly printed; use a low score when the text is blurred, handwritten, cut off, ambiguous or inferred rather than read. Never invent a value to avoid a low score.${vendorHints ? `
+    ${vendorHints}` : ''}${pageCount > 1 ? `
+    The invoice is split across the ${pageCount} page images below, in order; page numbers refer to that order.` : ''}`;
+};
+
+// Turn the model's answer into an invoice: ids for rows, an ISO currency code,
+// regions keyed by field and mapped back to pages of the original PDF
+export const parseTranscription = (jsonText, pages = null) => {
+    const parsed = parseJsonResponse(jsonText);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error("The model's response is not an invoice.");
+    }
+    const { fieldRegions, fieldConfidence, ...parsedJson } = parsed;
+    parsedJson.lineItems = (parsedJson.lineItems || []).map(item => ({ ...item, id: createId(), category: '', confidence: parseLineConfidence(item.confidence) }));
+    parsedJson.taxLines = (parsedJson.taxLines || []).map(line => ({ type: '', ...line, id: createId() }));
+    parsedJson.currency = toCurrencyCode(parsedJson.currency);
+    // The model numbers the images it was sent; map those back to pages of the original PDF
+    const documentPage = page => (pages ? pages[(page || 1) - 1] || pages[0] : page || 1);
+    parsedJson.lineItems.forEach((item) => {
+        if (item.region) item.region = { ...item.region, page: documentPage(item.region.page) };
+    });
+    // Keep regions keyed by field so the viewer can look them up directly
+    parsedJson.regions = (fieldRegions || []).reduce((regions, { field, page, box }) => ({ ...regions, [field]: { page: documentPage(page), box } }), {});
+    parsedJson.confidence = parseFieldConfidence(fieldConfidence);
+    parsedJson.reviewedFields = [];
+    return parsedJson;
+};
+
+// Vendor hints for the transcription prompt: a known vendor's details when the
+// PDF's text names one, otherwise the list of known vendors
+export const vendorHintsForFile = async (file, pages, vendors) => {
+    if (vendors.length === 0) return '';
+    const vendor = isPdfFile(file) ? findVendorInText(vendors, await getPdfFileText(file, pages)) : null;
+    return vendor ? vendorPromptHints(vendor, await listInvoices()) : vendorDirectoryHints(vendors);
+};
+
+// --- Receipts ---
+//
+// Till receipts from taxis, restaurants and shops have no invoice number,
+// billed-to party or due date, so they get their own schema. The answer is
+// turned into the invoice shape with documentType 'receipt', which lets
+// receipts share the library, editor, category suggestions and exports.
+
+// Receipt fields as the model sees them, and the invoice field each one is stored in
+const RECEIPT_FIELDS = [
+    ['merchant', 'from'],
+    ['date', 'invoiceDate'],
+    ['receiptNumber', 'invoiceNumber'],
+    ['paymentMethod', 'paymentMethod'],
+    ['currency', 'currency'],
+    ['subtotal', 'subtotal'],
+    ['tax', 'tax'],
+    ['tip', 'tip'],
+    ['total', 'total']
+];
+
+const toInvoiceField = field => (RECEIPT_FIELDS.find(([receiptField]) => receiptField === field) || [])[1];
+
+export const RECEIPT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "merchant": { "type": "STRING" }, "date": { "type": "STRING" },
+        "receiptNumber": { "type": "STRING", "description": "Receipt, transaction or ticket number if printed" },
+        "paymentMethod": { "type": "STRING", "description": "e.g. Cash, Visa •••• 4242, Mastercard, Amex, Apple Pay" },
+        "currency": { "type": "STRING", "description": "ISO 4217 currency code" },
+        "lineItems": TRANSCRIPTION_SCHEMA.properties.lineItems,
+        "subtotal": { "type": "NUMBER", "description": "Before tax and tip" },
+        "tax": { "type": "NUMBER" },
+        "tip": { "type": "NUMBER", "description": "Tip or gratuity, 0 if none" },
+        "total": { "type": "NUMBER", "description": "Amount paid, including tax and tip" },
+        "taxLines": TRANSCRIPTION_SCHEMA.properties.taxLines,
+        "fieldConfidence": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "field": { "type": "STRING", "enum": RECEIPT_FIELDS.map(([field]) => field) },
+                    "confidence": CONFIDENCE_SCHEMA
+                },
+                "required": ["field", "confidence"]
+            }
+        }
+    },
+    required: ["merchant", "date", "lineItems", "total", "currency"]
+};
+
+export const buildReceiptPrompt = ({ pageCount = 1 } = {}) => {
+    return `Analyze the following receipt image (for example a taxi, restaurant, hotel or shop receipt). Extract the information in the specified JSON format. Identify the currency and return its ISO 4217 code (e.g., USD, EUR, GBP, JPY), not a symbol; use the merchant's address to decide what a "$" means. Ensure all monetary values are numbers.
+    Report the payment method as printed, e.g. "Cash" or "Visa •••• 4242". Report any tip or gratuity in "tip", whether printed or handwritten; "total" is the amount paid including tax and tip, and "subtotal" excludes both.
+    List the purchased items in "lineItems". If the receipt doesn't itemize (a taxi fare, a parking ticket), return a single line item describing what was bought, with quantity 1 and the amount before tax and tip. List every tax in "taxLines" when the receipt shows it.
+    Rate how certain you are of each value from 0 to 1: for every field in "fieldConfidence" and for every line item in its "confidence". Use a low score when the text is faded, handwritten, cut off or inferred rather than read. Never invent a value to avoid a low score.${pageCount > 1 ? `
+    The receipt is split across the ${pageCount} images below, in order.` : ''}`;
+};
+
+// Turn the model's answer into a receipt in the invoice shape
+export const parseReceipt = (jsonText) => {
+    const parsed = parseJsonResponse(jsonText);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error("The model's response is not a receipt.");
+    }
+    const { merchant, date, receiptNumber, fieldConfidence, ...rest } = parsed;
+    return {
+        ...rest,
+        documentType: 'receipt',
+        from: merchant || '',
+        invoiceDate: date || '',
+        invoiceNumber: receiptNumber || '',
+        paymentMethod: rest.paymentMethod || '',
+        tip: Number(rest.tip) || 0,
+        currency: toCurrencyCode(rest.currency),
+        lineItems: (rest.lineItems || []).map(item => ({ ...item, id: createId(), category: '', confidence: parseLineConfidence(item.confidence) })),
+        taxLines: (rest.taxLines || []).map(line => ({ type: '', ...line, id: createId() })),
+        regions: {},
+        confidence: parseFieldConfidence((fieldConfidence || []).map(({ field, confidence }) => ({ field: toInvoiceField(field), confidence }))),
+        reviewedFields: []
+    };
+};
+
+// --- Document type detection ---
+
+// What an upload may be transcribed as; 'auto' asks the model first
+export const DOCUMENT_TYPES = [['invoice', 'Invoices'], ['receipt', 'Receipts'], ['auto', 'Auto-detect']];
+
+export const DOCUMENT_TYPE_SCHEMA = { "type": "OBJECT", "properties": { "documentType": { "type": "STRING", "enum": ["invoice", "receipt"] } }, "required": ["documentType"] };
+
+export const buildDocumentTypePrompt = () => 'Is the following document a formal invoice or bill (issued to a named customer, usually with an invoice number and payment terms) or a receipt for something already paid (a till, card, taxi, restaurant or hotel receipt)? Answer "invoice" or "receipt".';
+
+// Anything but a clear "receipt" is transcribed as an invoice, the stricter schema
+export const parseDocumentType = (jsonText) => {
+    const { documentType } = parseJsonResponse(jsonText) || {};
+    return documentType === 'receipt' ? 'receipt' : 'invoice';
+};
+
+// Transcribe a single document into structured data. `pages` limits a PDF to the pages of one invoice;
+// `signal` cancels the request. `documentType` is 'invoice', 'receipt' or 'auto'.
+export const transcribeInvoice = async (file, aiSettings, pages = null, vendorHints = '', signal = null, documentType = 'invoice') => {
+    const files = await prepareUploadFiles(file, pages);
+    const context = { fileName: partFileName(file, pages) };
+    const type = documentType === 'auto'
+        ? parseDocumentType(await callAI({ task: 'detectDocumentType', prompt: buildDocumentTypePrompt(), files, responseSchema: DOCUMENT_TYPE_SCHEMA, context, signal }, aiSettings))
+        : documentType;
+    if (type === 'receipt') {
+        const jsonText = await callAI({ task: 'transcribeReceipt', prompt: buildReceiptPrompt({ pageCount: files.length }), files, responseSchema: RECEIPT_SCHEMA, context, signal }, aiSettings);
+        return parseReceipt(jsonText);
+    }
+    const jsonText = await callAI({
+        task: 'transcribe',
+        prompt: buildTranscriptionPrompt({ pageCount: files.length, vendorHints }),
+        files,
+        responseSchema: TRANSCRIPTION_SCHEMA,
+        context,
+        signal
+    }, aiSettings);
+    return parseTranscription(jsonText, pages);
+};
+
+// Size of the page images used to find where invoices start in a scanned PDF
+const BOUNDARY_PAGE_SIZE = 768;
+
+export const BOUNDARY_SCHEMA = { "type": "OBJECT", "properties": { "firstPages": { "type": "ARRAY", "items": { "type": "INTEGER" } } }, "required": ["firstPages"] };
+
+export const buildBoundaryPrompt = pageCount => `The following ${pageCount} images are the pages of a scanned PDF, in order, that may contain several invoices. List the 1-based numbers of the pages that start a new invoice (the first page of each invoice). Continuation pages of the same invoice, such as "page 2 of 3" or pages repeating the same invoice number, do not start a new one.`;
+
+// First pages of each invoice, sorted, always starting with page 1 and ignoring pages that don't exist
+export const parseBoundaries = (jsonText, pageCount) => {
+    const { firstPages } = parseJsonResponse(jsonText);
+    const valid = (firstPages || []).filter(page => Number.isInteger(page) && page >= 1 && page <= pageCount);
+    return Array.from(new Set([1, ...valid])).sort((a, b) => a - b);
+};
+
+// Ask the model which pages of a multi-invoice PDF start a new invoice
+export const detectInvoiceBoundaries = async (pdfDocument, aiSettings) => {
+    const files = [];
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        const dataUrl = await renderPdfPageToDataUrl(pdfDocument, pageNumber, { maxSize: BOUNDARY_PAGE_SIZE, quality: 0.6 });
+        files.push({ mimeType: 'image/jpeg', data: dataUrl.split(',')[1] });
+    }
+    const jsonText = await callAI({
+        task: 'detectBoundaries',
+        prompt: buildBoundaryPrompt(files.length),
+        files,
+        responseSchema: BOUNDARY_SCHEMA,
+        context: { pageCount: files.length }
+    }, aiSettings);
+    return parseBoundaries(jsonText, files.length);
+};
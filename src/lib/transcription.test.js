@@ -0,0 +1,181 @@
+import { buildTranscriptionPrompt, parseBoundaries, parseDocumentType, parseReceipt, parseTranscription, transcribeInvoice, RECEIPT_SCHEMA, TRANSCRIPTION_SCHEMA } from './transcription';
+import { prepareUploadFiles } from './upload';
+import { installFakeFetch, recordedText, skipDelays } from '../test/fakeFetch';
+
+jest.mock('./upload', () => ({ prepareUploadFiles: jest.fn() }));
+// pdf.js needs a browser; these tests send pre-rendered pages
+jest.mock('./pdf', () => ({ isPdfFile: file => file.type === 'application/pdf', getPdfFileText: async () => '', renderPdfPageToDataUrl: async () => '' }));
+
+const geminiSettings = {
+    provider: 'gemini',
+    models: { gemini: 'gemini-2.0-flash' },
+    apiKeys: { gemini: 'test-key' },
+    proxyUrl: ''
+};
+
+const pdfFile = new File(['%PDF-1.4'], 'batch.pdf', { type: 'application/pdf' });
+
+beforeEach(() => {
+    skipDelays();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prepareUploadFiles.mockResolvedValue([{ mimeType: 'image/jpeg', data: 'cGFnZQ==' }]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('buildTranscriptionPrompt', () => {
+    it('mentions the page count only for multi-page documents', () => {
+        expect(buildTranscriptionPrompt({ pageCount: 1 })).not.toContain('page images below');
+        expect(buildTranscriptionPrompt({ pageCount: 3 })).toContain('split across the 3 page images below');
+    });
+
+    it('includes vendor hints', () => {
+        expect(buildTranscriptionPrompt({ vendorHints: 'Known vendors: "Acme".' })).toContain('Known vendors: "Acme".');
+    });
+
+    it('asks for the purchase order number on the invoice and its lines', () => {
+        expect(buildTranscriptionPrompt()).toContain('"poNumber"');
+        expect(TRANSCRIPTION_SCHEMA.properties.poNumber.type).toBe('STRING');
+        expect(Object.keys(TRANSCRIPTION_SCHEMA.properties.lineItems.items.properties)).toEqual(expect.arrayContaining(['poNumber', 'poLine']));
+    });
+});
+
+describe('parseTranscription', () => {
+    it('turns a recorded answer into an invoice', () => {
+        const invoice = parseTranscription(recordedText('transcribe-invoice'));
+
+        expect(invoice.invoiceNumber).toBe('INV-2024-0117');
+        expect(invoice.currency).toBe('USD');
+        expect(invoice.lineItems).toHaveLength(3);
+        invoice.lineItems.forEach(item => expect(item).toEqual(expect.objectContaining({ id: expect.any(String), category: '' })));
+        expect(invoice.lineItems[2].confidence).toBe(0.41);
+        expect(invoice.taxLines[0]).toEqual(expect.objectContaining({ type: 'VAT', rate: 20, id: expect.any(String) }));
+        expect(invoice.regions.total).toEqual({ page: 1, box: [700, 700, 730, 940] });
+        expect(invoice.confidence).toEqual(expect.objectContaining({ invoiceNumber: 0.98, dueDate: 0.9 }));
+        expect(invoice.reviewedFields).toEqual([]);
+        expect(invoice).not.toHaveProperty('poNumber');
+        expect(invoice).not.toHaveProperty('fieldRegions');
+        expect(invoice).not.toHaveProperty('fieldConfidence');
+    });
+
+    it('maps page numbers back to the pages of the original PDF', () => {
+        const text = JSON.stringify({
+            lineItems: [{ description: 'Item', quantity: 1, unitPrice: 1, total: 1, region: { page: 2, box: [0, 0, 10, 10] } }],
+            fieldRegions: [{ field: 'invoiceNumber', page: 1, box: [0, 0, 5, 5] }]
+        });
+        const invoice = parseTranscription(text, [4, 5]);
+
+        expect(invoice.lineItems[0].region.page).toBe(5);
+        expect(invoice.regions.invoiceNumber.page).toBe(4);
+    });
+
+    it('accepts an answer wrapped in a code fence', () => {
+        expect(parseTranscription('```json\n{"invoiceNumber":"A-1"}\n```').invoiceNumber).toBe('A-1');
+    });
+
+    it('explains a truncated answer', () => {
+        expect(() => parseTranscription(recordedText('malformed-json'))).toThrow("The model returned a response that isn't valid JSON.");
+    });
+
+    it('rejects JSON that is not an invoice', () => {
+        expect(() => parseTranscription('[1, 2]')).toThrow("The model's response is not an invoice.");
+    });
+});
+
+describe('transcribeInvoice', () => {
+    it('sends the pages with the schema and parses the recorded answer', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'transcribe-invoice' }]);
+
+        const invoice = await transcribeInvoice(pdfFile, geminiSettings, [2]);
+
+        expect(prepareUploadFiles).toHaveBeenCalledWith(pdfFile, [2]);
+        const { contents, generationConfig } = requests[0].body;
+        expect(contents[0].parts[1]).toEqual({ inlineData: { mimeType: 'image/jpeg', data: 'cGFnZQ==' } });
+        expect(generationConfig.responseSchema).toEqual(TRANSCRIPTION_SCHEMA);
+        expect(invoice.total).toBe(479.98);
+        expect(invoice.regions.invoiceNumber.page).toBe(2);
+    });
+
+    it('retries an overloaded model before transcribing', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'overloaded-503', status: 503 }, { recorded: 'transcribe-invoice' }]);
+
+        await expect(transcribeInvoice(pdfFile, geminiSettings)).resolves.toEqual(expect.objectContaining({ invoiceNumber: 'INV-2024-0117' }));
+        expect(requests).toHaveLength(2);
+    });
+
+    it('reports a blocked document', async () => {
+        installFakeFetch([{ recorded: 'blocked-prompt' }]);
+
+        await expect(transcribeInvoice(pdfFile, geminiSettings)).rejects.toThrow('Request was blocked. Reason: SAFETY.');
+    });
+
+    it('reports malformed JSON from the model', async () => {
+        installFakeFetch([{ recorded: 'malformed-json' }]);
+
+        await expect(transcribeInvoice(pdfFile, geminiSettings)).rejects.toThrow("isn't valid JSON");
+    });
+});
+
+describe('parseReceipt', () => {
+    it('stores a recorded receipt in the invoice shape', () => {
+        const receipt = parseReceipt(recordedText('transcribe-receipt'));
+
+        expect(receipt).toEqual(expect.objectContaining({
+            documentType: 'receipt',
+            from: 'Harbour Street Bistro',
+            invoiceDate: '2024-03-04',
+            invoiceNumber: '0042-118',
+            paymentMethod: 'Visa •••• 4242',
+            tip: 12,
+            total: 74.13
+        }));
+        expect(receipt.confidence).toEqual(expect.objectContaining({ from: 0.97, invoiceDate: 0.92, tip: 0.46 }));
+        expect(receipt.lineItems[0]).toEqual(expect.objectContaining({ id: expect.any(String), category: '' }));
+        expect(receipt).not.toHaveProperty('merchant');
+        expect(receipt).not.toHaveProperty('fieldConfidence');
+    });
+
+    it('treats a missing tip as none', () => {
+        expect(parseReceipt('{"merchant":"Taxi","total":18}').tip).toBe(0);
+    });
+
+    it('rejects JSON that is not a receipt', () => {
+        expect(() => parseReceipt('"paid"')).toThrow("The model's response is not a receipt.");
+    });
+});
+
+describe('parseDocumentType', () => {
+    it('transcribes anything but a clear receipt as an invoice', () => {
+        expect(parseDocumentType('{"documentType":"receipt"}')).toBe('receipt');
+        expect(parseDocumentType('{"documentType":"statement"}')).toBe('invoice');
+        expect(parseDocumentType('{}')).toBe('invoice');
+    });
+});
+
+describe('transcribeInvoice with a document type', () => {
+    it('sends receipts with the receipt schema', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'transcribe-receipt' }]);
+
+        const receipt = await transcribeInvoice(pdfFile, geminiSettings, null, '', null, 'receipt');
+
+        expect(requests[0].body.generationConfig.responseSchema).toEqual(RECEIPT_SCHEMA);
+        expect(receipt.documentType).toBe('receipt');
+    });
+
+    it('asks for the document type first when auto-detecting', async () => {
+        const { requests } = installFakeFetch([{ recorded: 'detect-receipt' }, { recorded: 'transcribe-receipt' }]);
+
+        const receipt = await transcribeInvoice(pdfFile, geminiSettings, null, '', null, 'auto');
+
+        expect(requests).toHaveLength(2);
+        expect(requests[1].body.generationConfig.responseSchema).toEqual(RECEIPT_SCHEMA);
+        expect(receipt.from).toBe('Harbour Street Bistro');
+    });
+});
+
+describe('parseBoundaries', () => {
+    it('always starts at page 1 and drops pages that do not exist', () => {
+        expect(parseBoundaries('{"firstPages":[3,9,3,0,2.5]}', 4)).toEqual([1, 3]);
+    });
+});
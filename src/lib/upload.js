@@ -0,0 +1,77 @@
+import { isPdfFile, loadPdfDocument, renderPdfPageToDataUrl } from './pdf';
+
+// --- Preparing documents for the model ---
+//
+// Photos are downscaled and PDFs are rasterized page by page, so requests stay
+// well under the providers' inline payload limits and only the chosen pages are sent.
+
+// Longest side of an image sent to the model; enough to read small print on an A4 page
+const MAX_UPLOAD_DIMENSION = 2000;
+
+// Images already smaller than this are sent untouched
+const MAX_UNCOMPRESSED_BYTES = 1024 * 1024;
+
+const JPEG_QUALITY = 0.85;
+
+const readAsDataUrl = file => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const loadImage = url => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("The image could not be read."));
+    image.src = url;
+});
+
+// "data:image/jpeg;base64,..." → { mimeType, data }
+const fromDataUrl = (dataUrl) => {
+    const [header, data] = dataUrl.split(',');
+    return { mimeType: header.slice(5, header.indexOf(';')), data };
+};
+
+// Re-encode a large image as a JPEG that fits within MAX_UPLOAD_DIMENSION
+export const downscaleImage = async (file) => {
+    const dataUrl = await readAsDataUrl(file);
+    let image;
+    try {
+        image = await loadImage(dataUrl);
+    } catch (err) {
+        // Formats the browser can't draw are sent as they are
+        return fromDataUrl(dataUrl);
+    }
+    const scale = Math.min(1, MAX_UPLOAD_DIMENSION / Math.max(image.width, image.height));
+    if (scale === 1 && file.size <= MAX_UNCOMPRESSED_BYTES) return fromDataUrl(dataUrl);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so give transparent PNGs a white page
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return fromDataUrl(canvas.toDataURL('image/jpeg', JPEG_QUALITY));
+};
+
+// Render the given pages (1-based, all when omitted) of a PDF as JPEG images
+export const rasterizePdf = async (file, pages) => {
+    const pdfDocument = await loadPdfDocument(file);
+    try {
+        const pageNumbers = pages && pages.length > 0 ? pages : Array.from({ length: pdfDocument.numPages }, (_, index) => index + 1);
+        const images = [];
+        // One page at a time keeps memory flat for long scans
+        for (const pageNumber of pageNumbers) {
+            images.push(fromDataUrl(await renderPdfPageToDataUrl(pdfDocument, pageNumber, { maxSize: MAX_UPLOAD_DIMENSION, quality: JPEG_QUALITY })));
+        }
+        return images;
+    } finally {
+        pdfDocument.destroy();
+    }
+};
+
+// Files for an AI request: one image per page for PDFs, one downscaled image otherwise
+export const prepareUploadFiles = (file, pages) => (isPdfFile(file) ? rasterizePdf(file, pages) : downscaleImage(file).then(image => [image]));
@@ -0,0 +1,208 @@
+import { isCurrencyCode, toCurrencyCode } from './money';
+
+// --- Arithmetic and consistency checks for transcribed invoices ---
+
+// Amounts within a cent of each other are considered equal
+const AMOUNT_TOLERANCE = 0.01;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const REQUIRED_FIELDS = [
+    ['invoiceNumber', 'Invoice number'],
+    ['invoiceDate', 'Invoice date'],
+    ['from', 'Vendor (From)'],
+    ['billedTo', 'Billed To'],
+    ['currency', 'Currency']
+];
+
+// Receipts have no invoice number, billed-to party or due date
+const RECEIPT_REQUIRED_FIELDS = [
+    ['invoiceDate', 'Date'],
+    ['from', 'Merchant'],
+    ['currency', 'Currency']
+];
+
+export const isReceipt = invoice => Boolean(invoice) && invoice.documentType === 'receipt';
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+const amountsDiffer = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) > AMOUNT_TOLERANCE + 1e-9;
+
+const toYear = year => (year < 100 ? 2000 + year : year);
+
+const monthFromName = name => {
+    const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+    return index >= 0 ? index + 1 : null;
+};
+
+// Split a date string into { year, month, day } without checking the values are real.
+// Numeric dates are read as MM/DD/YYYY unless the first part can only be a day,
+// or the separator is a dot (DD.MM.YYYY).
+const extractDateParts = (value) => {
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+    if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+    match = text.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})$/);
+    if (match) {
+        const [first, separator, second, year] = [+match[1], match[2], +match[3], toYear(+match[4])];
+        const dayFirst = separator === '.' || (first > 12 && second <= 12);
+        return dayFirst ? { year, month: second, day: first } : { year, month: first, day: second };
+    }
+
+    match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]+)\.?,?[\s-]+(\d{2}|\d{4})$/);
+    if (match && monthFromName(match[2])) return { year: toYear(+match[3]), month: monthFromName(match[2]), day: +match[1] };
+
+    match = text.match(/^(?:[A-Za-z]+,?\s+)?([A-Za-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+    if (match && monthFromName(match[1])) return { year: +match[3], month: monthFromName(match[1]), day: +match[2] };
+
+    return null;
+};
+
+const isRealDate = ({ year, month, day }) => (
+    year >= 1900 && year <= 2100 &&
+    month >= 1 && month <= 12 &&
+    day >= 1 && day <= new Date(year, month, 0).getDate()
+);
+
+// Parse an invoice date in any of the common formats, returning null if it isn't a real date
+export const parseInvoiceDate = (value) => {
+    if (isBlank(value)) return null;
+    const parts = extractDateParts(value);
+    return parts && isRealDate(parts) ? new Date(parts.year, parts.month - 1, parts.day) : null;
+};
+
+// Key used to attach an issue to a line item cell
+export const lineItemField = (item, index, field) => `lineItems.${item.id || index}.${field}`;
+
+export const taxLineField = (line, index, field) => `taxLines.${line.id || index}.${field}`;
+
+const hasValue = value => !isBlank(value) && !Number.isNaN(Number(value));
+
+// Check each tax line against its base, their sum against the tax, and the
+// per-line tax rates against the breakdown
+const checkTaxLines = (issues, invoice) => {
+    const taxLines = invoice.taxLines || [];
+    if (taxLines.length === 0) return;
+
+    taxLines.forEach((line, index) => {
+        const label = `Tax line ${index + 1}${line.type ? ` (${line.type})` : ''}`;
+        const rate = Number(line.rate) || 0;
+        if (rate < 0 || rate > 100) {
+            issues.push({ field: taxLineField(line, index, 'rate'), severity: 'error', message: `${label}: a rate of ${rate}% is not possible.` });
+            return;
+        }
+        const expected = (Number(line.baseAmount) || 0) * rate / 100;
+        if (amountsDiffer(expected, line.taxAmount)) {
+            issues.push({
+                field: taxLineField(line, index, 'taxAmount'),
+                severity: 'warning',
+                message: `${label}: ${rate}% of ${(Number(line.baseAmount) || 0).toFixed(2)} is ${expected.toFixed(2)} but the tax amount is ${(Number(line.taxAmount) || 0).toFixed(2)}.`
+            });
+        }
+    });
+
+    const taxSum = taxLines.reduce((sum, line) => sum + (Number(line.taxAmount) || 0), 0);
+    if (amountsDiffer(taxSum, invoice.tax)) {
+        issues.push({ field: 'tax', severity: 'error', message: `Tax lines add up to ${taxSum.toFixed(2)} but the tax is ${(Number(invoice.tax) || 0).toFixed(2)}.` });
+    }
+
+    const baseSum = taxLines.reduce((sum, line) => sum + (Number(line.baseAmount) || 0), 0);
+    if (!isBlank(invoice.subtotal) && amountsDiffer(baseSum, invoice.subtotal)) {
+        issues.push({ field: 'taxLines', severity: 'warning', message: `Taxable amounts add up to ${baseSum.toFixed(2)} but the subtotal is ${Number(invoice.subtotal).toFixed(2)}.` });
+    }
+
+    // Line items taxed at a rate should add up to the base of that rate's tax line
+    const baseByRate = (invoice.lineItems || [])
+        .filter(item => hasValue(item.taxRate))
+        .reduce((bases, item) => bases.set(Number(item.taxRate), (bases.get(Number(item.taxRate)) || 0) + (Number(item.total) || 0)), new Map());
+    baseByRate.forEach((base, rate) => {
+        const index = taxLines.findIndex(line => Number(line.rate) === rate);
+        if (index < 0) {
+            if (rate !== 0) issues.push({ field: 'taxLines', severity: 'warning', message: `Line items are taxed at ${rate}% but there is no ${rate}% tax line.` });
+        } else if (amountsDiffer(base, taxLines[index].baseAmount)) {
+            issues.push({
+                field: taxLineField(taxLines[index], index, 'baseAmount'),
+                severity: 'warning',
+                message: `Line items at ${rate}% add up to ${base.toFixed(2)} but the ${rate}% tax line's base is ${(Number(taxLines[index].baseAmount) || 0).toFixed(2)}.`
+            });
+        }
+    });
+};
+
+const checkDate = (issues, field, label, value) => {
+    if (isBlank(value)) return null;
+    const parts = extractDateParts(value);
+    if (!parts) {
+        issues.push({ field, severity: 'error', message: `${label} "${value}" could not be read as a date.` });
+        return null;
+    }
+    if (!isRealDate(parts)) {
+        issues.push({ field, severity: 'error', message: `${label} "${value}" is not a real date.` });
+        return null;
+    }
+    return new Date(parts.year, parts.month - 1, parts.day);
+};
+
+// Check an invoice for missing fields, arithmetic mismatches and bad dates.
+// Returns a list of { field, severity: 'error' | 'warning', message }.
+export const validateInvoice = (invoice) => {
+    const issues = [];
+    if (!invoice) return issues;
+
+    const receipt = isReceipt(invoice);
+    (receipt ? RECEIPT_REQUIRED_FIELDS : REQUIRED_FIELDS).forEach(([field, label]) => {
+        if (isBlank(invoice[field])) issues.push({ field, severity: 'error', message: `${label} is missing.` });
+    });
+    if (!isBlank(invoice.currency) && !isCurrencyCode(invoice.currency)) {
+        issues.push({ field: 'currency', severity: 'warning', message: `Currency "${invoice.currency}" is not an ISO 4217 code, so amounts are treated as ${toCurrencyCode(invoice.currency)}.` });
+    }
+
+    const lineItems = invoice.lineItems || [];
+    if (lineItems.length === 0) {
+        issues.push({ field: 'lineItems', severity: 'error', message: `The ${receipt ? 'receipt' : 'invoice'} has no line items.` });
+    }
+
+    lineItems.forEach((item, index) => {
+        const label = `Line ${index + 1}`;
+        if (isBlank(item.description)) {
+            issues.push({ field: lineItemField(item, index, 'description'), severity: 'warning', message: `${label} has no description.` });
+        }
+        const expected = (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0);
+        if (amountsDiffer(expected, item.total)) {
+            issues.push({
+                field: lineItemField(item, index, 'total'),
+                severity: 'warning',
+                message: `${label}: quantity × price is ${expected.toFixed(2)} but the line total is ${(Number(item.total) || 0).toFixed(2)}.`
+            });
+        }
+    });
+
+    const lineSum = lineItems.reduce((sum, item) => sum + (Number(item.total) || 0), 0);
+    if (isBlank(invoice.subtotal)) {
+        issues.push({ field: 'subtotal', severity: 'error', message: 'Subtotal is missing.' });
+    } else if (lineItems.length > 0 && amountsDiffer(lineSum, invoice.subtotal)) {
+        issues.push({ field: 'subtotal', severity: 'error', message: `Line items add up to ${lineSum.toFixed(2)} but the subtotal is ${Number(invoice.subtotal).toFixed(2)}.` });
+    }
+
+    const tip = Number(invoice.tip) || 0;
+    const expectedTotal = (Number(invoice.subtotal) || 0) + (Number(invoice.tax) || 0) + tip;
+    if (isBlank(invoice.total)) {
+        issues.push({ field: 'total', severity: 'error', message: 'Total is missing.' });
+    } else if (!isBlank(invoice.subtotal) && amountsDiffer(expectedTotal, invoice.total)) {
+        issues.push({ field: 'total', severity: 'error', message: `Subtotal + tax${tip ? ' + tip' : ''} is ${expectedTotal.toFixed(2)} but the total is ${Number(invoice.total).toFixed(2)}.` });
+    }
+    if (tip < 0) {
+        issues.push({ field: 'tip', severity: 'error', message: 'Tip cannot be negative.' });
+    }
+
+    checkTaxLines(issues, invoice);
+
+    const invoiceDate = checkDate(issues, 'invoiceDate', receipt ? 'Date' : 'Invoice date', invoice.invoiceDate);
+    const dueDate = checkDate(issues, 'dueDate', 'Due date', invoice.dueDate);
+    if (invoiceDate && dueDate && dueDate < invoiceDate) {
+        issues.push({ field: 'dueDate', severity: 'warning', message: 'Due date is before the invoice date.' });
+    }
+
+    return issues;
+};
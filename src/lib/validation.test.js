@@ -0,0 +1,70 @@
+import { parseInvoiceDate, validateInvoice } from './validation';
+
+const validInvoice = {
+    invoiceNumber: 'A-1',
+    invoiceDate: '2024-03-05',
+    dueDate: '2024-04-04',
+    from: 'Paper Co',
+    billedTo: 'Example Inc.',
+    currency: 'USD',
+    lineItems: [
+        { id: 'a', description: 'Paper', quantity: 2, unitPrice: 5, total: 10 },
+        { id: 'b', description: 'Toner', quantity: 1, unitPrice: 30, total: 30 }
+    ],
+    subtotal: 40,
+    tax: 8,
+    total: 48
+};
+
+const fields = issues => issues.map(issue => issue.field);
+
+describe('parseInvoiceDate', () => {
+    it('reads ISO dates and rejects impossible ones', () => {
+        expect(parseInvoiceDate('2024-02-29')).toEqual(new Date(2024, 1, 29));
+        expect(parseInvoiceDate('2023-02-29')).toBeNull();
+        expect(parseInvoiceDate('')).toBeNull();
+    });
+});
+
+describe('validateInvoice', () => {
+    it('finds nothing wrong with a consistent invoice', () => {
+        expect(validateInvoice(validInvoice)).toEqual([]);
+    });
+
+    it('reports missing required fields', () => {
+        expect(fields(validateInvoice({ ...validInvoice, invoiceNumber: '', from: '  ' }))).toEqual(expect.arrayContaining(['invoiceNumber', 'from']));
+    });
+
+    it('checks each line, the subtotal and the total', () => {
+        const issues = validateInvoice({
+            ...validInvoice,
+            lineItems: [{ id: 'a', description: 'Paper', quantity: 2, unitPrice: 5, total: 11 }],
+            subtotal: 40,
+            total: 50
+        });
+        expect(issues).toEqual(expect.arrayContaining([
+            expect.objectContaining({ field: 'lineItems.a.total', severity: 'warning' }),
+            expect.objectContaining({ field: 'subtotal', severity: 'error', message: 'Line items add up to 11.00 but the subtotal is 40.00.' }),
+            expect.objectContaining({ field: 'total', severity: 'error', message: 'Subtotal + tax is 48.00 but the total is 50.00.' })
+        ]));
+    });
+
+    it('warns when the due date is before the invoice date', () => {
+        expect(validateInvoice({ ...validInvoice, dueDate: '2024-03-01' })).toEqual([
+            expect.objectContaining({ field: 'dueDate', severity: 'warning', message: 'Due date is before the invoice date.' })
+        ]);
+    });
+
+    it('warns about currencies that are not ISO codes', () => {
+        expect(fields(validateInvoice({ ...validInvoice, currency: '$' }))).toEqual(['currency']);
+    });
+
+    it('asks receipts only for a date, merchant and currency, and counts the tip in the total', () => {
+        const receipt = { ...validInvoice, documentType: 'receipt', invoiceNumber: '', billedTo: '', dueDate: '', tip: 6, total: 54 };
+        expect(validateInvoice(receipt)).toEqual([]);
+        expect(validateInvoice({ ...receipt, total: 48 })).toEqual([
+            expect.objectContaining({ field: 'total', message: 'Subtotal + tax + tip is 54.00 but the total is 48.00.' })
+        ]);
+        expect(fields(validateInvoice({ ...receipt, invoiceDate: '', tip: -6, total: 42 }))).toEqual(['invoiceDate', 'tip']);
+    });
+});
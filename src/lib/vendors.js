@@ -0,0 +1,153 @@
+import { createId } from './ids';
+import { assignCategory } from './categories';
+import { parseInvoiceDate } from './validation';
+import { toCurrencyCode } from './money';
+
+// --- Vendor directory: matching extracted vendors and hints for transcription ---
+
+// Legal-form words dropped when comparing names, so "ACME Ltd" and "Acme Limited" match
+const LEGAL_SUFFIXES = ['ltd', 'limited', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'plc', 'corp', 'corporation', 'co', 'company', 'gmbh', 'ag', 'kg', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'pty', 'oy', 'ab', 'as', 'aps'];
+
+// Names shorter than this are too likely to appear by accident in a document's text
+const MIN_TEXT_MATCH_LENGTH = 4;
+
+// Vendors listed in the prompt when the document's vendor isn't known in advance
+const MAX_PROMPT_VENDORS = 25;
+
+const USUAL_ITEM_COUNT = 8;
+
+export const createVendor = (fields = {}) => ({
+    id: createId(),
+    name: '',
+    aliases: [],
+    address: '',
+    taxId: '',
+    defaultCurrency: '',
+    defaultCategory: '',
+    paymentTermsDays: null,
+    bankDetails: { accountName: '', accountNumber: '', routingCode: '' },
+    notes: '',
+    ...fields,
+    updatedAt: new Date().toISOString()
+});
+
+// "ACME LTD." → "acme", "Acme Cloud Services Limited" → "acme cloud services"
+export const normalizeVendorName = (name) => {
+    const words = (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) words.pop();
+    return words.join(' ');
+};
+
+export const normalizeTaxId = taxId => (taxId || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const vendorNames = vendor => [vendor.name, ...(vendor.aliases || [])].map(normalizeVendorName).filter(Boolean);
+
+// Directory vendor for an extracted name and tax ID: same tax ID, else the same name or alias
+export const matchVendor = (vendors, { name, taxId }) => {
+    const normalizedTaxId = normalizeTaxId(taxId);
+    if (normalizedTaxId) {
+        const byTaxId = vendors.find(vendor => normalizeTaxId(vendor.taxId) === normalizedTaxId);
+        if (byTaxId) return byTaxId;
+    }
+    const normalizedName = normalizeVendorName(name);
+    if (!normalizedName) return null;
+    return vendors.find(vendor => vendorNames(vendor).includes(normalizedName)) || null;
+};
+
+// Directory vendor whose tax ID or name appears in a document's text layer
+export const findVendorInText = (vendors, text) => {
+    if (!text || !text.trim()) return null;
+    const compactText = normalizeTaxId(text);
+    const byTaxId = vendors.find(vendor => normalizeTaxId(vendor.taxId).length >= MIN_TEXT_MATCH_LENGTH && compactText.includes(normalizeTaxId(vendor.taxId)));
+    if (byTaxId) return byTaxId;
+    const normalizedText = ` ${normalizeVendorName(text)} `;
+    return vendors.find(vendor => vendorNames(vendor).some(name => name.length >= MIN_TEXT_MATCH_LENGTH && normalizedText.includes(` ${name} `))) || null;
+};
+
+// Add the name as printed to the vendor's aliases unless it already matches
+export const addAlias = (vendor, name) => {
+    const printed = (name || '').trim();
+    if (!printed || vendorNames(vendor).includes(normalizeVendorName(printed))) return vendor;
+    return { ...vendor, aliases: [...(vendor.aliases || []), printed], updatedAt: new Date().toISOString() };
+};
+
+// A new directory entry filled in from a transcribed invoice
+export const vendorFromInvoice = (invoice) => {
+    const invoiceDate = parseInvoiceDate(invoice.invoiceDate);
+    const dueDate = parseInvoiceDate(invoice.dueDate);
+    return createVendor({
+        name: (invoice.from || '').trim(),
+        taxId: invoice.sellerTaxId || '',
+        defaultCurrency: toCurrencyCode(invoice.currency) || '',
+        paymentTermsDays: invoiceDate && dueDate && dueDate >= invoiceDate ? Math.round((dueDate - invoiceDate) / 86400000) : null
+    });
+};
+
+const toIsoDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Link an invoice to a vendor: use the canonical name and fill blanks from the vendor's defaults
+export const applyVendor = (invoice, vendor, accounts) => {
+    const linked = { ...invoice, vendorId: vendor.id, from: vendor.name };
+    if (!linked.sellerTaxId && vendor.taxId) linked.sellerTaxId = vendor.taxId;
+    if (!linked.currency && vendor.defaultCurrency) linked.currency = vendor.defaultCurrency;
+    const invoiceDate = parseInvoiceDate(linked.invoiceDate);
+    if (!linked.dueDate && invoiceDate && typeof vendor.paymentTermsDays === 'number') {
+        const dueDate = new Date(invoiceDate);
+        dueDate.setDate(dueDate.getDate() + vendor.paymentTermsDays);
+        linked.dueDate = toIsoDate(dueDate);
+    }
+    if (vendor.defaultCategory) {
+        linked.lineItems = (linked.lineItems || []).map(item => (item.category ? item : assignCategory(item, vendor.defaultCategory, accounts)));
+    }
+    return linked;
+};
+
+export const unlinkVendor = ({ vendorId, ...invoice }) => invoice;
+
+// "INV-1042" → "INV-####"
+export const invoiceNumberPattern = number => String(number || '').trim().replace(/\d/g, '#');
+
+const mostCommon = (values) => {
+    const counts = values.reduce((totals, value) => totals.set(value, (totals.get(value) || 0) + 1), new Map());
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+};
+
+// What earlier invoices from the vendor looked like: { invoiceCount, numberPattern, numberExample, usualItems }
+export const vendorHistory = (records, vendorId) => {
+    const invoices = records.map(record => record.data).filter(invoice => invoice.vendorId === vendorId);
+    const numbers = invoices.map(invoice => invoice.invoiceNumber).filter(Boolean);
+    const [numberPattern] = mostCommon(numbers.map(invoiceNumberPattern));
+    const descriptions = invoices.flatMap(invoice => (invoice.lineItems || []).map(item => (item.description || '').trim()).filter(Boolean));
+    return {
+        invoiceCount: invoices.length,
+        numberPattern: numberPattern || '',
+        numberExample: numbers.find(number => invoiceNumberPattern(number) === numberPattern) || '',
+        usualItems: mostCommon(descriptions).slice(0, USUAL_ITEM_COUNT)
+    };
+};
+
+// Prompt text describing a vendor the document is known to come from
+export const vendorPromptHints = (vendor, records) => {
+    const history = vendorHistory(records, vendor.id);
+    const lines = [`This invoice is most likely from the known vendor "${vendor.name}"${vendor.aliases && vendor.aliases.length > 0 ? ` (also written ${vendor.aliases.map(alias => `"${alias}"`).join(', ')})` : ''}.`];
+    if (vendor.taxId) lines.push(`Its tax ID is ${vendor.taxId}.`);
+    if (vendor.defaultCurrency) lines.push(`It usually bills in ${vendor.defaultCurrency}.`);
+    if (history.numberPattern) lines.push(`Its invoice numbers look like "${history.numberPattern}" where # is a digit, e.g. "${history.numberExample}".`);
+    if (history.usualItems.length > 0) lines.push(`Line items it usually bills: ${history.usualItems.map(item => `"${item}"`).join(', ')}.`);
+    if (vendor.notes) lines.push(`Notes: ${vendor.notes}`);
+    lines.push('Use these hints only to read unclear text. Always report what is printed on this invoice, even if it differs.');
+    return lines.join('\n    ');
+};
+
+// Prompt text listing known vendors when the document's vendor isn't known in advance
+export const vendorDirectoryHints = (vendors) => {
+    if (vendors.length === 0) return '';
+    const listed = [...vendors].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '')).slice(0, MAX_PROMPT_VENDORS);
+    const entries = listed.map(vendor => `"${vendor.name}"${vendor.aliases && vendor.aliases.length > 0 ? ` (also ${vendor.aliases.map(alias => `"${alias}"`).join(', ')})` : ''}${vendor.taxId ? `, tax ID ${vendor.taxId}` : ''}`);
+    return `Known vendors: ${entries.join('; ')}. If the invoice is from one of them, report "from" with that exact name.`;
+};
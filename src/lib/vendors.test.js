@@ -0,0 +1,93 @@
+import { addAlias, applyVendor, createVendor, findVendorInText, invoiceNumberPattern, matchVendor, normalizeVendorName, vendorDirectoryHints, vendorFromInvoice, vendorHistory, vendorPromptHints } from './vendors';
+
+const accounts = [{ id: 'acc-office', name: 'Office Supplies', glCode: '6010', taxCode: '' }];
+
+const acme = createVendor({ id: 'acme', name: 'Acme Corporation', aliases: ['ACME LTD.'], taxId: 'GB 123 4567 89', defaultCurrency: 'GBP', defaultCategory: 'Office Supplies', paymentTermsDays: 30 });
+const globex = createVendor({ id: 'globex', name: 'Globex' });
+const vendors = [acme, globex];
+
+describe('normalizeVendorName', () => {
+    it('ignores case, punctuation and legal forms', () => {
+        expect(normalizeVendorName('ACME LTD.')).toBe('acme');
+        expect(normalizeVendorName('Acme Cloud Services Limited')).toBe('acme cloud services');
+        expect(normalizeVendorName('Smith & Co')).toBe('smith and');
+    });
+});
+
+describe('matchVendor', () => {
+    it('matches on tax ID first, then on name or alias', () => {
+        expect(matchVendor(vendors, { name: 'Someone else', taxId: 'gb123456789' })).toBe(acme);
+        expect(matchVendor(vendors, { name: 'Acme Limited' })).toBe(acme);
+        expect(matchVendor(vendors, { name: 'Globex Inc' })).toBe(globex);
+        expect(matchVendor(vendors, { name: 'Initech' })).toBeNull();
+    });
+});
+
+describe('findVendorInText', () => {
+    it('finds a vendor named in a text layer', () => {
+        expect(findVendorInText(vendors, 'INVOICE\nFrom: ACME Ltd, 1 High St')).toBe(acme);
+        expect(findVendorInText(vendors, 'VAT no. GB123456789')).toBe(acme);
+        expect(findVendorInText(vendors, 'Globexchange plc')).toBeNull();
+        expect(findVendorInText(vendors, '   ')).toBeNull();
+    });
+});
+
+describe('addAlias', () => {
+    it('remembers new spellings only', () => {
+        expect(addAlias(acme, 'Acme Limited')).toBe(acme);
+        expect(addAlias(acme, 'ACME Corp UK').aliases).toEqual(['ACME LTD.', 'ACME Corp UK']);
+    });
+});
+
+describe('applyVendor', () => {
+    it('uses the canonical name and fills blanks from the vendor defaults', () => {
+        const invoice = {
+            from: 'ACME LTD.',
+            invoiceDate: '2024-01-15',
+            dueDate: '',
+            currency: '',
+            sellerTaxId: '',
+            lineItems: [{ id: 'a', description: 'Paper', category: '' }, { id: 'b', description: 'Lunch', category: 'Meals' }]
+        };
+        const linked = applyVendor(invoice, acme, accounts);
+        expect(linked).toEqual(expect.objectContaining({ vendorId: 'acme', from: 'Acme Corporation', sellerTaxId: 'GB 123 4567 89', currency: 'GBP', dueDate: '2024-02-14' }));
+        expect(linked.lineItems.map(item => item.category)).toEqual(['Office Supplies', 'Meals']);
+    });
+
+    it('keeps values printed on the invoice', () => {
+        const linked = applyVendor({ from: 'ACME', invoiceDate: '2024-01-15', dueDate: '2024-01-31', currency: 'EUR', lineItems: [] }, acme, accounts);
+        expect(linked).toEqual(expect.objectContaining({ dueDate: '2024-01-31', currency: 'EUR' }));
+    });
+});
+
+describe('vendorFromInvoice', () => {
+    it('derives payment terms from the invoice and due dates', () => {
+        const vendor = vendorFromInvoice({ from: ' Initech ', sellerTaxId: 'US-1', currency: '$', invoiceDate: '2024-03-01', dueDate: '2024-03-31' });
+        expect(vendor).toEqual(expect.objectContaining({ name: 'Initech', taxId: 'US-1', defaultCurrency: 'USD', paymentTermsDays: 30 }));
+    });
+});
+
+describe('vendor history and prompt hints', () => {
+    const records = [
+        { data: { vendorId: 'acme', invoiceNumber: 'INV-1041', lineItems: [{ description: 'Paper' }, { description: 'Toner' }] } },
+        { data: { vendorId: 'acme', invoiceNumber: 'INV-1042', lineItems: [{ description: 'Paper' }] } },
+        { data: { vendorId: 'globex', invoiceNumber: '77', lineItems: [] } }
+    ];
+
+    it('learns the number pattern and usual items from linked invoices', () => {
+        expect(invoiceNumberPattern('INV-1042')).toBe('INV-####');
+        expect(vendorHistory(records, 'acme')).toEqual({ invoiceCount: 2, numberPattern: 'INV-####', numberExample: 'INV-1041', usualItems: ['Paper', 'Toner'] });
+    });
+
+    it('describes a known vendor without overriding what is printed', () => {
+        const hints = vendorPromptHints(acme, records);
+        expect(hints).toContain('"Acme Corporation" (also written "ACME LTD.")');
+        expect(hints).toContain('"INV-####"');
+        expect(hints).toContain('Always report what is printed on this invoice');
+    });
+
+    it('lists the directory when the vendor is unknown', () => {
+        expect(vendorDirectoryHints([])).toBe('');
+        expect(vendorDirectoryHints(vendors)).toContain('"Acme Corporation" (also "ACME LTD."), tax ID GB 123 4567 89');
+    });
+});
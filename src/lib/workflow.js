@@ -0,0 +1,78 @@
+import { parseInvoiceDate } from './validation';
+
+// --- Approval workflow ---
+//
+// received → in review → approved → scheduled → paid, with rejection possible
+// until payment. Every transition records who made it, when, and an optional comment.
+
+export const STATUSES = [
+    ['received', 'Received'],
+    ['in_review', 'In Review'],
+    ['approved', 'Approved'],
+    ['scheduled', 'Scheduled'],
+    ['paid', 'Paid'],
+    ['rejected', 'Rejected']
+];
+
+export const STATUS_LABELS = Object.fromEntries(STATUSES);
+
+// Statuses each status may move to, in the order the actions are offered
+const TRANSITIONS = {
+    received: ['in_review', 'rejected'],
+    in_review: ['approved', 'rejected', 'received'],
+    approved: ['scheduled', 'rejected', 'in_review'],
+    scheduled: ['paid', 'rejected', 'approved'],
+    paid: [],
+    rejected: ['in_review']
+};
+
+// Statuses where nothing is owed any more
+const CLOSED_STATUSES = ['paid', 'rejected'];
+
+const USER_NAME_KEY = 'userName';
+
+export const loadUserName = () => localStorage.getItem(USER_NAME_KEY) || '';
+export const saveUserName = name => localStorage.setItem(USER_NAME_KEY, name);
+
+// Name recorded in history and audit entries
+export const actorName = userName => userName.trim() || 'Unknown user';
+
+export const createWorkflow = (by, at = new Date().toISOString()) => ({
+    status: 'received',
+    assignee: '',
+    history: [{ from: null, to: 'received', by, at, comment: '' }]
+});
+
+// Records saved before the workflow existed start out as received
+export const getWorkflow = record => record.workflow || { status: 'received', assignee: '', history: [] };
+
+export const allowedTransitions = status => TRANSITIONS[status] || [];
+
+// Move to a new status, appending to the history. Throws for transitions the workflow doesn't allow.
+export const transitionWorkflow = (workflow, to, { by, comment = '', at = new Date().toISOString() }) => {
+    if (!allowedTransitions(workflow.status).includes(to)) {
+        throw new Error(`An invoice that is ${STATUS_LABELS[workflow.status]} can't be marked ${STATUS_LABELS[to] || to}.`);
+    }
+    if (to === 'rejected' && !comment.trim()) {
+        throw new Error("Please give a reason for rejecting the invoice.");
+    }
+    return { ...workflow, status: to, history: [...workflow.history, { from: workflow.status, to, by, at, comment: comment.trim() }] };
+};
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Whole days past the due date for an open invoice, or 0 when it isn't overdue
+export const daysOverdue = (invoice, workflow, today = new Date()) => {
+    if (CLOSED_STATUSES.includes(workflow.status)) return 0;
+    const dueDate = parseInvoiceDate(invoice.dueDate);
+    if (!dueDate) return 0;
+    return Math.max(0, Math.round((startOfDay(today) - dueDate) / 86400000));
+};
+
+// Sort records by due date, soonest first, with undated invoices last
+export const compareByDueDate = (a, b) => {
+    const first = parseInvoiceDate(a.data.dueDate);
+    const second = parseInvoiceDate(b.data.dueDate);
+    if (!first || !second) return (first ? -1 : 0) + (second ? 1 : 0);
+    return first - second;
+};
@@ -0,0 +1,41 @@
+import { compareByDueDate, createWorkflow, daysOverdue, transitionWorkflow } from './workflow';
+
+const AT = '2024-03-01T09:00:00.000Z';
+
+describe('transitionWorkflow', () => {
+    it('records each allowed transition in the history', () => {
+        const inReview = transitionWorkflow(createWorkflow('Sam', AT), 'in_review', { by: 'Sam', at: AT, comment: ' checking ' });
+        expect(inReview.status).toBe('in_review');
+        expect(inReview.history[1]).toEqual({ from: 'received', to: 'in_review', by: 'Sam', at: AT, comment: 'checking' });
+    });
+
+    it('refuses transitions the workflow does not allow', () => {
+        expect(() => transitionWorkflow(createWorkflow('Sam', AT), 'paid', { by: 'Sam' })).toThrow("An invoice that is Received can't be marked Paid.");
+    });
+
+    it('can reject a scheduled invoice until it is paid', () => {
+        const scheduled = ['in_review', 'approved', 'scheduled'].reduce((workflow, to) => transitionWorkflow(workflow, to, { by: 'Sam', at: AT }), createWorkflow('Sam', AT));
+        expect(transitionWorkflow(scheduled, 'rejected', { by: 'Sam', at: AT, comment: 'Duplicate' }).status).toBe('rejected');
+        const paid = transitionWorkflow(scheduled, 'paid', { by: 'Sam', at: AT });
+        expect(() => transitionWorkflow(paid, 'rejected', { by: 'Sam', comment: 'Duplicate' })).toThrow("An invoice that is Paid can't be marked Rejected.");
+    });
+
+    it('needs a reason to reject', () => {
+        expect(() => transitionWorkflow(createWorkflow('Sam', AT), 'rejected', { by: 'Sam', comment: ' ' })).toThrow('Please give a reason');
+    });
+});
+
+describe('due dates', () => {
+    const today = new Date(2024, 2, 11);
+
+    it('counts days overdue for open invoices only', () => {
+        expect(daysOverdue({ dueDate: '2024-03-01' }, { status: 'approved' }, today)).toBe(10);
+        expect(daysOverdue({ dueDate: '2024-03-01' }, { status: 'paid' }, today)).toBe(0);
+        expect(daysOverdue({ dueDate: '2024-04-01' }, { status: 'received' }, today)).toBe(0);
+    });
+
+    it('sorts by due date with undated invoices last', () => {
+        const records = [{ data: { dueDate: '' } }, { data: { dueDate: '2024-05-01' } }, { data: { dueDate: '2024-04-01' } }];
+        expect([...records].sort(compareByDueDate).map(record => record.data.dueDate)).toEqual(['2024-04-01', '2024-05-01', '']);
+    });
+});
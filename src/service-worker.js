@@ -0,0 +1,41 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// --- Service worker: the app shell offline ---
+//
+// The build's assets are precached, so the app opens without a connection.
+// Invoices, files and the upload queue live in IndexedDB and need nothing from
+// here. AI requests are POSTs and always go to the network.
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page loads get the cached index.html; requests for files (anything with an extension) don't
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !FILE_EXTENSION.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Tailwind comes from its CDN; keep the last copy so the app is still styled offline
+const TAILWIND_ORIGIN = 'https://cdn.tailwindcss.com';
+const TAILWIND_CACHE = 'tailwind';
+registerRoute(
+    ({ url }) => url.origin === TAILWIND_ORIGIN,
+    new StaleWhileRevalidate({ cacheName: TAILWIND_CACHE, plugins: [new ExpirationPlugin({ maxEntries: 4 })] })
+);
+
+// The first page load happens before the worker is in control, so fetch a copy on install
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(TAILWIND_CACHE).then(cache => cache.add(`${TAILWIND_ORIGIN}/`)).catch(() => {}));
+});
+
+// Sent by the page when the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,45 @@
+// --- Service worker registration ---
+//
+// Only production builds register the worker; in development it would serve
+// stale bundles. A new version waits until the user chooses to reload, so an
+// open tab never mixes old and new code.
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+// Dispatched on window, with the registration as its detail, when a new version is waiting
+export const UPDATE_AVAILABLE_EVENT = 'serviceworkerupdateavailable';
+
+const announceUpdate = registration => window.dispatchEvent(new CustomEvent(UPDATE_AVAILABLE_EVENT, { detail: registration }));
+
+const watchForUpdates = (registration) => {
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            // With no controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) announceUpdate(registration);
+        });
+    });
+};
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    // The worker can only control pages from its own origin
+    if (new URL(process.env.PUBLIC_URL || '/', window.location.href).origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .then((registration) => {
+                if (registration.waiting && navigator.serviceWorker.controller) announceUpdate(registration);
+                watchForUpdates(registration);
+            })
+            .catch(err => console.error("Error registering the service worker:", err));
+    });
+};
+
+// Switch to the waiting version and reload once it has taken over
+export const applyUpdate = (registration) => {
+    if (!registration.waiting) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
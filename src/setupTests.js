@@ -0,0 +1,50 @@
+// Jest setup: DOM matchers and the browser APIs jsdom doesn't provide
+import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// fake-indexeddb clones stored values with structuredClone, which jsdom lacks.
+// Blobs are kept as they are, like a browser stores them.
+if (!global.structuredClone) {
+    const clone = (value) => {
+        if (value === null || typeof value !== 'object' || value instanceof Blob) return value;
+        if (value instanceof Date) return new Date(value);
+        if (Array.isArray(value)) return value.map(clone);
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+    };
+    global.structuredClone = clone;
+}
+require('fake-indexeddb/auto');
+
+Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+
+// jsdom's Blob can't be read as text or bytes directly
+const readBlob = (blob, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+});
+if (!Blob.prototype.text) Blob.prototype.text = function text() { return readBlob(this, 'readAsText'); };
+// Copied into one of Node's ArrayBuffers, since Node's WebCrypto rejects jsdom's
+if (!Blob.prototype.arrayBuffer) {
+    Blob.prototype.arrayBuffer = function arrayBuffer() {
+        return readBlob(this, 'readAsArrayBuffer').then((result) => {
+            const bytes = Buffer.from(new Uint8Array(result));
+            return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+        });
+    };
+}
+
+if (!Element.prototype.scrollIntoView) Element.prototype.scrollIntoView = () => {};
+
+if (!URL.createObjectURL) URL.createObjectURL = () => 'blob:test';
+if (!URL.revokeObjectURL) URL.revokeObjectURL = () => {};
+
+beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+});
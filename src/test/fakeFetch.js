@@ -0,0 +1,60 @@
+// Fetch replacement for tests. Each call is answered with the next scripted
+// reply and recorded, so tests can check what was sent:
+//   { status, body }         - body is JSON-encoded unless it's already a string
+//   { recorded: 'name' }     - a recorded response from fixtures/gemini
+//   { networkError: true }   - the request fails like an offline fetch
+//   { hang: true }           - no answer until the request's signal aborts it
+// Headers are given in lower case, e.g. { status: 429, headers: { 'retry-after': '2' } }.
+
+export const recorded = (name, status = 200) => ({ status, body: require(`./fixtures/gemini/${name}.json`) });
+
+// Text of the first candidate in a recorded generateContent response
+export const recordedText = name => require(`./fixtures/gemini/${name}.json`).candidates[0].content.parts[0].text;
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// Never settles unless the signal aborts, like a request still waiting on the server
+const waitForAbort = signal => new Promise((resolve, reject) => {
+    if (signal) signal.addEventListener('abort', () => reject(abortError()), { once: true });
+});
+
+const toResponse = ({ status = 200, body = {}, headers = {} }) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => headers[name.toLowerCase()] ?? null },
+        text: async () => text,
+        json: async () => JSON.parse(text)
+    };
+};
+
+export const installFakeFetch = (replies = []) => {
+    const queue = replies.map(reply => (reply.recorded ? recorded(reply.recorded, reply.status) : reply));
+    const requests = [];
+
+    const fakeFetch = jest.fn(async (url, options = {}) => {
+        requests.push({ url, method: options.method || 'GET', headers: options.headers || {}, body: options.body ? JSON.parse(options.body) : null });
+        const reply = queue.shift();
+        if (!reply) throw new Error(`Unexpected request to ${url}: no scripted reply left.`);
+        if (options.signal && options.signal.aborted) throw abortError();
+        if (reply.networkError) throw new TypeError('Failed to fetch');
+        if (reply.hang) return waitForAbort(options.signal);
+        return toResponse(reply);
+    });
+    global.fetch = fakeFetch;
+    window.fetch = fakeFetch;
+
+    return {
+        fetch: fakeFetch,
+        requests,
+        reply: (...more) => queue.push(...more.map(reply => (reply.recorded ? recorded(reply.recorded, reply.status) : reply))),
+        remaining: () => queue.length
+    };
+};
+
+// Retry delays run immediately so tests don't wait for the backoff
+export const skipDelays = () => jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
+    callback();
+    return 0;
+});
@@ -0,0 +1,4 @@
+// Run the tests east of UTC so dates parsed as UTC instead of local time show up as failures
+module.exports = async () => {
+    process.env.TZ = 'Europe/Berlin';
+};